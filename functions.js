@@ -1,3 +1,3 @@
 /*! For license information please see functions.js.LICENSE.txt */
-!function(){function e(){var a,n,r="function"==typeof Symbol?Symbol:{},o=r.iterator||"@@iterator",i=r.toStringTag||"@@toStringTag";function l(e,r,o,i){var l=r&&r.prototype instanceof s?r:s,u=Object.create(l.prototype);return t(u,"_invoke",function(e,t,r){var o,i,l,s=0,u=r||[],d=!1,f={p:0,n:0,v:a,a:m,f:m.bind(a,4),d:function(e,t){return o=e,i=0,l=a,f.n=t,c}};function m(e,t){for(i=e,l=t,n=0;!d&&s&&!r&&n<u.length;n++){var r,o=u[n],m=f.p,g=o[2];e>3?(r=g===t)&&(l=o[(i=o[4])?5:(i=3,3)],o[4]=o[5]=a):o[0]<=m&&((r=e<2&&m<o[1])?(i=0,f.v=t,f.n=o[1]):m<g&&(r=e<3||o[0]>t||t>g)&&(o[4]=e,o[5]=t,f.n=g,i=0))}if(r||e>1)return c;throw d=!0,t}return function(r,u,g){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&m(u,g),i=u,l=g;(n=i<2?a:l)||!d;){o||(i?i<3?(i>1&&(f.n=-1),m(i,l)):f.n=l:f.v=l);try{if(s=2,o){if(i||(r="next"),n=o[r]){if(!(n=n.call(o,l)))throw TypeError("iterator result is not an object");if(!n.done)return n;l=n.value,i<2&&(i=0)}else 1===i&&(n=o.return)&&n.call(o),i<2&&(l=TypeError("The iterator does not provide a '"+r+"' method"),i=1);o=a}else if((n=(d=f.n<0)?l:e.call(t,f))!==c)break}catch(e){o=a,i=1,l=e}finally{s=1}}return{value:n,done:d}}}(e,o,i),!0),u}var c={};function s(){}function u(){}function d(){}n=Object.getPrototypeOf;var f=[][o]?n(n([][o]())):(t(n={},o,function(){return this}),n),m=d.prototype=s.prototype=Object.create(f);function g(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,d):(e.__proto__=d,t(e,i,"GeneratorFunction")),e.prototype=Object.create(m),e}return u.prototype=d,t(m,"constructor",d),t(d,"constructor",u),u.displayName="GeneratorFunction",t(d,i,"GeneratorFunction"),t(m),t(m,i,"Generator"),t(m,o,function(){return this}),t(m,"toString",function(){return"[object Generator]"}),(e=function(){return{w:l,m:g}})()}function t(e,a,n,r){var o=Object.defineProperty;try{o({},"",{})}catch(e){o=0}t=function(e,a,n,r){function i(a,n){t(e,a,function(e){return this._invoke(a,n,e)})}a?o?o(e,a,{value:n,enumerable:!r,configurable:!r,writable:!r}):e[a]=n:(i("next",0),i("throw",1),i("return",2))},t(e,a,n,r)}function a(e){return a="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},a(e)}function n(e,t,a,n,r,o,i){try{var l=e[o](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,r)}function r(e){return function(){var t=this,a=arguments;return new Promise(function(r,o){var i=e.apply(t,a);function l(e){n(i,r,o,l,c,"next",e)}function c(e){n(i,r,o,l,c,"throw",e)}l(void 0)})}}function o(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var a=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=a){var n,r,o,i,l=[],c=!0,s=!1;try{if(o=(a=a.call(e)).next,0===t){if(Object(a)!==a)return;c=!1}else for(;!(c=(n=o.call(a)).done)&&(l.push(n.value),l.length!==t);c=!0);}catch(e){s=!0,r=e}finally{try{if(!c&&null!=a.return&&(i=a.return(),Object(i)!==i))return}finally{if(s)throw r}}return l}}(e,t)||u(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function i(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function l(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?i(Object(a),!0).forEach(function(t){f(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):i(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function c(e){return function(e){if(Array.isArray(e))return d(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||u(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function s(e,t){var a="undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(!a){if(Array.isArray(e)||(a=u(e))||t&&e&&"number"==typeof e.length){a&&(e=a);var n=0,r=function(){};return{s:r,n:function(){return n>=e.length?{done:!0}:{done:!1,value:e[n++]}},e:function(e){throw e},f:r}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var o,i=!0,l=!1;return{s:function(){a=a.call(e)},n:function(){var e=a.next();return i=e.done,e},e:function(e){l=!0,o=e},f:function(){try{i||null==a.return||a.return()}finally{if(l)throw o}}}}function u(e,t){if(e){if("string"==typeof e)return d(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?d(e,t):void 0}}function d(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function f(e,t,n){return(t=function(e){var t=function(e){if("object"!=a(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var n=t.call(e,"string");if("object"!=a(n))return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==a(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function m(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1).map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),o=[],i=n.slice(1);r.forEach(function(e){i.forEach(function(t){null!==e[t]&&void 0!==e[t]&&""!==e[t]&&o.push(f(f(f({},n[0],e[n[0]]),"series",t),"value",parseFloat(e[t])||0))})}),ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Multi-series line chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:o},mark:{type:"line",point:!1,tooltip:!0,strokeWidth:2},encoding:{x:{field:n[0],type:"ordinal",axis:{title:n[0],labelFontSize:12,titleFontSize:14,labelAngle:0}},y:{field:"value",type:"quantitative",axis:{title:"Value",labelFontSize:12,titleFontSize:14}},color:{field:"series",type:"nominal",scale:{scheme:"category10"},legend:{title:"Series",titleFontSize:12,labelFontSize:11}}}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"},point:{size:60,filled:!0}}),"line","line_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Line")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function g(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Step chart requires at least 2 columns (Date, Price)");var o=r.map(function(e,t){if(!e[0]||null==e[1]||""===e[1])return null;var a,n="number"==typeof(a=e[0])?new Date(Math.round(86400*(a-25569)*1e3)):new Date(a),r=parseFloat(e[1]);return isNaN(n.getTime())||isNaN(r)?null:{date:n.toISOString(),price:r}}).filter(Boolean);if(0===o.length)return void a("Error: No valid step chart data found");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,description:"Step chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:o},mark:{type:"line",interpolate:"step-after",strokeWidth:2},encoding:{x:{field:"date",type:"temporal",axis:{title:null,format:"%m/%d",labelAngle:-45,labelFontSize:11,labelColor:"#605e5c",font:"Segoe UI"}},y:{field:"price",type:"quantitative",scale:{zero:!1},axis:{title:null,labelFontSize:11,labelColor:"#605e5c",font:"Segoe UI",grid:!0,gridColor:"#f3f2f1"}},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"price",type:"quantitative",title:"Price",format:".2f"}]}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),"step","step_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Step")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function p(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least one header row and one data row.");var n=e[0],r=e.slice(1);if(5!==n.length&&7!==n.length)return void a("Error: Fan chart requires exactly 5 or 7 columns.");var o=r.map(function(e){var t=f({},n[0],e[0]);return t.actual=null!=e[1]&&""!==e[1]?parseFloat(e[1]):null,t.p50=null!=e[2]&&""!==e[2]?parseFloat(e[2]):null,t.p75_low=null!=e[3]&&""!==e[3]?parseFloat(e[3]):null,t.p75_high=null!=e[4]&&""!==e[4]?parseFloat(e[4]):null,7===n.length?(t.p95_low=null!=e[5]&&""!==e[5]?parseFloat(e[5]):null,t.p95_high=null!=e[6]&&""!==e[6]?parseFloat(e[6]):null):(t.p95_low=null,t.p95_high=null),t}).filter(function(e){return null!==e[n[0]]&&void 0!==e[n[0]]});if(0===o.length)return void a("Error: No valid data rows found.");o.sort(function(e,t){return e[n[0]]-t[n[0]]});var i,l=null,u=s(o);try{for(u.s();!(i=u.n()).done;){var d=i.value;if(null!==d.p75_low){l=d[n[0]];break}}}catch(e){u.e(e)}finally{u.f()}var m=n[0].toLowerCase().includes("date")||n[0].toLowerCase().includes("time"),g=o.map(function(e){return e[n[0]]}),p={field:n[0],type:m?"temporal":"ordinal",title:n[0],sort:g,axis:{labelAngle:-45,labelFontSize:11,titleFontSize:12,values:g,format:"d"}},h={title:"Value",labelFontSize:11,titleFontSize:12,grid:!0,gridColor:"#f3f2f1"},y={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Fan chart with actual and forecast data",width:700,height:400,background:"white",data:{values:o},encoding:{x:p},layer:[].concat(c(o.some(function(e){return null!==e.p95_low})?[{transform:[{filter:"datum['".concat(n[0],"'] >= ").concat(l)}],mark:{type:"area",opacity:.2,color:"steelblue"},encoding:{y:{field:"p95_high",type:"quantitative",axis:h},y2:{field:"p95_low"}}}]:[]),[{transform:[{filter:"datum['".concat(n[0],"'] >= ").concat(l)}],mark:{type:"area",opacity:.35,color:"steelblue"},encoding:{y:{field:"p75_high",type:"quantitative",axis:h},y2:{field:"p75_low"}}},{transform:[{filter:"datum['".concat(n[0],"'] >= ").concat(l)}],mark:{type:"line",color:"steelblue",strokeDash:[4,2],strokeWidth:2},encoding:{y:{field:"p50",type:"quantitative"},tooltip:[{field:n[0],title:n[0]},{field:"p50",title:"Forecast",format:".1f"}]}},{transform:[{filter:"datum['".concat(n[0],"'] <= ").concat(l)}],mark:{type:"line",color:"steelblue",strokeWidth:2},encoding:{y:{field:"actual",type:"quantitative",axis:h}}},{transform:[{filter:"datum['".concat(n[0],"'] <= ").concat(l)}],mark:{type:"circle",color:"steelblue",size:50},encoding:{y:{field:"actual",type:"quantitative"},tooltip:[{field:n[0],title:n[0]},{field:"actual",title:"Actual",format:".1f"}]}}]),config:{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130"},view:{stroke:"transparent"}}};ge(y,"fan","fan_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Fan")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function h(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1).map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),o=n[0],i=n[1],c=n.length>=3?n[2]:null,s={};c&&r.forEach(function(e){var t=e[o],a=e[c];s[t]||(s[t]=new Set),s[t].add(a)});var u=c&&Object.values(s).some(function(e){return e.size>1}),d={};ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Column chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t="".concat(e[o],"|").concat(c?e[c]:"none"),a=d[t]||0;return d[t]=a+1,l(l({},e),{},{shadeLevel:a})})},mark:{type:"bar",tooltip:!0},encoding:l(l({x:{field:o,type:"nominal",axis:{title:o,labelFontSize:12,titleFontSize:14}},y:{field:i,type:"quantitative",axis:{title:i,labelFontSize:12,titleFontSize:14},stack:"zero"}},u&&{xOffset:{field:c}}),c&&{color:{field:c,type:"nominal",legend:{title:c,titleFontSize:12,labelFontSize:11},scale:{scheme:"category10"}},fillOpacity:{field:"shadeLevel",type:"quantitative",scale:{domain:[0,3],range:[1,.5]}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),"column","column_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Column")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function y(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1).map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),o=n[0],i=n[1],c=n.length>=3?n[2]:null,s={};c&&r.forEach(function(e){var t=e[o],a=e[c];s[t]||(s[t]=new Set),s[t].add(a)});var u=c&&Object.values(s).some(function(e){return e.size>1}),d={};ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bar chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t="".concat(e[o],"|").concat(c?e[c]:"none"),a=d[t]||0;return d[t]=a+1,l(l({},e),{},{shadeLevel:a})})},mark:{type:"bar",tooltip:!0},encoding:l(l({y:{field:o,type:"nominal",axis:{title:o,labelFontSize:12,titleFontSize:14}},x:{field:i,type:"quantitative",axis:{title:i,labelFontSize:12,titleFontSize:14},stack:"zero"}},u&&{yOffset:{field:c}}),c&&{color:{field:c,type:"nominal",legend:{title:c,titleFontSize:12,labelFontSize:11},scale:{scheme:"category10"}},fillOpacity:{field:"shadeLevel",type:"quantitative",scale:{domain:[0,3],range:[1,.5]}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),"bar","bar_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Bar")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function v(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Butterfly chart requires 3 columns (Category, Left Values, Right Values)");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),i=Math.max.apply(Math,c(o.map(function(e){return Math.abs(e[n[1]]||0)}))),l=Math.max.apply(Math,c(o.map(function(e){return Math.abs(e[n[2]]||0)}))),s=Math.max(i,l);ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Butterfly chart from Excel selection",background:"white",config:{view:{stroke:null},axis:{grid:!1}},data:{values:o},spacing:0,hconcat:[{transform:[{filter:{field:n[1],valid:!0}}],title:n[1],mark:"bar",encoding:{y:{field:n[0],axis:null,sort:"descending"},x:{aggregate:"sum",field:n[1],title:null,axis:{format:"s"},scale:{domain:[0,s]},sort:"descending"},color:{value:"#675193"}}},{width:20,view:{stroke:null},mark:{type:"text",align:"center"},encoding:{y:{field:n[0],type:"ordinal",axis:null,sort:"descending"},text:{field:n[0],type:"nominal"}}},{transform:[{filter:{field:n[2],valid:!0}}],title:n[2],mark:"bar",encoding:{y:{field:n[0],title:null,axis:null,sort:"descending"},x:{aggregate:"sum",field:n[2],title:null,axis:{format:"s"},scale:{domain:[0,s]}},color:{value:"#ca8861"}}}]},"butterfly","butterfly_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Butterfly")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function b(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Beeswarm chart requires at least 2 columns (Category, Value)");var o=r.map(function(e,t){return{group:e[0],value:parseFloat(e[1])||0,id:t,name:n.length>=3&&e[2]?e[2]:"Item ".concat(t+1)}}),i=c(new Set(o.map(function(e){return e.group})));ge({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Beeswarm chart using force-directed layout from Excel selection",width:Math.max(600,150*i.length),height:300,padding:{left:5,right:5,top:20,bottom:40},autosize:"none",background:"white",signals:[{name:"cx",update:"width / 2"},{name:"cy",update:"height / 2"},{name:"radius",value:6},{name:"collide",value:1},{name:"gravityX",value:.3},{name:"gravityY",value:.2},{name:"static",value:!0}],data:[{name:"people",values:o}],scales:[{name:"xscale",type:"band",domain:{data:"people",field:"group",sort:!0},range:"width"},{name:"color",type:"ordinal",domain:{data:"people",field:"group"},range:{scheme:"tableau10"}}],axes:[{orient:"bottom",scale:"xscale",labelAngle:-45,labelAlign:"right",labelBaseline:"middle",labelFont:"Segoe UI",labelFontSize:11,labelColor:"#605e5c",titleFont:"Segoe UI",titleFontSize:12,titleColor:"#323130",domain:!0,domainColor:"#8a8886",ticks:!0,tickColor:"#8a8886"}],marks:[{name:"nodes",type:"symbol",from:{data:"people"},encode:{enter:{fill:{scale:"color",field:"group"},xfocus:{scale:"xscale",field:"group",band:.5},yfocus:{signal:"cy"}},update:{size:{signal:"pow(2 * radius, 2)"},stroke:{value:"white"},strokeWidth:{value:1.5},zindex:{value:0},tooltip:{signal:"{'Name': datum.name, 'Group': datum.group, 'Value': datum.value}"}},hover:{stroke:{value:"#323130"},strokeWidth:{value:3},zindex:{value:1}}},transform:[{type:"force",iterations:300,static:{signal:"static"},forces:[{force:"collide",iterations:{signal:"collide"},radius:{signal:"radius + 1"}},{force:"x",x:"xfocus",strength:{signal:"gravityX"}},{force:"y",y:"yfocus",strength:{signal:"gravityY"}}]}]}],config:{view:{stroke:"transparent"},font:"Segoe UI"}},"beeswarm","beeswarm_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Beeswarm")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function x(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Funnel chart requires 2 columns (Stage, Value)");if(r.some(function(e){return isNaN(e[1])||e[1]<=0}))return void a("Error: Funnel chart values must be positive numbers");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t});o.sort(function(e,t){return t[n[1]]-e[n[1]]});for(var i=o.reduce(function(e,t){return e+t[n[1]]},0),l=o.every(function(e){var t=e[n[1]];return t>=0&&t<=1||t>1&&t<=100&&Number.isInteger(t)}),c=o.map(function(e){var t=e[n[1]],a=l?(t<=1?(100*t).toFixed(1):t.toFixed(1))+"%":t.toLocaleString();return f(f(f(f({},n[0],e[n[0]]),n[1],t),"percentage",(t/i*100).toFixed(1)+"%"),"label",a)}),s=o.length,u=[],d=0;d<s;d++){var m=1-d/(s-1)*.6,g=Math.round(0+255*(1-m)),p=Math.round(120+135*(1-m)),h=Math.round(212+43*(1-m));u.push("rgb(".concat(g,", ").concat(p,", ").concat(h,")"))}ge({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Centered funnel chart showing conversion stages",background:"white",width:400,height:250,config:{view:{stroke:"transparent"},font:"Segoe UI"},data:{values:c},encoding:{y:{type:"nominal",field:n[0],sort:"-x",axis:{labelFontSize:11,labelColor:"#323130",title:null,labelPadding:5}}},layer:[{mark:{type:"bar",tooltip:!0,orient:"horizontal"},encoding:{color:{type:"nominal",field:n[0],legend:null,scale:{range:u}},x:{type:"quantitative",field:n[1],stack:"center",axis:null},tooltip:[{field:n[0],type:"nominal",title:"Stage"},{field:n[1],type:"quantitative",title:"Count",format:",.0f"},{field:"percentage",type:"nominal",title:"Percentage"}]}},{mark:{type:"text",align:"left",dx:5,fontSize:12,fontWeight:"nominal",color:"#FF6347"},encoding:{text:{field:"label",type:"nominal"},x:{type:"quantitative",field:n[1],stack:"center"},y:{field:n[0],type:"nominal"}}}]},"funnel","funnel_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Funnel")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function w(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Gauge chart requires 2 columns (Current Value, Max Value)");var o=r[0];ge({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Gauge chart from Excel selection",width:400,height:220,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"centerX",update:"width / 2"},{name:"centerY",update:"height - 20"},{name:"outerRadius",update:"min(width / 2, height) - 20"},{name:"innerRadius",update:"outerRadius - outerRadius * 0.25"},{name:"mainValue",value:parseFloat(o[0])||0},{name:"minValue",value:0},{name:"maxValue",value:parseFloat(o[1])||100},{name:"usedValue",update:"min(max(minValue, mainValue), maxValue)"},{name:"fontFactor",update:"(min(width, height)/5)/25"},{name:"backgroundColor",value:"#e1e4e8"},{name:"fillColor",value:"#0078d4"},{name:"needleColor",value:"#323130"},{name:"needleSize",update:"innerRadius"}],scales:[{name:"gaugeScale",type:"linear",domain:[{signal:"minValue"},{signal:"maxValue"}],range:[{signal:"-PI/2"},{signal:"PI/2"}]},{name:"needleScale",type:"linear",domain:[{signal:"minValue"},{signal:"maxValue"}],range:[-90,90]}],marks:[{type:"arc",name:"gauge",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},startAngle:{signal:"-PI/2"},endAngle:{signal:"PI/2"},outerRadius:{signal:"outerRadius"},innerRadius:{signal:"innerRadius"},fill:{signal:"backgroundColor"}}}},{type:"arc",encode:{enter:{startAngle:{signal:"-PI/2"}},update:{x:{signal:"centerX"},y:{signal:"centerY"},innerRadius:{signal:"innerRadius"},outerRadius:{signal:"outerRadius"},endAngle:{scale:"gaugeScale",signal:"usedValue"},fill:{signal:"fillColor"}}}},{type:"text",description:"displayed main value at the center",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY + fontFactor * 15"},baseline:{value:"middle"},align:{value:"center"},fontSize:{signal:"fontFactor * 7"},font:{value:"Segoe UI"},fontWeight:{value:"bold"}},update:{text:{signal:"mainValue < 1 ? format(mainValue, '.0%') : format(mainValue, ',.0f')"},fill:{signal:"fillColor"}}}},{type:"symbol",name:"needle",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"}},update:{shape:{signal:"'M-2.5 -2.5 Q 0 0 2.5 -2.5 L 0 -' + toString(needleSize) + ' Z '"},angle:{signal:"usedValue",scale:"needleScale"},size:{signal:"4"},stroke:{signal:"needleColor"},fill:{signal:"needleColor"}}}},{type:"symbol",description:"center circle",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},shape:{value:"circle"},size:{signal:"pow(fontFactor * 8, 2)"},fill:{signal:"needleColor"},stroke:{value:"white"},strokeWidth:{value:2}}}}]},"gauge","gauge_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Gauge")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function k(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Pie chart requires 2 columns (Category, Value)");if(r.some(function(e){return isNaN(e[1])||e[1]<=0}))return void a("Error: Pie chart values must be positive numbers");ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},description:"Pie chart from Excel selection",data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"arc",outerRadius:120},encoding:{theta:{field:n[1],type:"quantitative"},color:{field:n[0],type:"nominal"}}},"pie","pie_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Pie")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function E(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Donut chart requires 2 columns (Category, Value)");if(r.some(function(e){return isNaN(e[1])||e[1]<=0}))return void a("Error: Donut chart values must be positive numbers");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},description:"Donut chart from Excel selection",data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"arc",innerRadius:50,outerRadius:120,tooltip:!0,stroke:"white",strokeWidth:2},encoding:{theta:{field:n[1],type:"quantitative",scale:{type:"linear",range:[0,6.28]}},color:{field:n[0],type:"nominal",scale:{scheme:"category10"},legend:{title:n[0],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:n[0],type:"nominal",title:"Category"},{field:n[1],type:"quantitative",title:"Value",format:",.0f"}]}},"config",{font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}}),"donut","donut_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Donut")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function S(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(3!==n.length)return void a("Error: Chord chart requires exactly 3 columns: Source, Destination, Value");var o=new Set;r.forEach(function(e){o.add(e[0]),o.add(e[1])});var i=Array.from(o),l=i.length,c={};i.forEach(function(e,t){c[e]=t});var s=Array(l).fill(0).map(function(){return Array(l).fill(0)});r.forEach(function(e){var t=e[0],a=e[1],n=parseFloat(e[2])||0,r=c[t],o=c[a];void 0!==r&&void 0!==o&&(s[r][o]=n)});for(var u=new Array(l).fill(0),d=0;d<l;d++)for(var f=0;f<l;f++)u[d]+=s[d][f],u[d]+=s[f][d];var m=u.reduce(function(e,t){return e+t},0);if(0===m)return void a("Error: All values are zero");for(var g=[],p=0,h=.02*l,y=2*Math.PI-h,v=0;v<l;v++){var b=u[v]/m*y;g.push({index:v,label:i[v],startAngle:p,endAngle:p+b,value:u[v]}),p+=b+.02}for(var x=g.map(function(e){return{start:e.startAngle,end:e.startAngle}}),w=[],k=270,E=0;E<l;E++)for(var S=0;S<l;S++){var C=s[E][S];if(C>0){var z=g[E],F=g[S],A=C/u[E]*(z.endAngle-z.startAngle),I=x[E].end,P=I+A;x[E].end=P;var N=C/u[S]*(F.endAngle-F.startAngle),_=x[S].end,M=_+N;x[S].end=M;var R=k*Math.cos(I-Math.PI/2),T=k*Math.sin(I-Math.PI/2),q=k*Math.cos(P-Math.PI/2),O=k*Math.sin(P-Math.PI/2),U=k*Math.cos(_-Math.PI/2),D=k*Math.sin(_-Math.PI/2),L=k*Math.cos(M-Math.PI/2),V=k*Math.sin(M-Math.PI/2),B=P-I>Math.PI?1:0,W=M-_>Math.PI?1:0,j="M".concat(R,",").concat(T,"A").concat(k,",").concat(k,",0,").concat(B,",1,").concat(q,",").concat(O,"Q0,0,").concat(U,",").concat(D,"A").concat(k,",").concat(k,",0,").concat(W,",1,").concat(L,",").concat(V,"Q0,0,").concat(R,",").concat(T,"Z");w.push({path:j,source:E,target:S,sourceLabel:i[E],targetLabel:i[S],value:C})}}ge({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Chord diagram from Excel data",width:700,height:700,padding:5,background:"white",signals:[{name:"originX",value:0},{name:"originY",value:0},{name:"inner_radius",value:270},{name:"outer_radius",value:290}],scales:[{name:"color",type:"ordinal",domain:{data:"chords",field:"index"},range:{scheme:"category10"}}],data:[{name:"chords",values:g,transform:[{type:"formula",expr:"(((datum.startAngle + datum.endAngle) / 2) * 180 / PI) - 90",as:"angle_degrees"},{type:"formula",expr:"PI * datum.angle_degrees / 180",as:"radians"},{type:"formula",expr:"inrange(datum.angle_degrees, [90, 270])",as:"leftside"},{type:"formula",expr:"originX + outer_radius * cos(datum.radians)",as:"x"},{type:"formula",expr:"originY + outer_radius * sin(datum.radians)",as:"y"}]},{name:"ribbonsPaths",values:w}],marks:[{type:"arc",from:{data:"chords"},encode:{enter:{fill:{scale:"color",field:"index"},x:{signal:"width / 2"},y:{signal:"height / 2"}},update:{startAngle:{field:"startAngle"},endAngle:{field:"endAngle"},padAngle:{value:0},innerRadius:{signal:"inner_radius"},outerRadius:{signal:"outer_radius"},opacity:{value:.9},tooltip:{signal:"{'Label': datum.label, 'Value': datum.value}"}},hover:{opacity:{value:1}}}},{type:"text",from:{data:"chords"},encode:{enter:{text:{field:"label"},fontSize:{value:11},font:{value:"Segoe UI"},fill:{value:"#323130"}},update:{x:{signal:"width / 2 + datum.x"},y:{signal:"width / 2 + datum.y"},dx:{signal:"(datum.leftside ? -1 : 1) * 6"},angle:{signal:"datum.leftside ? datum.angle_degrees - 180 : datum.angle_degrees"},align:{signal:"datum.leftside ? 'right' : 'left'"},baseline:{value:"middle"}}}},{type:"path",from:{data:"ribbonsPaths"},encode:{enter:{x:{signal:"width / 2"},y:{signal:"height / 2"}},update:{path:{field:"path"},fill:{scale:"color",field:"source"},opacity:{value:.6},stroke:{value:"white"},strokeWidth:{value:.5},tooltip:{signal:"{'From': datum.sourceLabel, 'To': datum.targetLabel, 'Value': format(datum.value, ',.0f')}"}},hover:{opacity:{value:.8}}}}]},"chord","chord_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Chord")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function C(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Circlepacking requires at least 2 columns (Parent, Child, Size optional)");var o=new Map;r.forEach(function(e,t){var a=e[0]||"",r=e[1]||"node_".concat(t),i=n.length>=3&&parseFloat(e[2])||1;if(a&&!o.has(a)&&o.set(a,{id:a,parent:"",name:a,size:0}),o.has(r)){var l=o.get(r);l.parent=a,l.size=i}else o.set(r,{id:r,parent:a,name:r,size:i})});var i=Array.from(o.values()),l=new Set(i.map(function(e){return e.id}));i.forEach(function(e){e.parent&&!l.has(e.parent)&&(e.parent="")});var c=i.length,s=Math.max(500,Math.min(700,20*c+300));ge({$schema:"https://vega.github.io/schema/vega/v6.json",description:"Circle packing chart from Excel selection",width:s,height:s,padding:5,autosize:"none",background:"white",data:[{name:"tree",values:i,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"pack",field:"size",sort:{field:"value"},size:[{signal:"width"},{signal:"height"}]}]}],scales:[{name:"color",type:"ordinal",domain:{data:"tree",field:"depth"},range:{scheme:"category20"}}],marks:[{type:"symbol",from:{data:"tree"},encode:{enter:{shape:{value:"circle"},fill:{scale:"color",field:"depth"},tooltip:{signal:"datum.name + (datum.size ? ', ' + format(datum.size, ',.0f') : '')"}},update:{x:{field:"x"},y:{field:"y"},size:{signal:"4 * datum.r * datum.r"},stroke:{value:"white"},strokeWidth:{value:.5},opacity:{value:.8}},hover:{stroke:{value:"#0078d4"},strokeWidth:{value:2},opacity:{value:1}}}},{type:"text",from:{data:"tree"},encode:{enter:{align:{value:"center"},baseline:{value:"middle"},fill:{value:"#323130"},font:{value:"Segoe UI"},fontWeight:{value:"500"}},update:{x:{field:"x"},y:{field:"y"},text:{signal:"datum.r > 15 ? datum.name : ''"},fontSize:{signal:"datum.r > 30 ? 12 : datum.r > 20 ? 10 : 8"},opacity:{signal:"datum.r > 15 ? 1 : 0"}}}}]},"circlepacking","circlepacking_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Circle Packing")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function z(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Polar bar chart requires 2 columns (Category, Value)");ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Circular bar chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI"},data:{values:r.map(function(e,t){var a={};n.forEach(function(t,n){a[t]=e[n]});var o=360/r.length,i=t*o,l=.7*o;return a.theta=i,a.thetaStart=i-l/2,a.thetaEnd=i+l/2,a})},layer:[{mark:{type:"arc",stroke:"#fff",strokeWidth:2,opacity:.7},encoding:{theta:{field:"thetaStart",type:"quantitative",scale:{domain:[0,360],type:"linear"},stack:null},theta2:{field:"thetaEnd",type:"quantitative"},radius:{field:n[1],type:"quantitative",scale:{type:"linear",zero:!0,rangeMin:20}},radius2:{value:20},color:{field:n[0],type:"nominal",scale:{scheme:"tableau20"},legend:{title:n[0],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:n[0],type:"nominal"},{field:n[1],type:"quantitative"}]}},{mark:{type:"text",radiusOffset:15,fontSize:10},encoding:{theta:{field:"theta",type:"quantitative",scale:{domain:[0,360],type:"linear"}},radius:{field:n[1],type:"quantitative",scale:{type:"linear",zero:!0,rangeMin:20}},text:{field:n[1],type:"quantitative"},color:{value:"#323130"}}}]},"circularbar","circularbar_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Circular Bar")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function F(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0];ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Area chart from Excel selection",background:"white",data:{values:e.slice(1).map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"area",interpolate:"monotone",tooltip:!0,line:{color:"#3A3D56"},color:{x1:1,y1:1,x2:1,y2:0,gradient:"linear",stops:[{offset:.1,color:"white"},{offset:1,color:"blue"}]}},encoding:l({x:{field:n[0],type:"ordinal",axis:{title:n[0],labelFontSize:12,titleFontSize:14}},y:{field:n[1],type:"quantitative",axis:{title:n[1],labelFontSize:12,titleFontSize:14}}},n.length>=3&&{color:{field:n[2],type:"nominal",legend:{title:n[2],titleFontSize:12,labelFontSize:11}}}),config:{view:{stroke:"transparent"},font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}},"area","area_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Area")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function A(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Streamgraph requires 3 columns (Time/Date, Series/Category, Values)");var o="ordinal";ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,height:400,background:"white",config:{view:{stroke:"transparent"}},description:"Streamgraph from Excel selection",data:{values:r.map(function(e){var t={};n.forEach(function(a,n){t[a]=e[n]});var a=t[n[0]];if("number"==typeof a&&a>25569)t[n[0]]=new Date(86400*(a-25569)*1e3),o="temporal";else if("string"==typeof a&&a.includes("-")){var r=new Date(a);isNaN(r.getTime())||(t[n[0]]=r,o="temporal")}return t})},mark:{type:"area",tooltip:!0,interpolate:"basis",opacity:.8},encoding:{x:"temporal"===o?{field:n[0],type:"temporal",axis:{domain:!1,format:"%Y-%m",tickSize:0,title:n[0],labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",labelAngle:-45}}:{field:n[0],type:"ordinal",axis:{domain:!1,tickSize:0,title:n[0],labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130"}},y:{aggregate:"sum",field:n[2],type:"quantitative",axis:null,stack:"center"},color:{field:n[1],type:"nominal",scale:{scheme:"category20b"},legend:{title:n[1],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:n[0],type:"temporal"===o?"temporal":"ordinal",title:"Period",format:"temporal"===o?"%Y-%m-%d":void 0},{field:n[1],type:"nominal",title:"Series"},{field:n[2],type:"quantitative",title:"Value",format:",.0f"}]}},"config",{font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}}),"streamgraph","streamgraph_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Streamgraph")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function I(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Scatter plot requires at least 2 columns (X, Y values)");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Scatter plot from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"point",size:100,tooltip:!0},encoding:l(l({x:{field:n[0],type:"quantitative",scale:{zero:!1},axis:{title:n[0],labelFontSize:12,titleFontSize:14}},y:{field:n[1],type:"quantitative",scale:{zero:!1},axis:{title:n[1],labelFontSize:12,titleFontSize:14}}},n.length>=3&&{color:{field:n[2],type:"nominal",legend:{title:n[2],titleFontSize:12,labelFontSize:11}}}),n.length>=4&&{shape:{field:n[3],type:"nominal",legend:{title:n[3],titleFontSize:12,labelFontSize:11}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),"scatter","scatter_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Scatter")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function P(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Bubble chart requires at least 3 columns (X values, Y values, Size values)");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bubble chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"circle",tooltip:!0,opacity:.7},encoding:l({x:{field:n[0],type:"quantitative",scale:{zero:!1},axis:{title:n[0],labelFontSize:12,titleFontSize:14}},y:{field:n[1],type:"quantitative",scale:{zero:!1},axis:{title:n[1],labelFontSize:12,titleFontSize:14}},size:{field:n[2],type:"quantitative",scale:{type:"linear",range:[100,1e3]},legend:{title:n[2],titleFontSize:12,labelFontSize:11}}},n.length>=4&&{color:{field:n[3],type:"nominal",legend:{title:n[3],titleFontSize:12,labelFontSize:11}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),"bubble","bubble_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Bubble")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function N(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Ring chart requires 2 columns: Category, Value");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),i=o.length;if(0===i)return void a("Error: Ring chart requires at least one data row");for(var l=Math.max(15,Math.min(25,120/i)),s=Math.max(3,Math.min(8,40/i)),u=150+5*i,d=function(e,t){var a=Math.max(50,80-5*e),n=Math.max(25,60-8*e);return"hsl(".concat(210,", ").concat(a,"%, ").concat(n,"%)")},m=o.map(function(e,t){return f(f(f(f({},"__".concat(t,"__"),e[n[0]]),"__".concat(t+100,"__"),e[n[1]]),"Ring".concat(t+1,"_Theta2"),2*Math.PI*e[n[1]]/100),"Ring".concat(t+1,"_Percent_Label"),e[n[1]]+"%")}),g=[Object.assign.apply(Object,[{}].concat(c(m)))],p=[],h=u,y=0;y<i;y++){var v=h,b=v-l,x=(v+b)/2;p.push({outer:v,inner:b,middle:x}),h=b-s}var w=u+50-25*i/2;ge({$schema:"https://vega.github.io/schema/vega-lite/v5.json",config:{autosize:{type:"pad",resize:!0},concat:{spacing:20}},description:"Dynamic ring chart with ".concat(i," concentric rings"),background:"white",data:{values:g},hconcat:[{description:"RINGS - Main Chart",width:2*(u+50),height:2*(u+50),view:{stroke:null},layer:[].concat(c(o.map(function(e,t){return{description:"RING ".concat(t+1," BACKGROUND"),mark:{type:"arc",radius:p[t].outer,radius2:p[t].inner,theta:0,theta2:6.283185307179586,opacity:.25,x:u+50,y:u+50},encoding:{color:{value:d(t)}}}})),c(o.map(function(e,t){return{description:"RING ".concat(t+1," PROGRESS"),mark:{type:"arc",radius:p[t].outer,radius2:p[t].inner,theta:0,theta2:{expr:"datum['Ring".concat(t+1,"_Theta2']")},cornerRadius:Math.min(8,l/2),tooltip:!0,x:u+50,y:u+50},encoding:{color:{value:d(t)},tooltip:[{value:e[n[0]],title:"Category"},{value:e[n[1]]+"%",title:"Progress"}]}}})),c(o.map(function(e,t){return{description:"RING ".concat(t+1," LABEL"),mark:{type:"text",align:"center",baseline:"middle",x:u+50+15,y:u+50-p[t].middle,fontSize:Math.max(10,Math.min(14,180/i)),font:"Segoe UI",fontWeight:"bold",color:"white"},encoding:{text:{value:e[n[1]]+"%"},opacity:{condition:{test:"datum['Ring".concat(t+1,"_Theta2'] > 0"),value:1},value:0}}}})))},{description:"LEGEND - Right Side",width:100,height:2*(u+50),view:{stroke:null},layer:o.map(function(e,t){return[{description:"LEGEND CIRCLE ".concat(t+1),mark:{type:"circle",size:150,x:15,y:w+25*t,color:d(t)}},{description:"LEGEND LABEL ".concat(t+1),mark:{type:"text",x:35,y:w+25*t,align:"left",baseline:"middle",fontSize:11,font:"Segoe UI"},encoding:{text:{value:e[n[0]]}}}]}).flat()}],view:{stroke:null}},"ring","ring_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Ring")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function _(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Radial chart requires 2 columns (Category, Value)");ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Radial chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},transform:[{window:[{op:"rank",as:"sortOrder"}],sort:[{field:n[1],order:"descending"}]}],layer:[{mark:{type:"arc",innerRadius:20,stroke:"#fff"}},{mark:{type:"text",radiusOffset:10},encoding:{text:{field:n[1],type:"quantitative"}}}],encoding:{theta:{field:n[1],type:"quantitative",stack:!0},radius:{field:n[1],scale:{type:"sqrt",zero:!0,rangeMin:20}},color:{field:n[0],type:"nominal",legend:{title:n[0],titleFontSize:12,labelFontSize:11,orient:"right"}},order:{field:"sortOrder",type:"quantitative"}}},"radial","radial_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Radial")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function M(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Box plot requires 2 columns (Category, Values)");var o=r.filter(function(e){return e[0]&&!isNaN(+e[1])}).map(function(e){return{category:e[0],value:+e[1]}});if(0===o.length)return void a("Error: No valid numeric data found for box plot");ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Box plot from Excel selection",data:{values:o},mark:{type:"boxplot",extent:"min-max"},encoding:{x:{field:"category",type:"nominal"},y:{field:"value",type:"quantitative",scale:{zero:!1}},color:{field:"category",type:"nominal",legend:null}}},"box","box_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Box")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function R(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Radar chart requires at least 3 columns (Series, Dimension1, Dimension2, ...)");var o=[],i=n.slice(1);r.forEach(function(e,t){var a=e[n[0]]||"Series ".concat(t+1);i.forEach(function(r){var i=parseFloat(e[n.indexOf(r)])||0;o.push({series:a,dimension:r,value:i,category:t})})});var l=c(new Set(o.map(function(e){return e.dimension})));ge({$schema:"https://vega.github.io/schema/vega/v6.json",description:"Radar chart from Excel selection",width:400,height:400,padding:60,autosize:{type:"none",contains:"padding"},background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"radius",update:"width / 2"}],data:[{name:"table",values:o},{name:"dimensions",values:l.map(function(e){return{dimension:e}})}],scales:[{name:"angular",type:"point",range:{signal:"[-PI, PI]"},padding:.5,domain:l},{name:"radial",type:"linear",range:{signal:"[0, radius]"},zero:!0,nice:!0,domain:{data:"table",field:"value"},domainMin:0},{name:"color",type:"ordinal",domain:{data:"table",field:"category"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"]}],encode:{enter:{x:{signal:"radius"},y:{signal:"radius"}}},marks:[{type:"group",name:"categories",zindex:1,from:{facet:{data:"table",name:"facet",groupby:["category","series"]}},marks:[{type:"line",name:"category-line",from:{data:"facet"},encode:{enter:{interpolate:{value:"linear-closed"},x:{signal:"scale('radial', datum.value) * cos(scale('angular', datum.dimension))"},y:{signal:"scale('radial', datum.value) * sin(scale('angular', datum.dimension))"},stroke:{scale:"color",field:"category"},strokeWidth:{value:2},fill:{scale:"color",field:"category"},fillOpacity:{value:.1},strokeOpacity:{value:.8}}}},{type:"symbol",name:"category-points",from:{data:"facet"},encode:{enter:{x:{signal:"scale('radial', datum.value) * cos(scale('angular', datum.dimension))"},y:{signal:"scale('radial', datum.value) * sin(scale('angular', datum.dimension))"},size:{value:50},fill:{scale:"color",field:"category"},stroke:{value:"white"},strokeWidth:{value:1}}}}]},{type:"rule",name:"radial-grid",from:{data:"dimensions"},zindex:0,encode:{enter:{x:{value:0},y:{value:0},x2:{signal:"radius * cos(scale('angular', datum.dimension))"},y2:{signal:"radius * sin(scale('angular', datum.dimension))"},stroke:{value:"#e1e4e8"},strokeWidth:{value:1}}}},{type:"text",name:"dimension-label",from:{data:"dimensions"},zindex:1,encode:{enter:{x:{signal:"(radius + 20) * cos(scale('angular', datum.dimension))"},y:{signal:"(radius + 20) * sin(scale('angular', datum.dimension))"},text:{field:"dimension"},align:[{test:"abs(scale('angular', datum.dimension)) > PI / 2",value:"right"},{value:"left"}],baseline:[{test:"scale('angular', datum.dimension) > 0",value:"top"},{test:"scale('angular', datum.dimension) == 0",value:"middle"},{value:"bottom"}],fill:{value:"#323130"},fontWeight:{value:"bold"},font:{value:"Segoe UI"},fontSize:{value:12}}}},{type:"line",name:"outer-line",from:{data:"radial-grid"},encode:{enter:{interpolate:{value:"linear-closed"},x:{field:"x2"},y:{field:"y2"},stroke:{value:"#8a8886"},strokeWidth:{value:2},strokeOpacity:{value:.6}}}}]},"radar","radar_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Radar")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function T(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Waterfall chart requires 3 columns (Category, Amount, Type)");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),i=c(o);i.length>0&&(i[i.length-1]=l(l({},i[i.length-1]),{},f({},n[1],0)));var s=o.length,u=Math.max(400,Math.min(1600,50*s)),d=Math.max.apply(Math,c(o.map(function(e){return Math.abs(e[n[1]])})));ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Waterfall chart with multiple subtotals",background:"white",data:{values:i},config:{view:{stroke:"transparent"}},width:u,height:Math.max(300,Math.min(600,d/100+200)),transform:[{window:[{op:"sum",field:n[1],as:"sum"}]},{window:[{op:"lead",field:n[0],as:"lead"}]},{calculate:"datum.lead === null ? datum.".concat(n[0]," : datum.lead"),as:"lead"},{calculate:"datum.".concat(n[2]," == 'total' ? 0 : datum.sum - datum.").concat(n[1]),as:"previous_sum"},{calculate:"datum.".concat(n[2]," == 'total' ? datum.sum : datum.").concat(n[1]),as:"amount"},{calculate:"datum.".concat(n[2]," == 'total' ? datum.").concat(n[1]," / 2 : (datum.sum + datum.previous_sum) / 2"),as:"center"},{calculate:"datum.".concat(n[2]," == 'total' ? datum.sum : (datum.").concat(n[1]," > 0 ? '+' : '') + datum.").concat(n[1]),as:"text_amount"},{calculate:"(datum.sum + datum.previous_sum) / 2",as:"center"},{window:[{op:"rank",as:"group_index"}],frame:[null,null],groupby:[n[0]]},{calculate:"\n            datum.".concat(n[2]," == 'total'\n                ? '#00B0F0'\n                : datum.amount >= 0\n                ? (datum.group_index == 1 ? '#70AD47'\n                    : (datum.group_index == 2 ? '#8BC97A'\n                    : (datum.group_index == 3 ? '#A7DA9D'\n                    : '#C3EBC0')))\n                : (datum.group_index == 1 ? '#E15759'\n                    : (datum.group_index == 2 ? '#EC7A7C'\n                    : (datum.group_index == 3 ? '#F29C9D'\n                    : '#F8BEBF')))\n            "),as:"bar_color"}],encoding:{x:{field:n[0],type:"ordinal",sort:null,axis:{labelAngle:-45,title:null},scale:{paddingInner:.05,paddingOuter:.025}}},layer:[{mark:{type:"bar",size:60},encoding:{y:{field:"previous_sum",type:"quantitative",title:null},y2:{field:"sum"},color:{field:"bar_color",type:"nominal",scale:null}}},{mark:{type:"text",fontWeight:"bold",baseline:"middle"},encoding:{y:{field:"center",type:"quantitative"},text:{field:"text_amount",type:"nominal"},color:{condition:[{test:"datum.".concat(n[2]," == 'total'"),value:"#725a30"}],value:"white"}}}]},"config",{text:{fontWeight:"bold",color:"#D9D9D9"}}),"waterfall","waterfall_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Waterfall")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function q(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Sunburst chart requires at least 2 columns (Parent, Child, optional Value)");var o=new Map;r.forEach(function(e,t){var a=e[0]||"",r=e[1]||"node_".concat(t),i=n.length>=3&&parseFloat(e[2])||1;if(a&&!o.has(a)&&o.set(a,{id:a,parent:"",name:a,size:0}),o.has(r)){var l=o.get(r);l.parent=a,l.size=i}else o.set(r,{id:r,parent:a,name:r,size:i})});var i=Array.from(o.values()),l=new Set(i.map(function(e){return e.id}));i.forEach(function(e){e.parent&&!l.has(e.parent)&&(e.parent="")});var c=i.length,s=Math.max(400,Math.min(600,15*c+300));ge({$schema:"https://vega.github.io/schema/vega/v6.json",description:"Sunburst chart from Excel selection",width:s,height:s,padding:10,autosize:"none",background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"centerX",update:"width / 2"},{name:"centerY",update:"height / 2"},{name:"outerRadius",update:"min(width, height) / 2 - 10"}],data:[{name:"tree",values:i,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"partition",field:"size",sort:{field:"size",order:"descending"},size:[{signal:"2 * PI"},{signal:"outerRadius"}],as:["a0","r0","a1","r1","depth","children"]}]}],scales:[{name:"color",type:"ordinal",domain:{data:"tree",field:"depth"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438","#8764b8","#e3008c","#00b7c3","#038387","#486991"]},{name:"opacity",type:"linear",domain:{data:"tree",field:"depth"},range:[.8,.4]}],marks:[{type:"arc",from:{data:"tree"},encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},stroke:{value:"white"},strokeWidth:{value:1}},update:{startAngle:{field:"a0"},endAngle:{field:"a1"},innerRadius:{field:"r0"},outerRadius:{field:"r1"},fill:{scale:"color",field:"depth"},fillOpacity:{scale:"opacity",field:"depth"}}}},{type:"text",from:{data:"tree"},encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},radius:{signal:"(datum.r0 + datum.r1) / 2"},theta:{signal:"(datum.a0 + datum.a1) / 2"},fill:{value:"#323130"},font:{value:"Segoe UI"},fontSize:{value:10},fontWeight:{value:"bold"},align:{value:"center"},baseline:{value:"middle"}},update:{text:{signal:"(datum.r1 - datum.r0) > 20 && (datum.a1 - datum.a0) > 0.3 ? datum.name : ''"},opacity:{signal:"(datum.r1 - datum.r0) > 20 && (datum.a1 - datum.a0) > 0.3 ? 1 : 0"}}}}]},"sunburst","sunburst_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Sunburst")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function O(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Treemap chart requires 3 columns (Parent, Category, Value)");var o,i=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t});n.length>=3?(o=i.map(function(e,t){return{id:"".concat(e[n[1]],"_").concat(t),name:e[n[1]],parent:e[n[0]]||"root",size:parseFloat(e[n[2]])||0}}),c(new Set(o.map(function(e){return e.parent}))).forEach(function(e){"root"===e||o.find(function(t){return t.id===e})||o.push({id:e,name:e,parent:"root",size:0})}),o.push({id:"root",name:"Root",parent:"",size:0})):o=[{id:"root",name:"Root",parent:"",size:0}].concat(c(i.map(function(e,t){return{id:"item_".concat(t),name:e[n[1]],parent:"root",size:parseFloat(e[n[2]])||0}}))),ge({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Treemap visualization from Excel data",background:"white",width:600,height:400,padding:5,autosize:"fit",data:[{name:"tree",values:o,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"treemap",field:"size",sort:{field:"value"},round:!0,method:"squarify",ratio:1.6,size:[{signal:"width"},{signal:"height"}]}]},{name:"nodes",source:"tree",transform:[{type:"filter",expr:"datum.children"}]},{name:"leaves",source:"tree",transform:[{type:"filter",expr:"!datum.children"}]}],scales:[{name:"color",type:"ordinal",domain:{data:"nodes",field:"name"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"]},{name:"fontSize",type:"ordinal",domain:[0,1,2,3],range:[20,16,12,10]},{name:"opacity",type:"ordinal",domain:[0,1,2,3],range:[.3,.6,.8,1]}],marks:[{type:"rect",from:{data:"nodes"},interactive:!1,encode:{enter:{fill:{scale:"color",field:"name"},fillOpacity:{scale:"opacity",field:"depth"}},update:{x:{field:"x0"},y:{field:"y0"},x2:{field:"x1"},y2:{field:"y1"},stroke:{value:"#ffffff"},strokeWidth:{value:1}}}},{type:"rect",from:{data:"leaves"},encode:{enter:{stroke:{value:"#ffffff"},strokeWidth:{value:2}},update:{x:{field:"x0"},y:{field:"y0"},x2:{field:"x1"},y2:{field:"y1"},fill:{value:"transparent"},tooltip:{signal:"{'Category': datum.name, 'Value': datum.size, 'Parent': datum.parent}"}},hover:{fill:{value:"#323130"},fillOpacity:{value:.1}}}},{type:"text",from:{data:"leaves"},interactive:!1,encode:{enter:{font:{value:"Segoe UI, Arial, sans-serif"},align:{value:"center"},baseline:{value:"middle"},fill:{value:"#323130"},fontWeight:{value:"bold"},text:{field:"name"},fontSize:{scale:"fontSize",field:"depth"}},update:{x:{signal:"0.5 * (datum.x0 + datum.x1)"},y:{signal:"0.5 * (datum.y0 + datum.y1)"},opacity:{signal:"(datum.x1 - datum.x0) > 50 && (datum.y1 - datum.y0) > 20 ? 1 : 0"}}}}]},"treemap","treemap_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Treemap")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function U(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");e[0];var n=e.slice(1).filter(function(e){return!isNaN(+e[0])}).map(function(e){return{value:+e[0]}});if(0===n.length)return void a("Error: No valid numeric data found for histogram");var r=n.map(function(e){return e.value}),o=Math.min.apply(Math,c(r)),i=Math.max.apply(Math,c(r)),l=(i-o)/20,s=Math.floor(o/l)*l,u=Math.ceil(i/l)*l;ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Histogram from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:n},mark:{type:"bar",tooltip:!0,stroke:"white",strokeWidth:1},encoding:{x:{field:"value",bin:{extent:[s,u],step:l,nice:!1},type:"quantitative",axis:{title:"Value",labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130"},scale:{domain:[s,u],range:"width",paddingInner:.05,paddingOuter:.02}},y:{aggregate:"count",type:"quantitative",axis:{title:"Count",labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},color:{value:"#0078d4"}}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),"histogram","histogram_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Histogram")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function D(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<1)return void a("Error: Density plot requires at least 1 column (Values)");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Density plot from Excel selection",background:"white",config:{view:{stroke:"transparent"}},width:400,height:100,data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},transform:[{density:n[0],bandwidth:.3}],mark:"area",encoding:{x:{field:"value",title:n[0],type:"quantitative",axis:{labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},y:{field:"density",type:"quantitative",title:"Density",axis:{labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},color:{value:"#0078d4"},tooltip:[{field:"value",type:"quantitative",title:n[0],format:".2f"},{field:"density",type:"quantitative",title:"Density",format:".4f"}]}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),"density","density_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Density")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function L(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Map chart requires 2 columns (Country ISO3, Value)");var o={AFG:4,AGO:24,ALB:8,AND:20,ARE:784,ARG:32,ARM:51,ATA:10,ATG:28,AUS:36,AUT:40,AZE:31,BDI:108,BEL:56,BEN:204,BFA:854,BGD:50,BGR:100,BHR:48,BHS:44,BIH:70,BLR:112,BLZ:84,BOL:68,BRA:76,BRB:52,BRN:96,BTN:64,BWA:72,CAF:140,CAN:124,CHE:756,CHL:152,CHN:156,CIV:384,CMR:120,COD:180,COG:178,COL:170,COM:174,CPV:132,CRI:188,CUB:192,CYP:196,CZE:203,DEU:276,DJI:262,DMA:212,DNK:208,DOM:214,DZA:12,ECU:218,EGY:818,ERI:232,ESH:732,ESP:724,EST:233,ETH:231,FIN:246,FJI:242,FRA:250,FSM:583,GAB:266,GBR:826,GEO:268,GHA:288,GIN:324,GMB:270,GNB:624,GNQ:226,GRC:300,GRD:308,GRL:304,GTM:320,GUY:328,HND:340,HRV:191,HTI:332,HUN:348,IDN:360,IND:356,IRL:372,IRN:364,IRQ:368,ISL:352,ISR:376,ITA:380,JAM:388,JOR:400,JPN:392,KAZ:398,KEN:404,KGZ:417,KHM:116,KIR:296,KNA:659,KOR:410,KWT:414,LAO:418,LBN:422,LBR:430,LBY:434,LCA:662,LIE:438,LKA:144,LSO:426,LTU:440,LUX:442,LVA:428,MAR:504,MCO:492,MDA:498,MDG:450,MDV:462,MEX:484,MHL:584,MKD:807,MLI:466,MLT:470,MMR:104,MNE:499,MNG:496,MOZ:508,MRT:478,MUS:480,MWI:454,MYS:458,NAM:516,NCL:540,NER:562,NGA:566,NIC:558,NLD:528,NOR:578,NPL:524,NRU:520,NZL:554,OMN:512,PAK:586,PAN:591,PER:604,PHL:608,PLW:585,PNG:598,POL:616,PRI:630,PRK:408,PRT:620,PRY:600,PSE:275,QAT:634,ROU:642,RUS:643,RWA:646,SAU:682,SDN:729,SEN:686,SGP:702,SLB:90,SLE:694,SLV:222,SMR:674,SOM:706,SRB:688,SSD:728,STP:678,SUR:740,SVK:703,SVN:705,SWE:752,SWZ:748,SYC:690,SYR:760,TCD:148,TGO:768,THA:764,TJK:762,TKM:795,TLS:626,TON:776,TTO:780,TUN:788,TUR:792,TUV:798,TWN:158,TZA:834,UGA:800,UKR:804,URY:858,USA:840,UZB:860,VAT:336,VCT:670,VEN:862,VNM:704,VUT:548,WSM:882,XKX:383,YEM:887,ZAF:710,ZMB:894,ZWE:716},i=r.filter(function(e){return e[0]&&!isNaN(+e[1])}).map(function(e){var t=(e[0]||"").toUpperCase().trim();return{id:o[t],iso:t,rate:+e[1]}}).filter(function(e){return e.id});if(0===i.length)return void a("Error: No valid country data found. Please use ISO3 country codes (USA, GBR, DEU, etc.)");ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:800,height:450,data:{url:"https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json",format:{type:"topojson",feature:"countries"}},transform:[{lookup:"id",from:{data:{values:i},key:"id",fields:["rate","iso"]}}],projection:{type:"equalEarth"},mark:{type:"geoshape",stroke:"white",strokeWidth:.5},encoding:{color:{field:"rate",type:"quantitative",scale:{scheme:"blues"}},tooltip:[{field:"iso",type:"nominal",title:"Country (ISO3)"},{field:"rate",type:"quantitative",title:"Value"}]}},"map","map_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Map")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function V(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Contour plot requires at least 2 columns (X values, Y values, optional Categories)");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}).filter(function(e){return null!==e[n[0]]&&void 0!==e[n[0]]&&""!==e[n[0]]&&null!==e[n[1]]&&void 0!==e[n[1]]&&""!==e[n[1]]});if(0===o.length)return void a("Error: No valid data points for contour plot");var i=o.map(function(e){return parseFloat(e[n[0]])}),s=o.map(function(e){return parseFloat(e[n[1]])}),u=Math.max.apply(Math,c(i))-Math.min.apply(Math,c(i)),d=Math.max.apply(Math,c(s))-Math.min.apply(Math,c(s)),f=Math.max(500,Math.min(800,10*u)),m=Math.max(400,Math.min(600,10*d)),g=n.length>=3;ge({$schema:"https://vega.github.io/schema/vega/v6.json",description:"Contour plot from Excel selection - density estimate overlay",width:f,height:m,padding:5,autosize:"pad",background:"white",signals:[{name:"bandwidth",value:-1,description:"Bandwidth for density estimation (-1 for auto)"},{name:"resolve",value:"shared",description:"Scale resolution for contours"},{name:"counts",value:!0,description:"Use counts vs density"}],data:[{name:"source",values:o,transform:[{type:"filter",expr:"datum['".concat(n[0],"'] != null && datum['").concat(n[1],"'] != null")}]},{name:"density",source:"source",transform:[l(l({type:"kde2d"},g&&{groupby:[n[2]]}),{},{size:[{signal:"width"},{signal:"height"}],x:{expr:"scale('x', datum['".concat(n[0],"'])")},y:{expr:"scale('y', datum['".concat(n[1],"'])")},bandwidth:{signal:"[bandwidth, bandwidth]"},counts:{signal:"counts"}})]},{name:"contours",source:"density",transform:[{type:"isocontour",field:"grid",resolve:{signal:"resolve"},levels:5}]}],scales:[{name:"x",type:"linear",round:!0,nice:!0,zero:!1,domain:{data:"source",field:n[0]},range:"width"},{name:"y",type:"linear",round:!0,nice:!0,zero:!1,domain:{data:"source",field:n[1]},range:"height"}].concat(c(g?[{name:"color",type:"ordinal",domain:{data:"source",field:n[2],sort:{order:"descending"}},range:"category"}]:[{name:"color",type:"ordinal",domain:["Data"],range:["#0078d4"]}])),axes:[{scale:"x",grid:!0,domain:!1,orient:"bottom",tickCount:5,title:n[0],labelFontSize:11,titleFontSize:13,labelFont:"Segoe UI",titleFont:"Segoe UI",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},{scale:"y",grid:!0,domain:!1,orient:"left",titlePadding:5,title:n[1],labelFontSize:11,titleFontSize:13,labelFont:"Segoe UI",titleFont:"Segoe UI",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}],legends:g?[{stroke:"color",symbolType:"stroke",title:n[2],titleFont:"Segoe UI",titleFontSize:12,titleColor:"#323130",labelFont:"Segoe UI",labelFontSize:11,labelColor:"#605e5c"}]:[],marks:[{name:"points",type:"symbol",from:{data:"source"},encode:{update:{x:{scale:"x",field:n[0]},y:{scale:"y",field:n[1]},size:{value:16},fill:{value:"#cccccc"},fillOpacity:{value:.4},stroke:{value:"#999999"},strokeWidth:{value:.5}}}},{type:"image",from:{data:"density"},encode:{update:{x:{value:0},y:{value:0},width:{signal:"width"},height:{signal:"height"},aspect:{value:!1}}},transform:[{type:"heatmap",field:"datum.grid",resolve:{signal:"resolve"},color:g?{expr:"scale('color', datum.datum['".concat(n[2],"'])")}:{expr:"scale('color', 'Data')"}}]},{type:"path",clip:!0,from:{data:"contours"},encode:{enter:{strokeWidth:{value:1.5},strokeOpacity:{value:.8},stroke:g?{scale:"color",field:n[2]}:{value:"#0078d4"},fill:{value:null}}},transform:[{type:"geopath",field:"datum.contour"}]}],config:{font:"Segoe UI",view:{stroke:"transparent"}}},"contour","contour_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Contour")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function B(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<5)return void a("Error: Candlestick chart requires 5 columns (Date, Open, High, Low, Close)");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}).map(function(e,t){var a,r="number"==typeof(a=e[n[0]])?new Date(Math.round(86400*(a-25569)*1e3)):new Date(a),o=parseFloat(e[n[1]])||0,i=parseFloat(e[n[2]])||0,l=parseFloat(e[n[3]])||0,c=parseFloat(e[n[4]])||0;return isNaN(r.getTime())||isNaN(o)||isNaN(i)||isNaN(l)||isNaN(c)?null:{date:r.toISOString(),open:o,high:i,low:l,close:c}}).filter(Boolean);if(0===o.length)return void a("Error: No valid candlestick data found");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,description:"Candlestick chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:o},encoding:{x:{field:"date",type:"temporal",title:"Date",axis:{format:"%m/%d",labelAngle:-45,labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI"}},y:{type:"quantitative",scale:{zero:!1},axis:{title:"Price",labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",grid:!0,gridColor:"#f3f2f1"}},color:{condition:{test:"datum.open < datum.close",value:"#06982d"},value:"#ae1325"}},layer:[{mark:{type:"rule",tooltip:!0},encoding:{y:{field:"low"},y2:{field:"high"},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"open",type:"quantitative",title:"Open",format:".2f"},{field:"high",type:"quantitative",title:"High",format:".2f"},{field:"low",type:"quantitative",title:"Low",format:".2f"},{field:"close",type:"quantitative",title:"Close",format:".2f"}]}},{mark:{type:"bar",tooltip:!0},encoding:{y:{field:"open"},y2:{field:"close"},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"open",type:"quantitative",title:"Open",format:".2f"},{field:"high",type:"quantitative",title:"High",format:".2f"},{field:"low",type:"quantitative",title:"Low",format:".2f"},{field:"close",type:"quantitative",title:"Close",format:".2f"}]}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),"candlestick","candlestick_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Candlestick")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function W(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Arc chart requires at least 2 columns (Source, Target, Weight optional)");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}).map(function(e,t){return{source:e[n[0]],target:e[n[1]],value:n.length>=3&&e[n[2]]?e[n[2]]:1,group:n.length>=4&&e[n[3]]?e[n[3]]:"default"}}),i=new Map;o.forEach(function(e){i.has(e.source)||i.set(e.source,{name:e.source,group:e.group,index:i.size}),i.has(e.target)||i.set(e.target,{name:e.target,group:e.group,index:i.size})});var l=Array.from(i.values()),c=o.map(function(e){return{source:i.get(e.source).index,target:i.get(e.target).index,value:e.value}});ge(f({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Arc diagram from Excel selection",width:Math.max(600,30*l.length),height:100,padding:{top:20,bottom:20,left:20,right:20},background:"white",config:{view:{stroke:"transparent"}},data:[{name:"edges",values:c},{name:"sourceDegree",source:"edges",transform:[{type:"aggregate",groupby:["source"],as:["count"]}]},{name:"targetDegree",source:"edges",transform:[{type:"aggregate",groupby:["target"],as:["count"]}]},{name:"nodes",values:l,transform:[{type:"window",ops:["rank"],as:["order"]},{type:"lookup",from:"sourceDegree",key:"source",fields:["index"],as:["sourceDegree"],default:{count:0}},{type:"lookup",from:"targetDegree",key:"target",fields:["index"],as:["targetDegree"],default:{count:0}},{type:"formula",as:"degree",expr:"(datum.sourceDegree.count || 0) + (datum.targetDegree.count || 0)"}]}],scales:[{name:"position",type:"band",domain:{data:"nodes",field:"order",sort:!0},range:"width"},{name:"color",type:"ordinal",range:{scheme:"category20"},domain:{data:"nodes",field:"group"}}],marks:[{type:"symbol",name:"layout",interactive:!1,from:{data:"nodes"},encode:{enter:{opacity:{value:0}},update:{x:{scale:"position",field:"order"},y:{value:0},size:{field:"degree",mult:8,offset:50},fill:{scale:"color",field:"group"}}}},{type:"path",from:{data:"edges"},encode:{update:{stroke:{value:"#0078d4"},strokeOpacity:{value:.4},strokeWidth:{field:"value",mult:2,offset:1}}},transform:[{type:"lookup",from:"layout",key:"datum.index",fields:["datum.source","datum.target"],as:["sourceNode","targetNode"]},{type:"linkpath",sourceX:{expr:"min(datum.sourceNode.x, datum.targetNode.x)"},targetX:{expr:"max(datum.sourceNode.x, datum.targetNode.x)"},sourceY:{expr:"0"},targetY:{expr:"0"},shape:"arc"}]},{type:"symbol",from:{data:"layout"},encode:{update:{x:{field:"x"},y:{field:"y"},fill:{field:"fill"},size:{field:"size"},stroke:{value:"white"},strokeWidth:{value:1},tooltip:{signal:"{'Node': datum.datum.name, 'Group': datum.datum.group, 'Connections': datum.datum.degree}"}}}},{type:"text",from:{data:"nodes"},encode:{update:{x:{scale:"position",field:"order"},y:{value:25},fontSize:{value:10},align:{value:"center"},baseline:{value:"top"},angle:{value:-45},text:{field:"name"},fill:{value:"#323130"},font:{value:"Segoe UI"}}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:10,fill:"#605e5c"}}),"arc","arc_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Arc")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function j(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Tree chart requires at least 2 columns (Parent, Child, Value optional)");var o=new Map;r.forEach(function(e,t){var a=e[0]||"",r=e[1]||"node_".concat(t),i=n.length>=3&&parseFloat(e[2])||1;if(a&&!o.has(a)&&o.set(a,{id:a,parent:"",name:a,value:1}),o.has(r)){var l=o.get(r);l.parent=a,l.value=i}else o.set(r,{id:r,parent:a,name:r,value:i})});var i=Array.from(o.values()),l=new Set(i.map(function(e){return e.id}));i.forEach(function(e){e.parent&&!l.has(e.parent)&&(e.parent="")});var c=i.length;ge({$schema:"https://vega.github.io/schema/vega/v6.json",description:"Tree diagram from Excel selection",width:Math.max(600,Math.min(1200,40*c)),height:Math.max(400,Math.min(1600,30*c)),padding:20,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"layout",value:"tidy"},{name:"links",value:"diagonal"}],data:[{name:"tree",values:i,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"tree",method:{signal:"layout"},size:[{signal:"height - 40"},{signal:"width - 100"}],as:["y","x","depth","children"]}]},{name:"links",source:"tree",transform:[{type:"treelinks"},{type:"linkpath",orient:"horizontal",shape:{signal:"links"}}]}],scales:[{name:"color",type:"ordinal",range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"],domain:{data:"tree",field:"depth"}},{name:"size",type:"linear",range:[100,400],domain:{data:"tree",field:"value"}}],marks:[{type:"path",from:{data:"links"},encode:{update:{path:{field:"path"},stroke:{value:"#8a8886"},strokeWidth:{value:2},strokeOpacity:{value:.6}}}},{type:"symbol",from:{data:"tree"},encode:{enter:{stroke:{value:"#ffffff"},strokeWidth:{value:2}},update:{x:{field:"x"},y:{field:"y"},size:{scale:"size",field:"value"},fill:{scale:"color",field:"depth"},fillOpacity:{value:.8},tooltip:{signal:"{'Name': datum.name, 'ID': datum.id, 'Parent': datum.parent, 'Depth': datum.depth, 'Value': datum.value}"}},hover:{fillOpacity:{value:1},strokeWidth:{value:3}}}},{type:"text",from:{data:"tree"},encode:{enter:{fontSize:{value:11},baseline:{value:"middle"},font:{value:"Segoe UI"},fontWeight:{value:"bold"}},update:{x:{field:"x"},y:{field:"y"},text:{field:"name"},dx:{signal:"datum.children ? -12 : 12"},align:{signal:"datum.children ? 'right' : 'left'"},fill:{value:"#323130"}}}}]},"tree","tree_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Tree")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function G(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<1)return void a("Error: Wordcloud requires at least 1 column (Text data)");ge({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Word cloud from Excel selection",width:800,height:400,padding:0,background:"white",config:{view:{stroke:"transparent"}},data:[{name:"table",values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),transform:[{type:"countpattern",field:n[0],case:"upper",pattern:"[\\w']{3,}",stopwords:"(i|me|my|myself|we|us|our|ours|ourselves|you|your|yours|yourself|yourselves|he|him|his|himself|she|her|hers|herself|it|its|itself|they|them|their|theirs|themselves|what|which|who|whom|whose|this|that|these|those|am|is|are|was|were|be|been|being|have|has|had|having|do|does|did|doing|will|would|should|can|could|ought|i'm|you're|he's|she's|it's|we're|they're|i've|you've|we've|they've|i'd|you'd|he'd|she'd|we'd|they'd|i'll|you'll|he'll|she'll|we'll|they'll|isn't|aren't|wasn't|weren't|hasn't|haven't|hadn't|doesn't|don't|didn't|won't|wouldn't|shan't|shouldn't|can't|cannot|couldn't|mustn't|let's|that's|who's|what's|here's|there's|when's|where's|why's|how's|a|an|the|and|but|if|or|because|as|until|while|of|at|by|for|with|about|against|between|into|through|during|before|after|above|below|to|from|up|upon|down|in|out|on|off|over|under|again|further|then|once|here|there|when|where|why|how|all|any|both|each|few|more|most|other|some|such|no|nor|not|only|own|same|so|than|too|very|say|says|said|shall)"},{type:"formula",as:"angle",expr:"[-45, 0, 45][~~(random() * 3)]"},{type:"formula",as:"weight",expr:"if(datum.count > 10, 600, 300)"}]}],scales:[{name:"color",type:"ordinal",domain:{data:"table",field:"text"},range:["#d5a928","#652c90","#939597","#2563eb","#dc2626","#059669"]}],marks:[{type:"text",from:{data:"table"},encode:{enter:{text:{field:"text"},align:{value:"center"},baseline:{value:"alphabetic"},fill:{scale:"color",field:"text"}},update:{fillOpacity:{value:1}},hover:{fillOpacity:{value:.5}}},transform:[{type:"wordcloud",size:[800,400],text:{field:"text"},rotate:{field:"datum.angle"},font:"Helvetica Neue, Arial",fontSize:{field:"datum.count"},fontWeight:{field:"datum.weight"},fontSizeRange:[12,56],padding:2}]}]},"wordcloud","wordcloud_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Word Cloud")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function Z(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Strip plot requires at least 2 columns (Categories, Values)");ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Strip plot showing distribution using tick marks",background:"white",config:{view:{stroke:"transparent"},axis:{labelFontSize:11,titleFontSize:12,labelColor:"#605E5C",titleColor:"#323130"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"tick",thickness:2,size:15,color:"#0078d4",opacity:.8,tooltip:!0},encoding:l(l({y:{field:n[0],type:"ordinal",axis:{title:n[0],labelAngle:0}},x:{field:n[1],type:"quantitative",axis:{title:n[1],grid:!0,gridColor:"#f3f2f1",gridOpacity:.5}}},n.length>2&&{color:{field:n[2],type:"nominal",scale:{scheme:"category10"},legend:{title:n[2],orient:"right",titleFontSize:11,labelFontSize:10}}}),{},{tooltip:n.map(function(e){return{field:e,type:"nominal"}})})},"strip","strip_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Strip")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function $(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Heatmap requires 3 columns (Y-categories, X-categories, Values)");ge({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Heatmap from Excel selection",background:"white",data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"rect",stroke:"white",tooltip:!0},encoding:{y:{field:n[0],type:"ordinal",title:n[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:n[1],type:"ordinal",title:n[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},color:{aggregate:"mean",field:n[2],type:"quantitative",legend:{title:null,direction:"vertical",orient:"right",titleAlign:"center",labelAlign:"center"}}},config:{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C",titleAlign:"center",labelAlign:"center"}}},"heatmap","heatmap_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Heatmap")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function H(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Table bubble chart requires 3 columns (Y-categories, X-categories, Values)");ge({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Table Bubble Chart from Excel selection",background:"white",data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"circle",opacity:.9,stroke:"transparent",tooltip:!0},encoding:{y:{field:n[0],type:"ordinal",sort:"descending",title:n[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:n[1],type:"ordinal",title:n[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},size:{aggregate:"sum",field:n[2],type:"quantitative",legend:{title:n[2],direction:"vertical",orient:"right",titleAlign:"center",labelAlign:"center"}},color:{aggregate:"sum",field:n[2],type:"quantitative",scale:{range:["#2999AA","orange"]},legend:null}},config:{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C",titleAlign:"center",labelAlign:"center"}}},"tablebubble","tablebubble_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Table Bubble")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function Y(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<7)return void a("Error: Bullet chart requires 7 columns (Title, Poor max, Satisfactory max, Good max, Actual, Forecast, Target)");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){return{title:e[0],ranges:[+e[1],+e[2],+e[3]],measures:[+e[4],+e[5]],markers:[+e[6]]}})},facet:{row:{field:"title",type:"ordinal",header:{labelAngle:0,title:"",labelAlign:"left"}}},spacing:10,spec:{encoding:{x:{type:"quantitative",scale:{nice:!1},title:null}},layer:[{mark:{type:"bar",color:"#eee"},encoding:{x:{field:"ranges[2]"}}},{mark:{type:"bar",color:"#ddd"},encoding:{x:{field:"ranges[1]"}}},{mark:{type:"bar",color:"#ccc"},encoding:{x:{field:"ranges[0]"}}},{mark:{type:"bar",color:"lightsteelblue",size:10},encoding:{x:{field:"measures[1]"}}},{mark:{type:"bar",color:"steelblue",size:10},encoding:{x:{field:"measures[0]"}}},{mark:{type:"tick",color:"black"},encoding:{x:{field:"markers[0]"}}}]},resolve:{scale:{x:"independent"}}},"config",{tick:{thickness:2},scale:{barBandPaddingInner:0}}),"bullet","bullet_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Bullet")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function K(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Horizon chart requires 2 columns (X values, Y values)");var o=r.map(function(e,t){return{x:e[0]||t+1,y:parseFloat(e[1])||0}}),i=o.map(function(e){return e.y}),l=Math.max.apply(Math,c(i)),s=Math.min.apply(Math,c(i)),u=l-s,d=u/6,f=s+u/2,m=o.length;ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Horizon Graph from Excel selection (IDL methodology)",width:Math.max(300,Math.min(800,15*m)),height:60,background:"white",config:{view:{stroke:"transparent"},area:{interpolate:"monotone"}},data:{values:o},encoding:{x:{field:"x",type:n[0].toLowerCase().includes("date")?"temporal":"quantitative",scale:{zero:!1,nice:!1},axis:{title:n[0],labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI"}},y:{type:"quantitative",scale:{domain:[0,d]},axis:{title:n[1],orient:"left",labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",tickCount:3}}},layer:[{transform:[{calculate:"max(0, min(datum.y - ".concat(f,", ").concat(d,"))"),as:"band1"}],mark:{type:"area",clip:!0,opacity:.3,color:"#4a90e2",interpolate:"monotone"},encoding:{y:{field:"band1"}}},{transform:[{calculate:"max(0, min(datum.y - ".concat(f," - ").concat(d,", ").concat(d,"))"),as:"band2"}],mark:{type:"area",clip:!0,opacity:.6,color:"#2e7bd6",interpolate:"monotone"},encoding:{y:{field:"band2"}}},{transform:[{calculate:"max(0, datum.y - ".concat(f," - ").concat(2*d,")"),as:"band3"}],mark:{type:"area",clip:!0,opacity:.9,color:"#1a5bb8",interpolate:"monotone"},encoding:{y:{field:"band3"}}},{transform:[{calculate:"max(0, min(".concat(f," - datum.y, ").concat(d,"))"),as:"nband1"}],mark:{type:"area",clip:!0,opacity:.3,color:"#e74c3c",interpolate:"monotone"},encoding:{y:{field:"nband1"}}},{transform:[{calculate:"max(0, min(".concat(f," - datum.y - ").concat(d,", ").concat(d,"))"),as:"nband2"}],mark:{type:"area",clip:!0,opacity:.6,color:"#c0392b",interpolate:"monotone"},encoding:{y:{field:"nband2"}}},{transform:[{calculate:"max(0, ".concat(f," - datum.y - ").concat(2*d,")"),as:"nband3"}],mark:{type:"area",clip:!0,opacity:.9,color:"#a93226",interpolate:"monotone"},encoding:{y:{field:"nband3"}}}]},"horizon","horizon_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Horizon")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function X(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Dumbbell chart requires 3 columns: Category, Value 1, Value 2");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),i=[];o.forEach(function(e){var t=e[n[0]],a=parseFloat(e[n[1]])||0,r=parseFloat(e[n[2]])||0;i.push({category:t,period:n[1],value:a}),i.push({category:t,period:n[2],value:r})});var l,s,u,d=c(new Set(o.map(function(e){return e[n[0]]}))).length;d<=3?(l=Math.max(200,80*d),s=.3,u=.2):d<=6?(l=Math.max(300,60*d),s=.2,u=.1):(l=Math.max(400,Math.min(600,50*d)),s=.1,u=.05),ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Dumbbell chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},width:500,height:l,data:{values:i},encoding:{x:{field:"value",type:"quantitative",title:null,scale:{zero:!1},axis:{labelFontSize:12,labelColor:"#605e5c",grid:!0,gridColor:"#f3f2f1",labelAlign:"center"}},y:{field:"category",type:"nominal",title:null,scale:{paddingInner:s,paddingOuter:u},axis:{offset:5,ticks:!1,minExtent:70,domain:!1,labelFontSize:12,labelColor:"#605e5c"}}},layer:[{mark:"line",encoding:{detail:{field:"category",type:"nominal"},color:{value:"#d1d5db"}}},{mark:{type:"point",filled:!0,tooltip:!0},encoding:{color:{field:"period",type:"ordinal",scale:{domain:[n[1],n[2]],range:["#87ceeb","#1e3a8a"]},title:"Measure",legend:{titleFontSize:12,labelFontSize:11,titleColor:"#323130",labelColor:"#605e5c"}},size:{value:100},opacity:{value:1},tooltip:[{field:"category",type:"nominal",title:"Category"},{field:"period",type:"nominal",title:"Measure"},{field:"value",type:"quantitative",title:"Value",format:",.1f"}]}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),"dumbbell","dumbbell_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Dumbbell")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function J(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Slope chart requires 3 columns (Time Period, Category, Value)");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),i=c(new Set(o.map(function(e){return e[n[0]]}))),l=c(new Set(o.map(function(e){return e[n[1]]}))),s=i[0],u=i[i.length-1],d=o.filter(function(e){return e[n[0]]===s||e[n[0]]===u}),m=d.map(function(e){return e[n[2]]}).every(function(e){return e>=-1&&e<=1})?".1%":",.0f";ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Slope chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},autosize:{type:"fit",contains:"padding"}},width:500,height:Math.max(300,Math.min(600,40*l.length)),data:{values:d},encoding:{x:{field:n[0],type:"ordinal",axis:{title:null,labelFontSize:14,labelFontWeight:"bold",labelPadding:10,domain:!1,ticks:!1,labelColor:"#323130"},scale:{padding:.1}},y:{field:n[2],type:"quantitative",axis:null,scale:{zero:!1}},color:{field:n[1],type:"nominal",legend:null,scale:{scheme:"category10"}}},layer:[{mark:{type:"rule",strokeDash:[2,2],opacity:.3},data:{values:[{}]},encoding:{x:{datum:s},x2:{datum:u},y:{value:0},color:{value:"#e0e0e0"}}},{mark:{type:"line",strokeWidth:2,opacity:.7,tooltip:!0},encoding:{detail:{field:n[1],type:"nominal"},tooltip:[{field:n[1],type:"nominal",title:"Category"},{field:n[0],type:"nominal",title:"Period"},{field:n[2],type:"quantitative",title:"Value",format:m}]}},{mark:{type:"circle",size:100,opacity:1,tooltip:!0}},{transform:[{filter:"datum['".concat(n[0],"'] == '").concat(s,"'")}],mark:{type:"text",align:"right",baseline:"middle",dx:-8,fontSize:11,fontWeight:"normal"},encoding:{text:{field:n[2],type:"quantitative",format:m}}},{transform:[{filter:"datum['".concat(n[0],"'] == '").concat(s,"'")},{window:[{op:"rank",as:"rank"}],sort:[{field:n[2],order:"descending"}]},{filter:"datum.rank <= 3"}],mark:{type:"text",align:"right",baseline:"bottom",dx:-8,dy:-12,fontSize:10,fontWeight:"bold",fontStyle:"italic"},encoding:{text:{field:n[1],type:"nominal"}}},{transform:[{filter:"datum['".concat(n[0],"'] == '").concat(u,"'")}],mark:{type:"text",align:"left",baseline:"middle",dx:8,fontSize:11,fontWeight:"normal"},encoding:{text:{field:n[2],type:"quantitative",format:m}}},{transform:[{filter:"datum['".concat(n[0],"'] == '").concat(u,"'")}],mark:{type:"text",align:"left",baseline:"middle",dx:35,fontSize:10,fontWeight:"bold"},encoding:{text:{field:n[1],type:"nominal"}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:11,fill:"#605E5C"},axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),"slope","slope_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Slope")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function Q(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Mekko chart requires 3 columns (Category, Subcategory, Value)");ge({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Mekko chart from Excel selection",width:800,height:500,background:"white",config:{view:{stroke:"transparent"}},view:{stroke:null},padding:{top:60,bottom:80,left:60,right:60},data:[{name:"table",values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},{name:"categories",source:"table",transform:[{type:"aggregate",fields:[n[2]],ops:["sum"],as:["categoryTotal"],groupby:[n[0]]},{type:"stack",offset:"normalize",sort:{field:"categoryTotal",order:"descending"},field:"categoryTotal",as:["x0","x1"]},{type:"formula",as:"Percent",expr:"datum.x1-datum.x0"},{type:"formula",as:"Label",expr:"datum.".concat(n[0]," + ' (' + format(datum.Percent,'.1%') + ')'")}]},{name:"finalTable",source:"table",transform:[{type:"stack",offset:"normalize",groupby:[n[0]],sort:{field:n[2],order:"descending"},field:n[2],as:["y0","y1"]},{type:"stack",groupby:[n[0]],sort:{field:n[2],order:"descending"},field:n[2],as:["z0","z1"]},{type:"lookup",from:"categories",key:n[0],values:["x0","x1"],fields:[n[0]]},{type:"formula",as:"Percent",expr:"datum.y1-datum.y0"},{type:"formula",as:"Label",expr:"[datum.".concat(n[1],", format(datum.").concat(n[2],", '.0f') + ' (' + format(datum.Percent, '.1%') + ')']")},{type:"window",sort:{field:"y0",order:"ascending"},ops:["row_number"],fields:[null],as:["rank"],groupby:[n[0]]}]}],scales:[{name:"x",type:"linear",range:"width",domain:{data:"finalTable",field:"x1"}},{name:"y",type:"linear",range:"height",nice:!1,zero:!0,domain:{data:"finalTable",field:"z1"}},{name:"opacity",type:"linear",range:[1,.6],domain:{data:"finalTable",field:"rank"}},{name:"color",type:"ordinal",range:{scheme:"category20"},domain:{data:"categories",field:n[0],sort:{field:"x0",order:"ascending",op:"sum"}}}],axes:[{orient:"left",scale:"y",zindex:1,format:"",tickCount:5,tickSize:15,labelColor:{value:"#333740"},labelFontWeight:{value:"normal"},labelFontSize:{value:12},labelFont:{value:"Segoe UI"},offset:5,domain:!1,encode:{labels:{update:{text:{signal:"format(datum.value, '.0f')"}}}}}],marks:[{type:"rect",name:"bars",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"x0"},x2:{scale:"x",field:"x1"},y:{scale:"y",field:"z0"},y2:{scale:"y",field:"z1"},fill:{scale:"color",field:n[0]},stroke:{value:"white"},strokeWidth:{value:1},fillOpacity:{scale:"opacity",field:"rank"},tooltip:{signal:"datum"}}}},{type:"text",name:"labels",interactive:!1,from:{data:"bars"},encode:{update:{x:{signal:"(datum.x2 - datum.x)*0.5 + datum.x"},align:{value:"center"},text:{field:"datum.Label"},y:{signal:"(datum.y2 - datum.y)*0.5 + datum.y"},fill:{value:"white"},font:{value:"Segoe UI"},lineHeight:{value:12},fontSize:{value:10},opacity:{signal:"(datum.x2 - datum.x) > 0.05 && (datum.y2 - datum.y) > 20 ? 1 : 0"}}}},{type:"text",name:"categoryLabels",from:{data:"categories"},encode:{update:{x:{scale:"x",signal:"(datum.x1-datum.x0)/2 + datum.x0"},y:{signal:"-15"},text:{field:n[0]},align:{value:"center"},baseline:{value:"bottom"},fill:{value:"#333740"},fontWeight:{value:"bold"},fontSize:{value:12},font:{value:"Segoe UI"}}}},{type:"text",name:"categoryPercentages",from:{data:"categories"},encode:{update:{x:{scale:"x",signal:"(datum.x1-datum.x0)/2 + datum.x0"},y:{signal:"height + 30"},text:{field:"Label"},align:{value:"center"},baseline:{value:"top"},fill:{value:"#666666"},fontWeight:{value:"normal"},fontSize:{value:10},font:{value:"Segoe UI"}}}}]},"mekko","mekko_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Mekko")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function ee(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Marimekko chart requires at least 3 columns: Category, Subcategory, Value");ge({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Marimekko Chart from Excel selection",width:600,height:400,background:"white",config:{view:{stroke:"transparent"}},padding:{top:30,bottom:60,left:60,right:60},data:[{name:"table",values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),transform:[{type:"formula",as:"Category",expr:"datum['".concat(n[0],"']")},{type:"formula",as:"Subcategory",expr:"datum['".concat(n[1],"']")},{type:"formula",as:"Value",expr:"datum['".concat(n[2],"']")}]},{name:"categories",source:"table",transform:[{type:"aggregate",fields:["Value"],ops:["sum"],as:["categoryTotal"],groupby:["Category"]},{type:"stack",offset:"normalize",sort:{field:"categoryTotal",order:"descending"},field:"categoryTotal",as:["x0","x1"]},{type:"formula",as:"Percent",expr:"datum.x1 - datum.x0"}]},{name:"finalTable",source:"table",transform:[{type:"stack",offset:"normalize",groupby:["Category"],sort:{field:"Value",order:"descending"},field:"Value",as:["y0","y1"]},{type:"lookup",from:"categories",key:"Category",values:["x0","x1"],fields:["Category"]},{type:"formula",as:"Percent",expr:"datum.y1 - datum.y0"}]}],scales:[{name:"x",type:"linear",range:"width",domain:{data:"finalTable",field:"x1"}},{name:"y",type:"linear",range:"height",nice:!1,zero:!0,domain:{data:"finalTable",field:"y1"}},{name:"color",type:"ordinal",range:{scheme:"category10"},domain:{data:"categories",field:"Category",sort:{field:"x0",order:"ascending",op:"sum"}}}],axes:[{orient:"left",scale:"y",format:"%",tickCount:5,labelColor:"#333333",labelFontSize:11,domain:!1},{orient:"bottom",scale:"x",format:"%",tickCount:5,labelColor:"#333333",labelFontSize:11,domain:!1}],marks:[{type:"rect",name:"bars",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"x0"},x2:{scale:"x",field:"x1"},y:{scale:"y",field:"y0"},y2:{scale:"y",field:"y1"},fill:{scale:"color",field:"Category"},stroke:{value:"white"},strokeWidth:{value:1},opacity:{value:.8},tooltip:{signal:"{'Category': datum.Category, 'Subcategory': datum.Subcategory, 'Value': datum.Value, 'Percentage': format(datum.Percent, '.1%')}"}},hover:{opacity:{value:1}}}},{type:"text",name:"valueLabels",from:{data:"finalTable"},encode:{update:{x:{scale:"x",signal:"(datum.x1 - datum.x0)/2 + datum.x0"},y:{scale:"y",signal:"(datum.y1 - datum.y0)/2 + datum.y0"},text:{signal:"datum.Percent > 0.027 ? [datum.Subcategory, format(datum.Value, ',.0f') + ' (' + format(datum.Percent, '.0%') + ')'] : []"},align:{value:"center"},baseline:{value:"middle"},fill:{value:"white"},fontSize:{value:10},fontWeight:{value:"normal"},font:{value:"Segoe UI"},lineHeight:{value:12},opacity:{signal:"datum.Percent > 0.027 ? 1 : 0"}}}}]},"marimekko","marimekko_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Marimekko")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function te(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Bump chart requires 3 columns: Time periods, Categories, Rank values");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),i=c(new Set(o.map(function(e){return e[n[0]]})));ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bump chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:o},width:Math.max(400,80*i.length),height:200,autosize:{type:"fit",contains:"padding"},padding:{left:10,right:10,top:5,bottom:5},encoding:{x:{field:n[0],type:"nominal",axis:{title:""},scale:{type:"point",padding:.2}},y:{field:n[2],type:"ordinal",axis:!1}},layer:[{mark:{type:"line",interpolate:"monotone"},encoding:{color:{field:n[1],type:"nominal",legend:!1}}},{mark:{type:"circle",size:400,tooltip:!0},encoding:{color:{field:n[1],type:"nominal",legend:!1}}},{mark:{type:"text",color:"white"},encoding:{text:{field:n[2]}}},{transform:[{window:[{op:"rank",as:"rank"}],sort:[{field:n[0],order:"descending"}]},{filter:"datum.rank === 1"}],mark:{type:"text",align:"left",baseline:"middle",dx:15,fontWeight:"bold",fontSize:12},encoding:{text:{field:n[1],type:"nominal"},color:{field:n[1],type:"nominal",legend:!1}}},{transform:[{window:[{op:"rank",as:"rank"}],sort:[{field:n[0],order:"ascending"}]},{filter:"datum.rank === 1"}],mark:{type:"text",align:"right",baseline:"middle",dx:-15,fontWeight:"bold",fontSize:12},encoding:{text:{field:n[1],type:"nominal"},color:{field:n[1],type:"nominal",legend:!1}}}]},"config",{view:{stroke:"transparent"},line:{strokeWidth:3,strokeCap:"round",strokeJoin:"round"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#666666",labelFontSize:12}}),"bump","bump_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Bump")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function ae(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Waffle chart requires 2 columns: Category names, Values");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Waffle chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},transform:[{joinaggregate:[{op:"sum",field:n[1],as:"TotalValue"}]},{calculate:"round(datum.".concat(n[1],"/datum.TotalValue * 100)"),as:"PercentOfTotal"},{aggregate:[{op:"min",field:"PercentOfTotal",as:"Percent"}],groupby:[n[0]]},{calculate:"sequence(1,101)",as:"Sequence"},{flatten:["Sequence"]},{calculate:"if(datum.Sequence <= datum.Percent, datum.".concat(n[0],",'_blank')"),as:"Plot"},{calculate:"ceil (datum.Sequence / 10)",as:"row"},{calculate:"datum.Sequence - datum.row * 10",as:"col"}],facet:{column:{field:n[0],header:{labelOrient:"bottom"}}},spec:{layer:[{mark:{type:"circle",filled:!0,tooltip:!0,stroke:"#9e9b9b",strokeWidth:.7},encoding:{x:{field:"col",type:"ordinal",axis:null},y:{field:"row",type:"ordinal",axis:null,sort:"-y"},color:{condition:{test:"datum.Plot == '_blank'",value:"#e6e3e3"},scale:{scheme:"set1"},field:"Plot",type:"nominal",legend:null},size:{value:241},tooltip:[{field:n[0],type:"nominal"}]}},{mark:{type:"text",fontSize:30,fontWeight:"bold"},encoding:{y:{value:30},text:{condition:{test:"datum.Sequence == 1",value:{expr:"datum.Percent + '%'"}}},color:{scale:{scheme:"set1"},field:"Plot"}}}]}},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12},header:{titleFont:"Segoe UI",titleFontSize:16,titleColor:"#757575",labelFont:"Segoe UI",labelFontSize:13,labelColor:"#605E5C"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:13,labelColor:"#605E5C",symbolType:"circle",symbolSize:75}}),"waffle","waffle_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Waffle")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function ne(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Lollipop chart requires 2 columns: Category names, Values");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Lollipop chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},encoding:{y:{field:n[0],type:"nominal",sort:"-x",axis:{domain:!1,title:null,ticks:!1,labelFont:"Segoe UI",labelFontSize:14,labelPadding:10,labelColor:"#605e5c"}},x:{field:n[1],type:"quantitative",axis:{domain:!1,ticks:!1,grid:!0,gridColor:"#e0e0e0",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605e5c",title:n[1],titleFont:"Segoe UI",titleFontSize:14,titleColor:"#323130"}},color:{value:"#0078d4"}},layer:[{mark:{type:"rule",tooltip:!0,strokeWidth:3,opacity:.7}},{mark:{type:"circle",tooltip:!0,size:300,opacity:.9},encoding:{size:{field:n[1],type:"quantitative",scale:{range:[200,800]},legend:null}}}]},"config",{autosize:{type:"fit",contains:"padding"},view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"}}),"lollipop","lollipop_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Lollipop")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function re(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Violin chart requires 2 columns: Categories/Groups, Continuous values");ge({$schema:"https://vega.github.io/schema/vega-lite/v5.20.1.json",description:"Violin chart from Excel selection",background:"white",config:{view:{continuousWidth:300,continuousHeight:300,stroke:null},facet:{spacing:0}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"area",orient:"horizontal"},encoding:{color:{field:n[0],type:"nominal"},column:{field:n[0],header:{labelOrient:"bottom",labelPadding:0,titleOrient:"bottom"},type:"nominal"},x:{axis:{grid:!1,labels:!1,ticks:!0,values:[0]},field:"density",impute:null,stack:"center",title:null,type:"quantitative"},y:{field:n[1],type:"quantitative"}},transform:[{density:n[1],groupby:[n[0]],as:[n[1],"density"]}],width:100},"violin","violin_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Violin")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function oe(e,t){return new Promise(function(a){try{var n=function(e){return new Date(Math.round(86400*(e-25569)*1e3))},r=function(){var e,t=arguments.length>0&&void 0!==arguments[0]?arguments[0]:null,a=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,n=[],o=s(d.get(t)||[]);try{for(o.s();!(e=o.n()).done;){var i=e.value;i.level=a,n.push(i),n.push.apply(n,c(r(i.id,a+1)))}}catch(e){o.e(e)}finally{o.f()}return n};if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var i=e[0],l=e.slice(1);if(i.length<6)return void a("Error: Gantt chart requires 6 columns (Parent ID, Task ID, Task Name, Start Date, End Date, Progress)");var u=l.map(function(e){var t=e[0]||null,a=e[1],r=e[2]||"Task ".concat(a);if(!a)return null;var o="number"==typeof e[3]?n(e[3]):new Date(e[3]),i="number"==typeof e[4]?n(e[4]):new Date(e[4]);if(!(o instanceof Date)||isNaN(o)||!(i instanceof Date)||isNaN(i))return null;var l=0;return e[5]&&(l="string"==typeof e[5]&&e[5].includes("%")?parseFloat(e[5])/100:e[5]>1?e[5]/100:e[5]),{id:a,parentId:t,name:r,startDate:o,endDate:i,progress:l,dependencies:e[6]?String(e[6]).split(",").map(function(e){return e.trim()}):[]}}).filter(Boolean);u.forEach(function(e){var t=e.endDate-e.startDate;e.progressEnd=new Date(e.startDate.getTime()+t*e.progress)});var d=new Map;u.forEach(function(e){d.has(e.parentId)||d.set(e.parentId,[]),d.get(e.parentId).push(e)});var f,m=s(d.entries());try{for(m.s();!(f=m.n()).done;){var g=o(f.value,2);g[0],g[1].sort(function(e,t){return e.startDate-t.startDate})}}catch(e){m.e(e)}finally{m.f()}var p=r(null);ge({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Gantt Chart from Excel Data",width:800,height:Math.max(300,30*p.length),data:{values:p},layer:[{mark:{type:"bar",opacity:.3,height:20},encoding:{y:{field:"name",type:"nominal",axis:{title:null,labelFontSize:11},sort:null},x:{field:"startDate",type:"temporal",axis:{title:"Timeline",format:"%b %d",labelAngle:-45}},x2:{field:"endDate",type:"temporal"},color:{field:"level",type:"ordinal",scale:{scheme:"category10"},legend:{title:"Level"}},tooltip:[{field:"name",type:"nominal",title:"Task"},{field:"startDate",type:"temporal",title:"Start",format:"%Y-%m-%d"},{field:"endDate",type:"temporal",title:"End",format:"%Y-%m-%d"},{field:"progress",type:"quantitative",title:"Progress",format:".0%"}]}},{mark:{type:"bar",opacity:.8,height:20},encoding:{y:{field:"name",type:"nominal",sort:null},x:{field:"startDate",type:"temporal"},x2:{field:"progressEnd",type:"temporal"},color:{field:"level",type:"ordinal",scale:{scheme:"category10"}}}},{mark:{type:"text",align:"left",baseline:"middle",dx:5,fontSize:10},encoding:{y:{field:"name",type:"nominal",sort:null},x:{field:"endDate",type:"temporal"},text:{field:"progress",type:"quantitative",format:".0%"},color:{value:"#666"}}},{mark:{type:"rule",strokeDash:[4,4],opacity:.5},data:{values:[{date:(new Date).toISOString()}]},encoding:{x:{field:"date",type:"temporal"},color:{value:"red"},size:{value:1}}}],config:{view:{stroke:null},axis:{grid:!0,gridColor:"#f0f0f0"}}},"gantt","gantt_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Gantt")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function ie(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Sankey chart requires 3 columns (Source, Target, Value)");var o=r.filter(function(e){return e[0]&&e[1]&&!isNaN(+e[2])}).map(function(e){return{source:String(e[0]).trim(),destination:String(e[1]).trim(),value:+e[2]}});if(0===o.length)return void a("Error: No valid data found for Sankey chart");var i=function(e){var t=new Map,a=new Map,n=new Map,r=new Set;e.forEach(function(e){r.add(e.source),r.add(e.destination),n.has(e.source)||n.set(e.source,[]),n.get(e.source).push(e.destination),a.set(e.destination,(a.get(e.destination)||0)+1)});var o=[];if(r.forEach(function(e){a.has(e)&&0!==a.get(e)||(o.push(e),t.set(e,0))}),0===o.length&&r.size>0){var i=Array.from(r)[0];o.push(i),t.set(i,0)}for(var l=new Set,c=function(){var e=o.shift();if(l.has(e))return 1;l.add(e);var a=t.get(e)||0;(n.get(e)||[]).forEach(function(e){var n=a+1,r=t.get(e);(void 0===r||n>r)&&t.set(e,n),l.has(e)||o.push(e)})};o.length>0;)c();return r.forEach(function(e){t.has(e)||t.set(e,0)}),t}(o),l=new Set;o.forEach(function(e){l.add(e.source),l.add(e.destination)});var s=[],u=new Map,d=new Map;l.forEach(function(e){var t=i.get(e);d.has(t)||d.set(t,[]),d.get(t).push(e)}),Array.from(d.keys()).sort(function(e,t){return e-t}).forEach(function(e,t){var a=d.get(e);a.sort(),a.forEach(function(e,a){var n=t+1;u.set(e,n),s.push({category:e,stack:n,sort:a+1,labels:0===t?"left":null})})}),ge({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Sankey diagram",width:800,height:600,padding:{bottom:20,left:80,right:80,top:40},background:"white",signals:[{name:"standardGap",value:14,description:"Gap as a percentage of full domain"},{name:"base",value:"center",description:"How to stack (center or zero)"}],data:[{name:"input",values:[].concat(s,c(o))},{name:"stacks",source:"input",transform:[{type:"filter",expr:"datum.source != null"},{type:"formula",as:"end",expr:"['source','destination']"},{type:"formula",as:"name",expr:"[datum.source, datum.destination]"},{type:"project",fields:["end","name","value"]},{type:"flatten",fields:["end","name"]},{type:"lookup",from:"input",key:"category",values:["stack","sort","gap","labels"],fields:["name"],as:["stack","sort","gap","labels"]},{type:"aggregate",fields:["value","stack","sort","gap","labels"],groupby:["end","name"],ops:["sum","max","max","max","max"],as:["value","stack","sort","gap","labels"]},{type:"aggregate",fields:["value","stack","sort","gap","labels"],groupby:["name"],ops:["max","max","max","max","max"],as:["value","stack","sort","gap","labels"]},{type:"formula",as:"gap",expr:"datum.gap ? datum.gap : 0"}]},{name:"maxValue",source:["stacks"],transform:[{type:"aggregate",fields:["value"],groupby:["stack"],ops:["sum"],as:["value"]},{type:"aggregate",fields:["value"],ops:["max"],as:["value"]}]},{name:"plottedStacks",source:["stacks"],transform:[{type:"formula",as:"spacer",expr:"(data('maxValue')[0].value/100)*(standardGap+datum.gap)"},{type:"formula",as:"type",expr:"['data','spacer']"},{type:"formula",as:"spacedValue",expr:"[datum.value, datum.spacer]"},{type:"flatten",fields:["type","spacedValue"]},{type:"stack",groupby:["stack"],sort:{field:"sort",order:"descending"},field:"spacedValue",offset:{signal:"base"}},{type:"formula",expr:"((datum.value)/2)+datum.y0",as:"yc"}]},{name:"finalTable",source:["plottedStacks"],transform:[{type:"filter",expr:"datum.type == 'data'"}]},{name:"linkTable",source:["input"],transform:[{type:"filter",expr:"datum.source != null"},{type:"lookup",from:"finalTable",key:"name",values:["y0","y1","stack","sort"],fields:["source"],as:["sourceStacky0","sourceStacky1","sourceStack","sourceSort"]},{type:"lookup",from:"finalTable",key:"name",values:["y0","y1","stack","sort"],fields:["destination"],as:["destinationStacky0","destinationStacky1","destinationStack","destinationSort"]},{type:"stack",groupby:["source"],sort:{field:"destinationSort",order:"descending"},field:"value",offset:"zero",as:["syi0","syi1"]},{type:"formula",expr:"datum.syi0+datum.sourceStacky0",as:"sy0"},{type:"formula",expr:"datum.sy0+datum.value",as:"sy1"},{type:"stack",groupby:["destination"],sort:{field:"sourceSort",order:"descending"},field:"value",offset:"zero",as:["dyi0","dyi1"]},{type:"formula",expr:"datum.dyi0+datum.destinationStacky0",as:"dy0"},{type:"formula",expr:"datum.dy0+datum.value",as:"dy1"},{type:"formula",expr:"((datum.value)/2)+datum.sy0",as:"syc"},{type:"formula",expr:"((datum.value)/2)+datum.dy0",as:"dyc"},{type:"linkpath",orient:"horizontal",shape:"diagonal",sourceY:{expr:"scale('y', datum.syc)"},sourceX:{expr:"scale('x', toNumber(datum.sourceStack)) + bandwidth('x')"},targetY:{expr:"scale('y', datum.dyc)"},targetX:{expr:"scale('x', datum.destinationStack)"}},{type:"formula",expr:"range('y')[0]-scale('y', datum.value)",as:"strokeWidth"}]}],scales:[{name:"x",type:"band",range:"width",domain:{data:"finalTable",field:"stack"},paddingInner:.88},{name:"y",type:"linear",range:"height",domain:{data:"finalTable",field:"y1"},reverse:!1},{name:"color",type:"ordinal",range:["#1f77b4","#ff7f0e","#2ca02c","#d62728","#9467bd","#8c564b","#e377c2","#7f7f7f","#bcbd22","#17becf","#aec7e8","#ffbb78","#98df8a","#ff9896","#c5b0d5","#c49c94","#f7b6d2","#c7c7c7","#dbdb8d","#9edae5"],domain:{data:"stacks",field:"name"}}],marks:[{type:"rect",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"stack"},width:{scale:"x",band:1},y:{scale:"y",field:"y0"},y2:{scale:"y",field:"y1"},fill:{scale:"color",field:"name"},fillOpacity:{value:.75},strokeWidth:{value:0},stroke:{scale:"color",field:"name"}},hover:{tooltip:{signal:"{'Name': datum.name, 'Value': format(datum.value, ',.2f')}"},fillOpacity:{value:1}}}},{type:"path",name:"links",from:{data:"linkTable"},clip:!0,encode:{update:{strokeWidth:{field:"strokeWidth"},path:{field:"path"},strokeOpacity:{signal:"0.3"},stroke:{field:"destination",scale:"color"}},hover:{strokeOpacity:{value:.8},tooltip:{signal:"{'Source': datum.source, 'Destination': datum.destination, 'Value': format(datum.value, ',.2f')}"}}}},{type:"group",name:"labelText",zindex:1,from:{facet:{data:"finalTable",name:"labelFacet",groupby:["name","stack","yc","value","labels"]}},clip:!1,encode:{update:{x:{signal:"datum.labels=='left' ? scale('x', datum.stack)-8 : scale('x', datum.stack) + bandwidth('x') + 8"},yc:{scale:"y",signal:"datum.yc"},width:{signal:"0"},height:{signal:"0"}}},marks:[{type:"text",name:"heading",from:{data:"labelFacet"},encode:{update:{x:{value:0},y:{value:-2},text:{field:"name"},align:{signal:"datum.labels=='left' ? 'right' : 'left'"},fontWeight:{value:"bold"},fontSize:{value:11}}}},{type:"text",name:"amount",from:{data:"labelFacet"},encode:{update:{x:{value:0},y:{value:12},text:{signal:"format(datum.value, ',.0f')"},align:{signal:"datum.labels=='left' ? 'right' : 'left'"},fontSize:{value:10}}}}]},{type:"rect",from:{data:"labelText"},encode:{update:{x:{field:"bounds.x1",offset:-2},x2:{field:"bounds.x2",offset:2},y:{field:"bounds.y1",offset:-2},y2:{field:"bounds.y2",offset:2},fill:{value:"white"},opacity:{value:.8},cornerRadius:{value:4}}}}],config:{view:{stroke:"transparent"},text:{fontSize:11,fill:"#333333"}}},"sankey","sankey_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Sankey")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function le(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Ridgeline chart requires 3 columns (Time/X-axis, Categories, Values)");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Ridgeline (Joyplot) chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},mark:{type:"area",fillOpacity:.7,strokeOpacity:1,strokeWidth:1,interpolate:"monotone"},width:400,height:20,encoding:{x:{field:n[0],type:"ordinal",title:n[0]},y:{aggregate:"sum",field:n[2],type:"quantitative",scale:{range:[20,-40]},axis:{title:null,values:[0],domain:!1,labels:!1,ticks:!1}},row:{field:n[1],type:"nominal",title:n[1],header:{title:null,labelAngle:0,labelOrient:"left",labelAlign:"left",labelPadding:0},sort:{field:n[0],op:"max",order:"ascending"}},fill:{field:n[1],type:"nominal",legend:null,scale:{scheme:"plasma"}}},resolve:{scale:{y:"independent"}}},"config",{view:{stroke:"transparent"},facet:{spacing:20},header:{labelFontSize:12,labelFontWeight:500,labelAngle:0,labelAnchor:"end",labelOrient:"top",labelPadding:-19},axis:{domain:!1,grid:!1,ticks:!1,tickCount:5,labelFontSize:12,titleFontSize:12,titleFontWeight:400,titleColor:"#605E5C"}}),"ridgeline","ridgeline_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Ridgeline")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function ce(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Variance chart requires 3 columns (Business Unit, First Metric, Second Metric)");ge({$schema:"https://vega.github.io/schema/vega-lite/v5.json",data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},transform:[{aggregate:[{op:"sum",field:n[1],as:n[1]},{op:"sum",field:n[2],as:n[2]}],groupby:[n[0]]},{calculate:"datum['".concat(n[1],"'] - datum['").concat(n[2],"']"),as:"Variance Absolute"},{calculate:"datum['".concat(n[2],"'] === 0 ? 0 : datum['").concat(n[1],"']/datum['").concat(n[2],"']-1"),as:"Variance Percent"}],hconcat:[{width:350,height:{step:50},view:{stroke:"transparent"},encoding:{color:{type:"nominal",scale:{domain:[n[1],n[2]],range:["#404040","silver"]},legend:{title:null,orient:"top"}},y:{field:n[0],type:"nominal",sort:null,axis:{domain:!1,offset:0,ticks:!1,title:"",labelPadding:35}},x:{type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:12,height:{band:.5}},encoding:{x:{field:n[2]},color:{datum:n[2]}}},{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:0,height:{band:.5}},encoding:{x:{field:n[1]},color:{datum:n[1]}}},{mark:{type:"text",align:{expr:"datum['".concat(n[1],"'] < 0 ? 'right' : 'left'")},dx:{expr:"datum['".concat(n[1],"'] < 0 ? -5 : 5")},color:"black",fontSize:11},encoding:{x:{field:n[1],type:"quantitative"},text:{field:n[1],type:"quantitative",format:","}}}]},{width:150,height:{step:50},view:{stroke:"transparent"},encoding:{y:{field:n[0],type:"nominal",sort:null,axis:null},x:{field:"Variance Absolute",type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridWidth:1,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:0,height:{band:.5}},encoding:{fill:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"text",align:{expr:"datum['Variance Absolute'] < 0 ? 'right' : 'left'"},dx:{expr:"datum['Variance Absolute'] < 0 ? -5 : 5"}},encoding:{text:{field:"Variance Absolute",type:"quantitative",format:"+,"}}}]},{width:150,height:{step:50},view:{stroke:"transparent"},transform:[{calculate:"datum['".concat(n[2],"'] === 0 ? 'n/m' : format(datum['Variance Percent'], '+.1%')"),as:"PercentDisplay"}],encoding:{y:{field:n[0],type:"nominal",sort:null,axis:null},x:{field:"Variance Percent",type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"rule",tooltip:!0},encoding:{strokeWidth:{value:2},stroke:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"circle",tooltip:!0},encoding:{size:{value:100},color:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"text",align:{expr:"datum['Variance Absolute'] < 0 ? 'right' : 'left'"},dx:{expr:"datum['Variance Absolute'] < 0 ? -10 : 10"}},encoding:{text:{field:"PercentDisplay",type:"nominal"}}}]}],config:{view:{stroke:"transparent"},padding:{left:5,top:20,right:5,bottom:5},font:"Segoe UI",axis:{labelFontSize:12,labelPadding:10,offset:5,labelFont:"Segoe UI",labelColor:"#252423"},text:{fontSize:12,font:"Segoe UI",color:"#605E5C"},concat:{spacing:50},legend:{labelFontSize:12,labelFont:"Segoe UI",labelColor:"#605E5C"}}},"variance","variance_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Variance")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function se(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Deviation chart requires 3 columns (Date/Period, Actual Values, Target/Baseline Values)");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Deviation chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},layer:[{mark:{type:"line",tooltip:!0,color:"grey"},encoding:{x:{field:n[0],type:"ordinal"},y:{field:n[1],type:"quantitative"}}},{mark:{type:"circle",size:80,color:"grey",tooltip:!0},encoding:{x:{field:n[0],type:"ordinal"},y:{field:n[1],type:"quantitative"}}},{mark:{type:"rule",strokeWidth:2,tooltip:!0},encoding:{x:{field:n[0],type:"ordinal"},y:{field:n[1],type:"quantitative"},y2:{field:n[2]},color:{condition:{test:'datum["'.concat(n[1],'"] < datum["').concat(n[2],'"]'),value:"red"},value:"green"}}},{mark:{type:"circle",size:60,tooltip:!0},encoding:{x:{field:n[0],type:"ordinal"},y:{field:n[2],type:"quantitative"},color:{condition:{test:'datum["'.concat(n[1],'"] < datum["').concat(n[2],'"]'),value:"red"},value:"green"}}}],encoding:{x:{field:n[0],type:"ordinal",axis:{title:null,labelAngle:0}},y:{type:"quantitative",axis:{title:""}}}},"config",{view:{stroke:"transparent"},line:{strokeWidth:3,strokeCap:"round",strokeJoin:"round"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12}}),"deviation","deviation_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Deviation")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function ue(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Ribbon chart requires 3 columns (Time periods, Categories, Values)");var o=r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),i=c(new Set(o.map(function(e){return e[n[0]]})));ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Ribbon chart from Excel selection",background:"white",width:Math.max(600,100*i.length),height:400,config:{view:{stroke:"transparent"}},data:{values:o},layer:[{mark:{type:"area",interpolate:"monotone",tooltip:!0,opacity:.8},encoding:{x:{field:n[0],type:"ordinal",scale:{type:"point",padding:.3},axis:{title:n[0],labelAngle:-45,labelFontSize:12,titleFontSize:14,labelPadding:10,titlePadding:20}},y:{aggregate:"sum",field:n[2],type:"quantitative",axis:{title:n[2],labelFontSize:12,titleFontSize:14,grid:!0,gridOpacity:.3},stack:"center"},color:{field:n[1],type:"nominal",legend:{title:n[1],titleFontSize:12,labelFontSize:11,orient:"right"}},order:{aggregate:"sum",field:n[2],type:"quantitative"}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",axis:{ticks:!1,grid:!0,gridColor:"#f0f0f0",gridOpacity:.5,gridWidth:1,domain:!1,labelColor:"#605e5c",titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#323130",labelFont:"Segoe UI",labelColor:"#605e5c",symbolType:"circle",symbolSize:75}}),"ribbon","ribbon_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Ribbon")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function de(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<3)return void a("Error: Heatmap requires 3 columns (Y-categories, X-categories, Values)");ge(f({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Heatmap with marginal bars from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},spacing:15,bounds:"flush",vconcat:[{height:60,mark:{type:"bar",stroke:null,cornerRadiusEnd:2,tooltip:!0,color:"lightgrey"},encoding:{x:{field:n[1],type:"ordinal",axis:null},y:{field:n[2],aggregate:"mean",type:"quantitative",axis:null}}},{spacing:15,bounds:"flush",hconcat:[{mark:{type:"rect",stroke:"white",tooltip:!0},encoding:{y:{field:n[0],type:"ordinal",title:n[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:n[1],type:"ordinal",title:n[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},color:{aggregate:"mean",field:n[2],type:"quantitative",title:n[2],scale:{scheme:"blues"},legend:{direction:"vertical",gradientLength:120}}}},{mark:{type:"bar",stroke:null,cornerRadiusEnd:2,tooltip:!0,color:"lightgrey"},width:60,encoding:{y:{field:n[0],type:"ordinal",axis:null},x:{field:n[2],type:"quantitative",aggregate:"mean",axis:null}}}]}]},"config",{autosize:{type:"fit",contains:"padding"},view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C"}}),"heatmap_bar","heatmap_bar_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Heatmap with Bars")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function fe(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1);if(n.length<2)return void a("Error: Scatter plot requires at least 2 columns (X, Y values)");ge({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Colored scatter plot with Loess regression from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}},data:{values:r.map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t})},layer:[{mark:{type:"point",size:100,tooltip:!0},encoding:{x:{field:n[0],type:"quantitative",scale:{zero:!1},axis:{title:n[0],labelFontSize:12,titleFontSize:14}},y:{field:n[1],type:"quantitative",scale:{zero:!1},axis:{title:n[1],labelFontSize:12,titleFontSize:14}}}},{mark:{type:"line",color:"firebrick",strokeWidth:2},transform:[{loess:n[1],on:n[0]}],encoding:{x:{field:n[0],type:"quantitative"},y:{field:n[1],type:"quantitative"}}}]},"scatter_line","scatter_line_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Scatter with Line")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function me(e,t){return new Promise(function(a){try{if(!e||e.length<2)return void a("Error: Need at least header row + one data row");var n=e[0],r=e.slice(1).map(function(e){var t={};return n.forEach(function(a,n){t[a]=e[n]}),t}),o=[];r.forEach(function(e){null!==e[n[1]]&&void 0!==e[n[1]]&&""!==e[n[1]]&&o.push(f(f({},n[0],e[n[0]]),"value",parseFloat(e[n[1]])||0))});var i=[],l=null,c=null;r.forEach(function(e,t){var a=e[n[2]],o=e[n[0]];a&&""!==a?(l!==a&&(null!==l&&null!==c&&i.push({start:c,end:r[t-1][n[0]],event:l}),l=a,c=o),t===r.length-1&&i.push({start:c,end:o,event:l})):null!==l&&null!==c&&(i.push({start:c,end:r[t-1][n[0]],event:l}),l=null,c=null)}),ge(f({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Line chart with highlighted rectangles",background:"white",config:{view:{stroke:"transparent"}},layer:[{mark:{type:"rect",opacity:.2},data:{values:i},encoding:{x:{field:"start",type:"ordinal"},x2:{field:"end",type:"ordinal"},color:{field:"event",type:"nominal",scale:{scheme:"pastel1"},legend:{title:n[2]||"Highlights",titleFontSize:12,labelFontSize:11}}}},{mark:{type:"line",point:!1,tooltip:!0,strokeWidth:2,color:"#323130"},data:{values:o},encoding:{x:{field:n[0],type:"ordinal",axis:{title:n[0],labelFontSize:12,titleFontSize:14,labelAngle:-45,labelAlign:"right"}},y:{field:"value",type:"quantitative",axis:{title:n[1],labelFontSize:12,titleFontSize:14}}}},{mark:{type:"point",filled:!0,size:60,color:"#323130"},data:{values:o},encoding:{x:{field:n[0],type:"ordinal",axis:{title:n[0],labelFontSize:12,titleFontSize:14,labelAngle:-45,labelAlign:"right"}},y:{field:"value",type:"quantitative"}}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),"line_rectangle","line_rectangle_".concat(t.address.replace(/[^A-Za-z0-9]/g,"_"))).then(function(){return a("Line with Rectangles")}).catch(function(e){return a("Error: ".concat(e.message))})}catch(e){a("Error: ".concat(e.message))}})}function ge(e,t,a){return pe.apply(this,arguments)}function pe(){return(pe=r(e().m(function t(a,n,o){var i,l,c,s,u,d;return e().w(function(t){for(;;)switch(t.n){case 0:if((i=document.createElement("div")).style.display="none",i.id=o,document.body.appendChild(i),"undefined"!=typeof vegaEmbed){t.n=1;break}return t.n=1,xe();case 1:return t.n=2,vegaEmbed(i,a,{actions:!1});case 2:return l=t.v,t.n=3,l.view.toImageURL("png");case 3:return c=t.v,t.n=4,fetch(c);case 4:return s=t.v,t.n=5,s.blob();case 5:return u=t.v,d=new FileReader,t.a(2,new Promise(function(t,a){d.onloadend=r(e().m(function r(){var l,c;return e().w(function(e){for(;;)switch(e.p=e.n){case 0:return e.p=0,l=d.result.split(",")[1],e.n=1,he(l,n,o);case 1:document.body.removeChild(i),t(),e.n=3;break;case 2:e.p=2,c=e.v,document.body.contains(i)&&document.body.removeChild(i),a(c);case 3:return e.a(2)}},r,null,[[0,2]])})),d.readAsDataURL(u)}))}},t)}))).apply(this,arguments)}function he(e,t,a){return ye.apply(this,arguments)}function ye(){return ye=r(e().m(function t(a,n,o){return e().w(function(t){for(;;)if(0===t.n)return t.a(2,Excel.run(function(){var t=r(e().m(function t(r){var i,l,c,s,u,d,f,m;return e().w(function(e){for(;;)switch(e.n){case 0:return i=r.workbook.worksheets.getActiveWorksheet(),e.n=1,ve(r,i,n,o);case 1:if(!(l=e.v)){e.n=2;break}c=l.left,s=l.top,u=l.width,d=l.height,e.n=4;break;case 2:return(f=r.workbook.getSelectedRange()).load("left, top, width, height"),e.n=3,r.sync();case 3:c=f.left,s=f.top;case 4:return(m=i.shapes.addImage(a)).left=c,m.top=s,l?(m.lockAspectRatio=!1,m.width=u,m.height=d):m.lockAspectRatio=!0,m.name="".concat(n.charAt(0).toUpperCase()+n.slice(1),"Chart_").concat(o),e.n=5,r.sync();case 5:return e.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}()))},t)})),ye.apply(this,arguments)}function ve(e,t,a,n){return be.apply(this,arguments)}function be(){return(be=r(e().m(function t(a,n,r,o){var i,l,c,u,d,f;return e().w(function(e){for(;;)switch(e.n){case 0:return(i=n.shapes).load("items"),e.n=1,a.sync();case 1:return l="".concat(r.charAt(0).toUpperCase()+r.slice(1),"Chart_").concat(o),c=null,i.items.forEach(function(e){e.load(["name","left","top","width","height"])}),e.n=2,a.sync();case 2:u=s(i.items);try{for(u.s();!(d=u.n()).done;)(f=d.value).name===l&&(c={left:f.left,top:f.top,width:f.width,height:f.height},f.delete())}catch(e){u.e(e)}finally{u.f()}return e.n=3,a.sync();case 3:return e.a(2,c)}},t)}))).apply(this,arguments)}function xe(){return new Promise(function(e,t){if("undefined"==typeof vegaEmbed){var a=["https://cdn.jsdelivr.net/npm/vega@6","https://cdn.jsdelivr.net/npm/vega-lite@6","https://cdn.jsdelivr.net/npm/vega-embed@6"],n=0;a.forEach(function(r,o){var i=document.createElement("script");i.src=r,i.onload=function(){++n===a.length&&e()},i.onerror=function(){return t(new Error("Failed to load ".concat(r)))},document.head.appendChild(i)})}else e()})}"undefined"!=typeof CustomFunctions&&(CustomFunctions.associate("LINE",m),CustomFunctions.associate("STEP",g),CustomFunctions.associate("COLUMN",h),CustomFunctions.associate("BAR",y),CustomFunctions.associate("BUTTERFLY",v),CustomFunctions.associate("BEESWARM",b),CustomFunctions.associate("FUNNEL",x),CustomFunctions.associate("PIE",k),CustomFunctions.associate("DONUT",E),CustomFunctions.associate("GAUGE",w),CustomFunctions.associate("AREA",F),CustomFunctions.associate("SCATTER",I),CustomFunctions.associate("BUBBLE",P),CustomFunctions.associate("RADIAL",_),CustomFunctions.associate("CHORD",S),CustomFunctions.associate("CIRCLEPACKING",C),CustomFunctions.associate("CIRCULARBAR",z),CustomFunctions.associate("RING",N),CustomFunctions.associate("BOX",M),CustomFunctions.associate("RADAR",R),CustomFunctions.associate("WATERFALL",T),CustomFunctions.associate("SUNBURST",q),CustomFunctions.associate("TREEMAP",O),CustomFunctions.associate("HISTOGRAM",U),CustomFunctions.associate("DENSITY",D),CustomFunctions.associate("CANDLESTICK",B),CustomFunctions.associate("MAP",L),CustomFunctions.associate("CONTOUR",V),CustomFunctions.associate("ARC",W),CustomFunctions.associate("TREE",j),CustomFunctions.associate("WORDCLOUD",G),CustomFunctions.associate("STRIP",Z),CustomFunctions.associate("HEATMAP",$),CustomFunctions.associate("TABLEBUBBLE",H),CustomFunctions.associate("BULLET",Y),CustomFunctions.associate("HORIZON",K),CustomFunctions.associate("STREAMGRAPH",A),CustomFunctions.associate("DUMBBELL",X),CustomFunctions.associate("SLOPE",J),CustomFunctions.associate("MEKKO",Q),CustomFunctions.associate("MARIMEKKO",ee),CustomFunctions.associate("BUMP",te),CustomFunctions.associate("FAN",p),CustomFunctions.associate("WAFFLE",ae),CustomFunctions.associate("LOLLIPOP",ne),CustomFunctions.associate("VIOLIN",re),CustomFunctions.associate("GANTT",oe),CustomFunctions.associate("SANKEY",ie),CustomFunctions.associate("RIBBON",ue),CustomFunctions.associate("RIDGELINE",le),CustomFunctions.associate("DEVIATION",se),CustomFunctions.associate("VARIANCE",ce),CustomFunctions.associate("HEATMAP_BAR",de),CustomFunctions.associate("SCATTER_LINE",fe),CustomFunctions.associate("LINE_RECTANGLE",me)),CustomFunctions.associate("LINE",m),CustomFunctions.associate("STEP",g),CustomFunctions.associate("FAN",p),CustomFunctions.associate("COLUMN",h),CustomFunctions.associate("BAR",y),CustomFunctions.associate("BUTTERFLY",v),CustomFunctions.associate("BEESWARM",b),CustomFunctions.associate("FUNNEL",x),CustomFunctions.associate("GAUGE",w),CustomFunctions.associate("PIE",k),CustomFunctions.associate("DONUT",E),CustomFunctions.associate("CHORD",S),CustomFunctions.associate("CIRCLEPACKING",C),CustomFunctions.associate("CIRCULARBAR",z),CustomFunctions.associate("AREA",F),CustomFunctions.associate("STREAMGRAPH",A),CustomFunctions.associate("SCATTER",I),CustomFunctions.associate("BUBBLE",P),CustomFunctions.associate("RING",N),CustomFunctions.associate("RADIAL",_),CustomFunctions.associate("BOX",M),CustomFunctions.associate("RADAR",R),CustomFunctions.associate("WATERFALL",T),CustomFunctions.associate("SUNBURST",q),CustomFunctions.associate("TREEMAP",O),CustomFunctions.associate("HISTOGRAM",U),CustomFunctions.associate("DENSITY",D),CustomFunctions.associate("MAP",L),CustomFunctions.associate("CONTOUR",V),CustomFunctions.associate("CANDLESTICK",B),CustomFunctions.associate("ARC",W),CustomFunctions.associate("TREE",j),CustomFunctions.associate("WORDCLOUD",G),CustomFunctions.associate("STRIP",Z),CustomFunctions.associate("HEATMAP",$),CustomFunctions.associate("TABLEBUBBLE",H),CustomFunctions.associate("BULLET",Y),CustomFunctions.associate("HORIZON",K),CustomFunctions.associate("DUMBBELL",X),CustomFunctions.associate("SLOPE",J),CustomFunctions.associate("MEKKO",Q),CustomFunctions.associate("MARIMEKKO",ee),CustomFunctions.associate("BUMP",te),CustomFunctions.associate("WAFFLE",ae),CustomFunctions.associate("LOLLIPOP",ne),CustomFunctions.associate("VIOLIN",re),CustomFunctions.associate("GANTT",oe),CustomFunctions.associate("SANKEY",ie),CustomFunctions.associate("RIDGELINE",le),CustomFunctions.associate("VARIANCE",ce),CustomFunctions.associate("DEVIATION",se),CustomFunctions.associate("RIBBON",ue),CustomFunctions.associate("HEATMAP_BAR",de),CustomFunctions.associate("SCATTER_LINE",fe),CustomFunctions.associate("LINE_RECTANGLE",me)}();
+!function(){"use strict";function e(){var a,n,o="function"==typeof Symbol?Symbol:{},r=o.iterator||"@@iterator",i=o.toStringTag||"@@toStringTag";function l(e,o,r,i){var l=o&&o.prototype instanceof s?o:s,u=Object.create(l.prototype);return t(u,"_invoke",function(e,t,o){var r,i,l,s=0,u=o||[],d=!1,f={p:0,n:0,v:a,a:m,f:m.bind(a,4),d:function(e,t){return r=e,i=0,l=a,f.n=t,c}};function m(e,t){for(i=e,l=t,n=0;!d&&s&&!o&&n<u.length;n++){var o,r=u[n],m=f.p,p=r[2];e>3?(o=p===t)&&(l=r[(i=r[4])?5:(i=3,3)],r[4]=r[5]=a):r[0]<=m&&((o=e<2&&m<r[1])?(i=0,f.v=t,f.n=r[1]):m<p&&(o=e<3||r[0]>t||t>p)&&(r[4]=e,r[5]=t,f.n=p,i=0))}if(o||e>1)return c;throw d=!0,t}return function(o,u,p){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&m(u,p),i=u,l=p;(n=i<2?a:l)||!d;){r||(i?i<3?(i>1&&(f.n=-1),m(i,l)):f.n=l:f.v=l);try{if(s=2,r){if(i||(o="next"),n=r[o]){if(!(n=n.call(r,l)))throw TypeError("iterator result is not an object");if(!n.done)return n;l=n.value,i<2&&(i=0)}else 1===i&&(n=r.return)&&n.call(r),i<2&&(l=TypeError("The iterator does not provide a '"+o+"' method"),i=1);r=a}else if((n=(d=f.n<0)?l:e.call(t,f))!==c)break}catch(e){r=a,i=1,l=e}finally{s=1}}return{value:n,done:d}}}(e,r,i),!0),u}var c={};function s(){}function u(){}function d(){}n=Object.getPrototypeOf;var f=[][r]?n(n([][r]())):(t(n={},r,function(){return this}),n),m=d.prototype=s.prototype=Object.create(f);function p(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,d):(e.__proto__=d,t(e,i,"GeneratorFunction")),e.prototype=Object.create(m),e}return u.prototype=d,t(m,"constructor",d),t(d,"constructor",u),u.displayName="GeneratorFunction",t(d,i,"GeneratorFunction"),t(m),t(m,i,"Generator"),t(m,r,function(){return this}),t(m,"toString",function(){return"[object Generator]"}),(e=function(){return{w:l,m:p}})()}function t(e,a,n,o){var r=Object.defineProperty;try{r({},"",{})}catch(e){r=0}t=function(e,a,n,o){function i(a,n){t(e,a,function(e){return this._invoke(a,n,e)})}a?r?r(e,a,{value:n,enumerable:!o,configurable:!o,writable:!o}):e[a]=n:(i("next",0),i("throw",1),i("return",2))},t(e,a,n,o)}function a(e,t,a,n,o,r,i){try{var l=e[r](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,o)}function n(e){return function(){var t=this,n=arguments;return new Promise(function(o,r){var i=e.apply(t,n);function l(e){a(i,o,r,l,c,"next",e)}function c(e){a(i,o,r,l,c,"throw",e)}l(void 0)})}}var o=["gap","zero","drop"],r=new Set(["#N/A","#DIV/0!","#VALUE!","#REF!","#NAME?","#NUM!","#NULL!","#SPILL!","#CALC!","#FIELD!","#BLOCKED!","#CONNECT!","#BUSY!","#UNKNOWN!","#GETTING_DATA"]),i=/date|time|day|week|month|quarter|period/i,l=/^(\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{2,4})$/,c={decimalSeparator:".",groupSeparator:","};function s(e){var t=e.decimalSeparator,a=e.groupSeparator;c={decimalSeparator:t||c.decimalSeparator,groupSeparator:a||c.groupSeparator}}function u(){return u=n(e().m(function t(){return e().w(function(t){for(;;)switch(t.n){case 0:if(Office.context.requirements.isSetSupported("ExcelApi","1.11")){t.n=1;break}return t.a(2);case 1:return t.n=2,Excel.run(function(){var t=n(e().m(function t(a){var n;return e().w(function(e){for(;;)switch(e.n){case 0:return(n=a.application.cultureInfo.numberFormat).load("numberDecimalSeparator, numberGroupSeparator"),e.n=1,a.sync();case 1:s({decimalSeparator:n.numberDecimalSeparator,groupSeparator:n.numberGroupSeparator});case 2:return e.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}());case 2:return t.a(2)}},t)})),u.apply(this,arguments)}function d(e){return"number"==typeof e?new Date(Math.round(86400*(e-25569)*1e3)):new Date(e)}function f(e){return e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}function m(e,t,a,n){var o=t.filter(function(e){return"blank"!==e.kind&&"error"!==e.kind});if(0===o.length)return"text";var r=o.filter(function(e){return"number"===e.kind});if(r.length===o.length){var l=!1;return n?l=r.every(function(e){return e.value>25569}):a&&(l=i.test(String(e))&&r.every(function(e){return e.value>=18264&&e.value<=73050})),l?"date":"number"}return!a&&r.length>o.length/2?"number":o.every(function(e){return"date"===e.kind})?"date":"text"}function p(e,t){var a=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{},n=a.missing,o=void 0===n?"gap":n,i=a.gaps,s=void 0!==i&&i,u=a.optional,d=void 0===u?[]:u,p=a.dates,g=void 0===p?[]:p,y=t.map(function(t){return{row:t,cells:e.map(function(e,a){return function(e,t){if(null==e)return{kind:"blank"};if("number"==typeof e)return{kind:"number",value:e};if("boolean"==typeof e)return{kind:"text",value:e};var a=String(e);if(""===a.trim())return{kind:"blank"};if(function(e){return"string"==typeof e&&r.has(e.trim().toUpperCase())}(a))return{kind:"error"};var n=t?null:function(e){var t=c,a=t.decimalSeparator,n=t.groupSeparator,o=e.trim().replace(/(\d)\s+(?=\d{3}(\D|$))/g,"$1"),r=o.endsWith("%");r&&(o=o.slice(0,-1));var i=f(a),l=f(n),s=new RegExp("^[-+]?(\\d{1,3}(".concat(l,"\\d{3})+|\\d+)?(").concat(i,"\\d+)?([eE][-+]?\\d+)?$"));if(!/\d/.test(o)||!s.test(o))return null;var u=Number(o.split(n).join("").replace(a,"."));return Number.isFinite(u)?r?u/100:u:null}(a);return null!==n?{kind:"number",value:n}:l.test(a.trim())&&!isNaN(new Date(a.trim()).getTime())?{kind:"date",value:a.trim()}:{kind:"text",value:e}}(t[a],0===a)})}}).filter(function(e){return e.cells.some(function(e){return"blank"!==e.kind})}),h=e.map(function(e,t){return{name:e,type:m(e,y.map(function(e){return e.cells[t]}),0===t,g.includes(t))}}),v="gap"!==o||s?o:"drop",b=0,w=[];return y.forEach(function(e){var t=e.row,a=e.cells,n=!0,o=a.map(function(e,a){var o=h[a].type;return"blank"===e.kind&&d.includes(a)?null:"number"===o?"number"===e.kind?e.value:"zero"===v?0:("drop"===v&&(n=!1),null):"error"===e.kind||"date"===o&&"blank"===e.kind?(n=!1,null):"blank"===e.kind?"":"text"===o?t[a]:e.value});n?w.push(o):b++}),{rows:w,columns:h,skipped:b}}var g=["range"],y=["range"];function h(e,t){if(null==e)return{};var a,n,o=function(e,t){if(null==e)return{};var a={};for(var n in e)if({}.hasOwnProperty.call(e,n)){if(-1!==t.indexOf(n))continue;a[n]=e[n]}return a}(e,t);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);for(n=0;n<r.length;n++)a=r[n],-1===t.indexOf(a)&&{}.propertyIsEnumerable.call(e,a)&&(o[a]=e[a])}return o}function v(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function b(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?v(Object(a),!0).forEach(function(t){w(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):v(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function w(e,t,a){return(t=function(e){var t=function(e){if("object"!=x(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=x(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==x(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function x(e){return x="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},x(e)}var k={title:"title",xtitle:"xTitle",ytitle:"yTitle",legendtitle:"legendTitle",colorscheme:"colorScheme",width:"width",height:"height",sort:"sort",format:"format",background:"background",spec:"spec",output:"output",scale:"scale",missing:"missing",theme:"theme",maxpoints:"maxPoints"};function S(e,t){var a=function(e){return null!==e&&"object"===x(e)&&!Array.isArray(e)},n=b({},e);return Object.keys(t).forEach(function(e){n[e]=a(n[e])&&a(t[e])?S(n[e],t[e]):t[e]}),n}function C(e,t){return e.encoding&&(e.encoding=JSON.parse(JSON.stringify(e.encoding)),function(e,t){var a=function(e,t,a){e&&(null!==e.axis?e.axis=b(b({},e.axis),{},w({},t,a)):"title"===t&&(e.title=a))};void 0!==t.xTitle&&a(e.x,"title",t.xTitle),void 0!==t.yTitle&&a(e.y,"title",t.yTitle),["color","fill","stroke"].forEach(function(a){var n=e[a];if(n&&n.field){if(t.colorScheme){var o=n.scale||{},r=(o.range,h(o,g));n.scale=b(b({},r),{},{scheme:t.colorScheme})}void 0!==t.legendTitle&&null!==n.legend&&(n.legend=b(b({},n.legend),{},{title:t.legendTitle}))}}),["x","y"].forEach(function(n){var o=e[n];o&&(t.sort&&function(e){return e&&("nominal"===e.type||"ordinal"===e.type)}(o)&&(o.sort="none"===t.sort?null:t.sort),t.format&&"quantitative"===o.type&&a(o,"format",t.format))})}(e.encoding,t)),["layer","hconcat","vconcat","concat"].forEach(function(a){Array.isArray(e[a])&&(e[a]=e[a].map(function(e){return C(b({},e),t)}))}),e.spec&&(e.spec=C(b({},e.spec),t)),e}function O(e,t){if(0===Object.keys(t).length)return e;var a=String(e.$schema||"").includes("vega-lite")?C(b({},e),t):function(e,t){var a=["linear","log","pow","sqrt","symlog","time","utc"],n={};return(e.scales||[]).forEach(function(e){n[e.name]=e.type||"linear"}),t.colorScheme&&e.scales&&(e.scales=e.scales.map(function(e){return void 0!==e.scheme||/colou?r|fill/i.test(e.name)||["category","ordinal","ramp","heatmap","diverging"].includes(e.range)?(e.range,b(b({},h(e,y)),{},{scheme:t.colorScheme})):e})),e.axes&&(e.axes=e.axes.map(function(e){var o=b({},e),r="bottom"===e.orient||"top"===e.orient;return r&&void 0!==t.xTitle&&(o.title=t.xTitle),r||void 0===t.yTitle||(o.title=t.yTitle),t.format&&a.includes(n[e.scale])&&(o.format=t.format),o})),e.legends&&void 0!==t.legendTitle&&(e.legends=e.legends.map(function(e){return b(b({},e),{},{title:t.legendTitle})})),e}(b({},e),t);return void 0!==t.title&&(a.title=a.title&&"object"===x(a.title)?b(b({},a.title),{},{text:t.title}):t.title),void 0!==t.width&&(a.width=t.width),void 0!==t.height&&(a.height=t.height),void 0!==t.background&&(a.background=t.background),t.spec&&(a=S(a,t.spec)),a}var E=["scheme"];function F(e){return F="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},F(e)}function z(e){return function(e){if(Array.isArray(e))return A(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(e){if("string"==typeof e)return A(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?A(e,t):void 0}}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function A(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function j(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function P(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?j(Object(a),!0).forEach(function(t){I(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):j(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function I(e,t,a){return(t=function(e){var t=function(e){if("object"!=F(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=F(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==F(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}var N="default",T={default:{font:"Segoe UI",background:"white",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1",colors:null},dark:{font:"Segoe UI",background:"#201f1e",labelColor:"#c8c6c4",titleColor:"#f3f2f1",gridColor:"#3b3a39",colors:["#4fc3f7","#ffb74d","#81c784","#e57373","#ba68c8","#fff176","#4db6ac","#f06292"]},"high-contrast":{font:"Segoe UI",background:"white",labelColor:"#000000",titleColor:"#000000",gridColor:"#767676",colors:["#0072b2","#e69f00","#009e73","#cc79a7","#56b4e9","#d55e00","#f0e442","#000000"]}},M=["values","datasets"];function R(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},a=String(e||N).trim().toLowerCase(),n=T[a]||t[a];if(!n)throw new Error('Unknown theme "'.concat(e,'" (available: ').concat(function(){var e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};return[].concat(z(Object.keys(T)),z(Object.keys(e)))}(t).join(", "),")"));return P(P({},n),{},{name:a})}function D(e,t,a){if(Array.isArray(e))return e.map(function(e){return D(e,t,a)});if(e&&"object"===F(e)){var n={};return Object.keys(e).forEach(function(t){n[t]=M.includes(t)?e[t]:D(e[t],t,a)}),n}if("string"==typeof e){var o=e.toLowerCase();if("background"===t&&["white","#fff","#ffffff"].includes(o))return a.background;if(Object.prototype.hasOwnProperty.call(a.tokens,o))return a.tokens[o]}return e}function U(e,t){var a=function(e){return null!==e&&"object"===F(e)&&!Array.isArray(e)},n=P({},e);return Object.keys(t||{}).forEach(function(e){n[e]=a(n[e])&&a(t[e])?U(n[e],t[e]):t[e]}),n}function q(e,t){return e.encoding&&["color","fill","stroke"].forEach(function(a){var n=e.encoding[a];if(n&&n.field&&("nominal"===n.type||"ordinal"===n.type)&&(!n.scale||!n.scale.range)){var o=n.scale||{},r=(o.scheme,function(e,t){if(null==e)return{};var a,n,o=function(e,t){if(null==e)return{};var a={};for(var n in e)if({}.hasOwnProperty.call(e,n)){if(-1!==t.indexOf(n))continue;a[n]=e[n]}return a}(e,t);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);for(n=0;n<r.length;n++)a=r[n],-1===t.indexOf(a)&&{}.propertyIsEnumerable.call(e,a)&&(o[a]=e[a])}return o}(o,E));e.encoding=P(P({},e.encoding),{},I({},a,P(P({},n),{},{scale:P(P({},r),{},{range:t})})))}}),["layer","hconcat","vconcat","concat"].forEach(function(a){Array.isArray(e[a])&&(e[a]=e[a].map(function(e){return q(P({},e),t)}))}),e.spec&&(e.spec=q(P({},e.spec),t)),e}function L(e,t){if(!t||t.name===N)return e;var a=T[N],n=D(e,null,{background:t.background,tokens:I(I(I(I({},a.font.toLowerCase(),t.font),a.labelColor,t.labelColor),a.titleColor,t.titleColor),a.gridColor,t.gridColor)}),o=String(n.$schema||"").includes("vega-lite"),r={labelColor:t.labelColor,titleColor:t.titleColor,gridColor:t.gridColor,domainColor:t.labelColor,tickColor:t.labelColor,labelFont:t.font,titleFont:t.font},i={labelColor:t.labelColor,titleColor:t.titleColor,labelFont:t.font,titleFont:t.font},l=P(P({background:t.background,axis:r,legend:i,title:{color:t.titleColor,font:t.font}},t.colors&&{range:{category:t.colors}}),o?{font:t.font,header:{labelColor:t.labelColor,titleColor:t.titleColor}}:{text:{fill:t.labelColor,font:t.font}});return n.config=U(l,n.config),n.background||(n.background=t.background),t.colors&&(n=o?q(n,t.colors):function(e,t){if(!e.scales)return e;var a=["category","category10","category20","tableau10","tableau20","set1","set2","set3","dark2","paired","pastel1","pastel2","accent"];return e.scales=e.scales.map(function(e){if("ordinal"!==e.type)return e;var n=e.range&&(e.range.scheme||e.range);return!e.range||"string"==typeof n&&a.includes(n)?P(P({},e),{},{range:t}):e}),e}(n,t.colors)),n}function V(e){return V="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},V(e)}function B(e){return function(e){if(Array.isArray(e))return W(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(e){if("string"==typeof e)return W(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?W(e,t):void 0}}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function W(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function _(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function G(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?_(Object(a),!0).forEach(function(t){$(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):_(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function $(e,t,a){return(t=function(e){var t=function(e){if("object"!=V(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=V(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==V(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function H(e,t){return"number"===t?"number"==typeof e?e:null:"date"===t?d(e).getTime():null}function Y(e){return"number"===e.type||"date"===e.type}function K(e,t,a){return t.map(function(t,n){var o=a&&a[n];if(!o)return String(e[t]);var r=H(e[t],o.type);return null===r||isNaN(r)?"":o.span?Math.floor((r-o.min)/o.span*500):0}).join("\0")}function X(e,t,a){return a.map(function(a){if(!Y(t[a]))return null;var n=e.map(function(e){return H(e[a],t[a].type)}).filter(function(e){return null!==e&&!isNaN(e)});if(0===n.length)return null;var o=n.reduce(function(e,t){return Math.min(e,t)}),r=n.reduce(function(e,t){return Math.max(e,t)});return{type:t[a].type,min:o,span:r-o}})}function J(e,t,a){var n=new Map;if(e.forEach(function(e,a){var o=K(e,t);n.has(o)||n.set(o,[]),n.get(o).push(a)}),n.size>a)return J(e,[],a);var o=a-n.size,r=e.length-n.size,i=new Array(e.length).fill(!1);return n.forEach(function(e){for(var t=1+Math.floor((e.length-1)*o/r),a=e.length/t,n=0;n<t;n++)i[e[Math.floor(n*a)]]=!0}),e.filter(function(e,t){return i[t]})}function Z(e,t,a,n,o){var r=X(e,t,a),i=r.filter(Boolean).length,l=[];if(i>0){var c=new Set(e.map(function(e){return K(e,a.filter(function(e,t){return!r[t]}))})).size,s=Math.floor(Math.pow(o/c,1/i));l=r.map(function(e){return function(e,t){if(!e||0===e.span)return null;var a,n,o="date"===e.type?864e5:1,r=Math.max((a=e.span/o/t,n=Math.pow(10,Math.floor(Math.log10(a))),[1,2,5,10].find(function(e){return e*n>=a})*n),"date"===e.type?1:0)*o,i=Math.floor(e.min/r)*r,l=Math.max(0,-Math.floor(Math.log10(r)));return G(G({},e),{},{step:r,start:i,decimals:l})}(e,Math.max(1,Math.min(50,s)))})}var u=new Map;return e.forEach(function(e){var t=B(e);a.forEach(function(a,n){l[n]&&(t[a]=function(e,t){var a=H(e,t.type);if(null===a||isNaN(a))return e;var n=t.start+Math.floor((a-t.start)/t.step)*t.step;return"date"===t.type?new Date(n).toISOString().slice(0,t.step>=864e5?10:19):Number(n.toFixed(Math.min(t.decimals,20)))}(e[a],l[n]))});var o=K(t,a),r=u.get(o);r||(r={row:t,sum:0,count:0},u.set(o,r)),"number"==typeof e[n]&&(r.sum+=e[n],r.count++)}),B(u.values()).map(function(e){var t=e.row,a=e.sum,o=e.count;return t[n]=o>0?a/o:null,t})}function Q(e,t,a,n){var o=void 0!==n?n:a&&a.maxPoints||5e3;if(!a||0===o||e.length<=o)return{rows:e,note:null};var r=a.columns.filter(function(e){return e<t.length}),i=e.length.toLocaleString();if("aggregate"===a.method){var l=Z(e,t,r,a.value,o);return l.length===e.length?{rows:e,note:null}:{rows:l,note:"".concat(i," rows averaged into ").concat(l.length.toLocaleString()," cells")}}var c="thin"===a.method?function(e,t,a){var n=X(e,t,a),o=new Set;return e.filter(function(e){var t=K(e,a,n);return!o.has(t)&&(o.add(t),!0)})}(e,t,r):e,s=c.length<e.length?"overlapping points merged":null;return c.length>o&&(c=J(c,r.filter(function(e){return!Y(t[e])}),o),s="sampled"),s?{rows:c,note:"Showing ".concat(c.length.toLocaleString()," of ").concat(i," rows (").concat(s,")")}:{rows:e,note:null}}function ee(e,t){var a=e.title&&"object"===V(e.title)?e.title:{text:e.title||" "},n=G(G({},e),{},{title:G(G({},a),{},{subtitle:t,subtitleColor:"#605e5c",subtitleFontStyle:"italic"})});return!String(e.$schema||"").includes("vega-lite")&&"none"===e.autosize&&e.padding&&"object"===V(e.padding)&&(n.padding=G(G({},e.padding),{},{top:(e.padding.top||0)+20})),n}function te(e){return te="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},te(e)}function ae(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var a=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=a){var n,o,r,i,l=[],c=!0,s=!1;try{if(r=(a=a.call(e)).next,0===t){if(Object(a)!==a)return;c=!1}else for(;!(c=(n=r.call(a)).done)&&(l.push(n.value),l.length!==t);c=!0);}catch(e){s=!0,o=e}finally{try{if(!c&&null!=a.return&&(i=a.return(),Object(i)!==i))return}finally{if(s)throw o}}return l}}(e,t)||le(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function ne(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function oe(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?ne(Object(a),!0).forEach(function(t){se(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):ne(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function re(e){return function(e){if(Array.isArray(e))return ce(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||le(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function ie(e,t){var a="undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(!a){if(Array.isArray(e)||(a=le(e))||t&&e&&"number"==typeof e.length){a&&(e=a);var n=0,o=function(){};return{s:o,n:function(){return n>=e.length?{done:!0}:{done:!1,value:e[n++]}},e:function(e){throw e},f:o}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var r,i=!0,l=!1;return{s:function(){a=a.call(e)},n:function(){var e=a.next();return i=e.done,e},e:function(e){l=!0,r=e},f:function(){try{i||null==a.return||a.return()}finally{if(l)throw r}}}}function le(e,t){if(e){if("string"==typeof e)return ce(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?ce(e,t):void 0}}function ce(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function se(e,t,a){return(t=function(e){var t=function(e){if("object"!=te(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=te(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==te(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function ue(e,t){return t.map(function(t){var a={};return e.forEach(function(e,n){a[e]=t[n]}),a})}var de={line:{label:"Line",gaps:!0,mapping:["x","y"],build:function(e,t){var a=ue(e,t),n=[],o=e.slice(1);return a.forEach(function(t){o.forEach(function(a){n.push(se(se(se({},e[0],t[e[0]]),"series",a),"value","number"==typeof t[a]?t[a]:null))})}),se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Multi-series line chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:n},mark:{type:"line",point:!1,tooltip:!0,strokeWidth:2},encoding:{x:{field:e[0],type:"ordinal",axis:{title:e[0],labelFontSize:12,titleFontSize:14,labelAngle:0}},y:{field:"value",type:"quantitative",axis:{title:"Value",labelFontSize:12,titleFontSize:14}},color:{field:"series",type:"nominal",scale:{scheme:"category10"},legend:{title:"Series",titleFontSize:12,labelFontSize:11}}}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"},point:{size:60,filled:!0}})}},step:{label:"Step",columns:{min:2,message:"Step chart requires at least 2 columns (Date, Price)"},mapping:["x","y"],build:function(e,t){var a=t.map(function(e,t){if(!e[0]||null==e[1]||""===e[1])return null;var a=d(e[0]),n=parseFloat(e[1]);return isNaN(a.getTime())||isNaN(n)?null:{date:a.toISOString(),price:n}}).filter(Boolean);if(0===a.length)throw new Error("No valid step chart data found");return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,description:"Step chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a},mark:{type:"line",interpolate:"step-after",strokeWidth:2},encoding:{x:{field:"date",type:"temporal",axis:{title:null,format:"%m/%d",labelAngle:-45,labelFontSize:11,labelColor:"#605e5c",font:"Segoe UI"}},y:{field:"price",type:"quantitative",scale:{zero:!1},axis:{title:null,labelFontSize:11,labelColor:"#605e5c",font:"Segoe UI",grid:!0,gridColor:"#f3f2f1"}},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"price",type:"quantitative",title:"Price",format:".2f"}]}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},fan:{label:"Fan",gaps:!0,build:function(e,t){if(5!==e.length&&7!==e.length)throw new Error("Fan chart requires exactly 5 or 7 columns.");var a=t.map(function(t){var a=se({},e[0],t[0]);return a.actual=null!=t[1]&&""!==t[1]?parseFloat(t[1]):null,a.p50=null!=t[2]&&""!==t[2]?parseFloat(t[2]):null,a.p75_low=null!=t[3]&&""!==t[3]?parseFloat(t[3]):null,a.p75_high=null!=t[4]&&""!==t[4]?parseFloat(t[4]):null,7===e.length?(a.p95_low=null!=t[5]&&""!==t[5]?parseFloat(t[5]):null,a.p95_high=null!=t[6]&&""!==t[6]?parseFloat(t[6]):null):(a.p95_low=null,a.p95_high=null),a}).filter(function(t){return null!==t[e[0]]&&void 0!==t[e[0]]});if(0===a.length)throw new Error("No valid data rows found.");a.sort(function(t,a){return t[e[0]]-a[e[0]]});var n,o=null,r=ie(a);try{for(r.s();!(n=r.n()).done;){var i=n.value;if(null!==i.p75_low){o=i[e[0]];break}}}catch(e){r.e(e)}finally{r.f()}var l=e[0].toLowerCase().includes("date")||e[0].toLowerCase().includes("time"),c=a.map(function(t){return t[e[0]]}),s={title:"Value",labelFontSize:11,titleFontSize:12,grid:!0,gridColor:"#f3f2f1"},u={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Fan chart with actual and forecast data",width:700,height:400,background:"white",data:{values:a},encoding:{x:{field:e[0],type:l?"temporal":"ordinal",title:e[0],sort:c,axis:{labelAngle:-45,labelFontSize:11,titleFontSize:12,values:c,format:"d"}}},layer:[].concat(re(a.some(function(e){return null!==e.p95_low})?[{transform:[{filter:"datum['".concat(e[0],"'] >= ").concat(o)}],mark:{type:"area",opacity:.2,color:"steelblue"},encoding:{y:{field:"p95_high",type:"quantitative",axis:s},y2:{field:"p95_low"}}}]:[]),[{transform:[{filter:"datum['".concat(e[0],"'] >= ").concat(o)}],mark:{type:"area",opacity:.35,color:"steelblue"},encoding:{y:{field:"p75_high",type:"quantitative",axis:s},y2:{field:"p75_low"}}},{transform:[{filter:"datum['".concat(e[0],"'] >= ").concat(o)}],mark:{type:"line",color:"steelblue",strokeDash:[4,2],strokeWidth:2},encoding:{y:{field:"p50",type:"quantitative"},tooltip:[{field:e[0],title:e[0]},{field:"p50",title:"Forecast",format:".1f"}]}},{transform:[{filter:"datum['".concat(e[0],"'] <= ").concat(o)}],mark:{type:"line",color:"steelblue",strokeWidth:2},encoding:{y:{field:"actual",type:"quantitative",axis:s}}},{transform:[{filter:"datum['".concat(e[0],"'] <= ").concat(o)}],mark:{type:"circle",color:"steelblue",size:50},encoding:{y:{field:"actual",type:"quantitative"},tooltip:[{field:e[0],title:e[0]},{field:"actual",title:"Actual",format:".1f"}]}}]),config:{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130"},view:{stroke:"transparent"}}};return u}},column:{label:"Column",gaps:!0,mapping:["x","y","color"],build:function(e,t){var a=ue(e,t),n=e[0],o=e[1],r=e.length>=3?e[2]:null,i={};r&&a.forEach(function(e){var t=e[n],a=e[r];i[t]||(i[t]=new Set),i[t].add(a)});var l=r&&Object.values(i).some(function(e){return e.size>1}),c={};return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Column chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a.map(function(e){var t="".concat(e[n],"|").concat(r?e[r]:"none"),a=c[t]||0;return c[t]=a+1,oe(oe({},e),{},{shadeLevel:a})})},mark:{type:"bar",tooltip:!0},encoding:oe(oe({x:{field:n,type:"nominal",axis:{title:n,labelFontSize:12,titleFontSize:14}},y:{field:o,type:"quantitative",axis:{title:o,labelFontSize:12,titleFontSize:14},stack:"zero"}},l&&{xOffset:{field:r}}),r&&{color:{field:r,type:"nominal",legend:{title:r,titleFontSize:12,labelFontSize:11},scale:{scheme:"category10"}},fillOpacity:{field:"shadeLevel",type:"quantitative",scale:{domain:[0,3],range:[1,.5]}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},bar:{label:"Bar",gaps:!0,mapping:["y","x","color"],build:function(e,t){var a=ue(e,t),n=e[0],o=e[1],r=e.length>=3?e[2]:null,i={};r&&a.forEach(function(e){var t=e[n],a=e[r];i[t]||(i[t]=new Set),i[t].add(a)});var l=r&&Object.values(i).some(function(e){return e.size>1}),c={};return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bar chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a.map(function(e){var t="".concat(e[n],"|").concat(r?e[r]:"none"),a=c[t]||0;return c[t]=a+1,oe(oe({},e),{},{shadeLevel:a})})},mark:{type:"bar",tooltip:!0},encoding:oe(oe({y:{field:n,type:"nominal",axis:{title:n,labelFontSize:12,titleFontSize:14}},x:{field:o,type:"quantitative",axis:{title:o,labelFontSize:12,titleFontSize:14},stack:"zero"}},l&&{yOffset:{field:r}}),r&&{color:{field:r,type:"nominal",legend:{title:r,titleFontSize:12,labelFontSize:11},scale:{scheme:"category10"}},fillOpacity:{field:"shadeLevel",type:"quantitative",scale:{domain:[0,3],range:[1,.5]}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},butterfly:{label:"Butterfly",columns:{min:3,message:"Butterfly chart requires 3 columns (Category, Left Values, Right Values)"},build:function(e,t){var a=ue(e,t),n=Math.max.apply(Math,re(a.map(function(t){return Math.abs(t[e[1]]||0)}))),o=Math.max.apply(Math,re(a.map(function(t){return Math.abs(t[e[2]]||0)}))),r=Math.max(n,o);return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Butterfly chart from Excel selection",background:"white",config:{view:{stroke:null},axis:{grid:!1}},data:{values:a},spacing:0,hconcat:[{transform:[{filter:{field:e[1],valid:!0}}],title:e[1],mark:"bar",encoding:{y:{field:e[0],axis:null,sort:"descending"},x:{aggregate:"sum",field:e[1],title:null,axis:{format:"s"},scale:{domain:[0,r]},sort:"descending"},color:{value:"#675193"}}},{width:20,view:{stroke:null},mark:{type:"text",align:"center"},encoding:{y:{field:e[0],type:"ordinal",axis:null,sort:"descending"},text:{field:e[0],type:"nominal"}}},{transform:[{filter:{field:e[2],valid:!0}}],title:e[2],mark:"bar",encoding:{y:{field:e[0],title:null,axis:null,sort:"descending"},x:{aggregate:"sum",field:e[2],title:null,axis:{format:"s"},scale:{domain:[0,r]}},color:{value:"#ca8861"}}}]}}},beeswarm:{label:"Beeswarm",columns:{min:2,message:"Beeswarm chart requires at least 2 columns (Category, Value)"},optional:[2],reduce:{method:"sample",columns:[0],maxPoints:1e3},build:function(e,t){var a=t.map(function(t,a){return{group:t[0],value:t[1],id:a,name:e.length>=3&&t[2]?t[2]:"Item ".concat(a+1)}}),n=re(new Set(a.map(function(e){return e.group})));return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Beeswarm chart using force-directed layout from Excel selection",width:Math.max(600,150*n.length),height:300,padding:{left:5,right:5,top:20,bottom:40},autosize:"none",background:"white",signals:[{name:"cx",update:"width / 2"},{name:"cy",update:"height / 2"},{name:"radius",value:6},{name:"collide",value:1},{name:"gravityX",value:.3},{name:"gravityY",value:.2},{name:"static",value:!0}],data:[{name:"people",values:a}],scales:[{name:"xscale",type:"band",domain:{data:"people",field:"group",sort:!0},range:"width"},{name:"color",type:"ordinal",domain:{data:"people",field:"group"},range:{scheme:"tableau10"}}],axes:[{orient:"bottom",scale:"xscale",labelAngle:-45,labelAlign:"right",labelBaseline:"middle",labelFont:"Segoe UI",labelFontSize:11,labelColor:"#605e5c",titleFont:"Segoe UI",titleFontSize:12,titleColor:"#323130",domain:!0,domainColor:"#8a8886",ticks:!0,tickColor:"#8a8886"}],marks:[{name:"nodes",type:"symbol",from:{data:"people"},encode:{enter:{fill:{scale:"color",field:"group"},xfocus:{scale:"xscale",field:"group",band:.5},yfocus:{signal:"cy"}},update:{size:{signal:"pow(2 * radius, 2)"},stroke:{value:"white"},strokeWidth:{value:1.5},zindex:{value:0},tooltip:{signal:"{'Name': datum.name, 'Group': datum.group, 'Value': datum.value}"}},hover:{stroke:{value:"#323130"},strokeWidth:{value:3},zindex:{value:1}}},transform:[{type:"force",iterations:300,static:{signal:"static"},forces:[{force:"collide",iterations:{signal:"collide"},radius:{signal:"radius + 1"}},{force:"x",x:"xfocus",strength:{signal:"gravityX"}},{force:"y",y:"yfocus",strength:{signal:"gravityY"}}]}]}],config:{view:{stroke:"transparent"},font:"Segoe UI"}}}},funnel:{label:"Funnel",columns:{min:2,message:"Funnel chart requires 2 columns (Stage, Value)"},mapping:["y","x"],build:function(e,t){if(t.some(function(e){return isNaN(e[1])||e[1]<=0}))throw new Error("Funnel chart values must be positive numbers");var a=ue(e,t);a.sort(function(t,a){return a[e[1]]-t[e[1]]});for(var n=a.reduce(function(t,a){return t+a[e[1]]},0),o=a.every(function(t){var a=t[e[1]];return a>=0&&a<=1||a>1&&a<=100&&Number.isInteger(a)}),r=a.map(function(t){var a=t[e[1]],r=o?(a<=1?(100*a).toFixed(1):a.toFixed(1))+"%":a.toLocaleString();return se(se(se(se({},e[0],t[e[0]]),e[1],a),"percentage",(a/n*100).toFixed(1)+"%"),"label",r)}),i=a.length,l=[],c=0;c<i;c++){var s=1-c/(i-1)*.6,u=Math.round(0+255*(1-s)),d=Math.round(120+135*(1-s)),f=Math.round(212+43*(1-s));l.push("rgb(".concat(u,", ").concat(d,", ").concat(f,")"))}return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Centered funnel chart showing conversion stages",background:"white",width:400,height:250,config:{view:{stroke:"transparent"},font:"Segoe UI"},data:{values:r},encoding:{y:{type:"nominal",field:e[0],sort:"-x",axis:{labelFontSize:11,labelColor:"#323130",title:null,labelPadding:5}}},layer:[{mark:{type:"bar",tooltip:!0,orient:"horizontal"},encoding:{color:{type:"nominal",field:e[0],legend:null,scale:{range:l}},x:{type:"quantitative",field:e[1],stack:"center",axis:null},tooltip:[{field:e[0],type:"nominal",title:"Stage"},{field:e[1],type:"quantitative",title:"Count",format:",.0f"},{field:"percentage",type:"nominal",title:"Percentage"}]}},{mark:{type:"text",align:"left",dx:5,fontSize:12,fontWeight:"nominal",color:"#FF6347"},encoding:{text:{field:"label",type:"nominal"},x:{type:"quantitative",field:e[1],stack:"center"},y:{field:e[0],type:"nominal"}}}]}}},gauge:{label:"Gauge",columns:{min:2,message:"Gauge chart requires 2 columns (Current Value, Max Value)"},build:function(e,t){var a=t[0];return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Gauge chart from Excel selection",width:400,height:220,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"centerX",update:"width / 2"},{name:"centerY",update:"height - 20"},{name:"outerRadius",update:"min(width / 2, height) - 20"},{name:"innerRadius",update:"outerRadius - outerRadius * 0.25"},{name:"mainValue",value:a[0]},{name:"minValue",value:0},{name:"maxValue",value:a[1]||100},{name:"usedValue",update:"min(max(minValue, mainValue), maxValue)"},{name:"fontFactor",update:"(min(width, height)/5)/25"},{name:"backgroundColor",value:"#e1e4e8"},{name:"fillColor",value:"#0078d4"},{name:"needleColor",value:"#323130"},{name:"needleSize",update:"innerRadius"}],scales:[{name:"gaugeScale",type:"linear",domain:[{signal:"minValue"},{signal:"maxValue"}],range:[{signal:"-PI/2"},{signal:"PI/2"}]},{name:"needleScale",type:"linear",domain:[{signal:"minValue"},{signal:"maxValue"}],range:[-90,90]}],marks:[{type:"arc",name:"gauge",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},startAngle:{signal:"-PI/2"},endAngle:{signal:"PI/2"},outerRadius:{signal:"outerRadius"},innerRadius:{signal:"innerRadius"},fill:{signal:"backgroundColor"}}}},{type:"arc",encode:{enter:{startAngle:{signal:"-PI/2"}},update:{x:{signal:"centerX"},y:{signal:"centerY"},innerRadius:{signal:"innerRadius"},outerRadius:{signal:"outerRadius"},endAngle:{scale:"gaugeScale",signal:"usedValue"},fill:{signal:"fillColor"}}}},{type:"text",description:"displayed main value at the center",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY + fontFactor * 15"},baseline:{value:"middle"},align:{value:"center"},fontSize:{signal:"fontFactor * 7"},font:{value:"Segoe UI"},fontWeight:{value:"bold"}},update:{text:{signal:"mainValue < 1 ? format(mainValue, '.0%') : format(mainValue, ',.0f')"},fill:{signal:"fillColor"}}}},{type:"symbol",name:"needle",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"}},update:{shape:{signal:"'M-2.5 -2.5 Q 0 0 2.5 -2.5 L 0 -' + toString(needleSize) + ' Z '"},angle:{signal:"usedValue",scale:"needleScale"},size:{signal:"4"},stroke:{signal:"needleColor"},fill:{signal:"needleColor"}}}},{type:"symbol",description:"center circle",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},shape:{value:"circle"},size:{signal:"pow(fontFactor * 8, 2)"},fill:{signal:"needleColor"},stroke:{value:"white"},strokeWidth:{value:2}}}}]}}},pie:{label:"Pie",columns:{min:2,message:"Pie chart requires 2 columns (Category, Value)"},build:function(e,t){if(t.some(function(e){return isNaN(e[1])||e[1]<=0}))throw new Error("Pie chart values must be positive numbers");return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},description:"Pie chart from Excel selection",data:{values:ue(e,t)},mark:{type:"arc",outerRadius:120},encoding:{theta:{field:e[1],type:"quantitative"},color:{field:e[0],type:"nominal"}}}}},donut:{label:"Donut",columns:{min:2,message:"Donut chart requires 2 columns (Category, Value)"},build:function(e,t){if(t.some(function(e){return isNaN(e[1])||e[1]<=0}))throw new Error("Donut chart values must be positive numbers");return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},description:"Donut chart from Excel selection",data:{values:ue(e,t)},mark:{type:"arc",innerRadius:50,outerRadius:120,tooltip:!0,stroke:"white",strokeWidth:2},encoding:{theta:{field:e[1],type:"quantitative",scale:{type:"linear",range:[0,6.28]}},color:{field:e[0],type:"nominal",scale:{scheme:"category10"},legend:{title:e[0],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:e[0],type:"nominal",title:"Category"},{field:e[1],type:"quantitative",title:"Value",format:",.0f"}]}},"config",{font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},chord:{label:"Chord",columns:{min:3,max:3,message:"Chord chart requires exactly 3 columns: Source, Destination, Value"},build:function(e,t){var a=new Set;t.forEach(function(e){a.add(e[0]),a.add(e[1])});var n=Array.from(a),o=n.length,r={};n.forEach(function(e,t){r[e]=t});var i=Array(o).fill(0).map(function(){return Array(o).fill(0)});t.forEach(function(e){var t=e[0],a=e[1],n=e[2],o=r[t],l=r[a];void 0!==o&&void 0!==l&&(i[o][l]=n)});for(var l=new Array(o).fill(0),c=0;c<o;c++)for(var s=0;s<o;s++)l[c]+=i[c][s],l[c]+=i[s][c];var u=l.reduce(function(e,t){return e+t},0);if(0===u)throw new Error("All values are zero");for(var d=[],f=0,m=.02*o,p=2*Math.PI-m,g=0;g<o;g++){var y=l[g]/u*p;d.push({index:g,label:n[g],startAngle:f,endAngle:f+y,value:l[g]}),f+=y+.02}for(var h=d.map(function(e){return{start:e.startAngle,end:e.startAngle}}),v=[],b=270,w=0;w<o;w++)for(var x=0;x<o;x++){var k=i[w][x];if(k>0){var S=d[w],C=d[x],O=k/l[w]*(S.endAngle-S.startAngle),E=h[w].end,F=E+O;h[w].end=F;var z=k/l[x]*(C.endAngle-C.startAngle),A=h[x].end,j=A+z;h[x].end=j;var P=b*Math.cos(E-Math.PI/2),I=b*Math.sin(E-Math.PI/2),N=b*Math.cos(F-Math.PI/2),T=b*Math.sin(F-Math.PI/2),M=b*Math.cos(A-Math.PI/2),R=b*Math.sin(A-Math.PI/2),D=b*Math.cos(j-Math.PI/2),U=b*Math.sin(j-Math.PI/2),q=F-E>Math.PI?1:0,L=j-A>Math.PI?1:0,V="M".concat(P,",").concat(I,"A").concat(b,",").concat(b,",0,").concat(q,",1,").concat(N,",").concat(T,"Q0,0,").concat(M,",").concat(R,"A").concat(b,",").concat(b,",0,").concat(L,",1,").concat(D,",").concat(U,"Q0,0,").concat(P,",").concat(I,"Z");v.push({path:V,source:w,target:x,sourceLabel:n[w],targetLabel:n[x],value:k})}}return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Chord diagram from Excel data",width:700,height:700,padding:5,background:"white",signals:[{name:"originX",value:0},{name:"originY",value:0},{name:"inner_radius",value:270},{name:"outer_radius",value:290}],scales:[{name:"color",type:"ordinal",domain:{data:"chords",field:"index"},range:{scheme:"category10"}}],data:[{name:"chords",values:d,transform:[{type:"formula",expr:"(((datum.startAngle + datum.endAngle) / 2) * 180 / PI) - 90",as:"angle_degrees"},{type:"formula",expr:"PI * datum.angle_degrees / 180",as:"radians"},{type:"formula",expr:"inrange(datum.angle_degrees, [90, 270])",as:"leftside"},{type:"formula",expr:"originX + outer_radius * cos(datum.radians)",as:"x"},{type:"formula",expr:"originY + outer_radius * sin(datum.radians)",as:"y"}]},{name:"ribbonsPaths",values:v}],marks:[{type:"arc",from:{data:"chords"},encode:{enter:{fill:{scale:"color",field:"index"},x:{signal:"width / 2"},y:{signal:"height / 2"}},update:{startAngle:{field:"startAngle"},endAngle:{field:"endAngle"},padAngle:{value:0},innerRadius:{signal:"inner_radius"},outerRadius:{signal:"outer_radius"},opacity:{value:.9},tooltip:{signal:"{'Label': datum.label, 'Value': datum.value}"}},hover:{opacity:{value:1}}}},{type:"text",from:{data:"chords"},encode:{enter:{text:{field:"label"},fontSize:{value:11},font:{value:"Segoe UI"},fill:{value:"#323130"}},update:{x:{signal:"width / 2 + datum.x"},y:{signal:"width / 2 + datum.y"},dx:{signal:"(datum.leftside ? -1 : 1) * 6"},angle:{signal:"datum.leftside ? datum.angle_degrees - 180 : datum.angle_degrees"},align:{signal:"datum.leftside ? 'right' : 'left'"},baseline:{value:"middle"}}}},{type:"path",from:{data:"ribbonsPaths"},encode:{enter:{x:{signal:"width / 2"},y:{signal:"height / 2"}},update:{path:{field:"path"},fill:{scale:"color",field:"source"},opacity:{value:.6},stroke:{value:"white"},strokeWidth:{value:.5},tooltip:{signal:"{'From': datum.sourceLabel, 'To': datum.targetLabel, 'Value': format(datum.value, ',.0f')}"}},hover:{opacity:{value:.8}}}}]}}},circlepacking:{label:"Circle Packing",columns:{min:2,message:"Circlepacking requires at least 2 columns (Parent, Child, Size optional)"},optional:[0,2],build:function(e,t){var a=new Map;t.forEach(function(t,n){var o=t[0]||"",r=t[1]||"node_".concat(n),i=e.length>=3&&parseFloat(t[2])||1;if(o&&!a.has(o)&&a.set(o,{id:o,parent:"",name:o,size:0}),a.has(r)){var l=a.get(r);l.parent=o,l.size=i}else a.set(r,{id:r,parent:o,name:r,size:i})});var n=Array.from(a.values()),o=new Set(n.map(function(e){return e.id}));n.forEach(function(e){e.parent&&!o.has(e.parent)&&(e.parent="")});var r=n.length,i=Math.max(500,Math.min(700,20*r+300));return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Circle packing chart from Excel selection",width:i,height:i,padding:5,autosize:"none",background:"white",data:[{name:"tree",values:n,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"pack",field:"size",sort:{field:"value"},size:[{signal:"width"},{signal:"height"}]}]}],scales:[{name:"color",type:"ordinal",domain:{data:"tree",field:"depth"},range:{scheme:"category20"}}],marks:[{type:"symbol",from:{data:"tree"},encode:{enter:{shape:{value:"circle"},fill:{scale:"color",field:"depth"},tooltip:{signal:"datum.name + (datum.size ? ', ' + format(datum.size, ',.0f') : '')"}},update:{x:{field:"x"},y:{field:"y"},size:{signal:"4 * datum.r * datum.r"},stroke:{value:"white"},strokeWidth:{value:.5},opacity:{value:.8}},hover:{stroke:{value:"#0078d4"},strokeWidth:{value:2},opacity:{value:1}}}},{type:"text",from:{data:"tree"},encode:{enter:{align:{value:"center"},baseline:{value:"middle"},fill:{value:"#323130"},font:{value:"Segoe UI"},fontWeight:{value:"500"}},update:{x:{field:"x"},y:{field:"y"},text:{signal:"datum.r > 15 ? datum.name : ''"},fontSize:{signal:"datum.r > 30 ? 12 : datum.r > 20 ? 10 : 8"},opacity:{signal:"datum.r > 15 ? 1 : 0"}}}}]}}},circularbar:{label:"Circular Bar",columns:{min:2,message:"Polar bar chart requires 2 columns (Category, Value)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Circular bar chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI"},data:{values:t.map(function(a,n){var o={};e.forEach(function(e,t){o[e]=a[t]});var r=360/t.length,i=n*r,l=.7*r;return o.theta=i,o.thetaStart=i-l/2,o.thetaEnd=i+l/2,o})},layer:[{mark:{type:"arc",stroke:"#fff",strokeWidth:2,opacity:.7},encoding:{theta:{field:"thetaStart",type:"quantitative",scale:{domain:[0,360],type:"linear"},stack:null},theta2:{field:"thetaEnd",type:"quantitative"},radius:{field:e[1],type:"quantitative",scale:{type:"linear",zero:!0,rangeMin:20}},radius2:{value:20},color:{field:e[0],type:"nominal",scale:{scheme:"tableau20"},legend:{title:e[0],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:e[0],type:"nominal"},{field:e[1],type:"quantitative"}]}},{mark:{type:"text",radiusOffset:15,fontSize:10},encoding:{theta:{field:"theta",type:"quantitative",scale:{domain:[0,360],type:"linear"}},radius:{field:e[1],type:"quantitative",scale:{type:"linear",zero:!0,rangeMin:20}},text:{field:e[1],type:"quantitative"},color:{value:"#323130"}}}]}}},area:{label:"Area",gaps:!0,mapping:["x","y","color"],build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Area chart from Excel selection",background:"white",data:{values:ue(e,t)},mark:{type:"area",interpolate:"monotone",tooltip:!0,line:{color:"#3A3D56"},color:{x1:1,y1:1,x2:1,y2:0,gradient:"linear",stops:[{offset:.1,color:"white"},{offset:1,color:"blue"}]}},encoding:oe({x:{field:e[0],type:"ordinal",axis:{title:e[0],labelFontSize:12,titleFontSize:14}},y:{field:e[1],type:"quantitative",axis:{title:e[1],labelFontSize:12,titleFontSize:14}}},e.length>=3&&{color:{field:e[2],type:"nominal",legend:{title:e[2],titleFontSize:12,labelFontSize:11}}}),config:{view:{stroke:"transparent"},font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}}}},streamgraph:{label:"Streamgraph",columns:{min:3,message:"Streamgraph requires 3 columns (Time/Date, Series/Category, Values)"},gaps:!0,dates:[0],mapping:["x","color","y"],build:function(e,t,a){var n="date"===a[0].type?"temporal":"ordinal",o=ue(e,t);return"temporal"===n&&o.forEach(function(t){t[e[0]]=d(t[e[0]])}),se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,height:400,background:"white",config:{view:{stroke:"transparent"}},description:"Streamgraph from Excel selection",data:{values:o},mark:{type:"area",tooltip:!0,interpolate:"basis",opacity:.8},encoding:{x:"temporal"===n?{field:e[0],type:"temporal",axis:{domain:!1,format:"%Y-%m",tickSize:0,title:e[0],labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",labelAngle:-45}}:{field:e[0],type:"ordinal",axis:{domain:!1,tickSize:0,title:e[0],labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130"}},y:{aggregate:"sum",field:e[2],type:"quantitative",axis:null,stack:"center"},color:{field:e[1],type:"nominal",scale:{scheme:"category20b"},legend:{title:e[1],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:e[0],type:"temporal"===n?"temporal":"ordinal",title:"Period",format:"temporal"===n?"%Y-%m-%d":void 0},{field:e[1],type:"nominal",title:"Series"},{field:e[2],type:"quantitative",title:"Value",format:",.0f"}]}},"config",{font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},scatter:{label:"Scatter",columns:{min:2,message:"Scatter plot requires at least 2 columns (X, Y values)"},gaps:!0,mapping:["x","y","color"],reduce:{method:"thin",columns:[0,1,2,3]},build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Scatter plot from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ue(e,t)},mark:{type:"point",size:100,tooltip:!0},encoding:oe(oe({x:{field:e[0],type:"quantitative",scale:{zero:!1},axis:{title:e[0],labelFontSize:12,titleFontSize:14}},y:{field:e[1],type:"quantitative",scale:{zero:!1},axis:{title:e[1],labelFontSize:12,titleFontSize:14}}},e.length>=3&&{color:{field:e[2],type:"nominal",legend:{title:e[2],titleFontSize:12,labelFontSize:11}}}),e.length>=4&&{shape:{field:e[3],type:"nominal",legend:{title:e[3],titleFontSize:12,labelFontSize:11}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},bubble:{label:"Bubble",columns:{min:3,message:"Bubble chart requires at least 3 columns (X values, Y values, Size values)"},mapping:["x","y","size","color"],reduce:{method:"sample",columns:[3]},build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bubble chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ue(e,t)},mark:{type:"circle",tooltip:!0,opacity:.7},encoding:oe({x:{field:e[0],type:"quantitative",scale:{zero:!1},axis:{title:e[0],labelFontSize:12,titleFontSize:14}},y:{field:e[1],type:"quantitative",scale:{zero:!1},axis:{title:e[1],labelFontSize:12,titleFontSize:14}},size:{field:e[2],type:"quantitative",scale:{type:"linear",range:[100,1e3]},legend:{title:e[2],titleFontSize:12,labelFontSize:11}}},e.length>=4&&{color:{field:e[3],type:"nominal",legend:{title:e[3],titleFontSize:12,labelFontSize:11}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},ring:{label:"Ring",columns:{min:2,message:"Ring chart requires 2 columns: Category, Value"},build:function(e,t){var a=ue(e,t),n=a.length;if(0===n)throw new Error("Ring chart requires at least one data row");for(var o=Math.max(15,Math.min(25,120/n)),r=Math.max(3,Math.min(8,40/n)),i=150+5*n,l=function(e,t){var a=Math.max(50,80-5*e),n=Math.max(25,60-8*e);return"hsl(".concat(210,", ").concat(a,"%, ").concat(n,"%)")},c=a.map(function(t,a){return se(se(se(se({},"__".concat(a,"__"),t[e[0]]),"__".concat(a+100,"__"),t[e[1]]),"Ring".concat(a+1,"_Theta2"),2*Math.PI*t[e[1]]/100),"Ring".concat(a+1,"_Percent_Label"),t[e[1]]+"%")}),s=[Object.assign.apply(Object,[{}].concat(re(c)))],u=[],d=i,f=0;f<n;f++){var m=d,p=m-o,g=(m+p)/2;u.push({outer:m,inner:p,middle:g}),d=p-r}var y=i+50-25*n/2;return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",config:{autosize:{type:"pad",resize:!0},concat:{spacing:20}},description:"Dynamic ring chart with ".concat(n," concentric rings"),background:"white",data:{values:s},hconcat:[{description:"RINGS - Main Chart",width:2*(i+50),height:2*(i+50),view:{stroke:null},layer:[].concat(re(a.map(function(e,t){return{description:"RING ".concat(t+1," BACKGROUND"),mark:{type:"arc",radius:u[t].outer,radius2:u[t].inner,theta:0,theta2:6.283185307179586,opacity:.25,x:i+50,y:i+50},encoding:{color:{value:l(t)}}}})),re(a.map(function(t,a){return{description:"RING ".concat(a+1," PROGRESS"),mark:{type:"arc",radius:u[a].outer,radius2:u[a].inner,theta:0,theta2:{expr:"datum['Ring".concat(a+1,"_Theta2']")},cornerRadius:Math.min(8,o/2),tooltip:!0,x:i+50,y:i+50},encoding:{color:{value:l(a)},tooltip:[{value:t[e[0]],title:"Category"},{value:t[e[1]]+"%",title:"Progress"}]}}})),re(a.map(function(t,a){return{description:"RING ".concat(a+1," LABEL"),mark:{type:"text",align:"center",baseline:"middle",x:i+50+15,y:i+50-u[a].middle,fontSize:Math.max(10,Math.min(14,180/n)),font:"Segoe UI",fontWeight:"bold",color:"white"},encoding:{text:{value:t[e[1]]+"%"},opacity:{condition:{test:"datum['Ring".concat(a+1,"_Theta2'] > 0"),value:1},value:0}}}})))},{description:"LEGEND - Right Side",width:100,height:2*(i+50),view:{stroke:null},layer:a.map(function(t,a){return[{description:"LEGEND CIRCLE ".concat(a+1),mark:{type:"circle",size:150,x:15,y:y+25*a,color:l(a)}},{description:"LEGEND LABEL ".concat(a+1),mark:{type:"text",x:35,y:y+25*a,align:"left",baseline:"middle",fontSize:11,font:"Segoe UI"},encoding:{text:{value:t[e[0]]}}}]}).flat()}],view:{stroke:null}}}},radial:{label:"Radial",columns:{min:2,message:"Radial chart requires 2 columns (Category, Value)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Radial chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ue(e,t)},transform:[{window:[{op:"rank",as:"sortOrder"}],sort:[{field:e[1],order:"descending"}]}],layer:[{mark:{type:"arc",innerRadius:20,stroke:"#fff"}},{mark:{type:"text",radiusOffset:10},encoding:{text:{field:e[1],type:"quantitative"}}}],encoding:{theta:{field:e[1],type:"quantitative",stack:!0},radius:{field:e[1],scale:{type:"sqrt",zero:!0,rangeMin:20}},color:{field:e[0],type:"nominal",legend:{title:e[0],titleFontSize:12,labelFontSize:11,orient:"right"}},order:{field:"sortOrder",type:"quantitative"}}}}},box:{label:"Box",columns:{min:2,message:"Box plot requires 2 columns (Category, Values)"},mapping:["x","y"],build:function(e,t){var a=t.filter(function(e){return e[0]&&!isNaN(+e[1])}).map(function(e){return{category:e[0],value:+e[1]}});if(0===a.length)throw new Error("No valid numeric data found for box plot");return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Box plot from Excel selection",data:{values:a},mark:{type:"boxplot",extent:"min-max"},encoding:{x:{field:"category",type:"nominal"},y:{field:"value",type:"quantitative",scale:{zero:!1}},color:{field:"category",type:"nominal",legend:null}}}}},radar:{label:"Radar",columns:{min:3,message:"Radar chart requires at least 3 columns (Series, Dimension1, Dimension2, ...)"},build:function(e,t){var a=[],n=e.slice(1);t.forEach(function(t,o){var r=t[e[0]]||"Series ".concat(o+1);n.forEach(function(n){var i=t[e.indexOf(n)];a.push({series:r,dimension:n,value:i,category:o})})});var o=re(new Set(a.map(function(e){return e.dimension})));return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Radar chart from Excel selection",width:400,height:400,padding:60,autosize:{type:"none",contains:"padding"},background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"radius",update:"width / 2"}],data:[{name:"table",values:a},{name:"dimensions",values:o.map(function(e){return{dimension:e}})}],scales:[{name:"angular",type:"point",range:{signal:"[-PI, PI]"},padding:.5,domain:o},{name:"radial",type:"linear",range:{signal:"[0, radius]"},zero:!0,nice:!0,domain:{data:"table",field:"value"},domainMin:0},{name:"color",type:"ordinal",domain:{data:"table",field:"category"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"]}],encode:{enter:{x:{signal:"radius"},y:{signal:"radius"}}},marks:[{type:"group",name:"categories",zindex:1,from:{facet:{data:"table",name:"facet",groupby:["category","series"]}},marks:[{type:"line",name:"category-line",from:{data:"facet"},encode:{enter:{interpolate:{value:"linear-closed"},x:{signal:"scale('radial', datum.value) * cos(scale('angular', datum.dimension))"},y:{signal:"scale('radial', datum.value) * sin(scale('angular', datum.dimension))"},stroke:{scale:"color",field:"category"},strokeWidth:{value:2},fill:{scale:"color",field:"category"},fillOpacity:{value:.1},strokeOpacity:{value:.8}}}},{type:"symbol",name:"category-points",from:{data:"facet"},encode:{enter:{x:{signal:"scale('radial', datum.value) * cos(scale('angular', datum.dimension))"},y:{signal:"scale('radial', datum.value) * sin(scale('angular', datum.dimension))"},size:{value:50},fill:{scale:"color",field:"category"},stroke:{value:"white"},strokeWidth:{value:1}}}}]},{type:"rule",name:"radial-grid",from:{data:"dimensions"},zindex:0,encode:{enter:{x:{value:0},y:{value:0},x2:{signal:"radius * cos(scale('angular', datum.dimension))"},y2:{signal:"radius * sin(scale('angular', datum.dimension))"},stroke:{value:"#e1e4e8"},strokeWidth:{value:1}}}},{type:"text",name:"dimension-label",from:{data:"dimensions"},zindex:1,encode:{enter:{x:{signal:"(radius + 20) * cos(scale('angular', datum.dimension))"},y:{signal:"(radius + 20) * sin(scale('angular', datum.dimension))"},text:{field:"dimension"},align:[{test:"abs(scale('angular', datum.dimension)) > PI / 2",value:"right"},{value:"left"}],baseline:[{test:"scale('angular', datum.dimension) > 0",value:"top"},{test:"scale('angular', datum.dimension) == 0",value:"middle"},{value:"bottom"}],fill:{value:"#323130"},fontWeight:{value:"bold"},font:{value:"Segoe UI"},fontSize:{value:12}}}},{type:"line",name:"outer-line",from:{data:"radial-grid"},encode:{enter:{interpolate:{value:"linear-closed"},x:{field:"x2"},y:{field:"y2"},stroke:{value:"#8a8886"},strokeWidth:{value:2},strokeOpacity:{value:.6}}}}]}}},waterfall:{label:"Waterfall",columns:{min:3,message:"Waterfall chart requires 3 columns (Category, Amount, Type)"},build:function(e,t){var a=t.map(function(t){var a={};return e.forEach(function(e,n){a[e]=t[n]}),a}),n=re(a);n.length>0&&(n[n.length-1]=oe(oe({},n[n.length-1]),{},se({},e[1],0)));var o=a.length,r=Math.max(400,Math.min(1600,50*o)),i=Math.max.apply(Math,re(a.map(function(t){return Math.abs(t[e[1]])})));return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Waterfall chart with multiple subtotals",background:"white",data:{values:n},config:{view:{stroke:"transparent"}},width:r,height:Math.max(300,Math.min(600,i/100+200)),transform:[{window:[{op:"sum",field:e[1],as:"sum"}]},{window:[{op:"lead",field:e[0],as:"lead"}]},{calculate:"datum.lead === null ? datum.".concat(e[0]," : datum.lead"),as:"lead"},{calculate:"datum.".concat(e[2]," == 'total' ? 0 : datum.sum - datum.").concat(e[1]),as:"previous_sum"},{calculate:"datum.".concat(e[2]," == 'total' ? datum.sum : datum.").concat(e[1]),as:"amount"},{calculate:"datum.".concat(e[2]," == 'total' ? datum.").concat(e[1]," / 2 : (datum.sum + datum.previous_sum) / 2"),as:"center"},{calculate:"datum.".concat(e[2]," == 'total' ? datum.sum : (datum.").concat(e[1]," > 0 ? '+' : '') + datum.").concat(e[1]),as:"text_amount"},{calculate:"(datum.sum + datum.previous_sum) / 2",as:"center"},{window:[{op:"rank",as:"group_index"}],frame:[null,null],groupby:[e[0]]},{calculate:"\n            datum.".concat(e[2]," == 'total'\n                ? '#00B0F0'\n                : datum.amount >= 0\n                ? (datum.group_index == 1 ? '#70AD47'\n                    : (datum.group_index == 2 ? '#8BC97A'\n                    : (datum.group_index == 3 ? '#A7DA9D'\n                    : '#C3EBC0')))\n                : (datum.group_index == 1 ? '#E15759'\n                    : (datum.group_index == 2 ? '#EC7A7C'\n                    : (datum.group_index == 3 ? '#F29C9D'\n                    : '#F8BEBF')))\n            "),as:"bar_color"}],encoding:{x:{field:e[0],type:"ordinal",sort:null,axis:{labelAngle:-45,title:null},scale:{paddingInner:.05,paddingOuter:.025}}},layer:[{mark:{type:"bar",size:60},encoding:{y:{field:"previous_sum",type:"quantitative",title:null},y2:{field:"sum"},color:{field:"bar_color",type:"nominal",scale:null}}},{mark:{type:"text",fontWeight:"bold",baseline:"middle"},encoding:{y:{field:"center",type:"quantitative"},text:{field:"text_amount",type:"nominal"},color:{condition:[{test:"datum.".concat(e[2]," == 'total'"),value:"#725a30"}],value:"white"}}}]},"config",{text:{fontWeight:"bold",color:"#D9D9D9"}})}},sunburst:{label:"Sunburst",columns:{min:2,message:"Sunburst chart requires at least 2 columns (Parent, Child, optional Value)"},optional:[0,2],build:function(e,t){var a=new Map;t.forEach(function(t,n){var o=t[0]||"",r=t[1]||"node_".concat(n),i=e.length>=3&&parseFloat(t[2])||1;if(o&&!a.has(o)&&a.set(o,{id:o,parent:"",name:o,size:0}),a.has(r)){var l=a.get(r);l.parent=o,l.size=i}else a.set(r,{id:r,parent:o,name:r,size:i})});var n=Array.from(a.values()),o=new Set(n.map(function(e){return e.id}));n.forEach(function(e){e.parent&&!o.has(e.parent)&&(e.parent="")});var r=n.length,i=Math.max(400,Math.min(600,15*r+300));return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Sunburst chart from Excel selection",width:i,height:i,padding:10,autosize:"none",background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"centerX",update:"width / 2"},{name:"centerY",update:"height / 2"},{name:"outerRadius",update:"min(width, height) / 2 - 10"}],data:[{name:"tree",values:n,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"partition",field:"size",sort:{field:"size",order:"descending"},size:[{signal:"2 * PI"},{signal:"outerRadius"}],as:["a0","r0","a1","r1","depth","children"]}]}],scales:[{name:"color",type:"ordinal",domain:{data:"tree",field:"depth"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438","#8764b8","#e3008c","#00b7c3","#038387","#486991"]},{name:"opacity",type:"linear",domain:{data:"tree",field:"depth"},range:[.8,.4]}],marks:[{type:"arc",from:{data:"tree"},encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},stroke:{value:"white"},strokeWidth:{value:1}},update:{startAngle:{field:"a0"},endAngle:{field:"a1"},innerRadius:{field:"r0"},outerRadius:{field:"r1"},fill:{scale:"color",field:"depth"},fillOpacity:{scale:"opacity",field:"depth"}}}},{type:"text",from:{data:"tree"},encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},radius:{signal:"(datum.r0 + datum.r1) / 2"},theta:{signal:"(datum.a0 + datum.a1) / 2"},fill:{value:"#323130"},font:{value:"Segoe UI"},fontSize:{value:10},fontWeight:{value:"bold"},align:{value:"center"},baseline:{value:"middle"}},update:{text:{signal:"(datum.r1 - datum.r0) > 20 && (datum.a1 - datum.a0) > 0.3 ? datum.name : ''"},opacity:{signal:"(datum.r1 - datum.r0) > 20 && (datum.a1 - datum.a0) > 0.3 ? 1 : 0"}}}}]}}},treemap:{label:"Treemap",columns:{min:3,message:"Treemap chart requires 3 columns (Parent, Category, Value)"},optional:[0],build:function(e,t){var a,n=ue(e,t);return e.length>=3?(a=n.map(function(t,a){return{id:"".concat(t[e[1]],"_").concat(a),name:t[e[1]],parent:t[e[0]]||"root",size:t[e[2]]}}),re(new Set(a.map(function(e){return e.parent}))).forEach(function(e){"root"===e||a.find(function(t){return t.id===e})||a.push({id:e,name:e,parent:"root",size:0})}),a.push({id:"root",name:"Root",parent:"",size:0})):a=[{id:"root",name:"Root",parent:"",size:0}].concat(re(n.map(function(t,a){return{id:"item_".concat(a),name:t[e[1]],parent:"root",size:t[e[2]]}}))),{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Treemap visualization from Excel data",background:"white",width:600,height:400,padding:5,autosize:"fit",data:[{name:"tree",values:a,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"treemap",field:"size",sort:{field:"value"},round:!0,method:"squarify",ratio:1.6,size:[{signal:"width"},{signal:"height"}]}]},{name:"nodes",source:"tree",transform:[{type:"filter",expr:"datum.children"}]},{name:"leaves",source:"tree",transform:[{type:"filter",expr:"!datum.children"}]}],scales:[{name:"color",type:"ordinal",domain:{data:"nodes",field:"name"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"]},{name:"fontSize",type:"ordinal",domain:[0,1,2,3],range:[20,16,12,10]},{name:"opacity",type:"ordinal",domain:[0,1,2,3],range:[.3,.6,.8,1]}],marks:[{type:"rect",from:{data:"nodes"},interactive:!1,encode:{enter:{fill:{scale:"color",field:"name"},fillOpacity:{scale:"opacity",field:"depth"}},update:{x:{field:"x0"},y:{field:"y0"},x2:{field:"x1"},y2:{field:"y1"},stroke:{value:"#ffffff"},strokeWidth:{value:1}}}},{type:"rect",from:{data:"leaves"},encode:{enter:{stroke:{value:"#ffffff"},strokeWidth:{value:2}},update:{x:{field:"x0"},y:{field:"y0"},x2:{field:"x1"},y2:{field:"y1"},fill:{value:"transparent"},tooltip:{signal:"{'Category': datum.name, 'Value': datum.size, 'Parent': datum.parent}"}},hover:{fill:{value:"#323130"},fillOpacity:{value:.1}}}},{type:"text",from:{data:"leaves"},interactive:!1,encode:{enter:{font:{value:"Segoe UI, Arial, sans-serif"},align:{value:"center"},baseline:{value:"middle"},fill:{value:"#323130"},fontWeight:{value:"bold"},text:{field:"name"},fontSize:{scale:"fontSize",field:"depth"}},update:{x:{signal:"0.5 * (datum.x0 + datum.x1)"},y:{signal:"0.5 * (datum.y0 + datum.y1)"},opacity:{signal:"(datum.x1 - datum.x0) > 50 && (datum.y1 - datum.y0) > 20 ? 1 : 0"}}}}]}}},histogram:{label:"Histogram",mapping:["x"],build:function(e,t){var a=t.filter(function(e){return!isNaN(+e[0])}).map(function(e){return{value:+e[0]}});if(0===a.length)throw new Error("No valid numeric data found for histogram");var n=a.map(function(e){return e.value}),o=Math.min.apply(Math,re(n)),r=Math.max.apply(Math,re(n)),i=(r-o)/20,l=Math.floor(o/i)*i,c=Math.ceil(r/i)*i;return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Histogram from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a},mark:{type:"bar",tooltip:!0,stroke:"white",strokeWidth:1},encoding:{x:{field:"value",bin:{extent:[l,c],step:i,nice:!1},type:"quantitative",axis:{title:"Value",labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130"},scale:{domain:[l,c],range:"width",paddingInner:.05,paddingOuter:.02}},y:{aggregate:"count",type:"quantitative",axis:{title:"Count",labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},color:{value:"#0078d4"}}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},density:{label:"Density",columns:{min:1,message:"Density plot requires at least 1 column (Values)"},mapping:["x"],build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Density plot from Excel selection",background:"white",config:{view:{stroke:"transparent"}},width:400,height:100,data:{values:ue(e,t)},transform:[{density:e[0],bandwidth:.3}],mark:"area",encoding:{x:{field:"value",title:e[0],type:"quantitative",axis:{labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},y:{field:"density",type:"quantitative",title:"Density",axis:{labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},color:{value:"#0078d4"},tooltip:[{field:"value",type:"quantitative",title:e[0],format:".2f"},{field:"density",type:"quantitative",title:"Density",format:".4f"}]}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},map:{label:"Map",columns:{min:2,message:"Map chart requires 2 columns (Country ISO3, Value)"},build:function(e,t){var a={AFG:4,AGO:24,ALB:8,AND:20,ARE:784,ARG:32,ARM:51,ATA:10,ATG:28,AUS:36,AUT:40,AZE:31,BDI:108,BEL:56,BEN:204,BFA:854,BGD:50,BGR:100,BHR:48,BHS:44,BIH:70,BLR:112,BLZ:84,BOL:68,BRA:76,BRB:52,BRN:96,BTN:64,BWA:72,CAF:140,CAN:124,CHE:756,CHL:152,CHN:156,CIV:384,CMR:120,COD:180,COG:178,COL:170,COM:174,CPV:132,CRI:188,CUB:192,CYP:196,CZE:203,DEU:276,DJI:262,DMA:212,DNK:208,DOM:214,DZA:12,ECU:218,EGY:818,ERI:232,ESH:732,ESP:724,EST:233,ETH:231,FIN:246,FJI:242,FRA:250,FSM:583,GAB:266,GBR:826,GEO:268,GHA:288,GIN:324,GMB:270,GNB:624,GNQ:226,GRC:300,GRD:308,GRL:304,GTM:320,GUY:328,HND:340,HRV:191,HTI:332,HUN:348,IDN:360,IND:356,IRL:372,IRN:364,IRQ:368,ISL:352,ISR:376,ITA:380,JAM:388,JOR:400,JPN:392,KAZ:398,KEN:404,KGZ:417,KHM:116,KIR:296,KNA:659,KOR:410,KWT:414,LAO:418,LBN:422,LBR:430,LBY:434,LCA:662,LIE:438,LKA:144,LSO:426,LTU:440,LUX:442,LVA:428,MAR:504,MCO:492,MDA:498,MDG:450,MDV:462,MEX:484,MHL:584,MKD:807,MLI:466,MLT:470,MMR:104,MNE:499,MNG:496,MOZ:508,MRT:478,MUS:480,MWI:454,MYS:458,NAM:516,NCL:540,NER:562,NGA:566,NIC:558,NLD:528,NOR:578,NPL:524,NRU:520,NZL:554,OMN:512,PAK:586,PAN:591,PER:604,PHL:608,PLW:585,PNG:598,POL:616,PRI:630,PRK:408,PRT:620,PRY:600,PSE:275,QAT:634,ROU:642,RUS:643,RWA:646,SAU:682,SDN:729,SEN:686,SGP:702,SLB:90,SLE:694,SLV:222,SMR:674,SOM:706,SRB:688,SSD:728,STP:678,SUR:740,SVK:703,SVN:705,SWE:752,SWZ:748,SYC:690,SYR:760,TCD:148,TGO:768,THA:764,TJK:762,TKM:795,TLS:626,TON:776,TTO:780,TUN:788,TUR:792,TUV:798,TWN:158,TZA:834,UGA:800,UKR:804,URY:858,USA:840,UZB:860,VAT:336,VCT:670,VEN:862,VNM:704,VUT:548,WSM:882,XKX:383,YEM:887,ZAF:710,ZMB:894,ZWE:716},n=t.filter(function(e){return e[0]&&!isNaN(+e[1])}).map(function(e){var t=(e[0]||"").toUpperCase().trim();return{id:a[t],iso:t,rate:+e[1]}}).filter(function(e){return e.id});if(0===n.length)throw new Error("No valid country data found. Please use ISO3 country codes (USA, GBR, DEU, etc.)");return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:800,height:450,data:{url:"vendor/countries-110m.json",format:{type:"topojson",feature:"countries"}},transform:[{lookup:"id",from:{data:{values:n},key:"id",fields:["rate","iso"]}}],projection:{type:"equalEarth"},mark:{type:"geoshape",stroke:"white",strokeWidth:.5},encoding:{color:{field:"rate",type:"quantitative",scale:{scheme:"blues"}},tooltip:[{field:"iso",type:"nominal",title:"Country (ISO3)"},{field:"rate",type:"quantitative",title:"Value"}]}}}},contour:{label:"Contour",columns:{min:2,message:"Contour plot requires at least 2 columns (X values, Y values, optional Categories)"},mapping:["x","y","color"],build:function(e,t){var a=ue(e,t).filter(function(t){return null!==t[e[0]]&&void 0!==t[e[0]]&&""!==t[e[0]]&&null!==t[e[1]]&&void 0!==t[e[1]]&&""!==t[e[1]]});if(0===a.length)throw new Error("No valid data points for contour plot");var n=a.map(function(t){return parseFloat(t[e[0]])}),o=a.map(function(t){return parseFloat(t[e[1]])}),r=Math.max.apply(Math,re(n))-Math.min.apply(Math,re(n)),i=Math.max.apply(Math,re(o))-Math.min.apply(Math,re(o)),l=Math.max(500,Math.min(800,10*r)),c=Math.max(400,Math.min(600,10*i)),s=e.length>=3;return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Contour plot from Excel selection - density estimate overlay",width:l,height:c,padding:5,autosize:"pad",background:"white",signals:[{name:"bandwidth",value:-1,description:"Bandwidth for density estimation (-1 for auto)"},{name:"resolve",value:"shared",description:"Scale resolution for contours"},{name:"counts",value:!0,description:"Use counts vs density"}],data:[{name:"source",values:a,transform:[{type:"filter",expr:"datum['".concat(e[0],"'] != null && datum['").concat(e[1],"'] != null")}]},{name:"density",source:"source",transform:[oe(oe({type:"kde2d"},s&&{groupby:[e[2]]}),{},{size:[{signal:"width"},{signal:"height"}],x:{expr:"scale('x', datum['".concat(e[0],"'])")},y:{expr:"scale('y', datum['".concat(e[1],"'])")},bandwidth:{signal:"[bandwidth, bandwidth]"},counts:{signal:"counts"}})]},{name:"contours",source:"density",transform:[{type:"isocontour",field:"grid",resolve:{signal:"resolve"},levels:5}]}],scales:[{name:"x",type:"linear",round:!0,nice:!0,zero:!1,domain:{data:"source",field:e[0]},range:"width"},{name:"y",type:"linear",round:!0,nice:!0,zero:!1,domain:{data:"source",field:e[1]},range:"height"}].concat(re(s?[{name:"color",type:"ordinal",domain:{data:"source",field:e[2],sort:{order:"descending"}},range:"category"}]:[{name:"color",type:"ordinal",domain:["Data"],range:["#0078d4"]}])),axes:[{scale:"x",grid:!0,domain:!1,orient:"bottom",tickCount:5,title:e[0],labelFontSize:11,titleFontSize:13,labelFont:"Segoe UI",titleFont:"Segoe UI",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},{scale:"y",grid:!0,domain:!1,orient:"left",titlePadding:5,title:e[1],labelFontSize:11,titleFontSize:13,labelFont:"Segoe UI",titleFont:"Segoe UI",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}],legends:s?[{stroke:"color",symbolType:"stroke",title:e[2],titleFont:"Segoe UI",titleFontSize:12,titleColor:"#323130",labelFont:"Segoe UI",labelFontSize:11,labelColor:"#605e5c"}]:[],marks:[{name:"points",type:"symbol",from:{data:"source"},encode:{update:{x:{scale:"x",field:e[0]},y:{scale:"y",field:e[1]},size:{value:16},fill:{value:"#cccccc"},fillOpacity:{value:.4},stroke:{value:"#999999"},strokeWidth:{value:.5}}}},{type:"image",from:{data:"density"},encode:{update:{x:{value:0},y:{value:0},width:{signal:"width"},height:{signal:"height"},aspect:{value:!1}}},transform:[{type:"heatmap",field:"datum.grid",resolve:{signal:"resolve"},color:s?{expr:"scale('color', datum.datum['".concat(e[2],"'])")}:{expr:"scale('color', 'Data')"}}]},{type:"path",clip:!0,from:{data:"contours"},encode:{enter:{strokeWidth:{value:1.5},strokeOpacity:{value:.8},stroke:s?{scale:"color",field:e[2]}:{value:"#0078d4"},fill:{value:null}}},transform:[{type:"geopath",field:"datum.contour"}]}],config:{font:"Segoe UI",view:{stroke:"transparent"}}}}},candlestick:{label:"Candlestick",columns:{min:5,message:"Candlestick chart requires 5 columns (Date, Open, High, Low, Close)"},build:function(e,t){var a=ue(e,t).map(function(t,a){var n=d(t[e[0]]),o=t[e[1]],r=t[e[2]],i=t[e[3]],l=t[e[4]];return isNaN(n.getTime())||isNaN(o)||isNaN(r)||isNaN(i)||isNaN(l)?null:{date:n.toISOString(),open:o,high:r,low:i,close:l}}).filter(Boolean);if(0===a.length)throw new Error("No valid candlestick data found");return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,description:"Candlestick chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a},encoding:{x:{field:"date",type:"temporal",title:"Date",axis:{format:"%m/%d",labelAngle:-45,labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI"}},y:{type:"quantitative",scale:{zero:!1},axis:{title:"Price",labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",grid:!0,gridColor:"#f3f2f1"}},color:{condition:{test:"datum.open < datum.close",value:"#06982d"},value:"#ae1325"}},layer:[{mark:{type:"rule",tooltip:!0},encoding:{y:{field:"low"},y2:{field:"high"},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"open",type:"quantitative",title:"Open",format:".2f"},{field:"high",type:"quantitative",title:"High",format:".2f"},{field:"low",type:"quantitative",title:"Low",format:".2f"},{field:"close",type:"quantitative",title:"Close",format:".2f"}]}},{mark:{type:"bar",tooltip:!0},encoding:{y:{field:"open"},y2:{field:"close"},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"open",type:"quantitative",title:"Open",format:".2f"},{field:"high",type:"quantitative",title:"High",format:".2f"},{field:"low",type:"quantitative",title:"Low",format:".2f"},{field:"close",type:"quantitative",title:"Close",format:".2f"}]}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},arc:{label:"Arc",columns:{min:2,message:"Arc chart requires at least 2 columns (Source, Target, Weight optional)"},optional:[2,3],build:function(e,t){var a=ue(e,t).map(function(t,a){return{source:t[e[0]],target:t[e[1]],value:e.length>=3&&t[e[2]]?t[e[2]]:1,group:e.length>=4&&t[e[3]]?t[e[3]]:"default"}}),n=new Map;a.forEach(function(e){n.has(e.source)||n.set(e.source,{name:e.source,group:e.group,index:n.size}),n.has(e.target)||n.set(e.target,{name:e.target,group:e.group,index:n.size})});var o=Array.from(n.values()),r=a.map(function(e){return{source:n.get(e.source).index,target:n.get(e.target).index,value:e.value}});return se({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Arc diagram from Excel selection",width:Math.max(600,30*o.length),height:100,padding:{top:20,bottom:20,left:20,right:20},background:"white",config:{view:{stroke:"transparent"}},data:[{name:"edges",values:r},{name:"sourceDegree",source:"edges",transform:[{type:"aggregate",groupby:["source"],as:["count"]}]},{name:"targetDegree",source:"edges",transform:[{type:"aggregate",groupby:["target"],as:["count"]}]},{name:"nodes",values:o,transform:[{type:"window",ops:["rank"],as:["order"]},{type:"lookup",from:"sourceDegree",key:"source",fields:["index"],as:["sourceDegree"],default:{count:0}},{type:"lookup",from:"targetDegree",key:"target",fields:["index"],as:["targetDegree"],default:{count:0}},{type:"formula",as:"degree",expr:"(datum.sourceDegree.count || 0) + (datum.targetDegree.count || 0)"}]}],scales:[{name:"position",type:"band",domain:{data:"nodes",field:"order",sort:!0},range:"width"},{name:"color",type:"ordinal",range:{scheme:"category20"},domain:{data:"nodes",field:"group"}}],marks:[{type:"symbol",name:"layout",interactive:!1,from:{data:"nodes"},encode:{enter:{opacity:{value:0}},update:{x:{scale:"position",field:"order"},y:{value:0},size:{field:"degree",mult:8,offset:50},fill:{scale:"color",field:"group"}}}},{type:"path",from:{data:"edges"},encode:{update:{stroke:{value:"#0078d4"},strokeOpacity:{value:.4},strokeWidth:{field:"value",mult:2,offset:1}}},transform:[{type:"lookup",from:"layout",key:"datum.index",fields:["datum.source","datum.target"],as:["sourceNode","targetNode"]},{type:"linkpath",sourceX:{expr:"min(datum.sourceNode.x, datum.targetNode.x)"},targetX:{expr:"max(datum.sourceNode.x, datum.targetNode.x)"},sourceY:{expr:"0"},targetY:{expr:"0"},shape:"arc"}]},{type:"symbol",from:{data:"layout"},encode:{update:{x:{field:"x"},y:{field:"y"},fill:{field:"fill"},size:{field:"size"},stroke:{value:"white"},strokeWidth:{value:1},tooltip:{signal:"{'Node': datum.datum.name, 'Group': datum.datum.group, 'Connections': datum.datum.degree}"}}}},{type:"text",from:{data:"nodes"},encode:{update:{x:{scale:"position",field:"order"},y:{value:25},fontSize:{value:10},align:{value:"center"},baseline:{value:"top"},angle:{value:-45},text:{field:"name"},fill:{value:"#323130"},font:{value:"Segoe UI"}}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:10,fill:"#605e5c"}})}},tree:{label:"Tree",columns:{min:2,message:"Tree chart requires at least 2 columns (Parent, Child, Value optional)"},optional:[0,2],build:function(e,t){var a=new Map;t.forEach(function(t,n){var o=t[0]||"",r=t[1]||"node_".concat(n),i=e.length>=3&&parseFloat(t[2])||1;if(o&&!a.has(o)&&a.set(o,{id:o,parent:"",name:o,value:1}),a.has(r)){var l=a.get(r);l.parent=o,l.value=i}else a.set(r,{id:r,parent:o,name:r,value:i})});var n=Array.from(a.values()),o=new Set(n.map(function(e){return e.id}));n.forEach(function(e){e.parent&&!o.has(e.parent)&&(e.parent="")});var r=n.length;return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Tree diagram from Excel selection",width:Math.max(600,Math.min(1200,40*r)),height:Math.max(400,Math.min(1600,30*r)),padding:20,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"layout",value:"tidy"},{name:"links",value:"diagonal"}],data:[{name:"tree",values:n,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"tree",method:{signal:"layout"},size:[{signal:"height - 40"},{signal:"width - 100"}],as:["y","x","depth","children"]}]},{name:"links",source:"tree",transform:[{type:"treelinks"},{type:"linkpath",orient:"horizontal",shape:{signal:"links"}}]}],scales:[{name:"color",type:"ordinal",range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"],domain:{data:"tree",field:"depth"}},{name:"size",type:"linear",range:[100,400],domain:{data:"tree",field:"value"}}],marks:[{type:"path",from:{data:"links"},encode:{update:{path:{field:"path"},stroke:{value:"#8a8886"},strokeWidth:{value:2},strokeOpacity:{value:.6}}}},{type:"symbol",from:{data:"tree"},encode:{enter:{stroke:{value:"#ffffff"},strokeWidth:{value:2}},update:{x:{field:"x"},y:{field:"y"},size:{scale:"size",field:"value"},fill:{scale:"color",field:"depth"},fillOpacity:{value:.8},tooltip:{signal:"{'Name': datum.name, 'ID': datum.id, 'Parent': datum.parent, 'Depth': datum.depth, 'Value': datum.value}"}},hover:{fillOpacity:{value:1},strokeWidth:{value:3}}}},{type:"text",from:{data:"tree"},encode:{enter:{fontSize:{value:11},baseline:{value:"middle"},font:{value:"Segoe UI"},fontWeight:{value:"bold"}},update:{x:{field:"x"},y:{field:"y"},text:{field:"name"},dx:{signal:"datum.children ? -12 : 12"},align:{signal:"datum.children ? 'right' : 'left'"},fill:{value:"#323130"}}}}]}}},wordcloud:{label:"Word Cloud",columns:{min:1,message:"Wordcloud requires at least 1 column (Text data)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Word cloud from Excel selection",width:800,height:400,padding:0,background:"white",config:{view:{stroke:"transparent"}},data:[{name:"table",values:ue(e,t),transform:[{type:"countpattern",field:e[0],case:"upper",pattern:"[\\w']{3,}",stopwords:"(i|me|my|myself|we|us|our|ours|ourselves|you|your|yours|yourself|yourselves|he|him|his|himself|she|her|hers|herself|it|its|itself|they|them|their|theirs|themselves|what|which|who|whom|whose|this|that|these|those|am|is|are|was|were|be|been|being|have|has|had|having|do|does|did|doing|will|would|should|can|could|ought|i'm|you're|he's|she's|it's|we're|they're|i've|you've|we've|they've|i'd|you'd|he'd|she'd|we'd|they'd|i'll|you'll|he'll|she'll|we'll|they'll|isn't|aren't|wasn't|weren't|hasn't|haven't|hadn't|doesn't|don't|didn't|won't|wouldn't|shan't|shouldn't|can't|cannot|couldn't|mustn't|let's|that's|who's|what's|here's|there's|when's|where's|why's|how's|a|an|the|and|but|if|or|because|as|until|while|of|at|by|for|with|about|against|between|into|through|during|before|after|above|below|to|from|up|upon|down|in|out|on|off|over|under|again|further|then|once|here|there|when|where|why|how|all|any|both|each|few|more|most|other|some|such|no|nor|not|only|own|same|so|than|too|very|say|says|said|shall)"},{type:"formula",as:"angle",expr:"[-45, 0, 45][~~(random() * 3)]"},{type:"formula",as:"weight",expr:"if(datum.count > 10, 600, 300)"}]}],scales:[{name:"color",type:"ordinal",domain:{data:"table",field:"text"},range:["#d5a928","#652c90","#939597","#2563eb","#dc2626","#059669"]}],marks:[{type:"text",from:{data:"table"},encode:{enter:{text:{field:"text"},align:{value:"center"},baseline:{value:"alphabetic"},fill:{scale:"color",field:"text"}},update:{fillOpacity:{value:1}},hover:{fillOpacity:{value:.5}}},transform:[{type:"wordcloud",size:[800,400],text:{field:"text"},rotate:{field:"datum.angle"},font:"Helvetica Neue, Arial",fontSize:{field:"datum.count"},fontWeight:{field:"datum.weight"},fontSizeRange:[12,56],padding:2}]}]}}},strip:{label:"Strip",columns:{min:2,message:"Strip plot requires at least 2 columns (Categories, Values)"},mapping:["y","x","color"],reduce:{method:"thin",columns:[0,1,2]},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Strip plot showing distribution using tick marks",background:"white",config:{view:{stroke:"transparent"},axis:{labelFontSize:11,titleFontSize:12,labelColor:"#605E5C",titleColor:"#323130"}},data:{values:ue(e,t)},mark:{type:"tick",thickness:2,size:15,color:"#0078d4",opacity:.8,tooltip:!0},encoding:oe(oe({y:{field:e[0],type:"ordinal",axis:{title:e[0],labelAngle:0}},x:{field:e[1],type:"quantitative",axis:{title:e[1],grid:!0,gridColor:"#f3f2f1",gridOpacity:.5}}},e.length>2&&{color:{field:e[2],type:"nominal",scale:{scheme:"category10"},legend:{title:e[2],orient:"right",titleFontSize:11,labelFontSize:10}}}),{},{tooltip:e.map(function(e){return{field:e,type:"nominal"}})})}}},heatmap:{label:"Heatmap",columns:{min:3,message:"Heatmap requires 3 columns (Y-categories, X-categories, Values)"},gaps:!0,mapping:["y","x","color"],reduce:{method:"aggregate",columns:[0,1],value:2},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Heatmap from Excel selection",background:"white",data:{values:ue(e,t)},mark:{type:"rect",stroke:"white",tooltip:!0},encoding:{y:{field:e[0],type:"ordinal",title:e[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:e[1],type:"ordinal",title:e[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},color:{aggregate:"mean",field:e[2],type:"quantitative",legend:{title:null,direction:"vertical",orient:"right",titleAlign:"center",labelAlign:"center"}}},config:{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C",titleAlign:"center",labelAlign:"center"}}}}},tablebubble:{label:"Table Bubble",columns:{min:3,message:"Table bubble chart requires 3 columns (Y-categories, X-categories, Values)"},mapping:["y","x","size"],build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Table Bubble Chart from Excel selection",background:"white",data:{values:ue(e,t)},mark:{type:"circle",opacity:.9,stroke:"transparent",tooltip:!0},encoding:{y:{field:e[0],type:"ordinal",sort:"descending",title:e[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:e[1],type:"ordinal",title:e[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},size:{aggregate:"sum",field:e[2],type:"quantitative",legend:{title:e[2],direction:"vertical",orient:"right",titleAlign:"center",labelAlign:"center"}},color:{aggregate:"sum",field:e[2],type:"quantitative",scale:{range:["#2999AA","orange"]},legend:null}},config:{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C",titleAlign:"center",labelAlign:"center"}}}}},bullet:{label:"Bullet",columns:{min:7,message:"Bullet chart requires 7 columns (Title, Poor max, Satisfactory max, Good max, Actual, Forecast, Target)"},build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},data:{values:t.map(function(e){return{title:e[0],ranges:[+e[1],+e[2],+e[3]],measures:[+e[4],+e[5]],markers:[+e[6]]}})},facet:{row:{field:"title",type:"ordinal",header:{labelAngle:0,title:"",labelAlign:"left"}}},spacing:10,spec:{encoding:{x:{type:"quantitative",scale:{nice:!1},title:null}},layer:[{mark:{type:"bar",color:"#eee"},encoding:{x:{field:"ranges[2]"}}},{mark:{type:"bar",color:"#ddd"},encoding:{x:{field:"ranges[1]"}}},{mark:{type:"bar",color:"#ccc"},encoding:{x:{field:"ranges[0]"}}},{mark:{type:"bar",color:"lightsteelblue",size:10},encoding:{x:{field:"measures[1]"}}},{mark:{type:"bar",color:"steelblue",size:10},encoding:{x:{field:"measures[0]"}}},{mark:{type:"tick",color:"black"},encoding:{x:{field:"markers[0]"}}}]},resolve:{scale:{x:"independent"}}},"config",{tick:{thickness:2},scale:{barBandPaddingInner:0}})}},horizon:{label:"Horizon",columns:{min:2,message:"Horizon chart requires 2 columns (X values, Y values)"},build:function(e,t){var a=t.map(function(e,t){return{x:e[0]||t+1,y:e[1]}}),n=a.map(function(e){return e.y}),o=Math.max.apply(Math,re(n)),r=Math.min.apply(Math,re(n)),i=o-r,l=i/6,c=r+i/2,s=a.length;return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Horizon Graph from Excel selection (IDL methodology)",width:Math.max(300,Math.min(800,15*s)),height:60,background:"white",config:{view:{stroke:"transparent"},area:{interpolate:"monotone"}},data:{values:a},encoding:{x:{field:"x",type:e[0].toLowerCase().includes("date")?"temporal":"quantitative",scale:{zero:!1,nice:!1},axis:{title:e[0],labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI"}},y:{type:"quantitative",scale:{domain:[0,l]},axis:{title:e[1],orient:"left",labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",tickCount:3}}},layer:[{transform:[{calculate:"max(0, min(datum.y - ".concat(c,", ").concat(l,"))"),as:"band1"}],mark:{type:"area",clip:!0,opacity:.3,color:"#4a90e2",interpolate:"monotone"},encoding:{y:{field:"band1"}}},{transform:[{calculate:"max(0, min(datum.y - ".concat(c," - ").concat(l,", ").concat(l,"))"),as:"band2"}],mark:{type:"area",clip:!0,opacity:.6,color:"#2e7bd6",interpolate:"monotone"},encoding:{y:{field:"band2"}}},{transform:[{calculate:"max(0, datum.y - ".concat(c," - ").concat(2*l,")"),as:"band3"}],mark:{type:"area",clip:!0,opacity:.9,color:"#1a5bb8",interpolate:"monotone"},encoding:{y:{field:"band3"}}},{transform:[{calculate:"max(0, min(".concat(c," - datum.y, ").concat(l,"))"),as:"nband1"}],mark:{type:"area",clip:!0,opacity:.3,color:"#e74c3c",interpolate:"monotone"},encoding:{y:{field:"nband1"}}},{transform:[{calculate:"max(0, min(".concat(c," - datum.y - ").concat(l,", ").concat(l,"))"),as:"nband2"}],mark:{type:"area",clip:!0,opacity:.6,color:"#c0392b",interpolate:"monotone"},encoding:{y:{field:"nband2"}}},{transform:[{calculate:"max(0, ".concat(c," - datum.y - ").concat(2*l,")"),as:"nband3"}],mark:{type:"area",clip:!0,opacity:.9,color:"#a93226",interpolate:"monotone"},encoding:{y:{field:"nband3"}}}]}}},dumbbell:{label:"Dumbbell",columns:{min:3,message:"Dumbbell chart requires 3 columns: Category, Value 1, Value 2"},build:function(e,t){var a=ue(e,t),n=[];a.forEach(function(t){var a=t[e[0]],o=t[e[1]],r=t[e[2]];n.push({category:a,period:e[1],value:o}),n.push({category:a,period:e[2],value:r})});var o,r,i,l=re(new Set(a.map(function(t){return t[e[0]]}))).length;return l<=3?(o=Math.max(200,80*l),r=.3,i=.2):l<=6?(o=Math.max(300,60*l),r=.2,i=.1):(o=Math.max(400,Math.min(600,50*l)),r=.1,i=.05),se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Dumbbell chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},width:500,height:o,data:{values:n},encoding:{x:{field:"value",type:"quantitative",title:null,scale:{zero:!1},axis:{labelFontSize:12,labelColor:"#605e5c",grid:!0,gridColor:"#f3f2f1",labelAlign:"center"}},y:{field:"category",type:"nominal",title:null,scale:{paddingInner:r,paddingOuter:i},axis:{offset:5,ticks:!1,minExtent:70,domain:!1,labelFontSize:12,labelColor:"#605e5c"}}},layer:[{mark:"line",encoding:{detail:{field:"category",type:"nominal"},color:{value:"#d1d5db"}}},{mark:{type:"point",filled:!0,tooltip:!0},encoding:{color:{field:"period",type:"ordinal",scale:{domain:[e[1],e[2]],range:["#87ceeb","#1e3a8a"]},title:"Measure",legend:{titleFontSize:12,labelFontSize:11,titleColor:"#323130",labelColor:"#605e5c"}},size:{value:100},opacity:{value:1},tooltip:[{field:"category",type:"nominal",title:"Category"},{field:"period",type:"nominal",title:"Measure"},{field:"value",type:"quantitative",title:"Value",format:",.1f"}]}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},slope:{label:"Slope",columns:{min:3,message:"Slope chart requires 3 columns (Time Period, Category, Value)"},mapping:["x","color","y"],build:function(e,t){var a=ue(e,t),n=re(new Set(a.map(function(t){return t[e[0]]}))),o=re(new Set(a.map(function(t){return t[e[1]]}))),r=n[0],i=n[n.length-1],l=a.filter(function(t){return t[e[0]]===r||t[e[0]]===i}),c=l.map(function(t){return t[e[2]]}).every(function(e){return e>=-1&&e<=1})?".1%":",.0f";return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Slope chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},autosize:{type:"fit",contains:"padding"}},width:500,height:Math.max(300,Math.min(600,40*o.length)),data:{values:l},encoding:{x:{field:e[0],type:"ordinal",axis:{title:null,labelFontSize:14,labelFontWeight:"bold",labelPadding:10,domain:!1,ticks:!1,labelColor:"#323130"},scale:{padding:.1}},y:{field:e[2],type:"quantitative",axis:null,scale:{zero:!1}},color:{field:e[1],type:"nominal",legend:null,scale:{scheme:"category10"}}},layer:[{mark:{type:"rule",strokeDash:[2,2],opacity:.3},data:{values:[{}]},encoding:{x:{datum:r},x2:{datum:i},y:{value:0},color:{value:"#e0e0e0"}}},{mark:{type:"line",strokeWidth:2,opacity:.7,tooltip:!0},encoding:{detail:{field:e[1],type:"nominal"},tooltip:[{field:e[1],type:"nominal",title:"Category"},{field:e[0],type:"nominal",title:"Period"},{field:e[2],type:"quantitative",title:"Value",format:c}]}},{mark:{type:"circle",size:100,opacity:1,tooltip:!0}},{transform:[{filter:"datum['".concat(e[0],"'] == '").concat(r,"'")}],mark:{type:"text",align:"right",baseline:"middle",dx:-8,fontSize:11,fontWeight:"normal"},encoding:{text:{field:e[2],type:"quantitative",format:c}}},{transform:[{filter:"datum['".concat(e[0],"'] == '").concat(r,"'")},{window:[{op:"rank",as:"rank"}],sort:[{field:e[2],order:"descending"}]},{filter:"datum.rank <= 3"}],mark:{type:"text",align:"right",baseline:"bottom",dx:-8,dy:-12,fontSize:10,fontWeight:"bold",fontStyle:"italic"},encoding:{text:{field:e[1],type:"nominal"}}},{transform:[{filter:"datum['".concat(e[0],"'] == '").concat(i,"'")}],mark:{type:"text",align:"left",baseline:"middle",dx:8,fontSize:11,fontWeight:"normal"},encoding:{text:{field:e[2],type:"quantitative",format:c}}},{transform:[{filter:"datum['".concat(e[0],"'] == '").concat(i,"'")}],mark:{type:"text",align:"left",baseline:"middle",dx:35,fontSize:10,fontWeight:"bold"},encoding:{text:{field:e[1],type:"nominal"}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:11,fill:"#605E5C"},axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},mekko:{label:"Mekko",columns:{min:3,message:"Mekko chart requires 3 columns (Category, Subcategory, Value)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Mekko chart from Excel selection",width:800,height:500,background:"white",config:{view:{stroke:"transparent"}},view:{stroke:null},padding:{top:60,bottom:80,left:60,right:60},data:[{name:"table",values:ue(e,t)},{name:"categories",source:"table",transform:[{type:"aggregate",fields:[e[2]],ops:["sum"],as:["categoryTotal"],groupby:[e[0]]},{type:"stack",offset:"normalize",sort:{field:"categoryTotal",order:"descending"},field:"categoryTotal",as:["x0","x1"]},{type:"formula",as:"Percent",expr:"datum.x1-datum.x0"},{type:"formula",as:"Label",expr:"datum.".concat(e[0]," + ' (' + format(datum.Percent,'.1%') + ')'")}]},{name:"finalTable",source:"table",transform:[{type:"stack",offset:"normalize",groupby:[e[0]],sort:{field:e[2],order:"descending"},field:e[2],as:["y0","y1"]},{type:"stack",groupby:[e[0]],sort:{field:e[2],order:"descending"},field:e[2],as:["z0","z1"]},{type:"lookup",from:"categories",key:e[0],values:["x0","x1"],fields:[e[0]]},{type:"formula",as:"Percent",expr:"datum.y1-datum.y0"},{type:"formula",as:"Label",expr:"[datum.".concat(e[1],", format(datum.").concat(e[2],", '.0f') + ' (' + format(datum.Percent, '.1%') + ')']")},{type:"window",sort:{field:"y0",order:"ascending"},ops:["row_number"],fields:[null],as:["rank"],groupby:[e[0]]}]}],scales:[{name:"x",type:"linear",range:"width",domain:{data:"finalTable",field:"x1"}},{name:"y",type:"linear",range:"height",nice:!1,zero:!0,domain:{data:"finalTable",field:"z1"}},{name:"opacity",type:"linear",range:[1,.6],domain:{data:"finalTable",field:"rank"}},{name:"color",type:"ordinal",range:{scheme:"category20"},domain:{data:"categories",field:e[0],sort:{field:"x0",order:"ascending",op:"sum"}}}],axes:[{orient:"left",scale:"y",zindex:1,format:"",tickCount:5,tickSize:15,labelColor:{value:"#333740"},labelFontWeight:{value:"normal"},labelFontSize:{value:12},labelFont:{value:"Segoe UI"},offset:5,domain:!1,encode:{labels:{update:{text:{signal:"format(datum.value, '.0f')"}}}}}],marks:[{type:"rect",name:"bars",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"x0"},x2:{scale:"x",field:"x1"},y:{scale:"y",field:"z0"},y2:{scale:"y",field:"z1"},fill:{scale:"color",field:e[0]},stroke:{value:"white"},strokeWidth:{value:1},fillOpacity:{scale:"opacity",field:"rank"},tooltip:{signal:"datum"}}}},{type:"text",name:"labels",interactive:!1,from:{data:"bars"},encode:{update:{x:{signal:"(datum.x2 - datum.x)*0.5 + datum.x"},align:{value:"center"},text:{field:"datum.Label"},y:{signal:"(datum.y2 - datum.y)*0.5 + datum.y"},fill:{value:"white"},font:{value:"Segoe UI"},lineHeight:{value:12},fontSize:{value:10},opacity:{signal:"(datum.x2 - datum.x) > 0.05 && (datum.y2 - datum.y) > 20 ? 1 : 0"}}}},{type:"text",name:"categoryLabels",from:{data:"categories"},encode:{update:{x:{scale:"x",signal:"(datum.x1-datum.x0)/2 + datum.x0"},y:{signal:"-15"},text:{field:e[0]},align:{value:"center"},baseline:{value:"bottom"},fill:{value:"#333740"},fontWeight:{value:"bold"},fontSize:{value:12},font:{value:"Segoe UI"}}}},{type:"text",name:"categoryPercentages",from:{data:"categories"},encode:{update:{x:{scale:"x",signal:"(datum.x1-datum.x0)/2 + datum.x0"},y:{signal:"height + 30"},text:{field:"Label"},align:{value:"center"},baseline:{value:"top"},fill:{value:"#666666"},fontWeight:{value:"normal"},fontSize:{value:10},font:{value:"Segoe UI"}}}}]}}},marimekko:{label:"Marimekko",columns:{min:3,message:"Marimekko chart requires at least 3 columns: Category, Subcategory, Value"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Marimekko Chart from Excel selection",width:600,height:400,background:"white",config:{view:{stroke:"transparent"}},padding:{top:30,bottom:60,left:60,right:60},data:[{name:"table",values:ue(e,t),transform:[{type:"formula",as:"Category",expr:"datum['".concat(e[0],"']")},{type:"formula",as:"Subcategory",expr:"datum['".concat(e[1],"']")},{type:"formula",as:"Value",expr:"datum['".concat(e[2],"']")}]},{name:"categories",source:"table",transform:[{type:"aggregate",fields:["Value"],ops:["sum"],as:["categoryTotal"],groupby:["Category"]},{type:"stack",offset:"normalize",sort:{field:"categoryTotal",order:"descending"},field:"categoryTotal",as:["x0","x1"]},{type:"formula",as:"Percent",expr:"datum.x1 - datum.x0"}]},{name:"finalTable",source:"table",transform:[{type:"stack",offset:"normalize",groupby:["Category"],sort:{field:"Value",order:"descending"},field:"Value",as:["y0","y1"]},{type:"lookup",from:"categories",key:"Category",values:["x0","x1"],fields:["Category"]},{type:"formula",as:"Percent",expr:"datum.y1 - datum.y0"}]}],scales:[{name:"x",type:"linear",range:"width",domain:{data:"finalTable",field:"x1"}},{name:"y",type:"linear",range:"height",nice:!1,zero:!0,domain:{data:"finalTable",field:"y1"}},{name:"color",type:"ordinal",range:{scheme:"category10"},domain:{data:"categories",field:"Category",sort:{field:"x0",order:"ascending",op:"sum"}}}],axes:[{orient:"left",scale:"y",format:"%",tickCount:5,labelColor:"#333333",labelFontSize:11,domain:!1},{orient:"bottom",scale:"x",format:"%",tickCount:5,labelColor:"#333333",labelFontSize:11,domain:!1}],marks:[{type:"rect",name:"bars",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"x0"},x2:{scale:"x",field:"x1"},y:{scale:"y",field:"y0"},y2:{scale:"y",field:"y1"},fill:{scale:"color",field:"Category"},stroke:{value:"white"},strokeWidth:{value:1},opacity:{value:.8},tooltip:{signal:"{'Category': datum.Category, 'Subcategory': datum.Subcategory, 'Value': datum.Value, 'Percentage': format(datum.Percent, '.1%')}"}},hover:{opacity:{value:1}}}},{type:"text",name:"valueLabels",from:{data:"finalTable"},encode:{update:{x:{scale:"x",signal:"(datum.x1 - datum.x0)/2 + datum.x0"},y:{scale:"y",signal:"(datum.y1 - datum.y0)/2 + datum.y0"},text:{signal:"datum.Percent > 0.027 ? [datum.Subcategory, format(datum.Value, ',.0f') + ' (' + format(datum.Percent, '.0%') + ')'] : []"},align:{value:"center"},baseline:{value:"middle"},fill:{value:"white"},fontSize:{value:10},fontWeight:{value:"normal"},font:{value:"Segoe UI"},lineHeight:{value:12},opacity:{signal:"datum.Percent > 0.027 ? 1 : 0"}}}}]}}},bump:{label:"Bump",columns:{min:3,message:"Bump chart requires 3 columns: Time periods, Categories, Rank values"},mapping:["x","color","y"],build:function(e,t){var a=ue(e,t),n=re(new Set(a.map(function(t){return t[e[0]]})));return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bump chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a},width:Math.max(400,80*n.length),height:200,autosize:{type:"fit",contains:"padding"},padding:{left:10,right:10,top:5,bottom:5},encoding:{x:{field:e[0],type:"nominal",axis:{title:""},scale:{type:"point",padding:.2}},y:{field:e[2],type:"ordinal",axis:!1}},layer:[{mark:{type:"line",interpolate:"monotone"},encoding:{color:{field:e[1],type:"nominal",legend:!1}}},{mark:{type:"circle",size:400,tooltip:!0},encoding:{color:{field:e[1],type:"nominal",legend:!1}}},{mark:{type:"text",color:"white"},encoding:{text:{field:e[2]}}},{transform:[{window:[{op:"rank",as:"rank"}],sort:[{field:e[0],order:"descending"}]},{filter:"datum.rank === 1"}],mark:{type:"text",align:"left",baseline:"middle",dx:15,fontWeight:"bold",fontSize:12},encoding:{text:{field:e[1],type:"nominal"},color:{field:e[1],type:"nominal",legend:!1}}},{transform:[{window:[{op:"rank",as:"rank"}],sort:[{field:e[0],order:"ascending"}]},{filter:"datum.rank === 1"}],mark:{type:"text",align:"right",baseline:"middle",dx:-15,fontWeight:"bold",fontSize:12},encoding:{text:{field:e[1],type:"nominal"},color:{field:e[1],type:"nominal",legend:!1}}}]},"config",{view:{stroke:"transparent"},line:{strokeWidth:3,strokeCap:"round",strokeJoin:"round"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#666666",labelFontSize:12}})}},waffle:{label:"Waffle",columns:{min:2,message:"Waffle chart requires 2 columns: Category names, Values"},build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Waffle chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ue(e,t)},transform:[{joinaggregate:[{op:"sum",field:e[1],as:"TotalValue"}]},{calculate:"round(datum.".concat(e[1],"/datum.TotalValue * 100)"),as:"PercentOfTotal"},{aggregate:[{op:"min",field:"PercentOfTotal",as:"Percent"}],groupby:[e[0]]},{calculate:"sequence(1,101)",as:"Sequence"},{flatten:["Sequence"]},{calculate:"if(datum.Sequence <= datum.Percent, datum.".concat(e[0],",'_blank')"),as:"Plot"},{calculate:"ceil (datum.Sequence / 10)",as:"row"},{calculate:"datum.Sequence - datum.row * 10",as:"col"}],facet:{column:{field:e[0],header:{labelOrient:"bottom"}}},spec:{layer:[{mark:{type:"circle",filled:!0,tooltip:!0,stroke:"#9e9b9b",strokeWidth:.7},encoding:{x:{field:"col",type:"ordinal",axis:null},y:{field:"row",type:"ordinal",axis:null,sort:"-y"},color:{condition:{test:"datum.Plot == '_blank'",value:"#e6e3e3"},scale:{scheme:"set1"},field:"Plot",type:"nominal",legend:null},size:{value:241},tooltip:[{field:e[0],type:"nominal"}]}},{mark:{type:"text",fontSize:30,fontWeight:"bold"},encoding:{y:{value:30},text:{condition:{test:"datum.Sequence == 1",value:{expr:"datum.Percent + '%'"}}},color:{scale:{scheme:"set1"},field:"Plot"}}}]}},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12},header:{titleFont:"Segoe UI",titleFontSize:16,titleColor:"#757575",labelFont:"Segoe UI",labelFontSize:13,labelColor:"#605E5C"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:13,labelColor:"#605E5C",symbolType:"circle",symbolSize:75}})}},lollipop:{label:"Lollipop",columns:{min:2,message:"Lollipop chart requires 2 columns: Category names, Values"},mapping:["y","x"],build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Lollipop chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ue(e,t)},encoding:{y:{field:e[0],type:"nominal",sort:"-x",axis:{domain:!1,title:null,ticks:!1,labelFont:"Segoe UI",labelFontSize:14,labelPadding:10,labelColor:"#605e5c"}},x:{field:e[1],type:"quantitative",axis:{domain:!1,ticks:!1,grid:!0,gridColor:"#e0e0e0",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605e5c",title:e[1],titleFont:"Segoe UI",titleFontSize:14,titleColor:"#323130"}},color:{value:"#0078d4"}},layer:[{mark:{type:"rule",tooltip:!0,strokeWidth:3,opacity:.7}},{mark:{type:"circle",tooltip:!0,size:300,opacity:.9},encoding:{size:{field:e[1],type:"quantitative",scale:{range:[200,800]},legend:null}}}]},"config",{autosize:{type:"fit",contains:"padding"},view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"}})}},violin:{label:"Violin",columns:{min:2,message:"Violin chart requires 2 columns: Categories/Groups, Continuous values"},mapping:["color","y"],build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v5.20.1.json",description:"Violin chart from Excel selection",background:"white",config:{view:{continuousWidth:300,continuousHeight:300,stroke:null},facet:{spacing:0}},data:{values:ue(e,t)},mark:{type:"area",orient:"horizontal"},encoding:{color:{field:e[0],type:"nominal"},column:{field:e[0],header:{labelOrient:"bottom",labelPadding:0,titleOrient:"bottom"},type:"nominal"},x:{axis:{grid:!1,labels:!1,ticks:!0,values:[0]},field:"density",impute:null,stack:"center",title:null,type:"quantitative"},y:{field:e[1],type:"quantitative"}},transform:[{density:e[1],groupby:[e[0]],as:[e[1],"density"]}],width:100}}},gantt:{label:"Gantt",columns:{min:6,message:"Gantt chart requires 6 columns (Parent ID, Task ID, Task Name, Start Date, End Date, Progress)"},optional:[0,2,5,6],dates:[3,4],build:function(e,t){var a=t.map(function(e){var t=e[0]||null,a=e[1],n=e[2]||"Task ".concat(a);if(!a)return null;var o=d(e[3]),r=d(e[4]);if(!(o instanceof Date)||isNaN(o)||!(r instanceof Date)||isNaN(r))return null;var i=0;return e[5]&&(i="string"==typeof e[5]&&e[5].includes("%")?parseFloat(e[5])/100:e[5]>1?e[5]/100:e[5]),{id:a,parentId:t,name:n,startDate:o,endDate:r,progress:i,dependencies:e[6]?String(e[6]).split(",").map(function(e){return e.trim()}):[]}}).filter(Boolean);a.forEach(function(e){var t=e.endDate-e.startDate;e.progressEnd=new Date(e.startDate.getTime()+t*e.progress)});var n=new Map;a.forEach(function(e){n.has(e.parentId)||n.set(e.parentId,[]),n.get(e.parentId).push(e)});var o,r=ie(n.entries());try{for(r.s();!(o=r.n()).done;){var i=ae(o.value,2);i[0],i[1].sort(function(e,t){return e.startDate-t.startDate})}}catch(e){r.e(e)}finally{r.f()}var l=function e(){var t,a=arguments.length>0&&void 0!==arguments[0]?arguments[0]:null,o=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,r=[],i=ie(n.get(a)||[]);try{for(i.s();!(t=i.n()).done;){var l=t.value;l.level=o,r.push(l),r.push.apply(r,re(e(l.id,o+1)))}}catch(e){i.e(e)}finally{i.f()}return r}(null);return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Gantt Chart from Excel Data",width:800,height:Math.max(300,30*l.length),data:{values:l},layer:[{mark:{type:"bar",opacity:.3,height:20},encoding:{y:{field:"name",type:"nominal",axis:{title:null,labelFontSize:11},sort:null},x:{field:"startDate",type:"temporal",axis:{title:"Timeline",format:"%b %d",labelAngle:-45}},x2:{field:"endDate",type:"temporal"},color:{field:"level",type:"ordinal",scale:{scheme:"category10"},legend:{title:"Level"}},tooltip:[{field:"name",type:"nominal",title:"Task"},{field:"startDate",type:"temporal",title:"Start",format:"%Y-%m-%d"},{field:"endDate",type:"temporal",title:"End",format:"%Y-%m-%d"},{field:"progress",type:"quantitative",title:"Progress",format:".0%"}]}},{mark:{type:"bar",opacity:.8,height:20},encoding:{y:{field:"name",type:"nominal",sort:null},x:{field:"startDate",type:"temporal"},x2:{field:"progressEnd",type:"temporal"},color:{field:"level",type:"ordinal",scale:{scheme:"category10"}}}},{mark:{type:"text",align:"left",baseline:"middle",dx:5,fontSize:10},encoding:{y:{field:"name",type:"nominal",sort:null},x:{field:"endDate",type:"temporal"},text:{field:"progress",type:"quantitative",format:".0%"},color:{value:"#666"}}},{mark:{type:"rule",strokeDash:[4,4],opacity:.5},data:{values:[{date:(new Date).toISOString()}]},encoding:{x:{field:"date",type:"temporal"},color:{value:"red"},size:{value:1}}}],config:{view:{stroke:null},axis:{grid:!0,gridColor:"#f0f0f0"}}}}},sankey:{label:"Sankey",columns:{min:3,message:"Sankey chart requires 3 columns (Source, Target, Value)"},build:function(e,t){var a=t.filter(function(e){return e[0]&&e[1]&&!isNaN(+e[2])}).map(function(e){return{source:String(e[0]).trim(),destination:String(e[1]).trim(),value:+e[2]}});if(0===a.length)throw new Error("No valid data found for Sankey chart");var n=function(e){var t=new Map,a=new Map,n=new Map,o=new Set;e.forEach(function(e){o.add(e.source),o.add(e.destination),n.has(e.source)||n.set(e.source,[]),n.get(e.source).push(e.destination),a.set(e.destination,(a.get(e.destination)||0)+1)});var r=[];if(o.forEach(function(e){a.has(e)&&0!==a.get(e)||(r.push(e),t.set(e,0))}),0===r.length&&o.size>0){var i=Array.from(o)[0];r.push(i),t.set(i,0)}for(var l=new Set,c=function(){var e=r.shift();if(l.has(e))return 1;l.add(e);var a=t.get(e)||0;(n.get(e)||[]).forEach(function(e){var n=a+1,o=t.get(e);(void 0===o||n>o)&&t.set(e,n),l.has(e)||r.push(e)})};r.length>0;)c();return o.forEach(function(e){t.has(e)||t.set(e,0)}),t}(a),o=new Set;a.forEach(function(e){o.add(e.source),o.add(e.destination)});var r=[],i=new Map,l=new Map;return o.forEach(function(e){var t=n.get(e);l.has(t)||l.set(t,[]),l.get(t).push(e)}),Array.from(l.keys()).sort(function(e,t){return e-t}).forEach(function(e,t){var a=l.get(e);a.sort(),a.forEach(function(e,a){var n=t+1;i.set(e,n),r.push({category:e,stack:n,sort:a+1,labels:0===t?"left":null})})}),{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Sankey diagram",width:800,height:600,padding:{bottom:20,left:80,right:80,top:40},background:"white",signals:[{name:"standardGap",value:14,description:"Gap as a percentage of full domain"},{name:"base",value:"center",description:"How to stack (center or zero)"}],data:[{name:"input",values:[].concat(r,re(a))},{name:"stacks",source:"input",transform:[{type:"filter",expr:"datum.source != null"},{type:"formula",as:"end",expr:"['source','destination']"},{type:"formula",as:"name",expr:"[datum.source, datum.destination]"},{type:"project",fields:["end","name","value"]},{type:"flatten",fields:["end","name"]},{type:"lookup",from:"input",key:"category",values:["stack","sort","gap","labels"],fields:["name"],as:["stack","sort","gap","labels"]},{type:"aggregate",fields:["value","stack","sort","gap","labels"],groupby:["end","name"],ops:["sum","max","max","max","max"],as:["value","stack","sort","gap","labels"]},{type:"aggregate",fields:["value","stack","sort","gap","labels"],groupby:["name"],ops:["max","max","max","max","max"],as:["value","stack","sort","gap","labels"]},{type:"formula",as:"gap",expr:"datum.gap ? datum.gap : 0"}]},{name:"maxValue",source:["stacks"],transform:[{type:"aggregate",fields:["value"],groupby:["stack"],ops:["sum"],as:["value"]},{type:"aggregate",fields:["value"],ops:["max"],as:["value"]}]},{name:"plottedStacks",source:["stacks"],transform:[{type:"formula",as:"spacer",expr:"(data('maxValue')[0].value/100)*(standardGap+datum.gap)"},{type:"formula",as:"type",expr:"['data','spacer']"},{type:"formula",as:"spacedValue",expr:"[datum.value, datum.spacer]"},{type:"flatten",fields:["type","spacedValue"]},{type:"stack",groupby:["stack"],sort:{field:"sort",order:"descending"},field:"spacedValue",offset:{signal:"base"}},{type:"formula",expr:"((datum.value)/2)+datum.y0",as:"yc"}]},{name:"finalTable",source:["plottedStacks"],transform:[{type:"filter",expr:"datum.type == 'data'"}]},{name:"linkTable",source:["input"],transform:[{type:"filter",expr:"datum.source != null"},{type:"lookup",from:"finalTable",key:"name",values:["y0","y1","stack","sort"],fields:["source"],as:["sourceStacky0","sourceStacky1","sourceStack","sourceSort"]},{type:"lookup",from:"finalTable",key:"name",values:["y0","y1","stack","sort"],fields:["destination"],as:["destinationStacky0","destinationStacky1","destinationStack","destinationSort"]},{type:"stack",groupby:["source"],sort:{field:"destinationSort",order:"descending"},field:"value",offset:"zero",as:["syi0","syi1"]},{type:"formula",expr:"datum.syi0+datum.sourceStacky0",as:"sy0"},{type:"formula",expr:"datum.sy0+datum.value",as:"sy1"},{type:"stack",groupby:["destination"],sort:{field:"sourceSort",order:"descending"},field:"value",offset:"zero",as:["dyi0","dyi1"]},{type:"formula",expr:"datum.dyi0+datum.destinationStacky0",as:"dy0"},{type:"formula",expr:"datum.dy0+datum.value",as:"dy1"},{type:"formula",expr:"((datum.value)/2)+datum.sy0",as:"syc"},{type:"formula",expr:"((datum.value)/2)+datum.dy0",as:"dyc"},{type:"linkpath",orient:"horizontal",shape:"diagonal",sourceY:{expr:"scale('y', datum.syc)"},sourceX:{expr:"scale('x', toNumber(datum.sourceStack)) + bandwidth('x')"},targetY:{expr:"scale('y', datum.dyc)"},targetX:{expr:"scale('x', datum.destinationStack)"}},{type:"formula",expr:"range('y')[0]-scale('y', datum.value)",as:"strokeWidth"}]}],scales:[{name:"x",type:"band",range:"width",domain:{data:"finalTable",field:"stack"},paddingInner:.88},{name:"y",type:"linear",range:"height",domain:{data:"finalTable",field:"y1"},reverse:!1},{name:"color",type:"ordinal",range:["#1f77b4","#ff7f0e","#2ca02c","#d62728","#9467bd","#8c564b","#e377c2","#7f7f7f","#bcbd22","#17becf","#aec7e8","#ffbb78","#98df8a","#ff9896","#c5b0d5","#c49c94","#f7b6d2","#c7c7c7","#dbdb8d","#9edae5"],domain:{data:"stacks",field:"name"}}],marks:[{type:"rect",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"stack"},width:{scale:"x",band:1},y:{scale:"y",field:"y0"},y2:{scale:"y",field:"y1"},fill:{scale:"color",field:"name"},fillOpacity:{value:.75},strokeWidth:{value:0},stroke:{scale:"color",field:"name"}},hover:{tooltip:{signal:"{'Name': datum.name, 'Value': format(datum.value, ',.2f')}"},fillOpacity:{value:1}}}},{type:"path",name:"links",from:{data:"linkTable"},clip:!0,encode:{update:{strokeWidth:{field:"strokeWidth"},path:{field:"path"},strokeOpacity:{signal:"0.3"},stroke:{field:"destination",scale:"color"}},hover:{strokeOpacity:{value:.8},tooltip:{signal:"{'Source': datum.source, 'Destination': datum.destination, 'Value': format(datum.value, ',.2f')}"}}}},{type:"group",name:"labelText",zindex:1,from:{facet:{data:"finalTable",name:"labelFacet",groupby:["name","stack","yc","value","labels"]}},clip:!1,encode:{update:{x:{signal:"datum.labels=='left' ? scale('x', datum.stack)-8 : scale('x', datum.stack) + bandwidth('x') + 8"},yc:{scale:"y",signal:"datum.yc"},width:{signal:"0"},height:{signal:"0"}}},marks:[{type:"text",name:"heading",from:{data:"labelFacet"},encode:{update:{x:{value:0},y:{value:-2},text:{field:"name"},align:{signal:"datum.labels=='left' ? 'right' : 'left'"},fontWeight:{value:"bold"},fontSize:{value:11}}}},{type:"text",name:"amount",from:{data:"labelFacet"},encode:{update:{x:{value:0},y:{value:12},text:{signal:"format(datum.value, ',.0f')"},align:{signal:"datum.labels=='left' ? 'right' : 'left'"},fontSize:{value:10}}}}]},{type:"rect",from:{data:"labelText"},encode:{update:{x:{field:"bounds.x1",offset:-2},x2:{field:"bounds.x2",offset:2},y:{field:"bounds.y1",offset:-2},y2:{field:"bounds.y2",offset:2},fill:{value:"white"},opacity:{value:.8},cornerRadius:{value:4}}}}],config:{view:{stroke:"transparent"},text:{fontSize:11,fill:"#333333"}}}}},ridgeline:{label:"Ridgeline",columns:{min:3,message:"Ridgeline chart requires 3 columns (Time/X-axis, Categories, Values)"},build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Ridgeline (Joyplot) chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ue(e,t)},mark:{type:"area",fillOpacity:.7,strokeOpacity:1,strokeWidth:1,interpolate:"monotone"},width:400,height:20,encoding:{x:{field:e[0],type:"ordinal",title:e[0]},y:{aggregate:"sum",field:e[2],type:"quantitative",scale:{range:[20,-40]},axis:{title:null,values:[0],domain:!1,labels:!1,ticks:!1}},row:{field:e[1],type:"nominal",title:e[1],header:{title:null,labelAngle:0,labelOrient:"left",labelAlign:"left",labelPadding:0},sort:{field:e[0],op:"max",order:"ascending"}},fill:{field:e[1],type:"nominal",legend:null,scale:{scheme:"plasma"}}},resolve:{scale:{y:"independent"}}},"config",{view:{stroke:"transparent"},facet:{spacing:20},header:{labelFontSize:12,labelFontWeight:500,labelAngle:0,labelAnchor:"end",labelOrient:"top",labelPadding:-19},axis:{domain:!1,grid:!1,ticks:!1,tickCount:5,labelFontSize:12,titleFontSize:12,titleFontWeight:400,titleColor:"#605E5C"}})}},variance:{label:"Variance",columns:{min:3,message:"Variance chart requires 3 columns (Business Unit, First Metric, Second Metric)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",data:{values:ue(e,t)},transform:[{aggregate:[{op:"sum",field:e[1],as:e[1]},{op:"sum",field:e[2],as:e[2]}],groupby:[e[0]]},{calculate:"datum['".concat(e[1],"'] - datum['").concat(e[2],"']"),as:"Variance Absolute"},{calculate:"datum['".concat(e[2],"'] === 0 ? 0 : datum['").concat(e[1],"']/datum['").concat(e[2],"']-1"),as:"Variance Percent"}],hconcat:[{width:350,height:{step:50},view:{stroke:"transparent"},encoding:{color:{type:"nominal",scale:{domain:[e[1],e[2]],range:["#404040","silver"]},legend:{title:null,orient:"top"}},y:{field:e[0],type:"nominal",sort:null,axis:{domain:!1,offset:0,ticks:!1,title:"",labelPadding:35}},x:{type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:12,height:{band:.5}},encoding:{x:{field:e[2]},color:{datum:e[2]}}},{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:0,height:{band:.5}},encoding:{x:{field:e[1]},color:{datum:e[1]}}},{mark:{type:"text",align:{expr:"datum['".concat(e[1],"'] < 0 ? 'right' : 'left'")},dx:{expr:"datum['".concat(e[1],"'] < 0 ? -5 : 5")},color:"black",fontSize:11},encoding:{x:{field:e[1],type:"quantitative"},text:{field:e[1],type:"quantitative",format:","}}}]},{width:150,height:{step:50},view:{stroke:"transparent"},encoding:{y:{field:e[0],type:"nominal",sort:null,axis:null},x:{field:"Variance Absolute",type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridWidth:1,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:0,height:{band:.5}},encoding:{fill:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"text",align:{expr:"datum['Variance Absolute'] < 0 ? 'right' : 'left'"},dx:{expr:"datum['Variance Absolute'] < 0 ? -5 : 5"}},encoding:{text:{field:"Variance Absolute",type:"quantitative",format:"+,"}}}]},{width:150,height:{step:50},view:{stroke:"transparent"},transform:[{calculate:"datum['".concat(e[2],"'] === 0 ? 'n/m' : format(datum['Variance Percent'], '+.1%')"),as:"PercentDisplay"}],encoding:{y:{field:e[0],type:"nominal",sort:null,axis:null},x:{field:"Variance Percent",type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"rule",tooltip:!0},encoding:{strokeWidth:{value:2},stroke:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"circle",tooltip:!0},encoding:{size:{value:100},color:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"text",align:{expr:"datum['Variance Absolute'] < 0 ? 'right' : 'left'"},dx:{expr:"datum['Variance Absolute'] < 0 ? -10 : 10"}},encoding:{text:{field:"PercentDisplay",type:"nominal"}}}]}],config:{view:{stroke:"transparent"},padding:{left:5,top:20,right:5,bottom:5},font:"Segoe UI",axis:{labelFontSize:12,labelPadding:10,offset:5,labelFont:"Segoe UI",labelColor:"#252423"},text:{fontSize:12,font:"Segoe UI",color:"#605E5C"},concat:{spacing:50},legend:{labelFontSize:12,labelFont:"Segoe UI",labelColor:"#605E5C"}}}}},deviation:{label:"Deviation",columns:{min:3,message:"Deviation chart requires 3 columns (Date/Period, Actual Values, Target/Baseline Values)"},build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Deviation chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ue(e,t)},layer:[{mark:{type:"line",tooltip:!0,color:"grey"},encoding:{x:{field:e[0],type:"ordinal"},y:{field:e[1],type:"quantitative"}}},{mark:{type:"circle",size:80,color:"grey",tooltip:!0},encoding:{x:{field:e[0],type:"ordinal"},y:{field:e[1],type:"quantitative"}}},{mark:{type:"rule",strokeWidth:2,tooltip:!0},encoding:{x:{field:e[0],type:"ordinal"},y:{field:e[1],type:"quantitative"},y2:{field:e[2]},color:{condition:{test:'datum["'.concat(e[1],'"] < datum["').concat(e[2],'"]'),value:"red"},value:"green"}}},{mark:{type:"circle",size:60,tooltip:!0},encoding:{x:{field:e[0],type:"ordinal"},y:{field:e[2],type:"quantitative"},color:{condition:{test:'datum["'.concat(e[1],'"] < datum["').concat(e[2],'"]'),value:"red"},value:"green"}}}],encoding:{x:{field:e[0],type:"ordinal",axis:{title:null,labelAngle:0}},y:{type:"quantitative",axis:{title:""}}}},"config",{view:{stroke:"transparent"},line:{strokeWidth:3,strokeCap:"round",strokeJoin:"round"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12}})}},ribbon:{label:"Ribbon",columns:{min:3,message:"Ribbon chart requires 3 columns (Time periods, Categories, Values)"},mapping:["x","color","y"],build:function(e,t){var a=ue(e,t),n=re(new Set(a.map(function(t){return t[e[0]]})));return se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Ribbon chart from Excel selection",background:"white",width:Math.max(600,100*n.length),height:400,config:{view:{stroke:"transparent"}},data:{values:a},layer:[{mark:{type:"area",interpolate:"monotone",tooltip:!0,opacity:.8},encoding:{x:{field:e[0],type:"ordinal",scale:{type:"point",padding:.3},axis:{title:e[0],labelAngle:-45,labelFontSize:12,titleFontSize:14,labelPadding:10,titlePadding:20}},y:{aggregate:"sum",field:e[2],type:"quantitative",axis:{title:e[2],labelFontSize:12,titleFontSize:14,grid:!0,gridOpacity:.3},stack:"center"},color:{field:e[1],type:"nominal",legend:{title:e[1],titleFontSize:12,labelFontSize:11,orient:"right"}},order:{aggregate:"sum",field:e[2],type:"quantitative"}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",axis:{ticks:!1,grid:!0,gridColor:"#f0f0f0",gridOpacity:.5,gridWidth:1,domain:!1,labelColor:"#605e5c",titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#323130",labelFont:"Segoe UI",labelColor:"#605e5c",symbolType:"circle",symbolSize:75}})}},heatmap_bar:{label:"Heatmap with Bars",columns:{min:3,message:"Heatmap requires 3 columns (Y-categories, X-categories, Values)"},mapping:["y","x","color"],build:function(e,t){return se({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Heatmap with marginal bars from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ue(e,t)},spacing:15,bounds:"flush",vconcat:[{height:60,mark:{type:"bar",stroke:null,cornerRadiusEnd:2,tooltip:!0,color:"lightgrey"},encoding:{x:{field:e[1],type:"ordinal",axis:null},y:{field:e[2],aggregate:"mean",type:"quantitative",axis:null}}},{spacing:15,bounds:"flush",hconcat:[{mark:{type:"rect",stroke:"white",tooltip:!0},encoding:{y:{field:e[0],type:"ordinal",title:e[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:e[1],type:"ordinal",title:e[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},color:{aggregate:"mean",field:e[2],type:"quantitative",title:e[2],scale:{scheme:"blues"},legend:{direction:"vertical",gradientLength:120}}}},{mark:{type:"bar",stroke:null,cornerRadiusEnd:2,tooltip:!0,color:"lightgrey"},width:60,encoding:{y:{field:e[0],type:"ordinal",axis:null},x:{field:e[2],type:"quantitative",aggregate:"mean",axis:null}}}]}]},"config",{autosize:{type:"fit",contains:"padding"},view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C"}})}},scatter_line:{label:"Scatter with Line",columns:{min:2,message:"Scatter plot requires at least 2 columns (X, Y values)"},mapping:["x","y"],build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Colored scatter plot with Loess regression from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}},data:{values:ue(e,t)},layer:[{mark:{type:"point",size:100,tooltip:!0},encoding:{x:{field:e[0],type:"quantitative",scale:{zero:!1},axis:{title:e[0],labelFontSize:12,titleFontSize:14}},y:{field:e[1],type:"quantitative",scale:{zero:!1},axis:{title:e[1],labelFontSize:12,titleFontSize:14}}}},{mark:{type:"line",color:"firebrick",strokeWidth:2},transform:[{loess:e[1],on:e[0]}],encoding:{x:{field:e[0],type:"quantitative"},y:{field:e[1],type:"quantitative"}}}]}}},line_rectangle:{label:"Line with Rectangles",build:function(e,t){var a=ue(e,t),n=[];a.forEach(function(t){null!==t[e[1]]&&void 0!==t[e[1]]&&""!==t[e[1]]&&n.push(se(se({},e[0],t[e[0]]),"value",t[e[1]]))});var o=[],r=null,i=null;return a.forEach(function(t,n){var l=t[e[2]],c=t[e[0]];l&&""!==l?(r!==l&&(null!==r&&null!==i&&o.push({start:i,end:a[n-1][e[0]],event:r}),r=l,i=c),n===a.length-1&&o.push({start:i,end:c,event:r})):null!==r&&null!==i&&(o.push({start:i,end:a[n-1][e[0]],event:r}),r=null,i=null)}),se({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Line chart with highlighted rectangles",background:"white",config:{view:{stroke:"transparent"}},layer:[{mark:{type:"rect",opacity:.2},data:{values:o},encoding:{x:{field:"start",type:"ordinal"},x2:{field:"end",type:"ordinal"},color:{field:"event",type:"nominal",scale:{scheme:"pastel1"},legend:{title:e[2]||"Highlights",titleFontSize:12,labelFontSize:11}}}},{mark:{type:"line",point:!1,tooltip:!0,strokeWidth:2,color:"#323130"},data:{values:n},encoding:{x:{field:e[0],type:"ordinal",axis:{title:e[0],labelFontSize:12,titleFontSize:14,labelAngle:-45,labelAlign:"right"}},y:{field:"value",type:"quantitative",axis:{title:e[1],labelFontSize:12,titleFontSize:14}}}},{mark:{type:"point",filled:!0,size:60,color:"#323130"},data:{values:n},encoding:{x:{field:e[0],type:"ordinal",axis:{title:e[0],labelFontSize:12,titleFontSize:14,labelAngle:-45,labelAlign:"right"}},y:{field:"value",type:"quantitative"}}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}}};function fe(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function me(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?fe(Object(a),!0).forEach(function(t){pe(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):fe(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function pe(e,t,a){return(t=function(e){var t=function(e){if("object"!=ye(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=ye(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==ye(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function ge(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function ye(e){return ye="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},ye(e)}function he(e){return"data".concat(e+1)}function ve(e){return e.$schema?String(e.$schema).includes("vega-lite"):!Array.isArray(e.marks)}function be(e,t){if(!Array.isArray(e)||e.length<2)throw new Error("Data range ".concat(t+1," needs a header row and at least one data row"));var a=p(e[0],e.slice(1),{gaps:!0}).rows;return ue(e[0],a)}function we(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:new Set;return Array.isArray(e)?e.forEach(function(e){return we(e,t)}):e&&"object"===ye(e)&&Object.keys(e).forEach(function(a){var n=e[a];"data"===a&&n&&"string"==typeof n.name&&t.add(n.name),"datasets"!==a&&"values"!==a&&we(n,t)}),t}function xe(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{referenced:new Set,defined:new Set},a=function(e){"string"==typeof e&&t.referenced.add(e)};return Array.isArray(e)?e.forEach(function(e){return xe(e,t)}):e&&"object"===ye(e)&&Object.keys(e).forEach(function(n){var o=e[n];o&&"object"===ye(o)?("data"===n&&Array.isArray(o)?o.forEach(function(e){e&&"object"===ye(e)&&("string"==typeof e.name&&t.defined.add(e.name),[].concat(e.source||[]).forEach(a))}):"from"===n?(a(o.data),o.facet&&"object"===ye(o.facet)&&(a(o.facet.data),"string"==typeof o.facet.name&&t.defined.add(o.facet.name))):"domain"!==n&&"range"!==n||(a(o.data),[].concat(o.fields||[]).forEach(function(e){return e&&a(e.data)})),"values"!==n&&"events"!==n&&xe(o,t)):"from"===n&&"lookup"===e.type&&a(o)}),t}function ke(e){var t,a,n;if(ve(e))t=we(e),a=Object.keys(e.datasets||{});else{var o=xe(e);t=o.referenced,n=o.defined,a=function(e){if(Array.isArray(e))return ge(e)}(n)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(n)||function(e,t){if(e){if("string"==typeof e)return ge(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?ge(e,t):void 0}}(n)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}t.forEach(function(e){if(!a.includes(e)){var t=a.length>0?" (available: ".concat(a.join(", "),")"):"";throw new Error('Unknown dataset "'.concat(e,'"').concat(t))}})}function Se(e){return Se="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Se(e)}function Ce(){var e,t,a="function"==typeof Symbol?Symbol:{},n=a.iterator||"@@iterator",o=a.toStringTag||"@@toStringTag";function r(a,n,o,r){var c=n&&n.prototype instanceof l?n:l,s=Object.create(c.prototype);return Oe(s,"_invoke",function(a,n,o){var r,l,c,s=0,u=o||[],d=!1,f={p:0,n:0,v:e,a:m,f:m.bind(e,4),d:function(t,a){return r=t,l=0,c=e,f.n=a,i}};function m(a,n){for(l=a,c=n,t=0;!d&&s&&!o&&t<u.length;t++){var o,r=u[t],m=f.p,p=r[2];a>3?(o=p===n)&&(c=r[(l=r[4])?5:(l=3,3)],r[4]=r[5]=e):r[0]<=m&&((o=a<2&&m<r[1])?(l=0,f.v=n,f.n=r[1]):m<p&&(o=a<3||r[0]>n||n>p)&&(r[4]=a,r[5]=n,f.n=p,l=0))}if(o||a>1)return i;throw d=!0,n}return function(o,u,p){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&m(u,p),l=u,c=p;(t=l<2?e:c)||!d;){r||(l?l<3?(l>1&&(f.n=-1),m(l,c)):f.n=c:f.v=c);try{if(s=2,r){if(l||(o="next"),t=r[o]){if(!(t=t.call(r,c)))throw TypeError("iterator result is not an object");if(!t.done)return t;c=t.value,l<2&&(l=0)}else 1===l&&(t=r.return)&&t.call(r),l<2&&(c=TypeError("The iterator does not provide a '"+o+"' method"),l=1);r=e}else if((t=(d=f.n<0)?c:a.call(n,f))!==i)break}catch(t){r=e,l=1,c=t}finally{s=1}}return{value:t,done:d}}}(a,o,r),!0),s}var i={};function l(){}function c(){}function s(){}t=Object.getPrototypeOf;var u=[][n]?t(t([][n]())):(Oe(t={},n,function(){return this}),t),d=s.prototype=l.prototype=Object.create(u);function f(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,s):(e.__proto__=s,Oe(e,o,"GeneratorFunction")),e.prototype=Object.create(d),e}return c.prototype=s,Oe(d,"constructor",s),Oe(s,"constructor",c),c.displayName="GeneratorFunction",Oe(s,o,"GeneratorFunction"),Oe(d),Oe(d,o,"Generator"),Oe(d,n,function(){return this}),Oe(d,"toString",function(){return"[object Generator]"}),(Ce=function(){return{w:r,m:f}})()}function Oe(e,t,a,n){var o=Object.defineProperty;try{o({},"",{})}catch(e){o=0}Oe=function(e,t,a,n){function r(t,a){Oe(e,t,function(e){return this._invoke(t,a,e)})}t?o?o(e,t,{value:a,enumerable:!n,configurable:!n,writable:!n}):e[t]=a:(r("next",0),r("throw",1),r("return",2))},Oe(e,t,a,n)}function Ee(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function Fe(e,t,a){return(t=function(e){var t=function(e){if("object"!=Se(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=Se(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==Se(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function ze(e,t,a,n,o,r,i){try{var l=e[r](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,o)}function Ae(e){return function(){var t=this,a=arguments;return new Promise(function(n,o){var r=e.apply(t,a);function i(e){ze(r,n,o,i,l,"next",e)}function l(e){ze(r,n,o,i,l,"throw",e)}i(void 0)})}}var je=[].concat(["vendor/vega.min.js","vendor/vega-lite.min.js"],["vendor/vega-embed.min.js"]),Pe="__vegaRuntimePromise",Ie="__vegaRenderWorker";function Ne(){return void 0!==window.vegaEmbed?Promise.resolve():(window[Pe]||(window[Pe]=je.reduce(function(e,t){return e.then(function(){return function(e){return new Promise(function(t,a){var n=document.createElement("script");n.src=e,n.onload=function(){return t()},n.onerror=function(){return a(new Error("Failed to load ".concat(e)))},document.head.appendChild(n)})}(t)})},Promise.resolve()).catch(function(e){throw window[Pe]=null,new Error("Vega runtime could not be loaded (".concat(e.message,")"))})),window[Pe])}function Te(){return(Te=Ae(Ce().m(function e(t,a){var n,o;return Ce().w(function(e){for(;;)switch(e.p=e.n){case 0:return e.n=1,Ne();case 1:e.p=1,n=a?window.vegaLite.compile(t).spec:t,window.vega.parse(n),e.n=3;break;case 2:throw e.p=2,o=e.v,new Error("Invalid ".concat(a?"Vega-Lite":"Vega"," spec: ").concat(o.message));case 3:return e.a(2)}},e,null,[[1,2]])}))).apply(this,arguments)}function Me(e){var t=new Error(e);return t.workerUnavailable=!0,t}function Re(){if(void 0!==window[Ie])return window[Ie];if(window[Ie]=null,"undefined"==typeof Worker||"undefined"==typeof OffscreenCanvas)return null;try{var e={worker:new Worker("renderWorker.js"),pending:new Map,nextId:0};e.worker.onmessage=function(t){var a=t.data,n=e.pending.get(a.id);n&&(e.pending.delete(a.id),a.error?n.reject(a.workerUnavailable?Me(a.error):new Error(a.error)):n.resolve(a.image))},e.worker.onerror=function(t){t.preventDefault(),e.worker.terminate(),window[Ie]=null;var a=Me(t.message||"Render worker failed");e.pending.forEach(function(e){return e.reject(a)}),e.pending.clear()},window[Ie]=e}catch(e){}return window[Ie]}function De(e,t,a){return new Promise(function(n,o){var r=++e.nextId;e.pending.set(r,{resolve:n,reject:o});try{e.worker.postMessage(function(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?Ee(Object(a),!0).forEach(function(t){Fe(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):Ee(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}({id:r,spec:t},a))}catch(t){e.pending.delete(r),o(Me(t.message))}})}function Ue(e){return qe.apply(this,arguments)}function qe(){return qe=Ae(Ce().m(function e(t){var a,n,o,r,i,l,c,s=arguments;return Ce().w(function(e){for(;;)switch(e.p=e.n){case 0:if(n=(a=s.length>1&&void 0!==s[1]?s[1]:{}).format,o=void 0===n?"png":n,r=a.scale,i=void 0===r?2:r,!(l=Re())){e.n=4;break}return e.p=1,e.n=2,De(l,t,{format:o,scale:i});case 2:return e.a(2,e.v);case 3:if(e.p=3,(c=e.v).workerUnavailable){e.n=4;break}throw c;case 4:return e.a(2,Le(t,{format:o,scale:i}))}},e,null,[[1,3]])})),qe.apply(this,arguments)}function Le(e,t){return Ve.apply(this,arguments)}function Ve(){return(Ve=Ae(Ce().m(function e(t,a){var n,o,r,i,l,c,s;return Ce().w(function(e){for(;;)switch(e.p=e.n){case 0:return n=a.format,o=a.scale,e.n=1,Ne();case 1:return(r=document.createElement("div")).style.display="none",document.body.appendChild(r),e.p=2,e.n=3,window.vegaEmbed(r,t,{actions:!1});case 3:if(i=e.v,e.p=4,"svg"!==n){e.n=6;break}return c=n,e.n=5,i.view.toSVG();case 5:return s=e.v,e.a(2,{format:c,scale:1,data:s});case 6:return e.n=7,i.view.toImageURL("png",o);case 7:return l=e.v,e.a(2,{format:"png",scale:o,data:l.split(",")[1]});case 8:return e.p=8,i.view.finalize(),e.f(8);case 9:return e.p=9,document.body.removeChild(r),e.f(9);case 10:return e.a(2)}},e,null,[[4,,8,9],[2,,9,10]])}))).apply(this,arguments)}function Be(e,t,a){return We.apply(this,arguments)}function We(){return(We=Ae(Ce().m(function e(t,a,n){var o;return Ce().w(function(e){for(;;)switch(e.n){case 0:if("svg"!==n.format){e.n=1;break}return e.a(2,a.shapes.addSvg(n.data));case 1:if(o=a.shapes.addImage(n.data),1===n.scale){e.n=3;break}return o.load("width, height"),e.n=2,t.sync();case 2:o.lockAspectRatio=!0,o.width=o.width/n.scale;case 3:return e.a(2,o)}},e)}))).apply(this,arguments)}function _e(e){return _e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},_e(e)}function Ge(){var e,t,a="function"==typeof Symbol?Symbol:{},n=a.iterator||"@@iterator",o=a.toStringTag||"@@toStringTag";function r(a,n,o,r){var c=n&&n.prototype instanceof l?n:l,s=Object.create(c.prototype);return $e(s,"_invoke",function(a,n,o){var r,l,c,s=0,u=o||[],d=!1,f={p:0,n:0,v:e,a:m,f:m.bind(e,4),d:function(t,a){return r=t,l=0,c=e,f.n=a,i}};function m(a,n){for(l=a,c=n,t=0;!d&&s&&!o&&t<u.length;t++){var o,r=u[t],m=f.p,p=r[2];a>3?(o=p===n)&&(c=r[(l=r[4])?5:(l=3,3)],r[4]=r[5]=e):r[0]<=m&&((o=a<2&&m<r[1])?(l=0,f.v=n,f.n=r[1]):m<p&&(o=a<3||r[0]>n||n>p)&&(r[4]=a,r[5]=n,f.n=p,l=0))}if(o||a>1)return i;throw d=!0,n}return function(o,u,p){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&m(u,p),l=u,c=p;(t=l<2?e:c)||!d;){r||(l?l<3?(l>1&&(f.n=-1),m(l,c)):f.n=c:f.v=c);try{if(s=2,r){if(l||(o="next"),t=r[o]){if(!(t=t.call(r,c)))throw TypeError("iterator result is not an object");if(!t.done)return t;c=t.value,l<2&&(l=0)}else 1===l&&(t=r.return)&&t.call(r),l<2&&(c=TypeError("The iterator does not provide a '"+o+"' method"),l=1);r=e}else if((t=(d=f.n<0)?c:a.call(n,f))!==i)break}catch(t){r=e,l=1,c=t}finally{s=1}}return{value:t,done:d}}}(a,o,r),!0),s}var i={};function l(){}function c(){}function s(){}t=Object.getPrototypeOf;var u=[][n]?t(t([][n]())):($e(t={},n,function(){return this}),t),d=s.prototype=l.prototype=Object.create(u);function f(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,s):(e.__proto__=s,$e(e,o,"GeneratorFunction")),e.prototype=Object.create(d),e}return c.prototype=s,$e(d,"constructor",s),$e(s,"constructor",c),c.displayName="GeneratorFunction",$e(s,o,"GeneratorFunction"),$e(d),$e(d,o,"Generator"),$e(d,n,function(){return this}),$e(d,"toString",function(){return"[object Generator]"}),(Ge=function(){return{w:r,m:f}})()}function $e(e,t,a,n){var o=Object.defineProperty;try{o({},"",{})}catch(e){o=0}$e=function(e,t,a,n){function r(t,a){$e(e,t,function(e){return this._invoke(t,a,e)})}t?o?o(e,t,{value:a,enumerable:!n,configurable:!n,writable:!n}):e[t]=a:(r("next",0),r("throw",1),r("return",2))},$e(e,t,a,n)}function He(e,t,a,n,o,r,i){try{var l=e[r](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,o)}function Ye(e){return function(){var t=this,a=arguments;return new Promise(function(n,o){var r=e.apply(t,a);function i(e){He(r,n,o,i,l,"next",e)}function l(e){He(r,n,o,i,l,"throw",e)}i(void 0)})}}function Ke(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function Xe(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?Ke(Object(a),!0).forEach(function(t){Je(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):Ke(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function Je(e,t,a){return(t=function(e){var t=function(e){if("object"!=_e(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=_e(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==_e(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}var Ze="vegaCharts",Qe={},et=null;function tt(){return"undefined"!=typeof Office&&Office.context&&Office.context.document&&Office.context.document.settings||null}function at(e){var t=tt();return(t?t.get(e):Qe[e])||{}}function nt(){return Xe({},at(Ze))}function ot(e){return t=Ze,a=e,n="chart registry",(o=tt())?(o.set(t,a),new Promise(function(e,t){o.saveAsync(function(a){a.status===Office.AsyncResultStatus.Failed?t(new Error("Could not save ".concat(n," (").concat(a.error.message,")"))):e()})})):(Qe[t]=a,Promise.resolve());var t,a,n,o}function rt(){var e=at("vegaThemes");return{default:e.default||null,custom:Xe({},e.custom)}}function it(e){return"VegaChart_".concat(e)}function lt(e,t){return"".concat(e.charAt(0).toUpperCase()+e.slice(1),"Chart_").concat(t)}function ct(e){var t=e.lastIndexOf("!");return{sheetName:e.slice(0,t).replace(/^'(.*)'$/,"$1").replace(/''/g,"'"),cellAddress:e.slice(t+1)}}function st(e){for(var t=JSON.stringify(e),a=2166136261,n=0;n<t.length;n++)a^=t.charCodeAt(n),a=Math.imul(a,16777619);return(a>>>0).toString(16)}function ut(e){return nt()[e]||null}function dt(e,t){return ft.apply(this,arguments)}function ft(){return ft=Ye(Ge().m(function e(t,a){var n,o;return Ge().w(function(e){for(;;)switch(e.n){case 0:if(n=nt(),0!==(o=Object.keys(n).filter(function(e){return n[e].chartType===t})).length){e.n=1;break}return e.a(2,null);case 1:return e.a(2,Excel.run(function(){var e=Ye(Ge().m(function e(t){var r,i,l;return Ge().w(function(e){for(;;)switch(e.n){case 0:return r=o.map(function(e){return t.workbook.names.getItemOrNullObject(n[e].name)}),e.n=1,t.sync();case 1:return i=r.map(function(e){if(e.isNullObject)return null;var t=e.getRangeOrNullObject();return t.load("address"),t}),e.n=2,t.sync();case 2:return l=i.findIndex(function(e){return e&&!e.isNullObject&&(t=e.address,n=a,o=function(e){var t=ct(e),a=t.sheetName,n=t.cellAddress;return"".concat(a,"!").concat(n.replace(/\$/g,"")).toUpperCase()},o(t)===o(n));var t,n,o}),e.a(2,-1===l?null:o[l])}},e)}));return function(t){return e.apply(this,arguments)}}()))}},e)})),ft.apply(this,arguments)}function mt(e,t){for(var a=nt(),n="".concat(e,"_").concat(t.replace(/[^A-Za-z0-9]/g,"_")),o=n,r=2;a[o];r++)o="".concat(n,"_").concat(r);return o}function pt(e,t){var a=nt();return a[e]=t,ot(a)}function gt(){return gt=Ye(Ge().m(function e(){var t,a,n,o;return Ge().w(function(e){for(;;)switch(e.n){case 0:if(t=nt(),0!==(a=Object.keys(t)).length){e.n=1;break}return e.a(2);case 1:return e.n=2,Excel.run(function(){var e=Ye(Ge().m(function e(n){var o,r;return Ge().w(function(e){for(;;)switch(e.n){case 0:return o=a.map(function(e){var a=t[e];return{chartId:e,entry:a,name:n.workbook.names.getItemOrNullObject(a.name),sheet:n.workbook.worksheets.getItemOrNullObject(a.sheetId)}}),e.n=1,n.sync();case 1:return o.forEach(function(e){e.name.isNullObject||(e.range=e.name.getRangeOrNullObject(),e.range.load("formulas")),e.sheet.isNullObject||(e.shape=e.sheet.shapes.getItemOrNullObject(e.entry.shapeName))}),e.n=2,n.sync();case 2:return r=[],o.forEach(function(e){var t=e.range&&!e.range.isNullObject?e.range:null,a=t?String(t.formulas[0][0]||""):"",n=e.entry.chartType.toUpperCase();new RegExp("\\b".concat(n,"\\("),"i").test(a)||(e.shape&&!e.shape.isNullObject&&e.shape.delete(),e.name.isNullObject||e.name.delete(),r.push(e.chartId))}),e.n=3,n.sync();case 3:return e.a(2,r)}},e)}));return function(t){return e.apply(this,arguments)}}());case 2:if(!((n=e.v).length>0)){e.n=3;break}return o=nt(),n.forEach(function(e){return delete o[e]}),e.n=3,ot(o);case 3:return e.a(2)}},e)})),gt.apply(this,arguments)}function yt(){et&&clearTimeout(et),et=setTimeout(function(){et=null,function(){return gt.apply(this,arguments)}().catch(function(){})},1e3)}function ht(e){return ht="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},ht(e)}function vt(){var e,t,a="function"==typeof Symbol?Symbol:{},n=a.iterator||"@@iterator",o=a.toStringTag||"@@toStringTag";function r(a,n,o,r){var c=n&&n.prototype instanceof l?n:l,s=Object.create(c.prototype);return bt(s,"_invoke",function(a,n,o){var r,l,c,s=0,u=o||[],d=!1,f={p:0,n:0,v:e,a:m,f:m.bind(e,4),d:function(t,a){return r=t,l=0,c=e,f.n=a,i}};function m(a,n){for(l=a,c=n,t=0;!d&&s&&!o&&t<u.length;t++){var o,r=u[t],m=f.p,p=r[2];a>3?(o=p===n)&&(c=r[(l=r[4])?5:(l=3,3)],r[4]=r[5]=e):r[0]<=m&&((o=a<2&&m<r[1])?(l=0,f.v=n,f.n=r[1]):m<p&&(o=a<3||r[0]>n||n>p)&&(r[4]=a,r[5]=n,f.n=p,l=0))}if(o||a>1)return i;throw d=!0,n}return function(o,u,p){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&m(u,p),l=u,c=p;(t=l<2?e:c)||!d;){r||(l?l<3?(l>1&&(f.n=-1),m(l,c)):f.n=c:f.v=c);try{if(s=2,r){if(l||(o="next"),t=r[o]){if(!(t=t.call(r,c)))throw TypeError("iterator result is not an object");if(!t.done)return t;c=t.value,l<2&&(l=0)}else 1===l&&(t=r.return)&&t.call(r),l<2&&(c=TypeError("The iterator does not provide a '"+o+"' method"),l=1);r=e}else if((t=(d=f.n<0)?c:a.call(n,f))!==i)break}catch(t){r=e,l=1,c=t}finally{s=1}}return{value:t,done:d}}}(a,o,r),!0),s}var i={};function l(){}function c(){}function s(){}t=Object.getPrototypeOf;var u=[][n]?t(t([][n]())):(bt(t={},n,function(){return this}),t),d=s.prototype=l.prototype=Object.create(u);function f(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,s):(e.__proto__=s,bt(e,o,"GeneratorFunction")),e.prototype=Object.create(d),e}return c.prototype=s,bt(d,"constructor",s),bt(s,"constructor",c),c.displayName="GeneratorFunction",bt(s,o,"GeneratorFunction"),bt(d),bt(d,o,"Generator"),bt(d,n,function(){return this}),bt(d,"toString",function(){return"[object Generator]"}),(vt=function(){return{w:r,m:f}})()}function bt(e,t,a,n){var o=Object.defineProperty;try{o({},"",{})}catch(e){o=0}bt=function(e,t,a,n){function r(t,a){bt(e,t,function(e){return this._invoke(t,a,e)})}t?o?o(e,t,{value:a,enumerable:!n,configurable:!n,writable:!n}):e[t]=a:(r("next",0),r("throw",1),r("return",2))},bt(e,t,a,n)}function wt(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function xt(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?wt(Object(a),!0).forEach(function(t){kt(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):wt(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function kt(e,t,a){return(t=function(e){var t=function(e){if("object"!=ht(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=ht(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==ht(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function St(e,t,a,n,o,r,i){try{var l=e[r](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,o)}function Ct(e){return function(){var t=this,a=arguments;return new Promise(function(n,o){var r=e.apply(t,a);function i(e){St(r,n,o,i,l,"next",e)}function l(e){St(r,n,o,i,l,"throw",e)}i(void 0)})}}var Ot=new Map,Et=new Map,Ft=[],zt=0;function At(e,t,a){return Pa("line",e,t,a)}function jt(e,t,a){return Pa("step",e,t,a)}function Pt(e,t,a){return Pa("fan",e,t,a)}function It(e,t,a){return Pa("column",e,t,a)}function Nt(e,t,a){return Pa("bar",e,t,a)}function Tt(e,t,a){return Pa("butterfly",e,t,a)}function Mt(e,t,a){return Pa("beeswarm",e,t,a)}function Rt(e,t,a){return Pa("funnel",e,t,a)}function Dt(e,t,a){return Pa("gauge",e,t,a)}function Ut(e,t,a){return Pa("pie",e,t,a)}function qt(e,t,a){return Pa("donut",e,t,a)}function Lt(e,t,a){return Pa("chord",e,t,a)}function Vt(e,t,a){return Pa("circlepacking",e,t,a)}function Bt(e,t,a){return Pa("circularbar",e,t,a)}function Wt(e,t,a){return Pa("area",e,t,a)}function _t(e,t,a){return Pa("streamgraph",e,t,a)}function Gt(e,t,a){return Pa("scatter",e,t,a)}function $t(e,t,a){return Pa("bubble",e,t,a)}function Ht(e,t,a){return Pa("ring",e,t,a)}function Yt(e,t,a){return Pa("radial",e,t,a)}function Kt(e,t,a){return Pa("box",e,t,a)}function Xt(e,t,a){return Pa("radar",e,t,a)}function Jt(e,t,a){return Pa("waterfall",e,t,a)}function Zt(e,t,a){return Pa("sunburst",e,t,a)}function Qt(e,t,a){return Pa("treemap",e,t,a)}function ea(e,t,a){return Pa("histogram",e,t,a)}function ta(e,t,a){return Pa("density",e,t,a)}function aa(e,t,a){return Pa("map",e,t,a)}function na(e,t,a){return Pa("contour",e,t,a)}function oa(e,t,a){return Pa("candlestick",e,t,a)}function ra(e,t,a){return Pa("arc",e,t,a)}function ia(e,t,a){return Pa("tree",e,t,a)}function la(e,t,a){return Pa("wordcloud",e,t,a)}function ca(e,t,a){return Pa("strip",e,t,a)}function sa(e,t,a){return Pa("heatmap",e,t,a)}function ua(e,t,a){return Pa("tablebubble",e,t,a)}function da(e,t,a){return Pa("bullet",e,t,a)}function fa(e,t,a){return Pa("horizon",e,t,a)}function ma(e,t,a){return Pa("dumbbell",e,t,a)}function pa(e,t,a){return Pa("slope",e,t,a)}function ga(e,t,a){return Pa("mekko",e,t,a)}function ya(e,t,a){return Pa("marimekko",e,t,a)}function ha(e,t,a){return Pa("bump",e,t,a)}function va(e,t,a){return Pa("waffle",e,t,a)}function ba(e,t,a){return Pa("lollipop",e,t,a)}function wa(e,t,a){return Pa("violin",e,t,a)}function xa(e,t,a){return Pa("gantt",e,t,a)}function ka(e,t,a){return Pa("sankey",e,t,a)}function Sa(e,t,a){return Pa("ridgeline",e,t,a)}function Ca(e,t,a){return Pa("variance",e,t,a)}function Oa(e,t,a){return Pa("deviation",e,t,a)}function Ea(e,t,a){return Pa("ribbon",e,t,a)}function Fa(e,t,a){return Pa("heatmap_bar",e,t,a)}function za(e,t,a){return Pa("scatter_line",e,t,a)}function Aa(e,t,a){return Pa("line_rectangle",e,t,a)}function ja(e,t,a){return new Promise(function(n){var o;try{o=function(e,t){var a=(t||[]).map(be);if(0===a.length)return e;if(ve(e)){var n={};a.forEach(function(e,t){n[he(t)]=e});var o=me(me({},e),{},{datasets:me(me({},e.datasets),n)});return o.data||(o.data={name:he(0)}),o}var r=(e.data||[]).map(function(e){return me({},e)});return a.forEach(function(e,t){var a=he(t),n=r.find(function(e){return e.name===a});n?n.values=e:r.push({name:a,values:e})}),me(me({},e),{},{data:r})}(function(e){var t,a=(Array.isArray(e)?e.flat():[e]).filter(function(e){return null!=e&&""!==e}).map(function(e){return String(e)}).join("").trim();if(!a)throw new Error("Spec is empty");try{t=JSON.parse(a)}catch(e){throw new Error("Spec is not valid JSON (".concat(e.message,")"))}if(null===t||"object"!==ye(t)||Array.isArray(t))throw new Error("Spec must be a JSON object");return t.$schema||(t.$schema=ve(t)?"https://vega.github.io/schema/vega-lite/v6.json":"https://vega.github.io/schema/vega/v6.json"),t}(e),t),ke(o)}catch(e){return void n("Spec error: ".concat(e.message))}var r=ve(o);(function(e,t){return Te.apply(this,arguments)})(o,r).then(function(){return Ta(o,"vega",{},a.address).then(function(){return n(r?"Vega-Lite":"Vega")}).catch(function(e){return n("Error: ".concat(e.message))})},function(e){return n("Spec error: ".concat(e.message))})})}function Pa(e,t,a,n){return new Promise(function(r){try{var i=function(e){if(!e)return{};var t=(Array.isArray(e)?e:[[e]]).filter(function(e){return e.some(function(e){return null!=e&&""!==e})});if(0===t.length)return{};var a={},n=t[0][0];if(1===t.length&&"string"==typeof n&&n.trim().startsWith("{"))try{a=JSON.parse(n)}catch(e){throw new Error("Options JSON is invalid (".concat(e.message,")"))}else t.forEach(function(e){if(e.length<2)throw new Error("Options range must have two columns (key, value)");a[String(e[0]).trim()]=e[1]});var r={};if(Object.keys(a).forEach(function(e){var t=k[e.toLowerCase()];if(!t)throw new Error('Unknown option "'.concat(e,'"'));r[t]=a[e]}),["width","height"].forEach(function(e){if(void 0!==r[e]){var t=Number(r[e]);if(!Number.isFinite(t)||t<=0)throw new Error('Option "'.concat(e,'" must be a positive number'));r[e]=t}}),void 0!==r.scale){var i=Number(r.scale);if(!Number.isFinite(i)||i<1||i>8)throw new Error('Option "scale" must be a number from 1 to 8');r.scale=i}if(void 0!==r.maxPoints){var l=Number(r.maxPoints);if(!Number.isInteger(l)||l<0)throw new Error('Option "maxPoints" must be a whole number (0 to never reduce the data)');r.maxPoints=l}if(void 0!==r.output){var c=String(r.output).toLowerCase();if(!["png","svg"].includes(c))throw new Error('Option "output" must be png or svg');r.output=c}if(void 0!==r.missing){var s=String(r.missing).toLowerCase();if(!o.includes(s))throw new Error('Option "missing" must be gap, zero or drop');r.missing=s}if(void 0!==r.sort){var u=String(r.sort).toLowerCase();if(!["ascending","descending","none"].includes(u))throw new Error('Option "sort" must be ascending, descending or none');r.sort=u}if("string"==typeof r.spec)try{r.spec=JSON.parse(r.spec)}catch(e){throw new Error('Option "spec" is not valid JSON ('.concat(e.message,")"))}if(void 0!==r.spec&&(null===r.spec||"object"!==x(r.spec)||Array.isArray(r.spec)))throw new Error('Option "spec" must be a JSON object');return["title","xTitle","yTitle","legendTitle","colorScheme","format","background","theme"].forEach(function(e){void 0!==r[e]&&null!==r[e]&&(r[e]=String(r[e]))}),r}(a),l=function(e,t){var a=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{},n=a.missing,o=void 0===n?"gap":n,r=a.maxPoints,i=de[e];if(!i)throw new Error('Unknown chart type "'.concat(e,'"'));if(!t||t.length<2)throw new Error("Need at least header row + one data row");var l=t[0],c=t.slice(1);if(i.columns){var s=i.columns,u=s.min,d=s.max,f=s.message;if(l.length<u||void 0!==d&&l.length>d)throw new Error(f)}var m=p(l,c,{missing:o,gaps:i.gaps,optional:i.optional,dates:i.dates});if(0===m.rows.length)throw new Error(m.skipped>0?"No valid data rows (".concat(m.skipped," skipped)"):"Need at least header row + one data row");var g=Q(m.rows,m.columns,i.reduce,r),y=g.rows,h=g.note,v=i.build(l,y,m.columns);return{spec:h?ee(v,h):v,skipped:m.skipped,note:h}}(e,t,{missing:i.missing,maxPoints:i.maxPoints}),c=l.spec,s=l.skipped,u=l.note;Ta(c,e,i,n.address).then(function(){return r(function(e,t,a){var n=[];return t&&n.push("".concat(t," ").concat(1===t?"row":"rows"," skipped")),a&&n.push(a.charAt(0).toLowerCase()+a.slice(1)),n.length>0?"".concat(e," (").concat(n.join(", "),")"):e}(de[e].label,s,u))}).catch(function(e){return r("Error: ".concat(e.message))})}catch(e){r("Error: ".concat(e.message))}})}function Ia(e,t){return new Promise(function(a,n){var o=Ot.get(e);o&&clearTimeout(o.timer);var r=o?o.waiters:[];r.push({resolve:a,reject:n});var i=setTimeout(function(){Ot.delete(e);var a=(Et.get(e)||Promise.resolve()).catch(function(){}).then(function(){return function(e){return new Promise(function(t,a){Ft.push({render:e,resolve:t,reject:a}),Na()})}(t)});Et.set(e,a),a.then(function(){return r.forEach(function(e){return e.resolve()})},function(e){return r.forEach(function(t){return t.reject(e)})}).then(function(){Et.get(e)===a&&Et.delete(e)})},300);Ot.set(e,{timer:i,waiters:r})})}function Na(){for(;zt<2&&Ft.length>0;){var e=Ft.shift(),t=e.render,a=e.resolve,n=e.reject;zt++,t().then(a,n).then(function(){zt--,Na()})}}function Ta(e,t,a,n){return Ma.apply(this,arguments)}function Ma(){return(Ma=Ct(vt().m(function e(t,a,n,o){var r,i,l,c;return vt().w(function(e){for(;;)if(0===e.n)return r=rt(),i=R(n.theme||r.default,r.custom),t=O(L(t,i),n),l={format:n.output||"png",scale:n.scale||2},c=st({spec:t,render:l}),e.a(2,Ia("".concat(a,"_").concat(o),Ct(vt().m(function e(){var n,r,i,s,u,d;return vt().w(function(e){for(;;)switch(e.n){case 0:return e.n=1,dt(a,o);case 1:if(u=e.v){e.n=2;break}u=mt(a,o);case 2:if(r=ut(n=u),!(d=r&&r.hash===c)){e.n=4;break}return e.n=3,Ra(r);case 3:d=e.v;case 4:if(!d){e.n=5;break}return e.a(2);case 5:return e.n=6,Ue(t,l);case 6:return i=e.v,e.n=7,Ua(i,a,n,o);case 7:return s=e.v,e.n=8,pt(n,xt(xt({chartType:a},s),{},{hash:c}));case 8:yt();case 9:return e.a(2)}},e)}))))},e)}))).apply(this,arguments)}function Ra(e){return Da.apply(this,arguments)}function Da(){return Da=Ct(vt().m(function e(t){return vt().w(function(e){for(;;)if(0===e.n)return e.a(2,Excel.run(function(){var e=Ct(vt().m(function e(a){var n,o;return vt().w(function(e){for(;;)switch(e.n){case 0:return n=a.workbook.worksheets.getItemOrNullObject(t.sheetId),e.n=1,a.sync();case 1:if(!n.isNullObject){e.n=2;break}return e.a(2,!1);case 2:return o=n.shapes.getItemOrNullObject(t.shapeName),e.n=3,a.sync();case 3:return e.a(2,!o.isNullObject)}},e)}));return function(t){return e.apply(this,arguments)}}()))},e)})),Da.apply(this,arguments)}function Ua(e,t,a,n){return qa.apply(this,arguments)}function qa(){return qa=Ct(vt().m(function e(t,a,n,o){return vt().w(function(e){for(;;)if(0===e.n)return e.a(2,Excel.run(function(){var e=Ct(vt().m(function e(r){var i,l,c,s,u,d,f,m,p,g;return vt().w(function(e){for(;;)switch(e.n){case 0:return i=ct(o),l=i.sheetName,c=i.cellAddress,s=r.workbook.worksheets.getItem(l),u=lt(a,n),d=it(n),(f=s.shapes.getItemOrNullObject(u)).load("left, top, width, height"),(m=s.getRange(c)).load("left, top, width"),s.load("id"),p=r.workbook.names.getItemOrNullObject(d),e.n=1,r.sync();case 1:return p.isNullObject||p.delete(),r.workbook.names.add(d,m).visible=!1,e.n=2,Be(r,s,t);case 2:return g=e.v,f.isNullObject?(g.left=m.left+m.width,g.top=m.top):(g.lockAspectRatio=!1,g.left=f.left,g.top=f.top,g.width=f.width,g.height=f.height,f.delete()),g.name=u,e.n=3,r.sync();case 3:return e.a(2,{sheetId:s.id,name:d,shapeName:u})}},e)}));return function(t){return e.apply(this,arguments)}}()))},e)})),qa.apply(this,arguments)}"undefined"!=typeof Office&&Office.onReady(function(){(function(){return u.apply(this,arguments)})().catch(function(){}),Excel.run(function(){var e=Ye(Ge().m(function e(t){return Ge().w(function(e){for(;;)switch(e.n){case 0:return t.workbook.worksheets.onChanged.add(Ye(Ge().m(function e(){return Ge().w(function(e){for(;;)if(0===e.n)return e.a(2,yt())},e)}))),t.workbook.worksheets.onDeleted.add(Ye(Ge().m(function e(){return Ge().w(function(e){for(;;)if(0===e.n)return e.a(2,yt())},e)}))),e.n=1,t.sync();case 1:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}()).then(function(){return yt()}).catch(function(){})}),"undefined"!=typeof CustomFunctions&&(CustomFunctions.associate("LINE",At),CustomFunctions.associate("STEP",jt),CustomFunctions.associate("COLUMN",It),CustomFunctions.associate("BAR",Nt),CustomFunctions.associate("BUTTERFLY",Tt),CustomFunctions.associate("BEESWARM",Mt),CustomFunctions.associate("FUNNEL",Rt),CustomFunctions.associate("PIE",Ut),CustomFunctions.associate("DONUT",qt),CustomFunctions.associate("GAUGE",Dt),CustomFunctions.associate("AREA",Wt),CustomFunctions.associate("SCATTER",Gt),CustomFunctions.associate("BUBBLE",$t),CustomFunctions.associate("RADIAL",Yt),CustomFunctions.associate("CHORD",Lt),CustomFunctions.associate("CIRCLEPACKING",Vt),CustomFunctions.associate("CIRCULARBAR",Bt),CustomFunctions.associate("RING",Ht),CustomFunctions.associate("BOX",Kt),CustomFunctions.associate("RADAR",Xt),CustomFunctions.associate("WATERFALL",Jt),CustomFunctions.associate("SUNBURST",Zt),CustomFunctions.associate("TREEMAP",Qt),CustomFunctions.associate("HISTOGRAM",ea),CustomFunctions.associate("DENSITY",ta),CustomFunctions.associate("CANDLESTICK",oa),CustomFunctions.associate("MAP",aa),CustomFunctions.associate("CONTOUR",na),CustomFunctions.associate("ARC",ra),CustomFunctions.associate("TREE",ia),CustomFunctions.associate("WORDCLOUD",la),CustomFunctions.associate("STRIP",ca),CustomFunctions.associate("HEATMAP",sa),CustomFunctions.associate("TABLEBUBBLE",ua),CustomFunctions.associate("BULLET",da),CustomFunctions.associate("HORIZON",fa),CustomFunctions.associate("STREAMGRAPH",_t),CustomFunctions.associate("DUMBBELL",ma),CustomFunctions.associate("SLOPE",pa),CustomFunctions.associate("MEKKO",ga),CustomFunctions.associate("MARIMEKKO",ya),CustomFunctions.associate("BUMP",ha),CustomFunctions.associate("FAN",Pt),CustomFunctions.associate("WAFFLE",va),CustomFunctions.associate("LOLLIPOP",ba),CustomFunctions.associate("VIOLIN",wa),CustomFunctions.associate("GANTT",xa),CustomFunctions.associate("SANKEY",ka),CustomFunctions.associate("RIBBON",Ea),CustomFunctions.associate("RIDGELINE",Sa),CustomFunctions.associate("DEVIATION",Oa),CustomFunctions.associate("VARIANCE",Ca),CustomFunctions.associate("HEATMAP_BAR",Fa),CustomFunctions.associate("SCATTER_LINE",za),CustomFunctions.associate("LINE_RECTANGLE",Aa),CustomFunctions.associate("VEGA",ja)),CustomFunctions.associate("LINE",At),CustomFunctions.associate("STEP",jt),CustomFunctions.associate("FAN",Pt),CustomFunctions.associate("COLUMN",It),CustomFunctions.associate("BAR",Nt),CustomFunctions.associate("BUTTERFLY",Tt),CustomFunctions.associate("BEESWARM",Mt),CustomFunctions.associate("FUNNEL",Rt),CustomFunctions.associate("GAUGE",Dt),CustomFunctions.associate("PIE",Ut),CustomFunctions.associate("DONUT",qt),CustomFunctions.associate("CHORD",Lt),CustomFunctions.associate("CIRCLEPACKING",Vt),CustomFunctions.associate("CIRCULARBAR",Bt),CustomFunctions.associate("AREA",Wt),CustomFunctions.associate("STREAMGRAPH",_t),CustomFunctions.associate("SCATTER",Gt),CustomFunctions.associate("BUBBLE",$t),CustomFunctions.associate("RING",Ht),CustomFunctions.associate("RADIAL",Yt),CustomFunctions.associate("BOX",Kt),CustomFunctions.associate("RADAR",Xt),CustomFunctions.associate("WATERFALL",Jt),CustomFunctions.associate("SUNBURST",Zt),CustomFunctions.associate("TREEMAP",Qt),CustomFunctions.associate("HISTOGRAM",ea),CustomFunctions.associate("DENSITY",ta),CustomFunctions.associate("MAP",aa),CustomFunctions.associate("CONTOUR",na),CustomFunctions.associate("CANDLESTICK",oa),CustomFunctions.associate("ARC",ra),CustomFunctions.associate("TREE",ia),CustomFunctions.associate("WORDCLOUD",la),CustomFunctions.associate("STRIP",ca),CustomFunctions.associate("HEATMAP",sa),CustomFunctions.associate("TABLEBUBBLE",ua),CustomFunctions.associate("BULLET",da),CustomFunctions.associate("HORIZON",fa),CustomFunctions.associate("DUMBBELL",ma),CustomFunctions.associate("SLOPE",pa),CustomFunctions.associate("MEKKO",ga),CustomFunctions.associate("MARIMEKKO",ya),CustomFunctions.associate("BUMP",ha),CustomFunctions.associate("WAFFLE",va),CustomFunctions.associate("LOLLIPOP",ba),CustomFunctions.associate("VIOLIN",wa),CustomFunctions.associate("GANTT",xa),CustomFunctions.associate("SANKEY",ka),CustomFunctions.associate("RIDGELINE",Sa),CustomFunctions.associate("VARIANCE",Ca),CustomFunctions.associate("DEVIATION",Oa),CustomFunctions.associate("RIBBON",Ea),CustomFunctions.associate("HEATMAP_BAR",Fa),CustomFunctions.associate("SCATTER_LINE",za),CustomFunctions.associate("LINE_RECTANGLE",Aa),CustomFunctions.associate("VEGA",ja)}();
 //# sourceMappingURL=functions.js.map
\ No newline at end of file
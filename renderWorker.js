@@ -0,0 +1,3 @@
+/*! For license information please see renderWorker.js.LICENSE.txt */
+!function(){"use strict";var e,r=["vendor/vega.min.js","vendor/vega-lite.min.js"];function t(){var e,r,o="function"==typeof Symbol?Symbol:{},a=o.iterator||"@@iterator",i=o.toStringTag||"@@toStringTag";function c(t,o,a,i){var c=o&&o.prototype instanceof f?o:f,s=Object.create(c.prototype);return n(s,"_invoke",function(t,n,o){var a,i,c,f=0,s=o||[],l=!1,p={p:0,n:0,v:e,a:v,f:v.bind(e,4),d:function(r,t){return a=r,i=0,c=e,p.n=t,u}};function v(t,n){for(i=t,c=n,r=0;!l&&f&&!o&&r<s.length;r++){var o,a=s[r],v=p.p,y=a[2];t>3?(o=y===n)&&(c=a[(i=a[4])?5:(i=3,3)],a[4]=a[5]=e):a[0]<=v&&((o=t<2&&v<a[1])?(i=0,p.v=n,p.n=a[1]):v<y&&(o=t<3||a[0]>n||n>y)&&(a[4]=t,a[5]=n,p.n=y,i=0))}if(o||t>1)return u;throw l=!0,n}return function(o,s,y){if(f>1)throw TypeError("Generator is already running");for(l&&1===s&&v(s,y),i=s,c=y;(r=i<2?e:c)||!l;){a||(i?i<3?(i>1&&(p.n=-1),v(i,c)):p.n=c:p.v=c);try{if(f=2,a){if(i||(o="next"),r=a[o]){if(!(r=r.call(a,c)))throw TypeError("iterator result is not an object");if(!r.done)return r;c=r.value,i<2&&(i=0)}else 1===i&&(r=a.return)&&r.call(a),i<2&&(c=TypeError("The iterator does not provide a '"+o+"' method"),i=1);a=e}else if((r=(l=p.n<0)?c:t.call(n,p))!==u)break}catch(r){a=e,i=1,c=r}finally{f=1}}return{value:r,done:l}}}(t,a,i),!0),s}var u={};function f(){}function s(){}function l(){}r=Object.getPrototypeOf;var p=[][a]?r(r([][a]())):(n(r={},a,function(){return this}),r),v=l.prototype=f.prototype=Object.create(p);function y(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,l):(e.__proto__=l,n(e,i,"GeneratorFunction")),e.prototype=Object.create(v),e}return s.prototype=l,n(v,"constructor",l),n(l,"constructor",s),s.displayName="GeneratorFunction",n(l,i,"GeneratorFunction"),n(v),n(v,i,"Generator"),n(v,a,function(){return this}),n(v,"toString",function(){return"[object Generator]"}),(t=function(){return{w:c,m:y}})()}function n(e,r,t,o){var a=Object.defineProperty;try{a({},"",{})}catch(e){a=0}n=function(e,r,t,o){function i(r,t){n(e,r,function(e){return this._invoke(r,t,e)})}r?a?a(e,r,{value:t,enumerable:!o,configurable:!o,writable:!o}):e[r]=t:(i("next",0),i("throw",1),i("return",2))},n(e,r,t,o)}function o(e,r,t,n,o,a,i){try{var c=e[a](i),u=c.value}catch(e){return void t(e)}c.done?r(u):Promise.resolve(u).then(n,o)}function a(e,r){(null==r||r>e.length)&&(r=e.length);for(var t=0,n=Array(r);t<r;t++)n[t]=e[t];return n}function i(){var e;return e=t().m(function e(r){var n,o,a,i,c,u,f,s,l,p,v,y;return t().w(function(e){for(;;)switch(e.p=e.n){case 0:return n=r.spec,o=r.format,a=r.scale,i=String(n.$schema||"").includes("vega-lite"),c=i?self.vegaLite.compile(n).spec:n,u=new self.vega.View(self.vega.parse(c),{renderer:"none"}),e.p=1,e.n=2,u.runAsync();case 2:if("svg"!==o){e.n=4;break}return p=o,e.n=3,u.toSVG();case 3:return v=e.v,e.a(2,{format:p,scale:1,data:v});case 4:return e.p=4,e.n=5,u.toCanvas(a);case 5:return s=e.v,e.n=6,s.convertToBlob({type:"image/png"});case 6:l=e.v,f=(new FileReaderSync).readAsDataURL(l),e.n=8;break;case 7:throw e.p=7,(y=e.v).workerUnavailable=!0,y;case 8:return e.a(2,{format:"png",scale:a,data:f.split(",")[1]});case 9:return e.p=9,u.finalize(),e.f(9);case 10:return e.a(2)}},e,null,[[4,7],[1,,9,10]])}),i=function(){var r=this,t=arguments;return new Promise(function(n,a){var i=e.apply(r,t);function c(e){o(i,n,a,c,u,"next",e)}function u(e){o(i,n,a,c,u,"throw",e)}c(void 0)})},i.apply(this,arguments)}[].concat(r,["vendor/vega-embed.min.js"]),self.document={createElement:function(e){return"canvas"===e?new OffscreenCanvas(1,1):null}},importScripts.apply(void 0,function(e){if(Array.isArray(e))return a(e)}(e=r)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,r){if(e){if("string"==typeof e)return a(e,r);var t={}.toString.call(e).slice(8,-1);return"Object"===t&&e.constructor&&(t=e.constructor.name),"Map"===t||"Set"===t?Array.from(e):"Arguments"===t||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t)?a(e,r):void 0}}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()),self.onmessage=function(e){var r=e.data;(function(e){return i.apply(this,arguments)})(r).then(function(e){return self.postMessage({id:r.id,image:e})},function(e){return self.postMessage({id:r.id,error:e.message,workerUnavailable:Boolean(e.workerUnavailable)})})}}();
+//# sourceMappingURL=renderWorker.js.map
\ No newline at end of file
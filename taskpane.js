@@ -1,3 +1,3 @@
 /*! For license information please see taskpane.js.LICENSE.txt */
-!function(){"use strict";var e={397:function(e,t,a){e.exports=a.p+"assets/deviation.png"},1309:function(e,t,a){e.exports=a.p+"assets/violin.png"},9031:function(e,t,a){e.exports=a.p+"assets/bar.png"},9334:function(e,t,a){e.exports=a.p+"assets/contour.png"},14762:function(e,t,a){e.exports=a.p+"assets/map.png"},14804:function(e,t,a){e.exports=a.p+"assets/ring.png"},15042:function(e,t,a){e.exports=a.p+"assets/chord.png"},15535:function(e,t,a){e.exports=a.p+"assets/waffle.png"},20895:function(e,t,a){e.exports=a.p+"assets/mekko.png"},23841:function(e,t,a){e.exports=a.p+"assets/area.png"},24417:function(e,t,a){e.exports=a.p+"assets/horizon.png"},25316:function(e,t,a){e.exports=a.p+"assets/radar.png"},27286:function(e,t,a){e.exports=a.p+"assets/waterfall.png"},28359:function(e,t,a){e.exports=a.p+"assets/box.png"},29234:function(e,t,a){e.exports=a.p+"assets/strip.png"},30749:function(e,t,a){e.exports=a.p+"assets/circlepacking.png"},31344:function(e,t,a){e.exports=a.p+"assets/step.png"},37514:function(e,t,a){e.exports=a.p+"assets/funnel.png"},39206:function(e,t,a){e.exports=a.p+"assets/beeswarm.png"},39438:function(e,t,a){e.exports=a.p+"assets/sunburst.png"},39984:function(e,t,a){e.exports=a.p+"assets/column.png"},40338:function(e,t,a){e.exports=a.p+"assets/histogram.png"},44867:function(e,t,a){e.exports=a.p+"assets/ridgeline.png"},49664:function(e,t,a){e.exports=a.p+"assets/streamgraph.png"},49762:function(e,t,a){e.exports=a.p+"assets/ribbon.png"},51406:function(e,t,a){e.exports=a.p+"assets/bump.png"},54920:function(e,t,a){e.exports=a.p+"assets/bubble.png"},55283:function(e,t,a){e.exports=a.p+"assets/lollipop.png"},58308:function(e,t,a){e.exports=a.p+"assets/arc.png"},60110:function(e,t,a){e.exports=a.p+"assets/treemap.png"},60947:function(e,t,a){e.exports=a.p+"82ae40f5008306e02d08.js"},62790:function(e,t,a){e.exports=a.p+"assets/heatmap_bar.png"},63114:function(e,t,a){e.exports=a.p+"assets/gantt.png"},63533:function(e,t,a){e.exports=a.p+"assets/slope.png"},65313:function(e,t,a){e.exports=a.p+"assets/dumbbell.png"},66619:function(e,t,a){e.exports=a.p+"assets/radial.png"},69175:function(e,t,a){e.exports=a.p+"assets/variance.png"},69445:function(e,t,a){e.exports=a.p+"assets/scatter_line.png"},75493:function(e,t,a){e.exports=a.p+"assets/butterfly.png"},75873:function(e,t,a){e.exports=a.p+"assets/candlestick.png"},77047:function(e,t,a){e.exports=a.p+"assets/fan.png"},78948:function(e,t,a){e.exports=a.p+"assets/density.png"},80932:function(e,t,a){e.exports=a.p+"assets/heatmap.png"},83834:function(e,t,a){e.exports=a.p+"assets/line_rectangle.png"},84693:function(e,t,a){e.exports=a.p+"assets/gauge.png"},85982:function(e,t,a){e.exports=a.p+"assets/tree.png"},86888:function(e,t,a){e.exports=a.p+"assets/marimekko.png"},87666:function(e,t,a){e.exports=a.p+"assets/bullet.png"},88478:function(e,t,a){e.exports=a.p+"assets/tablebubble.png"},89254:function(e,t,a){e.exports=a.p+"assets/pie.png"},91567:function(e,t,a){e.exports=a.p+"assets/wordcloud.png"},94926:function(e,t,a){e.exports=a.p+"assets/scatter.png"},97488:function(e,t,a){e.exports=a.p+"assets/line.png"},97934:function(e,t,a){e.exports=a.p+"assets/circularbar.png"},98281:function(e,t,a){e.exports=a.p+"assets/sankey.png"},99856:function(e,t,a){e.exports=a.p+"assets/donut.png"}},t={};function a(n){var i=t[n];if(void 0!==i)return i.exports;var o=t[n]={exports:{}};return e[n](o,o.exports,a),o.exports}a.m=e,a.d=function(e,t){for(var n in t)a.o(t,n)&&!a.o(e,n)&&Object.defineProperty(e,n,{enumerable:!0,get:t[n]})},a.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),a.o=function(e,t){return Object.prototype.hasOwnProperty.call(e,t)},function(){var e;a.g.importScripts&&(e=a.g.location+"");var t=a.g.document;if(!e&&t&&(t.currentScript&&"SCRIPT"===t.currentScript.tagName.toUpperCase()&&(e=t.currentScript.src),!e)){var n=t.getElementsByTagName("script");if(n.length)for(var i=n.length-1;i>-1&&(!e||!/^http(s?):/.test(e));)e=n[i--].src}if(!e)throw new Error("Automatic publicPath is not supported in this browser");e=e.replace(/^blob:/,"").replace(/#.*$/,"").replace(/\?.*$/,"").replace(/\/[^\/]+$/,"/"),a.p=e}(),a.b=document.baseURI||self.location.href,function(){function e(t){return e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},e(t)}function t(){var e,n,i="function"==typeof Symbol?Symbol:{},o=i.iterator||"@@iterator",l=i.toStringTag||"@@toStringTag";function r(t,i,o,l){var r=i&&i.prototype instanceof c?i:c,d=Object.create(r.prototype);return a(d,"_invoke",function(t,a,i){var o,l,r,c=0,d=i||[],u=!1,p={p:0,n:0,v:e,a:f,f:f.bind(e,4),d:function(t,a){return o=t,l=0,r=e,p.n=a,s}};function f(t,a){for(l=t,r=a,n=0;!u&&c&&!i&&n<d.length;n++){var i,o=d[n],f=p.p,g=o[2];t>3?(i=g===a)&&(r=o[(l=o[4])?5:(l=3,3)],o[4]=o[5]=e):o[0]<=f&&((i=t<2&&f<o[1])?(l=0,p.v=a,p.n=o[1]):f<g&&(i=t<3||o[0]>a||a>g)&&(o[4]=t,o[5]=a,p.n=g,l=0))}if(i||t>1)return s;throw u=!0,a}return function(i,d,g){if(c>1)throw TypeError("Generator is already running");for(u&&1===d&&f(d,g),l=d,r=g;(n=l<2?e:r)||!u;){o||(l?l<3?(l>1&&(p.n=-1),f(l,r)):p.n=r:p.v=r);try{if(c=2,o){if(l||(i="next"),n=o[i]){if(!(n=n.call(o,r)))throw TypeError("iterator result is not an object");if(!n.done)return n;r=n.value,l<2&&(l=0)}else 1===l&&(n=o.return)&&n.call(o),l<2&&(r=TypeError("The iterator does not provide a '"+i+"' method"),l=1);o=e}else if((n=(u=p.n<0)?r:t.call(a,p))!==s)break}catch(t){o=e,l=1,r=t}finally{c=1}}return{value:n,done:u}}}(t,o,l),!0),d}var s={};function c(){}function d(){}function u(){}n=Object.getPrototypeOf;var p=[][o]?n(n([][o]())):(a(n={},o,function(){return this}),n),f=u.prototype=c.prototype=Object.create(p);function g(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,u):(e.__proto__=u,a(e,l,"GeneratorFunction")),e.prototype=Object.create(f),e}return d.prototype=u,a(f,"constructor",u),a(u,"constructor",d),d.displayName="GeneratorFunction",a(u,l,"GeneratorFunction"),a(f),a(f,l,"Generator"),a(f,o,function(){return this}),a(f,"toString",function(){return"[object Generator]"}),(t=function(){return{w:r,m:g}})()}function a(e,t,n,i){var o=Object.defineProperty;try{o({},"",{})}catch(e){o=0}a=function(e,t,n,i){function l(t,n){a(e,t,function(e){return this._invoke(t,n,e)})}t?o?o(e,t,{value:n,enumerable:!i,configurable:!i,writable:!i}):e[t]=n:(l("next",0),l("throw",1),l("return",2))},a(e,t,n,i)}function n(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var a=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=a){var n,i,o,l,r=[],s=!0,c=!1;try{if(o=(a=a.call(e)).next,0===t){if(Object(a)!==a)return;s=!1}else for(;!(s=(n=o.call(a)).done)&&(r.push(n.value),r.length!==t);s=!0);}catch(e){c=!0,i=e}finally{try{if(!s&&null!=a.return&&(l=a.return(),Object(l)!==l))return}finally{if(c)throw i}}return r}}(e,t)||l(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function i(e,t){var a="undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(!a){if(Array.isArray(e)||(a=l(e))||t&&e&&"number"==typeof e.length){a&&(e=a);var n=0,i=function(){};return{s:i,n:function(){return n>=e.length?{done:!0}:{done:!1,value:e[n++]}},e:function(e){throw e},f:i}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var o,r=!0,s=!1;return{s:function(){a=a.call(e)},n:function(){var e=a.next();return r=e.done,e},e:function(e){s=!0,o=e},f:function(){try{r||null==a.return||a.return()}finally{if(s)throw o}}}}function o(e){return function(e){if(Array.isArray(e))return r(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||l(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function l(e,t){if(e){if("string"==typeof e)return r(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?r(e,t):void 0}}function r(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function s(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function c(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?s(Object(a),!0).forEach(function(t){d(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):s(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function d(t,a,n){return(a=function(t){var a=function(t){if("object"!=e(t)||!t)return t;var a=t[Symbol.toPrimitive];if(void 0!==a){var n=a.call(t,"string");if("object"!=e(n))return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(t)}(t);return"symbol"==e(a)?a:a+""}(a))in t?Object.defineProperty(t,a,{value:n,enumerable:!0,configurable:!0,writable:!0}):t[a]=n,t}function u(e,t,a,n,i,o,l){try{var r=e[o](l),s=r.value}catch(e){return void a(e)}r.done?t(s):Promise.resolve(s).then(n,i)}function p(e){return function(){var t=this,a=arguments;return new Promise(function(n,i){var o=e.apply(t,a);function l(e){u(o,n,i,l,r,"next",e)}function r(e){u(o,n,i,l,r,"throw",e)}l(void 0)})}}function f(){return g.apply(this,arguments)}function g(){return g=p(t().m(function e(){var a;return t().w(function(e){for(;;)switch(e.p=e.n){case 0:return e.p=0,e.n=1,Excel.run(function(){var e=p(t().m(function e(a){var l,r,s,u,f,g,m,h,y,b,v,x,k,w,S,z,C,F,E,U,I,R,A,M,L,q,P,O,D,N,j,T,W,V,_,$,B,G,Y,H,K,X,Z,J,Q,ee,te,ae,ne,ie,oe,le,re,se,ce,de,ue,pe,fe,ge,me,he,ye,be,ve,xe,ke,we,Se,ze,Ce,Fe,Ee,Ue,Ie,Re,Ae,Me,Le,qe,Pe,Oe,De,Ne,je,Te,We,Ve,_e,$e,Be,Ge,Ye,He,Ke,Xe,Ze,Je,Qe,et,tt,at,nt,it,ot,lt,rt,st,ct,dt,ut,pt,ft,gt,mt,ht,yt,bt,vt,xt,kt,wt,St,zt,Ct,Ft,Et,Ut,It,Rt,At,Mt,Lt,qt,Pt,Ot,Dt,Nt,jt,Tt,Wt,Vt,_t,$t,Bt,Gt,Yt,Ht,Kt,Xt,Zt,Jt,Qt,ea,ta,aa,na,ia,oa,la,ra,sa,ca,da,ua,pa,fa,ga,ma,ha,ya,ba,va,xa,ka,wa,Sa,za,Ca,Fa,Ea,Ua,Ia,Ra,Aa,Ma,La,qa,Pa,Oa,Da,Na,ja,Ta,Wa,Va,_a,$a,Ba,Ga,Ya,Ha,Ka,Xa,Za,Ja,Qa,en,tn,an,nn,on,ln,rn,sn,cn,dn;return t().w(function(e){for(;;)switch(e.n){case 0:return l=a.workbook.worksheets.getActiveWorksheet(),(r=a.workbook.getSelectedRange()).load("values, left, top"),e.n=1,a.sync();case 1:if(!((s=r.values).length<2)){e.n=2;break}return console.warn("Need at least header row + one data row"),e.a(2);case 2:if(u=s[0],f=s.slice(1),g=f.map(function(e){var t={};return u.forEach(function(a,n){t[a]=e[n]}),t}),"scatter"!==(m=document.getElementById("chartType").value)){e.n=3;break}h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Scatter plot from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:g},mark:{type:"point",size:100,tooltip:!0},encoding:c(c({x:{field:u[0],type:"quantitative",scale:{zero:!1},axis:{title:u[0],labelFontSize:12,titleFontSize:14}},y:{field:u[1],type:"quantitative",scale:{zero:!1},axis:{title:u[1],labelFontSize:12,titleFontSize:14}}},u.length>=3&&{color:{field:u[2],type:"nominal",legend:{title:u[2],titleFontSize:12,labelFontSize:11}}}),u.length>=4&&{shape:{field:u[3],type:"nominal",legend:{title:u[3],titleFontSize:12,labelFontSize:11}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),e.n=78;break;case 3:if("bubble"!==m){e.n=4;break}h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bubble chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:g},mark:{type:"circle",tooltip:!0,opacity:.7},encoding:c({x:{field:u[0],type:"quantitative",scale:{zero:!1},axis:{title:u[0],labelFontSize:12,titleFontSize:14}},y:{field:u[1],type:"quantitative",scale:{zero:!1},axis:{title:u[1],labelFontSize:12,titleFontSize:14}},size:{field:u[2],type:"quantitative",scale:{type:"linear",range:[100,1e3]},legend:{title:u[2],titleFontSize:12,labelFontSize:11}}},u.length>=4&&{color:{field:u[3],type:"nominal",legend:{title:u[3],titleFontSize:12,labelFontSize:11}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),e.n=78;break;case 4:if("ring"!==m){e.n=7;break}if(!(u.length<2)){e.n=5;break}throw new Error("Ring chart requires 2 columns: Category, Value");case 5:if(0!==(y=g.length)){e.n=6;break}throw new Error("Ring chart requires at least one data row");case 6:for(b=Math.max(15,Math.min(25,120/y)),v=Math.max(3,Math.min(8,40/y)),x=150+5*y,k=function(e,t){var a=Math.max(50,80-5*e),n=Math.max(25,60-8*e);return"hsl(".concat(210,", ").concat(a,"%, ").concat(n,"%)")},w=g.map(function(e,t){return d(d(d(d({},"__".concat(t,"__"),e[u[0]]),"__".concat(t+100,"__"),e[u[1]]),"Ring".concat(t+1,"_Theta2"),2*Math.PI*e[u[1]]/100),"Ring".concat(t+1,"_Percent_Label"),e[u[1]]+"%")}),S=[Object.assign.apply(Object,[{}].concat(o(w)))],z=[],C=x,F=0;F<y;F++)I=((E=C)+(U=E-b))/2,z.push({outer:E,inner:U,middle:I}),C=U-v;R=x+50-25*y/2,h={$schema:"https://vega.github.io/schema/vega-lite/v5.json",config:{autosize:{type:"pad",resize:!0},concat:{spacing:20}},description:"Dynamic ring chart with ".concat(y," concentric rings"),background:"white",data:{values:S},hconcat:[{description:"RINGS - Main Chart",width:2*(x+50),height:2*(x+50),view:{stroke:null},layer:[].concat(o(g.map(function(e,t){return{description:"RING ".concat(t+1," BACKGROUND"),mark:{type:"arc",radius:z[t].outer,radius2:z[t].inner,theta:0,theta2:6.283185307179586,opacity:.25,x:x+50,y:x+50},encoding:{color:{value:k(t)}}}})),o(g.map(function(e,t){return{description:"RING ".concat(t+1," PROGRESS"),mark:{type:"arc",radius:z[t].outer,radius2:z[t].inner,theta:0,theta2:{expr:"datum['Ring".concat(t+1,"_Theta2']")},cornerRadius:Math.min(8,b/2),tooltip:!0,x:x+50,y:x+50},encoding:{color:{value:k(t)},tooltip:[{value:e[u[0]],title:"Category"},{value:e[u[1]]+"%",title:"Progress"}]}}})),o(g.map(function(e,t){return{description:"RING ".concat(t+1," LABEL"),mark:{type:"text",align:"center",baseline:"middle",x:x+50+15,y:x+50-z[t].middle,fontSize:Math.max(10,Math.min(14,180/y)),font:"Segoe UI",fontWeight:"bold",color:"white"},encoding:{text:{value:e[u[1]]+"%"},opacity:{condition:{test:"datum['Ring".concat(t+1,"_Theta2'] > 0"),value:1},value:0}}}})))},{description:"LEGEND - Right Side",width:100,height:2*(x+50),view:{stroke:null},layer:g.map(function(e,t){return[{description:"LEGEND CIRCLE ".concat(t+1),mark:{type:"circle",size:150,x:15,y:R+25*t,color:k(t)}},{description:"LEGEND LABEL ".concat(t+1),mark:{type:"text",x:35,y:R+25*t,align:"left",baseline:"middle",fontSize:11,font:"Segoe UI"},encoding:{text:{value:e[u[0]]}}}]}).flat()}],view:{stroke:null}},e.n=78;break;case 7:if("line"!==m){e.n=8;break}A=[],M=u.slice(1),g.forEach(function(e){M.forEach(function(t){null!==e[t]&&void 0!==e[t]&&""!==e[t]&&A.push(d(d(d({},u[0],e[u[0]]),"series",t),"value",parseFloat(e[t])||0))})}),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Multi-series line chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:A},mark:{type:"line",point:!1,tooltip:!0,strokeWidth:2},encoding:{x:{field:u[0],type:"ordinal",axis:{title:u[0],labelFontSize:12,titleFontSize:14,labelAngle:0}},y:{field:"value",type:"quantitative",axis:{title:"Value",labelFontSize:12,titleFontSize:14}},color:{field:"series",type:"nominal",scale:{scheme:"category10"},legend:{title:"Series",titleFontSize:12,labelFontSize:11}}}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"},point:{size:60,filled:!0}}),e.n=78;break;case 8:if("step"!==m){e.n=11;break}if(L=function(e){return"number"==typeof e?new Date(Math.round(86400*(e-25569)*1e3)):new Date(e)},!(u.length<2)){e.n=9;break}throw new Error("Step chart requires at least 2 columns: Date/Time (X-axis), Values (Y-axis)");case 9:if(0!==(q=g.map(function(e,t){if(!e[u[0]]||null==e[u[1]]||""===e[u[1]])return null;var a=L(e[u[0]]),n=parseFloat(e[u[1]]);return isNaN(a.getTime())||isNaN(n)?null:{date:a.toISOString(),price:n}}).filter(Boolean)).length){e.n=10;break}return console.warn("No valid step chart data found"),e.a(2);case 10:h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,description:"Step chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:q},mark:{type:"line",interpolate:"step-after",strokeWidth:2},encoding:{x:{field:"date",type:"temporal",axis:{title:null,format:"%m/%d",labelAngle:-45,labelFontSize:11,labelColor:"#605e5c",font:"Segoe UI"}},y:{field:"price",type:"quantitative",scale:{zero:!1},axis:{title:null,labelFontSize:11,labelColor:"#605e5c",font:"Segoe UI",grid:!0,gridColor:"#f3f2f1"}},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"price",type:"quantitative",title:"Price",format:".2f"}]}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),e.n=78;break;case 11:if("gantt"!==m){e.n=12;break}P=function(e){return new Date(Math.round(86400*(e-25569)*1e3))},O=function(){var e,t=arguments.length>0&&void 0!==arguments[0]?arguments[0]:null,a=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,n=[],l=i(N.get(t)||[]);try{for(l.s();!(e=l.n()).done;){var r=e.value;r.level=a,n.push(r),n.push.apply(n,o(O(r.id,a+1)))}}catch(e){l.e(e)}finally{l.f()}return n},(D=f.map(function(e){var t=e[0]||null,a=e[1],n=e[2]||"Task ".concat(a);if(!a)return null;var i="number"==typeof e[3]?P(e[3]):new Date(e[3]),o="number"==typeof e[4]?P(e[4]):new Date(e[4]);if(!(i instanceof Date)||isNaN(i)||!(o instanceof Date)||isNaN(o))return null;var l=0;return e[5]&&(l="string"==typeof e[5]&&e[5].includes("%")?parseFloat(e[5])/100:e[5]>1?e[5]/100:e[5]),{id:a,parentId:t,name:n,startDate:i,endDate:o,progress:l,dependencies:e[6]?String(e[6]).split(",").map(function(e){return e.trim()}):[]}}).filter(Boolean)).forEach(function(e){var t=e.endDate-e.startDate;e.progressEnd=new Date(e.startDate.getTime()+t*e.progress)}),N=new Map,D.forEach(function(e){N.has(e.parentId)||N.set(e.parentId,[]),N.get(e.parentId).push(e)}),j=i(N.entries());try{for(j.s();!(T=j.n()).done;)(W=n(T.value,2))[0],W[1].sort(function(e,t){return e.startDate-t.startDate})}catch(e){j.e(e)}finally{j.f()}V=O(null),h={$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Gantt Chart from Excel Data",width:800,height:Math.max(300,30*V.length),data:{values:V},layer:[{mark:{type:"bar",opacity:.3,height:20},encoding:{y:{field:"name",type:"nominal",axis:{title:null,labelFontSize:11},sort:null},x:{field:"startDate",type:"temporal",axis:{title:"Timeline",format:"%b %d",labelAngle:-45}},x2:{field:"endDate",type:"temporal"},color:{field:"level",type:"ordinal",scale:{scheme:"category10"},legend:{title:"Level"}},tooltip:[{field:"name",type:"nominal",title:"Task"},{field:"startDate",type:"temporal",title:"Start",format:"%Y-%m-%d"},{field:"endDate",type:"temporal",title:"End",format:"%Y-%m-%d"},{field:"progress",type:"quantitative",title:"Progress",format:".0%"}]}},{mark:{type:"bar",opacity:.8,height:20},encoding:{y:{field:"name",type:"nominal",sort:null},x:{field:"startDate",type:"temporal"},x2:{field:"progressEnd",type:"temporal"},color:{field:"level",type:"ordinal",scale:{scheme:"category10"}}}},{mark:{type:"text",align:"left",baseline:"middle",dx:5,fontSize:10},encoding:{y:{field:"name",type:"nominal",sort:null},x:{field:"endDate",type:"temporal"},text:{field:"progress",type:"quantitative",format:".0%"},color:{value:"#666"}}},{mark:{type:"rule",strokeDash:[4,4],opacity:.5},data:{values:[{date:(new Date).toISOString()}]},encoding:{x:{field:"date",type:"temporal"},color:{value:"red"},size:{value:1}}}],config:{view:{stroke:null},axis:{grid:!0,gridColor:"#f0f0f0"}}},e.n=78;break;case 12:if("dumbbell"!==m){e.n=14;break}if(!(u.length<3)){e.n=13;break}return console.warn("Dumbbell chart requires 3 columns: Category, Value 1, Value 2"),e.a(2);case 13:_=[],g.forEach(function(e){var t=e[u[0]],a=parseFloat(e[u[1]])||0,n=parseFloat(e[u[2]])||0;_.push({category:t,period:u[1],value:a}),_.push({category:t,period:u[2],value:n})}),$=o(new Set(g.map(function(e){return e[u[0]]}))),(B=$.length)<=3?(G=Math.max(200,80*B),Y=.3,H=.2):B<=6?(G=Math.max(300,60*B),Y=.2,H=.1):(G=Math.max(400,Math.min(600,50*B)),Y=.1,H=.05),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Dumbbell chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},width:500,height:G,data:{values:_},encoding:{x:{field:"value",type:"quantitative",title:null,scale:{zero:!1},axis:{labelFontSize:12,labelColor:"#605e5c",grid:!0,gridColor:"#f3f2f1",labelAlign:"center"}},y:{field:"category",type:"nominal",title:null,scale:{paddingInner:Y,paddingOuter:H},axis:{offset:5,ticks:!1,minExtent:70,domain:!1,labelFontSize:12,labelColor:"#605e5c"}}},layer:[{mark:"line",encoding:{detail:{field:"category",type:"nominal"},color:{value:"#d1d5db"}}},{mark:{type:"point",filled:!0,tooltip:!0},encoding:{color:{field:"period",type:"ordinal",scale:{domain:[u[1],u[2]],range:["#87ceeb","#1e3a8a"]},title:"Measure",legend:{titleFontSize:12,labelFontSize:11,titleColor:"#323130",labelColor:"#605e5c"}},size:{value:100},opacity:{value:1},tooltip:[{field:"category",type:"nominal",title:"Category"},{field:"period",type:"nominal",title:"Measure"},{field:"value",type:"quantitative",title:"Value",format:",.1f"}]}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),e.n=78;break;case 14:if("slope"!==m){e.n=15;break}K=o(new Set(g.map(function(e){return e[u[0]]}))),X=o(new Set(g.map(function(e){return e[u[1]]}))),Z=K[0],J=K[K.length-1],Q=g.filter(function(e){return e[u[0]]===Z||e[u[0]]===J}),ee=Q.map(function(e){return e[u[2]]}),te=ee.every(function(e){return e>=-1&&e<=1}),ae=te?".1%":",.0f",ne=Math.max(300,Math.min(600,40*X.length)),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Slope chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},autosize:{type:"fit",contains:"padding"}},width:500,height:ne,data:{values:Q},encoding:{x:{field:u[0],type:"ordinal",axis:{title:null,labelFontSize:14,labelFontWeight:"bold",labelPadding:10,domain:!1,ticks:!1,labelColor:"#323130"},scale:{padding:.1}},y:{field:u[2],type:"quantitative",axis:null,scale:{zero:!1}},color:{field:u[1],type:"nominal",legend:null,scale:{scheme:"category10"}}},layer:[{mark:{type:"rule",strokeDash:[2,2],opacity:.3},data:{values:[{}]},encoding:{x:{datum:Z},x2:{datum:J},y:{value:0},color:{value:"#e0e0e0"}}},{mark:{type:"line",strokeWidth:2,opacity:.7,tooltip:!0},encoding:{detail:{field:u[1],type:"nominal"},tooltip:[{field:u[1],type:"nominal",title:"Category"},{field:u[0],type:"nominal",title:"Period"},{field:u[2],type:"quantitative",title:"Value",format:ae}]}},{mark:{type:"circle",size:100,opacity:1,tooltip:!0}},{transform:[{filter:"datum['".concat(u[0],"'] == '").concat(Z,"'")}],mark:{type:"text",align:"right",baseline:"middle",dx:-8,fontSize:11,fontWeight:"normal"},encoding:{text:{field:u[2],type:"quantitative",format:ae}}},{transform:[{filter:"datum['".concat(u[0],"'] == '").concat(Z,"'")},{window:[{op:"rank",as:"rank"}],sort:[{field:u[2],order:"descending"}]},{filter:"datum.rank <= 3"}],mark:{type:"text",align:"right",baseline:"bottom",dx:-8,dy:-12,fontSize:10,fontWeight:"bold",fontStyle:"italic"},encoding:{text:{field:u[1],type:"nominal"}}},{transform:[{filter:"datum['".concat(u[0],"'] == '").concat(J,"'")}],mark:{type:"text",align:"left",baseline:"middle",dx:8,fontSize:11,fontWeight:"normal"},encoding:{text:{field:u[2],type:"quantitative",format:ae}}},{transform:[{filter:"datum['".concat(u[0],"'] == '").concat(J,"'")}],mark:{type:"text",align:"left",baseline:"middle",dx:35,fontSize:10,fontWeight:"bold"},encoding:{text:{field:u[1],type:"nominal"}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:11,fill:"#605E5C"},axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),e.n=78;break;case 15:if("bullet"!==m){e.n=16;break}ie=f.map(function(e){return{title:e[0],ranges:[+e[1],+e[2],+e[3]],measures:[+e[4],+e[5]],markers:[+e[6]]}}),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},data:{values:ie},facet:{row:{field:"title",type:"ordinal",header:{labelAngle:0,title:"",labelAlign:"left"}}},spacing:10,spec:{encoding:{x:{type:"quantitative",scale:{nice:!1},title:null}},layer:[{mark:{type:"bar",color:"#eee"},encoding:{x:{field:"ranges[2]"}}},{mark:{type:"bar",color:"#ddd"},encoding:{x:{field:"ranges[1]"}}},{mark:{type:"bar",color:"#ccc"},encoding:{x:{field:"ranges[0]"}}},{mark:{type:"bar",color:"lightsteelblue",size:10},encoding:{x:{field:"measures[1]"}}},{mark:{type:"bar",color:"steelblue",size:10},encoding:{x:{field:"measures[0]"}}},{mark:{type:"tick",color:"black"},encoding:{x:{field:"markers[0]"}}}]},resolve:{scale:{x:"independent"}}},"config",{tick:{thickness:2},scale:{barBandPaddingInner:0}}),e.n=78;break;case 16:if("box"!==m){e.n=17;break}oe=f.filter(function(e){return e[0]&&!isNaN(+e[1])}).map(function(e){return{category:e[0],value:+e[1]}}),h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Box plot from Excel selection",data:{values:oe},mark:{type:"boxplot",extent:"min-max"},encoding:{x:{field:"category",type:"nominal"},y:{field:"value",type:"quantitative",scale:{zero:!1}},color:{field:"category",type:"nominal",legend:null}}},e.n=78;break;case 17:if("horizon"!==m){e.n=18;break}le=g.map(function(e,t){return{x:e[u[0]]||t+1,y:parseFloat(e[u[1]])||0}}),re=le.map(function(e){return e.y}),se=Math.max.apply(Math,o(re)),ce=Math.min.apply(Math,o(re)),ue=(de=se-ce)/6,pe=ce+de/2,fe=le.length,ge=Math.max(300,Math.min(800,15*fe)),h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Horizon Graph from Excel selection (IDL methodology)",width:ge,height:60,background:"white",config:{view:{stroke:"transparent"},area:{interpolate:"monotone"}},data:{values:le},encoding:{x:{field:"x",type:u[0].toLowerCase().includes("date")?"temporal":"quantitative",scale:{zero:!1,nice:!1},axis:{title:u[0],labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI"}},y:{type:"quantitative",scale:{domain:[0,ue]},axis:{title:u[1],orient:"left",labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",tickCount:3}}},layer:[{transform:[{calculate:"max(0, min(datum.y - ".concat(pe,", ").concat(ue,"))"),as:"band1"}],mark:{type:"area",clip:!0,opacity:.3,color:"#4a90e2",interpolate:"monotone"},encoding:{y:{field:"band1"}}},{transform:[{calculate:"max(0, min(datum.y - ".concat(pe," - ").concat(ue,", ").concat(ue,"))"),as:"band2"}],mark:{type:"area",clip:!0,opacity:.6,color:"#2e7bd6",interpolate:"monotone"},encoding:{y:{field:"band2"}}},{transform:[{calculate:"max(0, datum.y - ".concat(pe," - ").concat(2*ue,")"),as:"band3"}],mark:{type:"area",clip:!0,opacity:.9,color:"#1a5bb8",interpolate:"monotone"},encoding:{y:{field:"band3"}}},{transform:[{calculate:"max(0, min(".concat(pe," - datum.y, ").concat(ue,"))"),as:"nband1"}],mark:{type:"area",clip:!0,opacity:.3,color:"#e74c3c",interpolate:"monotone"},encoding:{y:{field:"nband1"}}},{transform:[{calculate:"max(0, min(".concat(pe," - datum.y - ").concat(ue,", ").concat(ue,"))"),as:"nband2"}],mark:{type:"area",clip:!0,opacity:.6,color:"#c0392b",interpolate:"monotone"},encoding:{y:{field:"nband2"}}},{transform:[{calculate:"max(0, ".concat(pe," - datum.y - ").concat(2*ue,")"),as:"nband3"}],mark:{type:"area",clip:!0,opacity:.9,color:"#a93226",interpolate:"monotone"},encoding:{y:{field:"nband3"}}}]},e.n=78;break;case 18:if("tree"!==m){e.n=19;break}me=new Map,g.forEach(function(e,t){var a=e[u[0]]||"",n=e[u[1]]||"node_".concat(t),i=u.length>=3&&parseFloat(e[u[2]])||1;if(a&&!me.has(a)&&me.set(a,{id:a,parent:"",name:a,value:1}),me.has(n)){var o=me.get(n);o.parent=a,o.value=i}else me.set(n,{id:n,parent:a,name:n,value:i})}),he=Array.from(me.values()),ye=new Set(he.map(function(e){return e.id})),he.forEach(function(e){e.parent&&!ye.has(e.parent)&&(e.parent="")}),be=he.length,ve=Math.max(600,Math.min(1200,40*be)),xe=Math.max(400,Math.min(1600,30*be)),h={$schema:"https://vega.github.io/schema/vega/v6.json",description:"Tree diagram from Excel selection",width:ve,height:xe,padding:20,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"layout",value:"tidy"},{name:"links",value:"diagonal"}],data:[{name:"tree",values:he,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"tree",method:{signal:"layout"},size:[{signal:"height - 40"},{signal:"width - 100"}],as:["y","x","depth","children"]}]},{name:"links",source:"tree",transform:[{type:"treelinks"},{type:"linkpath",orient:"horizontal",shape:{signal:"links"}}]}],scales:[{name:"color",type:"ordinal",range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"],domain:{data:"tree",field:"depth"}},{name:"size",type:"linear",range:[100,400],domain:{data:"tree",field:"value"}}],marks:[{type:"path",from:{data:"links"},encode:{update:{path:{field:"path"},stroke:{value:"#8a8886"},strokeWidth:{value:2},strokeOpacity:{value:.6}}}},{type:"symbol",from:{data:"tree"},encode:{enter:{stroke:{value:"#ffffff"},strokeWidth:{value:2}},update:{x:{field:"x"},y:{field:"y"},size:{scale:"size",field:"value"},fill:{scale:"color",field:"depth"},fillOpacity:{value:.8},tooltip:{signal:"{'Name': datum.name, 'ID': datum.id, 'Parent': datum.parent, 'Depth': datum.depth, 'Value': datum.value}"}},hover:{fillOpacity:{value:1},strokeWidth:{value:3}}}},{type:"text",from:{data:"tree"},encode:{enter:{fontSize:{value:11},baseline:{value:"middle"},font:{value:"Segoe UI"},fontWeight:{value:"bold"}},update:{x:{field:"x"},y:{field:"y"},text:{field:"name"},dx:{signal:"datum.children ? -12 : 12"},align:{signal:"datum.children ? 'right' : 'left'"},fill:{value:"#323130"}}}}]},e.n=78;break;case 19:if("sunburst"!==m){e.n=20;break}ke=new Map,g.forEach(function(e,t){var a=e[u[0]]||"",n=e[u[1]]||"node_".concat(t),i=u.length>=3&&parseFloat(e[u[2]])||1;if(a&&!ke.has(a)&&ke.set(a,{id:a,parent:"",name:a,size:0}),ke.has(n)){var o=ke.get(n);o.parent=a,o.size=i}else ke.set(n,{id:n,parent:a,name:n,size:i})}),we=Array.from(ke.values()),Se=new Set(we.map(function(e){return e.id})),we.forEach(function(e){e.parent&&!Se.has(e.parent)&&(e.parent="")}),ze=we.length,Ce=Math.max(400,Math.min(600,15*ze+300)),h={$schema:"https://vega.github.io/schema/vega/v6.json",description:"Sunburst chart from Excel selection",width:Ce,height:Ce,padding:10,autosize:"none",background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"centerX",update:"width / 2"},{name:"centerY",update:"height / 2"},{name:"outerRadius",update:"min(width, height) / 2 - 10"}],data:[{name:"tree",values:we,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"partition",field:"size",sort:{field:"size",order:"descending"},size:[{signal:"2 * PI"},{signal:"outerRadius"}],as:["a0","r0","a1","r1","depth","children"]}]}],scales:[{name:"color",type:"ordinal",domain:{data:"tree",field:"depth"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438","#8764b8","#e3008c","#00b7c3","#038387","#486991"]},{name:"opacity",type:"linear",domain:{data:"tree",field:"depth"},range:[.8,.4]}],marks:[{type:"arc",from:{data:"tree"},encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},stroke:{value:"white"},strokeWidth:{value:1}},update:{startAngle:{field:"a0"},endAngle:{field:"a1"},innerRadius:{field:"r0"},outerRadius:{field:"r1"},fill:{scale:"color",field:"depth"},fillOpacity:{scale:"opacity",field:"depth"}}}},{type:"text",from:{data:"tree"},encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},radius:{signal:"(datum.r0 + datum.r1) / 2"},theta:{signal:"(datum.a0 + datum.a1) / 2"},fill:{value:"#323130"},font:{value:"Segoe UI"},fontSize:{value:10},fontWeight:{value:"bold"},align:{value:"center"},baseline:{value:"middle"}},update:{text:{signal:"(datum.r1 - datum.r0) > 20 && (datum.a1 - datum.a0) > 0.3 ? datum.name : ''"},opacity:{signal:"(datum.r1 - datum.r0) > 20 && (datum.a1 - datum.a0) > 0.3 ? 1 : 0"}}}}]},e.n=78;break;case 20:if("radar"!==m){e.n=21;break}Fe=[],Ee=u.slice(1),g.forEach(function(e,t){var a=e[u[0]]||"Series ".concat(t+1);Ee.forEach(function(n){var i=parseFloat(e[n])||0;Fe.push({series:a,dimension:n,value:i,category:t})})}),Ue=o(new Set(Fe.map(function(e){return e.dimension}))),h={$schema:"https://vega.github.io/schema/vega/v6.json",description:"Radar chart from Excel selection",width:400,height:400,padding:60,autosize:{type:"none",contains:"padding"},background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"radius",update:"width / 2"}],data:[{name:"table",values:Fe},{name:"dimensions",values:Ue.map(function(e){return{dimension:e}})}],scales:[{name:"angular",type:"point",range:{signal:"[-PI, PI]"},padding:.5,domain:Ue},{name:"radial",type:"linear",range:{signal:"[0, radius]"},zero:!0,nice:!0,domain:{data:"table",field:"value"},domainMin:0},{name:"color",type:"ordinal",domain:{data:"table",field:"category"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"]}],encode:{enter:{x:{signal:"radius"},y:{signal:"radius"}}},marks:[{type:"group",name:"categories",zindex:1,from:{facet:{data:"table",name:"facet",groupby:["category","series"]}},marks:[{type:"line",name:"category-line",from:{data:"facet"},encode:{enter:{interpolate:{value:"linear-closed"},x:{signal:"scale('radial', datum.value) * cos(scale('angular', datum.dimension))"},y:{signal:"scale('radial', datum.value) * sin(scale('angular', datum.dimension))"},stroke:{scale:"color",field:"category"},strokeWidth:{value:2},fill:{scale:"color",field:"category"},fillOpacity:{value:.1},strokeOpacity:{value:.8}}}},{type:"symbol",name:"category-points",from:{data:"facet"},encode:{enter:{x:{signal:"scale('radial', datum.value) * cos(scale('angular', datum.dimension))"},y:{signal:"scale('radial', datum.value) * sin(scale('angular', datum.dimension))"},size:{value:50},fill:{scale:"color",field:"category"},stroke:{value:"white"},strokeWidth:{value:1}}}}]},{type:"rule",name:"radial-grid",from:{data:"dimensions"},zindex:0,encode:{enter:{x:{value:0},y:{value:0},x2:{signal:"radius * cos(scale('angular', datum.dimension))"},y2:{signal:"radius * sin(scale('angular', datum.dimension))"},stroke:{value:"#e1e4e8"},strokeWidth:{value:1}}}},{type:"text",name:"dimension-label",from:{data:"dimensions"},zindex:1,encode:{enter:{x:{signal:"(radius + 20) * cos(scale('angular', datum.dimension))"},y:{signal:"(radius + 20) * sin(scale('angular', datum.dimension))"},text:{field:"dimension"},align:[{test:"abs(scale('angular', datum.dimension)) > PI / 2",value:"right"},{value:"left"}],baseline:[{test:"scale('angular', datum.dimension) > 0",value:"top"},{test:"scale('angular', datum.dimension) == 0",value:"middle"},{value:"bottom"}],fill:{value:"#323130"},fontWeight:{value:"bold"},font:{value:"Segoe UI"},fontSize:{value:12}}}},{type:"line",name:"outer-line",from:{data:"radial-grid"},encode:{enter:{interpolate:{value:"linear-closed"},x:{field:"x2"},y:{field:"y2"},stroke:{value:"#8a8886"},strokeWidth:{value:2},strokeOpacity:{value:.6}}}}]},e.n=78;break;case 21:if("waterfall"!==m){e.n=22;break}(Ie=o(g)).length>0&&(Ie[Ie.length-1]=c(c({},Ie[Ie.length-1]),{},d({},u[1],0))),Re=g.length,Ae=Math.max(400,Math.min(1600,50*Re)),Me=Math.max.apply(Math,o(g.map(function(e){return Math.abs(e[u[1]])}))),Le=Math.max(300,Math.min(600,Me/100+200)),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Waterfall chart with multiple subtotals",background:"white",data:{values:Ie},config:{view:{stroke:"transparent"}},width:Ae,height:Le,transform:[{window:[{op:"sum",field:u[1],as:"sum"}]},{window:[{op:"lead",field:u[0],as:"lead"}]},{calculate:"datum.lead === null ? datum.".concat(u[0]," : datum.lead"),as:"lead"},{calculate:"datum.".concat(u[2]," == 'total' ? 0 : datum.sum - datum.").concat(u[1]),as:"previous_sum"},{calculate:"datum.".concat(u[2]," == 'total' ? datum.sum : datum.").concat(u[1]),as:"amount"},{calculate:"datum.".concat(u[2]," == 'total' ? datum.").concat(u[1]," / 2 : (datum.sum + datum.previous_sum) / 2"),as:"center"},{calculate:"datum.".concat(u[2]," == 'total' ? datum.sum : (datum.").concat(u[1]," > 0 ? '+' : '') + datum.").concat(u[1]),as:"text_amount"},{calculate:"(datum.sum + datum.previous_sum) / 2",as:"center"},{window:[{op:"rank",as:"group_index"}],frame:[null,null],groupby:[u[0]]},{calculate:"\n                datum.".concat(u[2]," == 'total'\n                    ? '#00B0F0'\n                    : datum.amount >= 0\n                    ? (datum.group_index == 1 ? '#70AD47'\n                        : (datum.group_index == 2 ? '#8BC97A'\n                        : (datum.group_index == 3 ? '#A7DA9D'\n                        : '#C3EBC0')))\n                    : (datum.group_index == 1 ? '#E15759'\n                        : (datum.group_index == 2 ? '#EC7A7C'\n                        : (datum.group_index == 3 ? '#F29C9D'\n                        : '#F8BEBF')))\n                "),as:"bar_color"}],encoding:{x:{field:u[0],type:"ordinal",sort:null,axis:{labelAngle:-45,title:null},scale:{paddingInner:.05,paddingOuter:.025}}},layer:[{mark:{type:"bar",size:60},encoding:{y:{field:"previous_sum",type:"quantitative",title:null},y2:{field:"sum"},color:{field:"bar_color",type:"nominal",scale:null}}},{mark:{type:"text",fontWeight:"bold",baseline:"middle"},encoding:{y:{field:"center",type:"quantitative"},text:{field:"text_amount",type:"nominal"},color:{condition:[{test:"datum.".concat(u[2]," == 'total'"),value:"#725a30"}],value:"white"}}}]},"config",{text:{fontWeight:"bold",color:"#D9D9D9"}}),e.n=78;break;case 22:if("gauge"!==m){e.n=24;break}if(!(u.length<2)){e.n=23;break}return console.warn("Gauge chart requires 2 columns: Current Value, Max Value"),e.a(2);case 23:qe=g[0],Pe=parseFloat(qe[u[0]])||0,Oe=parseFloat(qe[u[1]])||100,h={$schema:"https://vega.github.io/schema/vega/v5.json",description:"Gauge chart from Excel selection",width:400,height:220,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"centerX",update:"width / 2"},{name:"centerY",update:"height - 20"},{name:"outerRadius",update:"min(width / 2, height) - 20"},{name:"innerRadius",update:"outerRadius - outerRadius * 0.25"},{name:"mainValue",value:Pe},{name:"minValue",value:0},{name:"maxValue",value:Oe},{name:"usedValue",update:"min(max(minValue, mainValue), maxValue)"},{name:"fontFactor",update:"(min(width, height)/5)/25"},{name:"backgroundColor",value:"#e1e4e8"},{name:"fillColor",value:"#0078d4"},{name:"needleColor",value:"#323130"},{name:"needleSize",update:"innerRadius"}],scales:[{name:"gaugeScale",type:"linear",domain:[{signal:"minValue"},{signal:"maxValue"}],range:[{signal:"-PI/2"},{signal:"PI/2"}]},{name:"needleScale",type:"linear",domain:[{signal:"minValue"},{signal:"maxValue"}],range:[-90,90]}],marks:[{type:"arc",name:"gauge",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},startAngle:{signal:"-PI/2"},endAngle:{signal:"PI/2"},outerRadius:{signal:"outerRadius"},innerRadius:{signal:"innerRadius"},fill:{signal:"backgroundColor"}}}},{type:"arc",encode:{enter:{startAngle:{signal:"-PI/2"}},update:{x:{signal:"centerX"},y:{signal:"centerY"},innerRadius:{signal:"innerRadius"},outerRadius:{signal:"outerRadius"},endAngle:{scale:"gaugeScale",signal:"usedValue"},fill:{signal:"fillColor"}}}},{type:"text",description:"displayed main value at the center",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY + fontFactor * 15"},baseline:{value:"middle"},align:{value:"center"},fontSize:{signal:"fontFactor * 7"},font:{value:"Segoe UI"},fontWeight:{value:"bold"}},update:{text:{signal:"mainValue < 1 ? format(mainValue, '.0%') : format(mainValue, ',.0f')"},fill:{signal:"fillColor"}}}},{type:"symbol",name:"needle",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"}},update:{shape:{signal:"'M-2.5 -2.5 Q 0 0 2.5 -2.5 L 0 -' + toString(needleSize) + ' Z '"},angle:{signal:"usedValue",scale:"needleScale"},size:{signal:"4"},stroke:{signal:"needleColor"},fill:{signal:"needleColor"}}}},{type:"symbol",description:"center circle",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},shape:{value:"circle"},size:{signal:"pow(fontFactor * 8, 2)"},fill:{signal:"needleColor"},stroke:{value:"white"},strokeWidth:{value:2}}}}]},e.n=78;break;case 24:if("pie"!==m){e.n=25;break}h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},description:"Pie chart from Excel selection",data:{values:g},mark:{type:"arc",outerRadius:120},encoding:{theta:{field:u[1],type:"quantitative"},color:{field:u[0],type:"nominal"}}},e.n=78;break;case 25:if("donut"!==m){e.n=28;break}if(!(u.length<2)){e.n=26;break}throw new Error("Donut chart requires 2 columns: Category, Value");case 26:if(!g.some(function(e){return isNaN(e[u[1]])||e[u[1]]<=0})){e.n=27;break}throw new Error("Donut chart values must be positive numbers");case 27:h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},description:"Donut chart from Excel selection",data:{values:g},mark:{type:"arc",innerRadius:50,outerRadius:120,tooltip:!0,stroke:"white",strokeWidth:2},encoding:{theta:{field:u[1],type:"quantitative",scale:{type:"linear",range:[0,6.28]}},color:{field:u[0],type:"nominal",scale:{scheme:"category10"},legend:{title:u[0],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:u[0],type:"nominal",title:"Category"},{field:u[1],type:"quantitative",title:"Value",format:",.0f"}]}},"config",{font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}}),e.n=78;break;case 28:if("histogram"!==m){e.n=29;break}De=f.filter(function(e){return!isNaN(+e[0])}).map(function(e){return{value:+e[0]}}),Ne=De.map(function(e){return e.value}),je=Math.min.apply(Math,o(Ne)),Te=Math.max.apply(Math,o(Ne)),We=(Te-je)/20,Ve=Math.floor(je/We)*We,_e=Math.ceil(Te/We)*We,h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Histogram from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:De},mark:{type:"bar",tooltip:!0,stroke:"white",strokeWidth:1},encoding:{x:{field:"value",bin:{extent:[Ve,_e],step:We,nice:!1},type:"quantitative",axis:{title:"Value",labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130"},scale:{domain:[Ve,_e],range:"width",paddingInner:.05,paddingOuter:.02}},y:{aggregate:"count",type:"quantitative",axis:{title:"Count",labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},color:{value:"#0078d4"}}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),e.n=78;break;case 29:if("density"!==m){e.n=31;break}if(!(u.length<1)){e.n=30;break}return console.warn("Density plot requires at least 1 column (Values)"),e.a(2);case 30:h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Density plot from Excel selection",background:"white",config:{view:{stroke:"transparent"}},width:400,height:100,data:{values:g},transform:[{density:u[0],bandwidth:.3}],mark:"area",encoding:{x:{field:"value",title:u[0],type:"quantitative",axis:{labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},y:{field:"density",type:"quantitative",title:"Density",axis:{labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},color:{value:"#0078d4"},tooltip:[{field:"value",type:"quantitative",title:u[0],format:".2f"},{field:"density",type:"quantitative",title:"Density",format:".4f"}]}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),e.n=78;break;case 31:if("candlestick"!==m){e.n=33;break}if($e=function(e){return"number"==typeof e?new Date(Math.round(86400*(e-25569)*1e3)):new Date(e)},0!==(Be=g.map(function(e,t){if(!e[u[0]]||null==e[u[1]]||""===e[u[1]]||null==e[u[2]]||""===e[u[2]]||null==e[u[3]]||""===e[u[3]]||null==e[u[4]]||""===e[u[4]])return null;var a=$e(e[u[0]]),n=parseFloat(e[u[1]]),i=parseFloat(e[u[2]]),o=parseFloat(e[u[3]]),l=parseFloat(e[u[4]]);return isNaN(a.getTime())||isNaN(n)||isNaN(i)||isNaN(o)||isNaN(l)?null:{date:a.toISOString(),open:n,high:i,low:o,close:l}}).filter(Boolean)).length){e.n=32;break}return console.warn("No valid candlestick data found"),e.a(2);case 32:Ge=Be.length,Ye=Math.max(500,Math.min(1400,18*Ge)),He=Be.map(function(e){return c(c({},e),{},{dateDisplay:new Date(e.date).toLocaleDateString("en-US",{month:Ge>50?"numeric":"short",day:"numeric",year:Ge>100?void 0:"2-digit"})})}),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:Ye,height:400,description:"Candlestick chart V4 from Excel selection",background:"white",padding:{left:10,right:10,top:10,bottom:10},config:{view:{stroke:"transparent"}},data:{values:He},encoding:{x:{field:"dateDisplay",type:"ordinal",title:"Date",axis:{labelAngle:Ge>15?-45:0,labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",labelLimit:100,labelOverlap:!1,titlePadding:5,labelPadding:3},scale:{type:"band",paddingInner:.1,paddingOuter:.05}},y:{type:"quantitative",scale:{zero:!1},axis:{title:"Price",labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",grid:!0,gridColor:"#f3f2f1",titlePadding:5,labelPadding:3}},color:{condition:{test:"datum.open < datum.close",value:"#06982d"},value:"#ae1325"}},layer:[{mark:{type:"rule",tooltip:!0,strokeWidth:1},encoding:{y:{field:"low"},y2:{field:"high"},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"open",type:"quantitative",title:"Open",format:".2f"},{field:"high",type:"quantitative",title:"High",format:".2f"},{field:"low",type:"quantitative",title:"Low",format:".2f"},{field:"close",type:"quantitative",title:"Close",format:".2f"}]}},{mark:{type:"bar",tooltip:!0,stroke:"white",strokeWidth:.5},encoding:{y:{field:"open"},y2:{field:"close"},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"open",type:"quantitative",title:"Open",format:".2f"},{field:"high",type:"quantitative",title:"High",format:".2f"},{field:"low",type:"quantitative",title:"Low",format:".2f"},{field:"close",type:"quantitative",title:"Close",format:".2f"}]}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}}),e.n=78;break;case 33:if("map"!==m){e.n=34;break}Ke={AFG:4,AGO:24,ALB:8,AND:20,ARE:784,ARG:32,ARM:51,ATA:10,ATG:28,AUS:36,AUT:40,AZE:31,BDI:108,BEL:56,BEN:204,BFA:854,BGD:50,BGR:100,BHR:48,BHS:44,BIH:70,BLR:112,BLZ:84,BOL:68,BRA:76,BRB:52,BRN:96,BTN:64,BWA:72,CAF:140,CAN:124,CHE:756,CHL:152,CHN:156,CIV:384,CMR:120,COD:180,COG:178,COL:170,COM:174,CPV:132,CRI:188,CUB:192,CYP:196,CZE:203,DEU:276,DJI:262,DMA:212,DNK:208,DOM:214,DZA:12,ECU:218,EGY:818,ERI:232,ESH:732,ESP:724,EST:233,ETH:231,FIN:246,FJI:242,FRA:250,FSM:583,GAB:266,GBR:826,GEO:268,GHA:288,GIN:324,GMB:270,GNB:624,GNQ:226,GRC:300,GRD:308,GRL:304,GTM:320,GUY:328,HND:340,HRV:191,HTI:332,HUN:348,IDN:360,IND:356,IRL:372,IRN:364,IRQ:368,ISL:352,ISR:376,ITA:380,JAM:388,JOR:400,JPN:392,KAZ:398,KEN:404,KGZ:417,KHM:116,KIR:296,KNA:659,KOR:410,KWT:414,LAO:418,LBN:422,LBR:430,LBY:434,LCA:662,LIE:438,LKA:144,LSO:426,LTU:440,LUX:442,LVA:428,MAR:504,MCO:492,MDA:498,MDG:450,MDV:462,MEX:484,MHL:584,MKD:807,MLI:466,MLT:470,MMR:104,MNE:499,MNG:496,MOZ:508,MRT:478,MUS:480,MWI:454,MYS:458,NAM:516,NCL:540,NER:562,NGA:566,NIC:558,NLD:528,NOR:578,NPL:524,NRU:520,NZL:554,OMN:512,PAK:586,PAN:591,PER:604,PHL:608,PLW:585,PNG:598,POL:616,PRI:630,PRK:408,PRT:620,PRY:600,PSE:275,QAT:634,ROU:642,RUS:643,RWA:646,SAU:682,SDN:729,SEN:686,SGP:702,SLB:90,SLE:694,SLV:222,SMR:674,SOM:706,SRB:688,SSD:728,STP:678,SUR:740,SVK:703,SVN:705,SWE:752,SWZ:748,SYC:690,SYR:760,TCD:148,TGO:768,THA:764,TJK:762,TKM:795,TLS:626,TON:776,TTO:780,TUN:788,TUR:792,TUV:798,TWN:158,TZA:834,UGA:800,UKR:804,URY:858,USA:840,UZB:860,VAT:336,VCT:670,VEN:862,VNM:704,VUT:548,WSM:882,XKX:383,YEM:887,ZAF:710,ZMB:894,ZWE:716},Xe=f.filter(function(e){return e[0]&&!isNaN(+e[1])}).map(function(e){var t=(e[0]||"").toUpperCase().trim();return{id:Ke[t],iso:t,rate:+e[1]}}).filter(function(e){return e.id}),h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:800,height:450,data:{url:"https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json",format:{type:"topojson",feature:"countries"}},transform:[{lookup:"id",from:{data:{values:Xe},key:"id",fields:["rate","iso"]}}],projection:{type:"equalEarth"},mark:{type:"geoshape",stroke:"white",strokeWidth:.5},encoding:{color:{field:"rate",type:"quantitative",scale:{scheme:"blues"}},tooltip:[{field:"iso",type:"nominal",title:"Country (ISO3)"},{field:"rate",type:"quantitative",title:"Value"}]}},e.n=78;break;case 34:if("contour"!==m){e.n=37;break}if(!(u.length<2)){e.n=35;break}return console.error("Contour plot requires at least 2 columns (X values, Y values, optional Categories)"),e.a(2);case 35:if(0!==(Ze=g.filter(function(e){return null!==e[u[0]]&&void 0!==e[u[0]]&&""!==e[u[0]]&&null!==e[u[1]]&&void 0!==e[u[1]]&&""!==e[u[1]]})).length){e.n=36;break}return console.error("No valid data points for contour plot"),e.a(2);case 36:Je=Ze.map(function(e){return parseFloat(e[u[0]])}),Qe=Ze.map(function(e){return parseFloat(e[u[1]])}),et=Math.max.apply(Math,o(Je))-Math.min.apply(Math,o(Je)),tt=Math.max.apply(Math,o(Qe))-Math.min.apply(Math,o(Qe)),at=Math.max(500,Math.min(800,10*et)),nt=Math.max(400,Math.min(600,10*tt)),it=u.length>=3,h={$schema:"https://vega.github.io/schema/vega/v6.json",description:"Contour plot from Excel selection - density estimate overlay",width:at,height:nt,padding:5,autosize:"pad",background:"white",signals:[{name:"bandwidth",value:-1,description:"Bandwidth for density estimation (-1 for auto)"},{name:"resolve",value:"shared",description:"Scale resolution for contours"},{name:"counts",value:!0,description:"Use counts vs density"}],data:[{name:"source",values:Ze,transform:[{type:"filter",expr:"datum['".concat(u[0],"'] != null && datum['").concat(u[1],"'] != null")}]},{name:"density",source:"source",transform:[c(c({type:"kde2d"},it&&{groupby:[u[2]]}),{},{size:[{signal:"width"},{signal:"height"}],x:{expr:"scale('x', datum['".concat(u[0],"'])")},y:{expr:"scale('y', datum['".concat(u[1],"'])")},bandwidth:{signal:"[bandwidth, bandwidth]"},counts:{signal:"counts"}})]},{name:"contours",source:"density",transform:[{type:"isocontour",field:"grid",resolve:{signal:"resolve"},levels:5}]}],scales:[{name:"x",type:"linear",round:!0,nice:!0,zero:!1,domain:{data:"source",field:u[0]},range:"width"},{name:"y",type:"linear",round:!0,nice:!0,zero:!1,domain:{data:"source",field:u[1]},range:"height"}].concat(o(it?[{name:"color",type:"ordinal",domain:{data:"source",field:u[2],sort:{order:"descending"}},range:"category"}]:[{name:"color",type:"ordinal",domain:["Data"],range:["#0078d4"]}])),axes:[{scale:"x",grid:!0,domain:!1,orient:"bottom",tickCount:5,title:u[0],labelFontSize:11,titleFontSize:13,labelFont:"Segoe UI",titleFont:"Segoe UI",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},{scale:"y",grid:!0,domain:!1,orient:"left",titlePadding:5,title:u[1],labelFontSize:11,titleFontSize:13,labelFont:"Segoe UI",titleFont:"Segoe UI",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}],legends:it?[{stroke:"color",symbolType:"stroke",title:u[2],titleFont:"Segoe UI",titleFontSize:12,titleColor:"#323130",labelFont:"Segoe UI",labelFontSize:11,labelColor:"#605e5c"}]:[],marks:[{name:"points",type:"symbol",from:{data:"source"},encode:{update:{x:{scale:"x",field:u[0]},y:{scale:"y",field:u[1]},size:{value:16},fill:{value:"#cccccc"},fillOpacity:{value:.4},stroke:{value:"#999999"},strokeWidth:{value:.5}}}},{type:"image",from:{data:"density"},encode:{update:{x:{value:0},y:{value:0},width:{signal:"width"},height:{signal:"height"},aspect:{value:!1}}},transform:[{type:"heatmap",field:"datum.grid",resolve:{signal:"resolve"},color:it?{expr:"scale('color', datum.datum['".concat(u[2],"'])")}:{expr:"scale('color', 'Data')"}}]},{type:"path",clip:!0,from:{data:"contours"},encode:{enter:{strokeWidth:{value:1.5},strokeOpacity:{value:.8},stroke:it?{scale:"color",field:u[2]}:{value:"#0078d4"},fill:{value:null}}},transform:[{type:"geopath",field:"datum.contour"}]}],config:{font:"Segoe UI",view:{stroke:"transparent"}}},e.n=78;break;case 37:if("mekko"!==m){e.n=38;break}h={$schema:"https://vega.github.io/schema/vega/v5.json",description:"Mekko chart from Excel selection",width:800,height:500,background:"white",config:{view:{stroke:"transparent"}},view:{stroke:null},padding:{top:60,bottom:80,left:60,right:60},data:[{name:"table",values:g},{name:"categories",source:"table",transform:[{type:"aggregate",fields:[u[2]],ops:["sum"],as:["categoryTotal"],groupby:[u[0]]},{type:"stack",offset:"normalize",sort:{field:"categoryTotal",order:"descending"},field:"categoryTotal",as:["x0","x1"]},{type:"formula",as:"Percent",expr:"datum.x1-datum.x0"},{type:"formula",as:"Label",expr:"datum.".concat(u[0]," + ' (' + format(datum.Percent,'.1%') + ')'")}]},{name:"finalTable",source:"table",transform:[{type:"stack",offset:"normalize",groupby:[u[0]],sort:{field:u[2],order:"descending"},field:u[2],as:["y0","y1"]},{type:"stack",groupby:[u[0]],sort:{field:u[2],order:"descending"},field:u[2],as:["z0","z1"]},{type:"lookup",from:"categories",key:u[0],values:["x0","x1"],fields:[u[0]]},{type:"formula",as:"Percent",expr:"datum.y1-datum.y0"},{type:"formula",as:"Label",expr:"[datum.".concat(u[1],", format(datum.").concat(u[2],", '.0f') + ' (' + format(datum.Percent, '.1%') + ')']")},{type:"window",sort:{field:"y0",order:"ascending"},ops:["row_number"],fields:[null],as:["rank"],groupby:[u[0]]}]}],scales:[{name:"x",type:"linear",range:"width",domain:{data:"finalTable",field:"x1"}},{name:"y",type:"linear",range:"height",nice:!1,zero:!0,domain:{data:"finalTable",field:"z1"}},{name:"opacity",type:"linear",range:[1,.6],domain:{data:"finalTable",field:"rank"}},{name:"color",type:"ordinal",range:{scheme:"category20"},domain:{data:"categories",field:u[0],sort:{field:"x0",order:"ascending",op:"sum"}}}],axes:[{orient:"left",scale:"y",zindex:1,format:"",tickCount:5,tickSize:15,labelColor:{value:"#333740"},labelFontWeight:{value:"normal"},labelFontSize:{value:12},labelFont:{value:"Segoe UI"},offset:5,domain:!1,encode:{labels:{update:{text:{signal:"format(datum.value, '.0f')"}}}}}],marks:[{type:"rect",name:"bars",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"x0"},x2:{scale:"x",field:"x1"},y:{scale:"y",field:"z0"},y2:{scale:"y",field:"z1"},fill:{scale:"color",field:u[0]},stroke:{value:"white"},strokeWidth:{value:1},fillOpacity:{scale:"opacity",field:"rank"},tooltip:{signal:"datum"}}}},{type:"text",name:"labels",interactive:!1,from:{data:"bars"},encode:{update:{x:{signal:"(datum.x2 - datum.x)*0.5 + datum.x"},align:{value:"center"},text:{field:"datum.Label"},y:{signal:"(datum.y2 - datum.y)*0.5 + datum.y"},fill:{value:"white"},font:{value:"Segoe UI"},lineHeight:{value:12},fontSize:{value:10},opacity:{signal:"(datum.x2 - datum.x) > 0.05 && (datum.y2 - datum.y) > 20 ? 1 : 0"}}}},{type:"text",name:"categoryLabels",from:{data:"categories"},encode:{update:{x:{scale:"x",signal:"(datum.x1-datum.x0)/2 + datum.x0"},y:{signal:"-15"},text:{field:u[0]},align:{value:"center"},baseline:{value:"bottom"},fill:{value:"#333740"},fontWeight:{value:"bold"},fontSize:{value:12},font:{value:"Segoe UI"}}}},{type:"text",name:"categoryPercentages",from:{data:"categories"},encode:{update:{x:{scale:"x",signal:"(datum.x1-datum.x0)/2 + datum.x0"},y:{signal:"height + 30"},text:{field:"Label"},align:{value:"center"},baseline:{value:"top"},fill:{value:"#666666"},fontWeight:{value:"normal"},fontSize:{value:10},font:{value:"Segoe UI"}}}}]},e.n=78;break;case 38:if("marimekko"!==m){e.n=40;break}if(!(u.length<3)){e.n=39;break}return console.warn("Marimekko chart requires at least 3 columns: Category, Subcategory, Value"),e.a(2);case 39:h={$schema:"https://vega.github.io/schema/vega/v5.json",description:"Marimekko Chart from Excel selection",width:600,height:400,background:"white",config:{view:{stroke:"transparent"}},padding:{top:30,bottom:60,left:60,right:60},data:[{name:"table",values:g,transform:[{type:"formula",as:"Category",expr:"datum['".concat(u[0],"']")},{type:"formula",as:"Subcategory",expr:"datum['".concat(u[1],"']")},{type:"formula",as:"Value",expr:"datum['".concat(u[2],"']")}]},{name:"categories",source:"table",transform:[{type:"aggregate",fields:["Value"],ops:["sum"],as:["categoryTotal"],groupby:["Category"]},{type:"stack",offset:"normalize",sort:{field:"categoryTotal",order:"descending"},field:"categoryTotal",as:["x0","x1"]},{type:"formula",as:"Percent",expr:"datum.x1 - datum.x0"}]},{name:"finalTable",source:"table",transform:[{type:"stack",offset:"normalize",groupby:["Category"],sort:{field:"Value",order:"descending"},field:"Value",as:["y0","y1"]},{type:"lookup",from:"categories",key:"Category",values:["x0","x1"],fields:["Category"]},{type:"formula",as:"Percent",expr:"datum.y1 - datum.y0"}]}],scales:[{name:"x",type:"linear",range:"width",domain:{data:"finalTable",field:"x1"}},{name:"y",type:"linear",range:"height",nice:!1,zero:!0,domain:{data:"finalTable",field:"y1"}},{name:"color",type:"ordinal",range:{scheme:"category10"},domain:{data:"categories",field:"Category",sort:{field:"x0",order:"ascending",op:"sum"}}}],axes:[{orient:"left",scale:"y",format:"%",tickCount:5,labelColor:"#333333",labelFontSize:11,domain:!1},{orient:"bottom",scale:"x",format:"%",tickCount:5,labelColor:"#333333",labelFontSize:11,domain:!1}],marks:[{type:"rect",name:"bars",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"x0"},x2:{scale:"x",field:"x1"},y:{scale:"y",field:"y0"},y2:{scale:"y",field:"y1"},fill:{scale:"color",field:"Category"},stroke:{value:"white"},strokeWidth:{value:1},opacity:{value:.8},tooltip:{signal:"{'Category': datum.Category, 'Subcategory': datum.Subcategory, 'Value': datum.Value, 'Percentage': format(datum.Percent, '.1%')}"}},hover:{opacity:{value:1}}}},{type:"text",name:"valueLabels",from:{data:"finalTable"},encode:{update:{x:{scale:"x",signal:"(datum.x1 - datum.x0)/2 + datum.x0"},y:{scale:"y",signal:"(datum.y1 - datum.y0)/2 + datum.y0"},text:{signal:"datum.Percent > 0.027 ? [datum.Subcategory, format(datum.Value, ',.0f') + ' (' + format(datum.Percent, '.0%') + ')'] : []"},align:{value:"center"},baseline:{value:"middle"},fill:{value:"white"},fontSize:{value:10},fontWeight:{value:"normal"},font:{value:"Segoe UI"},lineHeight:{value:12},opacity:{signal:"datum.Percent > 0.027 ? 1 : 0"}}}}]},e.n=78;break;case 40:if("arc"!==m){e.n=41;break}ot=g.map(function(e,t){return{source:e[u[0]],target:e[u[1]],value:u.length>=3&&e[u[2]]?e[u[2]]:1,group:u.length>=4&&e[u[3]]?e[u[3]]:"default"}}),lt=new Map,ot.forEach(function(e){lt.has(e.source)||lt.set(e.source,{name:e.source,group:e.group,index:lt.size}),lt.has(e.target)||lt.set(e.target,{name:e.target,group:e.group,index:lt.size})}),rt=Array.from(lt.values()),st=ot.map(function(e){return{source:lt.get(e.source).index,target:lt.get(e.target).index,value:e.value}}),h=d({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Arc diagram from Excel selection",width:Math.max(600,30*rt.length),height:100,padding:{top:20,bottom:20,left:20,right:20},background:"white",config:{view:{stroke:"transparent"}},data:[{name:"edges",values:st},{name:"sourceDegree",source:"edges",transform:[{type:"aggregate",groupby:["source"],as:["count"]}]},{name:"targetDegree",source:"edges",transform:[{type:"aggregate",groupby:["target"],as:["count"]}]},{name:"nodes",values:rt,transform:[{type:"window",ops:["rank"],as:["order"]},{type:"lookup",from:"sourceDegree",key:"source",fields:["index"],as:["sourceDegree"],default:{count:0}},{type:"lookup",from:"targetDegree",key:"target",fields:["index"],as:["targetDegree"],default:{count:0}},{type:"formula",as:"degree",expr:"(datum.sourceDegree.count || 0) + (datum.targetDegree.count || 0)"}]}],scales:[{name:"position",type:"band",domain:{data:"nodes",field:"order",sort:!0},range:"width"},{name:"color",type:"ordinal",range:{scheme:"category20"},domain:{data:"nodes",field:"group"}}],marks:[{type:"symbol",name:"layout",interactive:!1,from:{data:"nodes"},encode:{enter:{opacity:{value:0}},update:{x:{scale:"position",field:"order"},y:{value:0},size:{field:"degree",mult:8,offset:50},fill:{scale:"color",field:"group"}}}},{type:"path",from:{data:"edges"},encode:{update:{stroke:{value:"#0078d4"},strokeOpacity:{value:.4},strokeWidth:{field:"value",mult:2,offset:1}}},transform:[{type:"lookup",from:"layout",key:"datum.index",fields:["datum.source","datum.target"],as:["sourceNode","targetNode"]},{type:"linkpath",sourceX:{expr:"min(datum.sourceNode.x, datum.targetNode.x)"},targetX:{expr:"max(datum.sourceNode.x, datum.targetNode.x)"},sourceY:{expr:"0"},targetY:{expr:"0"},shape:"arc"}]},{type:"symbol",from:{data:"layout"},encode:{update:{x:{field:"x"},y:{field:"y"},fill:{field:"fill"},size:{field:"size"},stroke:{value:"white"},strokeWidth:{value:1},tooltip:{signal:"{'Node': datum.datum.name, 'Group': datum.datum.group, 'Connections': datum.datum.degree}"}}}},{type:"text",from:{data:"nodes"},encode:{update:{x:{scale:"position",field:"order"},y:{value:25},fontSize:{value:10},align:{value:"center"},baseline:{value:"top"},angle:{value:-45},text:{field:"name"},fill:{value:"#323130"},font:{value:"Segoe UI"}}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:10,fill:"#605e5c"}}),e.n=78;break;case 41:if("lollipop"!==m){e.n=42;break}h=d({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Lollipop chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:g},encoding:{y:{field:u[0],type:"nominal",sort:"-x",axis:{domain:!1,title:null,ticks:!1,labelFont:"Segoe UI",labelFontSize:14,labelPadding:10,labelColor:"#605e5c"}},x:{field:u[1],type:"quantitative",axis:{domain:!1,ticks:!1,grid:!0,gridColor:"#e0e0e0",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605e5c",title:u[1],titleFont:"Segoe UI",titleFontSize:14,titleColor:"#323130"}},color:{value:"#0078d4"}},layer:[{mark:{type:"rule",tooltip:!0,strokeWidth:3,opacity:.7}},{mark:{type:"circle",tooltip:!0,size:300,opacity:.9},encoding:{size:{field:u[1],type:"quantitative",scale:{range:[200,800]},legend:null}}}]},"config",{autosize:{type:"fit",contains:"padding"},view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"}}),e.n=78;break;case 42:if("strip"!==m){e.n=43;break}h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Strip plot showing distribution using tick marks",background:"white",config:{view:{stroke:"transparent"},axis:{labelFontSize:11,titleFontSize:12,labelColor:"#605E5C",titleColor:"#323130"}},data:{values:g},mark:{type:"tick",thickness:2,size:15,color:"#0078d4",opacity:.8,tooltip:!0},encoding:c(c({y:{field:u[0],type:"ordinal",axis:{title:u[0],labelAngle:0}},x:{field:u[1],type:"quantitative",axis:{title:u[1],grid:!0,gridColor:"#f3f2f1",gridOpacity:.5}}},u.length>2&&{color:{field:u[2],type:"nominal",scale:{scheme:"category10"},legend:{title:u[2],orient:"right",titleFontSize:11,labelFontSize:10}}}),{},{tooltip:u.map(function(e){return{field:e,type:"nominal"}})})},e.n=78;break;case 43:if("treemap"!==m){e.n=44;break}u.length>=3?(ct=g.map(function(e,t){return{id:"".concat(e[u[1]],"_").concat(t),name:e[u[1]],parent:e[u[0]]||"root",size:parseFloat(e[u[2]])||0}}),o(new Set(ct.map(function(e){return e.parent}))).forEach(function(e){"root"===e||ct.find(function(t){return t.id===e})||ct.push({id:e,name:e,parent:"root",size:0})}),ct.push({id:"root",name:"Root",parent:"",size:0})):ct=[{id:"root",name:"Root",parent:"",size:0}].concat(o(g.map(function(e,t){return{id:"item_".concat(t),name:e[u[1]],parent:"root",size:parseFloat(e[u[2]])||0}}))),h={$schema:"https://vega.github.io/schema/vega/v5.json",description:"Treemap visualization from Excel data",background:"white",width:600,height:400,padding:5,autosize:"fit",data:[{name:"tree",values:ct,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"treemap",field:"size",sort:{field:"value"},round:!0,method:"squarify",ratio:1.6,size:[{signal:"width"},{signal:"height"}]}]},{name:"nodes",source:"tree",transform:[{type:"filter",expr:"datum.children"}]},{name:"leaves",source:"tree",transform:[{type:"filter",expr:"!datum.children"}]}],scales:[{name:"color",type:"ordinal",domain:{data:"nodes",field:"name"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"]},{name:"fontSize",type:"ordinal",domain:[0,1,2,3],range:[20,16,12,10]},{name:"opacity",type:"ordinal",domain:[0,1,2,3],range:[.3,.6,.8,1]}],marks:[{type:"rect",from:{data:"nodes"},interactive:!1,encode:{enter:{fill:{scale:"color",field:"name"},fillOpacity:{scale:"opacity",field:"depth"}},update:{x:{field:"x0"},y:{field:"y0"},x2:{field:"x1"},y2:{field:"y1"},stroke:{value:"#ffffff"},strokeWidth:{value:1}}}},{type:"rect",from:{data:"leaves"},encode:{enter:{stroke:{value:"#ffffff"},strokeWidth:{value:2}},update:{x:{field:"x0"},y:{field:"y0"},x2:{field:"x1"},y2:{field:"y1"},fill:{value:"transparent"},tooltip:{signal:"{'Category': datum.name, 'Value': datum.size, 'Parent': datum.parent}"}},hover:{fill:{value:"#323130"},fillOpacity:{value:.1}}}},{type:"text",from:{data:"leaves"},interactive:!1,encode:{enter:{font:{value:"Segoe UI, Arial, sans-serif"},align:{value:"center"},baseline:{value:"middle"},fill:{value:"#323130"},fontWeight:{value:"bold"},text:{field:"name"},fontSize:{scale:"fontSize",field:"depth"}},update:{x:{signal:"0.5 * (datum.x0 + datum.x1)"},y:{signal:"0.5 * (datum.y0 + datum.y1)"},opacity:{signal:"(datum.x1 - datum.x0) > 50 && (datum.y1 - datum.y0) > 20 ? 1 : 0"}}}}]},e.n=78;break;case 44:if("waffle"!==m){e.n=45;break}h=d({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Waffle chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:g},transform:[{joinaggregate:[{op:"sum",field:u[1],as:"TotalValue"}]},{calculate:"round(datum.".concat(u[1],"/datum.TotalValue * 100)"),as:"PercentOfTotal"},{aggregate:[{op:"min",field:"PercentOfTotal",as:"Percent"}],groupby:[u[0]]},{calculate:"sequence(1,101)",as:"Sequence"},{flatten:["Sequence"]},{calculate:"if(datum.Sequence <= datum.Percent, datum.".concat(u[0],",'_blank')"),as:"Plot"},{calculate:"ceil (datum.Sequence / 10)",as:"row"},{calculate:"datum.Sequence - datum.row * 10",as:"col"}],facet:{column:{field:u[0],header:{labelOrient:"bottom"}}},spec:{layer:[{mark:{type:"circle",filled:!0,tooltip:!0,stroke:"#9e9b9b",strokeWidth:.7},encoding:{x:{field:"col",type:"ordinal",axis:null},y:{field:"row",type:"ordinal",axis:null,sort:"-y"},color:{condition:{test:"datum.Plot == '_blank'",value:"#e6e3e3"},scale:{scheme:"set1"},field:"Plot",type:"nominal",legend:null},size:{value:241},tooltip:[{field:u[0],type:"nominal"}]}},{mark:{type:"text",fontSize:30,fontWeight:"bold"},encoding:{y:{value:30},text:{condition:{test:"datum.Sequence == 1",value:{expr:"datum.Percent + '%'"}}},color:{scale:{scheme:"set1"},field:"Plot"}}}]}},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12},header:{titleFont:"Segoe UI",titleFontSize:16,titleColor:"#757575",labelFont:"Segoe UI",labelFontSize:13,labelColor:"#605E5C"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:13,labelColor:"#605E5C",symbolType:"circle",symbolSize:75}}),e.n=78;break;case 45:if("violin"!==m){e.n=46;break}h={$schema:"https://vega.github.io/schema/vega-lite/v5.20.1.json",description:"Violin chart from Excel selection",background:"white",config:{view:{continuousWidth:300,continuousHeight:300,stroke:null},facet:{spacing:0}},data:{values:g},mark:{type:"area",orient:"horizontal"},encoding:{color:{field:u[0],type:"nominal"},column:{field:u[0],header:{labelOrient:"bottom",labelPadding:0,titleOrient:"bottom"},type:"nominal"},x:{axis:{grid:!1,labels:!1,ticks:!0,values:[0]},field:"density",impute:null,stack:"center",title:null,type:"quantitative"},y:{field:u[1],type:"quantitative"}},transform:[{density:u[1],groupby:[u[0]],as:[u[1],"density"]}],width:100},e.n=78;break;case 46:if("heatmap"!==m){e.n=47;break}h={$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Heatmap from Excel selection",background:"white",data:{values:g},mark:{type:"rect",stroke:"white",tooltip:!0},encoding:{y:{field:u[0],type:"ordinal",title:u[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:u[1],type:"ordinal",title:u[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},color:{aggregate:"mean",field:u[2],type:"quantitative",legend:{title:null,direction:"vertical",orient:"right",titleAlign:"center",labelAlign:"center"}}},config:{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C",titleAlign:"center",labelAlign:"center"}}},e.n=78;break;case 47:if("tablebubble"!==m){e.n=48;break}h={$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Table Bubble Chart from Excel selection",background:"white",data:{values:g},mark:{type:"circle",opacity:.9,stroke:"transparent",tooltip:!0},encoding:{y:{field:u[0],type:"ordinal",sort:"descending",title:u[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:u[1],type:"ordinal",title:u[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},size:{aggregate:"sum",field:u[2],type:"quantitative",legend:{title:u[2],direction:"vertical",orient:"right",titleAlign:"center",labelAlign:"center"}},color:{aggregate:"sum",field:u[2],type:"quantitative",scale:{range:["#2999AA","orange"]},legend:null}},config:{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C",titleAlign:"center",labelAlign:"center"}}},e.n=78;break;case 48:if("variance"!==m){e.n=50;break}if(!(u.length<3)){e.n=49;break}return console.warn("Variance chart requires 3 columns: Business Unit, First Metric, Second Metric"),e.a(2);case 49:h={$schema:"https://vega.github.io/schema/vega-lite/v5.json",data:{values:g},transform:[{aggregate:[{op:"sum",field:u[1],as:u[1]},{op:"sum",field:u[2],as:u[2]}],groupby:[u[0]]},{calculate:"datum['".concat(u[1],"'] - datum['").concat(u[2],"']"),as:"Variance Absolute"},{calculate:"datum['".concat(u[2],"'] === 0 ? 0 : datum['").concat(u[1],"']/datum['").concat(u[2],"']-1"),as:"Variance Percent"}],hconcat:[{width:350,height:{step:50},view:{stroke:"transparent"},encoding:{color:{type:"nominal",scale:{domain:[u[1],u[2]],range:["#404040","silver"]},legend:{title:null,orient:"top"}},y:{field:u[0],type:"nominal",sort:null,axis:{domain:!1,offset:0,ticks:!1,title:"",labelPadding:35}},x:{type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:12,height:{band:.5}},encoding:{x:{field:u[2]},color:{datum:u[2]}}},{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:0,height:{band:.5}},encoding:{x:{field:u[1]},color:{datum:u[1]}}},{mark:{type:"text",align:{expr:"datum['".concat(u[1],"'] < 0 ? 'right' : 'left'")},dx:{expr:"datum['".concat(u[1],"'] < 0 ? -5 : 5")},color:"black",fontSize:11},encoding:{x:{field:u[1],type:"quantitative"},text:{field:u[1],type:"quantitative",format:","}}}]},{width:150,height:{step:50},view:{stroke:"transparent"},encoding:{y:{field:u[0],type:"nominal",sort:null,axis:null},x:{field:"Variance Absolute",type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridWidth:1,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:0,height:{band:.5}},encoding:{fill:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"text",align:{expr:"datum['Variance Absolute'] < 0 ? 'right' : 'left'"},dx:{expr:"datum['Variance Absolute'] < 0 ? -5 : 5"}},encoding:{text:{field:"Variance Absolute",type:"quantitative",format:"+,"}}}]},{width:150,height:{step:50},view:{stroke:"transparent"},transform:[{calculate:"datum['".concat(u[2],"'] === 0 ? 'n/m' : format(datum['Variance Percent'], '+.1%')"),as:"PercentDisplay"}],encoding:{y:{field:u[0],type:"nominal",sort:null,axis:null},x:{field:"Variance Percent",type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"rule",tooltip:!0},encoding:{strokeWidth:{value:2},stroke:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"circle",tooltip:!0},encoding:{size:{value:100},color:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"text",align:{expr:"datum['Variance Absolute'] < 0 ? 'right' : 'left'"},dx:{expr:"datum['Variance Absolute'] < 0 ? -10 : 10"}},encoding:{text:{field:"PercentDisplay",type:"nominal"}}}]}],config:{view:{stroke:"transparent"},padding:{left:5,top:20,right:5,bottom:5},font:"Segoe UI",axis:{labelFontSize:12,labelPadding:10,offset:5,labelFont:"Segoe UI",labelColor:"#252423"},text:{fontSize:12,font:"Segoe UI",color:"#605E5C"},concat:{spacing:50},legend:{labelFontSize:12,labelFont:"Segoe UI",labelColor:"#605E5C"}}},e.n=78;break;case 50:if("deviation"!==m){e.n=51;break}h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Deviation chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:g},layer:[{mark:{type:"line",tooltip:!0,color:"grey"},encoding:{x:{field:u[0],type:"ordinal"},y:{field:u[1],type:"quantitative"}}},{mark:{type:"circle",size:80,color:"grey",tooltip:!0},encoding:{x:{field:u[0],type:"ordinal"},y:{field:u[1],type:"quantitative"}}},{mark:{type:"rule",strokeWidth:2,tooltip:!0},encoding:{x:{field:u[0],type:"ordinal"},y:{field:u[1],type:"quantitative"},y2:{field:u[2]},color:{condition:{test:'datum["'.concat(u[1],'"] < datum["').concat(u[2],'"]'),value:"red"},value:"green"}}},{mark:{type:"circle",size:60,tooltip:!0},encoding:{x:{field:u[0],type:"ordinal"},y:{field:u[2],type:"quantitative"},color:{condition:{test:'datum["'.concat(u[1],'"] < datum["').concat(u[2],'"]'),value:"red"},value:"green"}}}],encoding:{x:{field:u[0],type:"ordinal",axis:{title:null,labelAngle:0}},y:{type:"quantitative",axis:{title:""}}}},"config",{view:{stroke:"transparent"},line:{strokeWidth:3,strokeCap:"round",strokeJoin:"round"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12}}),e.n=78;break;case 51:if("radial"!==m){e.n=52;break}h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Radial chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}},data:{values:g},transform:[{window:[{op:"rank",as:"sortOrder"}],sort:[{field:u[1],order:"descending"}]}],layer:[{mark:{type:"arc",innerRadius:20,stroke:"#fff"}},{mark:{type:"text",radiusOffset:10},encoding:{text:{field:u[1],type:"quantitative"}}}],encoding:{theta:{field:u[1],type:"quantitative",stack:!0},radius:{field:u[1],scale:{type:"sqrt",zero:!0,rangeMin:20}},color:{field:u[0],type:"nominal",legend:{title:u[0],titleFontSize:12,labelFontSize:11,orient:"right"}},order:{field:"sortOrder",type:"quantitative"}}},e.n=78;break;case 52:if("circularbar"!==m){e.n=53;break}dt=g.map(function(e,t){var a=360/g.length,n=t*a,i=.7*a;return c(c({},e),{},{theta:n,thetaStart:n-i/2,thetaEnd:n+i/2})}),h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Circular bar chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI"},data:{values:dt},layer:[{mark:{type:"arc",stroke:"#fff",strokeWidth:2,opacity:.7},encoding:{theta:{field:"thetaStart",type:"quantitative",scale:{domain:[0,360],type:"linear"},stack:null},theta2:{field:"thetaEnd",type:"quantitative"},radius:{field:u[1],type:"quantitative",scale:{type:"linear",zero:!0,rangeMin:20}},radius2:{value:20},color:{field:u[0],type:"nominal",scale:{scheme:"tableau20"},legend:{title:u[0],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:u[0],type:"nominal"},{field:u[1],type:"quantitative"}]}},{mark:{type:"text",radiusOffset:15,fontSize:10},encoding:{theta:{field:"theta",type:"quantitative",scale:{domain:[0,360],type:"linear"}},radius:{field:u[1],type:"quantitative",scale:{type:"linear",zero:!0,rangeMin:20}},text:{field:u[1],type:"quantitative"},color:{value:"#323130"}}}]},e.n=78;break;case 53:if("chord"!==m){e.n=56;break}if(3===u.length){e.n=54;break}return alert("Chord chart requires exactly 3 columns: Source, Destination, Value"),e.a(2);case 54:for(ut=new Set,g.forEach(function(e){ut.add(e[u[0]]),ut.add(e[u[1]])}),pt=Array.from(ut),ft=pt.length,gt={},pt.forEach(function(e,t){gt[e]=t}),mt=Array(ft).fill(0).map(function(){return Array(ft).fill(0)}),g.forEach(function(e){var t=e[u[0]],a=e[u[1]],n=parseFloat(e[u[2]])||0,i=gt[t],o=gt[a];void 0!==i&&void 0!==o&&(mt[i][o]=n)}),ht=new Array(ft).fill(0),yt=0;yt<ft;yt++)for(bt=0;bt<ft;bt++)ht[yt]+=mt[yt][bt],ht[yt]+=mt[bt][yt];if(0!==(vt=ht.reduce(function(e,t){return e+t},0))){e.n=55;break}return alert("All values are zero. Please provide non-zero values."),e.a(2);case 55:for(xt=[],kt=0,wt=.02*ft,St=2*Math.PI-wt,zt=0;zt<ft;zt++)Ct=ht[zt]/vt*St,xt.push({index:zt,label:pt[zt],startAngle:kt,endAngle:kt+Ct,value:ht[zt]}),kt+=Ct+.02;for(Ft=xt.map(function(e){return{start:e.startAngle,end:e.startAngle}}),Et=[],Ut=270,It=0;It<ft;It++)for(Rt=0;Rt<ft;Rt++)(At=mt[It][Rt])>0&&(Mt=xt[It],Lt=xt[Rt],qt=At/ht[It]*(Mt.endAngle-Mt.startAngle),Pt=Ft[It].end,Ot=Pt+qt,Ft[It].end=Ot,Dt=At/ht[Rt]*(Lt.endAngle-Lt.startAngle),Nt=Ft[Rt].end,jt=Nt+Dt,Ft[Rt].end=jt,Tt=Ut*Math.cos(Pt-Math.PI/2),Wt=Ut*Math.sin(Pt-Math.PI/2),Vt=Ut*Math.cos(Ot-Math.PI/2),_t=Ut*Math.sin(Ot-Math.PI/2),$t=Ut*Math.cos(Nt-Math.PI/2),Bt=Ut*Math.sin(Nt-Math.PI/2),Gt=Ut*Math.cos(jt-Math.PI/2),Yt=Ut*Math.sin(jt-Math.PI/2),Ht=Ot-Pt>Math.PI?1:0,Kt=jt-Nt>Math.PI?1:0,Xt="M".concat(Tt,",").concat(Wt,"A").concat(Ut,",").concat(Ut,",0,").concat(Ht,",1,").concat(Vt,",").concat(_t,"Q0,0,").concat($t,",").concat(Bt,"A").concat(Ut,",").concat(Ut,",0,").concat(Kt,",1,").concat(Gt,",").concat(Yt,"Q0,0,").concat(Tt,",").concat(Wt,"Z"),Et.push({path:Xt,source:It,target:Rt,sourceLabel:pt[It],targetLabel:pt[Rt],value:At}));h={$schema:"https://vega.github.io/schema/vega/v5.json",description:"Chord diagram from Excel data",width:700,height:700,padding:5,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"originX",value:0},{name:"originY",value:0},{name:"inner_radius",value:270},{name:"outer_radius",value:290}],scales:[{name:"color",type:"ordinal",domain:{data:"chords",field:"index"},range:{scheme:"category10"}}],data:[{name:"chords",values:xt,transform:[{type:"formula",expr:"(((datum.startAngle + datum.endAngle) / 2) * 180 / PI) - 90",as:"angle_degrees"},{type:"formula",expr:"PI * datum.angle_degrees / 180",as:"radians"},{type:"formula",expr:"inrange(datum.angle_degrees, [90, 270])",as:"leftside"},{type:"formula",expr:"originX + outer_radius * cos(datum.radians)",as:"x"},{type:"formula",expr:"originY + outer_radius * sin(datum.radians)",as:"y"}]},{name:"ribbonsPaths",values:Et}],marks:[{type:"arc",from:{data:"chords"},encode:{enter:{fill:{scale:"color",field:"index"},x:{signal:"width / 2"},y:{signal:"height / 2"}},update:{startAngle:{field:"startAngle"},endAngle:{field:"endAngle"},padAngle:{value:0},innerRadius:{signal:"inner_radius"},outerRadius:{signal:"outer_radius"},opacity:{value:.9},tooltip:{signal:"{'Category': datum.label, 'Total Value': format(datum.value, ',.0f')}"}},hover:{opacity:{value:1}}}},{type:"text",from:{data:"chords"},encode:{enter:{text:{field:"label"},fontSize:{value:11},font:{value:"Segoe UI"},fill:{value:"#323130"},fontWeight:{value:"normal"}},update:{x:{signal:"width / 2 + datum.x"},y:{signal:"height / 2 + datum.y"},dx:{signal:"(datum.leftside ? -1 : 1) * 6"},angle:{signal:"datum.leftside ? datum.angle_degrees - 180 : datum.angle_degrees"},align:{signal:"datum.leftside ? 'right' : 'left'"},baseline:{value:"middle"}}}},{type:"path",from:{data:"ribbonsPaths"},encode:{enter:{x:{signal:"width / 2"},y:{signal:"height / 2"}},update:{path:{field:"path"},fill:{scale:"color",field:"source"},opacity:{value:.6},stroke:{value:"white"},strokeWidth:{value:.5},tooltip:{signal:"{'From': datum.sourceLabel, 'To': datum.targetLabel, 'Value': format(datum.value, ',.0f')}"}},hover:{opacity:{value:.8}}}}]},e.n=78;break;case 56:if("bump"!==m){e.n=57;break}Zt=o(new Set(g.map(function(e){return e[u[0]]}))),Jt=Math.max(400,80*Zt.length),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bump chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:g},width:Jt,height:200,autosize:{type:"fit",contains:"padding"},padding:{left:10,right:10,top:5,bottom:5},encoding:{x:{field:u[0],type:"nominal",axis:{title:""},scale:{type:"point",padding:.2}},y:{field:u[2],type:"ordinal",axis:!1}},layer:[{mark:{type:"line",interpolate:"monotone"},encoding:{color:{field:u[1],type:"nominal",legend:!1}}},{mark:{type:"circle",size:400,tooltip:!0},encoding:{color:{field:u[1],type:"nominal",legend:!1}}},{mark:{type:"text",color:"white"},encoding:{text:{field:u[2]}}},{transform:[{window:[{op:"rank",as:"rank"}],sort:[{field:u[0],order:"descending"}]},{filter:"datum.rank === 1"}],mark:{type:"text",align:"left",baseline:"middle",dx:15,fontWeight:"bold",fontSize:12},encoding:{text:{field:u[1],type:"nominal"},color:{field:u[1],type:"nominal",legend:!1}}},{transform:[{window:[{op:"rank",as:"rank"}],sort:[{field:u[0],order:"ascending"}]},{filter:"datum.rank === 1"}],mark:{type:"text",align:"right",baseline:"middle",dx:-15,fontWeight:"bold",fontSize:12},encoding:{text:{field:u[1],type:"nominal"},color:{field:u[1],type:"nominal",legend:!1}}}]},"config",{view:{stroke:"transparent"},line:{strokeWidth:3,strokeCap:"round",strokeJoin:"round"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#666666",labelFontSize:12}}),e.n=78;break;case 57:if("sankey"!==m){e.n=59;break}if(Qt=g.filter(function(e){return e[u[0]]&&e[u[1]]&&!isNaN(+e[u[2]])}).map(function(e){return{source:String(e[u[0]]).trim(),destination:String(e[u[1]]).trim(),value:+e[u[2]]}}),0!==Qt.length){e.n=58;break}return showError("No valid data found for Sankey chart"),e.a(2);case 58:ea=function(e){var t=new Map,a=new Map,n=new Map,i=new Set;e.forEach(function(e){i.add(e.source),i.add(e.destination),n.has(e.source)||n.set(e.source,[]),n.get(e.source).push(e.destination),a.set(e.destination,(a.get(e.destination)||0)+1)});var o=[];if(i.forEach(function(e){a.has(e)&&0!==a.get(e)||(o.push(e),t.set(e,0))}),0===o.length&&i.size>0){var l=Array.from(i)[0];o.push(l),t.set(l,0)}for(var r=new Set,s=function(){var e=o.shift();if(r.has(e))return 1;r.add(e);var a=t.get(e)||0;(n.get(e)||[]).forEach(function(e){var n=a+1,i=t.get(e);(void 0===i||n>i)&&t.set(e,n),r.has(e)||o.push(e)})};o.length>0;)s();return i.forEach(function(e){t.has(e)||t.set(e,0)}),t},ta=ea(Qt),aa=new Set,Qt.forEach(function(e){aa.add(e.source),aa.add(e.destination)}),na=[],ia=new Map,aa.forEach(function(e){var t=ta.get(e);ia.has(t)||ia.set(t,[]),ia.get(t).push(e)}),oa=Array.from(ia.keys()).sort(function(e,t){return e-t}),oa.forEach(function(e,t){var a=ia.get(e);a.sort(),a.forEach(function(e,a){var n=t+1;na.push({category:e,stack:n,sort:a+1,labels:0===t?"left":null})})}),la=[].concat(na,o(Qt)),h={$schema:"https://vega.github.io/schema/vega/v5.json",description:"Sankey diagram",width:800,height:600,padding:{bottom:20,left:80,right:80,top:40},background:"white",signals:[{name:"standardGap",value:14,description:"Gap as a percentage of full domain"},{name:"base",value:"center",description:"How to stack (center or zero)"}],data:[{name:"input",values:la},{name:"stacks",source:"input",transform:[{type:"filter",expr:"datum.source != null"},{type:"formula",as:"end",expr:"['source','destination']"},{type:"formula",as:"name",expr:"[datum.source, datum.destination]"},{type:"project",fields:["end","name","value"]},{type:"flatten",fields:["end","name"]},{type:"lookup",from:"input",key:"category",values:["stack","sort","gap","labels"],fields:["name"],as:["stack","sort","gap","labels"]},{type:"aggregate",fields:["value","stack","sort","gap","labels"],groupby:["end","name"],ops:["sum","max","max","max","max"],as:["value","stack","sort","gap","labels"]},{type:"aggregate",fields:["value","stack","sort","gap","labels"],groupby:["name"],ops:["max","max","max","max","max"],as:["value","stack","sort","gap","labels"]},{type:"formula",as:"gap",expr:"datum.gap ? datum.gap : 0"}]},{name:"maxValue",source:["stacks"],transform:[{type:"aggregate",fields:["value"],groupby:["stack"],ops:["sum"],as:["value"]},{type:"aggregate",fields:["value"],ops:["max"],as:["value"]}]},{name:"plottedStacks",source:["stacks"],transform:[{type:"formula",as:"spacer",expr:"(data('maxValue')[0].value/100)*(standardGap+datum.gap)"},{type:"formula",as:"type",expr:"['data','spacer']"},{type:"formula",as:"spacedValue",expr:"[datum.value, datum.spacer]"},{type:"flatten",fields:["type","spacedValue"]},{type:"stack",groupby:["stack"],sort:{field:"sort",order:"descending"},field:"spacedValue",offset:{signal:"base"}},{type:"formula",expr:"((datum.value)/2)+datum.y0",as:"yc"}]},{name:"finalTable",source:["plottedStacks"],transform:[{type:"filter",expr:"datum.type == 'data'"}]},{name:"linkTable",source:["input"],transform:[{type:"filter",expr:"datum.source != null"},{type:"lookup",from:"finalTable",key:"name",values:["y0","y1","stack","sort"],fields:["source"],as:["sourceStacky0","sourceStacky1","sourceStack","sourceSort"]},{type:"lookup",from:"finalTable",key:"name",values:["y0","y1","stack","sort"],fields:["destination"],as:["destinationStacky0","destinationStacky1","destinationStack","destinationSort"]},{type:"stack",groupby:["source"],sort:{field:"destinationSort",order:"descending"},field:"value",offset:"zero",as:["syi0","syi1"]},{type:"formula",expr:"datum.syi0+datum.sourceStacky0",as:"sy0"},{type:"formula",expr:"datum.sy0+datum.value",as:"sy1"},{type:"stack",groupby:["destination"],sort:{field:"sourceSort",order:"descending"},field:"value",offset:"zero",as:["dyi0","dyi1"]},{type:"formula",expr:"datum.dyi0+datum.destinationStacky0",as:"dy0"},{type:"formula",expr:"datum.dy0+datum.value",as:"dy1"},{type:"formula",expr:"((datum.value)/2)+datum.sy0",as:"syc"},{type:"formula",expr:"((datum.value)/2)+datum.dy0",as:"dyc"},{type:"linkpath",orient:"horizontal",shape:"diagonal",sourceY:{expr:"scale('y', datum.syc)"},sourceX:{expr:"scale('x', toNumber(datum.sourceStack)) + bandwidth('x')"},targetY:{expr:"scale('y', datum.dyc)"},targetX:{expr:"scale('x', datum.destinationStack)"}},{type:"formula",expr:"range('y')[0]-scale('y', datum.value)",as:"strokeWidth"}]}],scales:[{name:"x",type:"band",range:"width",domain:{data:"finalTable",field:"stack"},paddingInner:.88},{name:"y",type:"linear",range:"height",domain:{data:"finalTable",field:"y1"},reverse:!1},{name:"color",type:"ordinal",range:["#1f77b4","#ff7f0e","#2ca02c","#d62728","#9467bd","#8c564b","#e377c2","#7f7f7f","#bcbd22","#17becf","#aec7e8","#ffbb78","#98df8a","#ff9896","#c5b0d5","#c49c94","#f7b6d2","#c7c7c7","#dbdb8d","#9edae5"],domain:{data:"stacks",field:"name"}}],marks:[{type:"rect",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"stack"},width:{scale:"x",band:1},y:{scale:"y",field:"y0"},y2:{scale:"y",field:"y1"},fill:{scale:"color",field:"name"},fillOpacity:{value:.75},strokeWidth:{value:0},stroke:{scale:"color",field:"name"}},hover:{tooltip:{signal:"{'Name': datum.name, 'Value': format(datum.value, ',.2f')}"},fillOpacity:{value:1}}}},{type:"path",name:"links",from:{data:"linkTable"},clip:!0,encode:{update:{strokeWidth:{field:"strokeWidth"},path:{field:"path"},strokeOpacity:{signal:"0.3"},stroke:{field:"destination",scale:"color"}},hover:{strokeOpacity:{value:.8},tooltip:{signal:"{'Source': datum.source, 'Destination': datum.destination, 'Value': format(datum.value, ',.2f')}"}}}},{type:"group",name:"labelText",zindex:1,from:{facet:{data:"finalTable",name:"labelFacet",groupby:["name","stack","yc","value","labels"]}},clip:!1,encode:{update:{x:{signal:"datum.labels=='left' ? scale('x', datum.stack)-8 : scale('x', datum.stack) + bandwidth('x') + 8"},yc:{scale:"y",signal:"datum.yc"},width:{signal:"0"},height:{signal:"0"}}},marks:[{type:"text",name:"heading",from:{data:"labelFacet"},encode:{update:{x:{value:0},y:{value:-2},text:{field:"name"},align:{signal:"datum.labels=='left' ? 'right' : 'left'"},fontWeight:{value:"bold"},fontSize:{value:11}}}},{type:"text",name:"amount",from:{data:"labelFacet"},encode:{update:{x:{value:0},y:{value:12},text:{signal:"format(datum.value, ',.0f')"},align:{signal:"datum.labels=='left' ? 'right' : 'left'"},fontSize:{value:10}}}}]},{type:"rect",from:{data:"labelText"},encode:{update:{x:{field:"bounds.x1",offset:-2},x2:{field:"bounds.x2",offset:2},y:{field:"bounds.y1",offset:-2},y2:{field:"bounds.y2",offset:2},fill:{value:"white"},opacity:{value:.8},cornerRadius:{value:4}}}}],config:{view:{stroke:"transparent"},text:{fontSize:11,fill:"#333333"}}},e.n=78;break;case 59:if("streamgraph"!==m){e.n=61;break}if(!(u.length<3)){e.n=60;break}throw new Error("Streamgraph requires 3 columns: Time/Date, Series/Category, Values");case 60:ra="ordinal",sa=g.map(function(e){var t=c({},e),a=e[u[0]];if("number"==typeof a&&a>25569)t[u[0]]=new Date(86400*(a-25569)*1e3),ra="temporal";else if("string"==typeof a&&a.includes("-")){var n=new Date(a);isNaN(n.getTime())||(t[u[0]]=n,ra="temporal")}return t}),ca="temporal"===ra?{field:u[0],type:"temporal",axis:{domain:!1,format:"%Y-%m",tickSize:0,title:u[0],labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",labelAngle:-45}}:{field:u[0],type:"ordinal",axis:{domain:!1,tickSize:0,title:u[0],labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130"}},h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:700,height:400,background:"white",config:{view:{stroke:"transparent"}},description:"Streamgraph from Excel selection",data:{values:sa},mark:{type:"area",tooltip:!0,interpolate:"basis",opacity:.8},encoding:{x:ca,y:{aggregate:"sum",field:u[2],type:"quantitative",axis:null,stack:"center"},color:{field:u[1],type:"nominal",scale:{scheme:"category20b"},legend:{title:u[1],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:u[0],type:"temporal"===ra?"temporal":"ordinal",title:"Period",format:"temporal"===ra?"%Y-%m-%d":void 0},{field:u[1],type:"nominal",title:"Series"},{field:u[2],type:"quantitative",title:"Value",format:",.0f"}]}},"config",{font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}}),e.n=78;break;case 61:if("ribbon"!==m){e.n=62;break}da=o(new Set(g.map(function(e){return e[u[0]]}))),ua=Math.max(600,100*da.length),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Ribbon chart from Excel selection",background:"white",width:ua,height:400,config:{view:{stroke:"transparent"}},data:{values:g},layer:[{mark:{type:"area",interpolate:"monotone",tooltip:!0,opacity:.8},encoding:{x:{field:u[0],type:"ordinal",scale:{type:"point",padding:.3},axis:{title:u[0],labelAngle:-45,labelFontSize:12,titleFontSize:14,labelPadding:10,titlePadding:20}},y:{aggregate:"sum",field:u[2],type:"quantitative",axis:{title:u[2],labelFontSize:12,titleFontSize:14,grid:!0,gridOpacity:.3},stack:"center"},color:{field:u[1],type:"nominal",legend:{title:u[1],titleFontSize:12,labelFontSize:11,orient:"right"}},order:{aggregate:"sum",field:u[2],type:"quantitative"}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",axis:{ticks:!1,grid:!0,gridColor:"#f0f0f0",gridOpacity:.5,gridWidth:1,domain:!1,labelColor:"#605e5c",titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#323130",labelFont:"Segoe UI",labelColor:"#605e5c",symbolType:"circle",symbolSize:75}}),e.n=78;break;case 62:if("ridgeline"!==m){e.n=63;break}h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Ridgeline (Joyplot) chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:g},mark:{type:"area",fillOpacity:.7,strokeOpacity:1,strokeWidth:1,interpolate:"monotone"},width:400,height:20,encoding:{x:{field:u[0],type:"ordinal",title:u[0]},y:{aggregate:"sum",field:u[2],type:"quantitative",scale:{range:[20,-40]},axis:{title:null,values:[0],domain:!1,labels:!1,ticks:!1}},row:{field:u[1],type:"nominal",title:u[1],header:{title:null,labelAngle:0,labelOrient:"left",labelAlign:"left",labelPadding:0},sort:{field:u[0],op:"max",order:"ascending"}},fill:{field:u[1],type:"nominal",legend:null,scale:{scheme:"plasma"}}},resolve:{scale:{y:"independent"}}},"config",{view:{stroke:"transparent"},facet:{spacing:20},header:{labelFontSize:12,labelFontWeight:500,labelAngle:0,labelAnchor:"end",labelOrient:"top",labelPadding:-19},axis:{domain:!1,grid:!1,ticks:!1,tickCount:5,labelFontSize:12,titleFontSize:12,titleFontWeight:400,titleColor:"#605E5C"}}),e.n=78;break;case 63:if("wordcloud"!==m){e.n=64;break}h={$schema:"https://vega.github.io/schema/vega/v5.json",description:"Word cloud from Excel selection",width:800,height:400,padding:0,background:"white",config:{view:{stroke:"transparent"}},data:[{name:"table",values:g,transform:[{type:"countpattern",field:u[0],case:"upper",pattern:"[\\w']{3,}",stopwords:"(i|me|my|myself|we|us|our|ours|ourselves|you|your|yours|yourself|yourselves|he|him|his|himself|she|her|hers|herself|it|its|itself|they|them|their|theirs|themselves|what|which|who|whom|whose|this|that|these|those|am|is|are|was|were|be|been|being|have|has|had|having|do|does|did|doing|will|would|should|can|could|ought|i'm|you're|he's|she's|it's|we're|they're|i've|you've|we've|they've|i'd|you'd|he'd|she'd|we'd|they'd|i'll|you'll|he'll|she'll|we'll|they'll|isn't|aren't|wasn't|weren't|hasn't|haven't|hadn't|doesn't|don't|didn't|won't|wouldn't|shan't|shouldn't|can't|cannot|couldn't|mustn't|let's|that's|who's|what's|here's|there's|when's|where's|why's|how's|a|an|the|and|but|if|or|because|as|until|while|of|at|by|for|with|about|against|between|into|through|during|before|after|above|below|to|from|up|upon|down|in|out|on|off|over|under|again|further|then|once|here|there|when|where|why|how|all|any|both|each|few|more|most|other|some|such|no|nor|not|only|own|same|so|than|too|very|say|says|said|shall)"},{type:"formula",as:"angle",expr:"[-45, 0, 45][~~(random() * 3)]"},{type:"formula",as:"weight",expr:"if(datum.count > 10, 600, 300)"}]}],scales:[{name:"color",type:"ordinal",domain:{data:"table",field:"text"},range:["#d5a928","#652c90","#939597","#2563eb","#dc2626","#059669"]}],marks:[{type:"text",from:{data:"table"},encode:{enter:{text:{field:"text"},align:{value:"center"},baseline:{value:"alphabetic"},fill:{scale:"color",field:"text"}},update:{fillOpacity:{value:1}},hover:{fillOpacity:{value:.5}}},transform:[{type:"wordcloud",size:[800,400],text:{field:"text"},rotate:{field:"datum.angle"},font:"Helvetica Neue, Arial",fontSize:{field:"datum.count"},fontWeight:{field:"datum.weight"},fontSizeRange:[12,56],padding:2}]}]},e.n=78;break;case 64:if("area"!==m){e.n=65;break}h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Area chart from Excel selection",background:"white",data:{values:g},mark:{type:"area",interpolate:"monotone",tooltip:!0,line:{color:"#3A3D56"},color:{x1:1,y1:1,x2:1,y2:0,gradient:"linear",stops:[{offset:.1,color:"white"},{offset:1,color:"blue"}]}},encoding:c({x:{field:u[0],type:"ordinal",axis:{title:u[0],labelFontSize:12,titleFontSize:14}},y:{field:u[1],type:"quantitative",axis:{title:u[1],labelFontSize:12,titleFontSize:14}}},u.length>=3&&{color:{field:u[2],type:"nominal",legend:{title:u[2],titleFontSize:12,labelFontSize:11}}}),config:{view:{stroke:"transparent"},font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}},e.n=78;break;case 65:if("bar"!==m){e.n=66;break}pa=u[0],fa=u[1],ga=u.length>=3?u[2]:null,ma={},ga&&g.forEach(function(e){var t=e[pa],a=e[ga];ma[t]||(ma[t]=new Set),ma[t].add(a)}),ha=ga&&Object.values(ma).some(function(e){return e.size>1}),ya={},ba=g.map(function(e){var t="".concat(e[pa],"|").concat(ga?e[ga]:"none"),a=ya[t]||0;return ya[t]=a+1,c(c({},e),{},{shadeLevel:a})}),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bar chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:ba},mark:{type:"bar",tooltip:!0},encoding:c(c({y:{field:pa,type:"nominal",axis:{title:pa,labelFontSize:12,titleFontSize:14}},x:{field:fa,type:"quantitative",axis:{title:fa,labelFontSize:12,titleFontSize:14},stack:"zero"}},ha&&{yOffset:{field:ga}}),ga&&{color:{field:ga,type:"nominal",legend:{title:ga,titleFontSize:12,labelFontSize:11},scale:{scheme:"category10"}},fillOpacity:{field:"shadeLevel",type:"quantitative",scale:{domain:[0,3],range:[1,.5]}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),e.n=78;break;case 66:if("column"!==m){e.n=67;break}va=u[0],xa=u[1],ka=u.length>=3?u[2]:null,wa={},ka&&g.forEach(function(e){var t=e[va],a=e[ka];wa[t]||(wa[t]=new Set),wa[t].add(a)}),Sa=ka&&Object.values(wa).some(function(e){return e.size>1}),za={},Ca=g.map(function(e){var t="".concat(e[va],"|").concat(ka?e[ka]:"none"),a=za[t]||0;return za[t]=a+1,c(c({},e),{},{shadeLevel:a})}),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Column chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:Ca},mark:{type:"bar",tooltip:!0},encoding:c(c({x:{field:va,type:"nominal",axis:{title:va,labelFontSize:12,titleFontSize:14}},y:{field:xa,type:"quantitative",axis:{title:xa,labelFontSize:12,titleFontSize:14},stack:"zero"}},Sa&&{xOffset:{field:ka}}),ka&&{color:{field:ka,type:"nominal",legend:{title:ka,titleFontSize:12,labelFontSize:11},scale:{scheme:"category10"}},fillOpacity:{field:"shadeLevel",type:"quantitative",scale:{domain:[0,3],range:[1,.5]}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}),e.n=78;break;case 67:if("butterfly"!==m){e.n=69;break}if(!(u.length<3)){e.n=68;break}return console.error("Butterfly chart requires 3 columns (Category, Left Values, Right Values)"),e.a(2);case 68:Fa=Math.max.apply(Math,o(g.map(function(e){return Math.abs(e[u[1]]||0)}))),Ea=Math.max.apply(Math,o(g.map(function(e){return Math.abs(e[u[2]]||0)}))),Ua=Math.max(Fa,Ea),h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Butterfly chart from Excel selection",background:"white",config:{view:{stroke:null},axis:{grid:!1}},data:{values:g},spacing:0,hconcat:[{transform:[{filter:{field:u[1],valid:!0}}],title:u[1],mark:"bar",encoding:{y:{field:u[0],axis:null,sort:"descending"},x:{aggregate:"sum",field:u[1],title:null,axis:{format:"s"},scale:{domain:[0,Ua]},sort:"descending"},color:{value:"#675193"}}},{width:20,view:{stroke:null},mark:{type:"text",align:"center"},encoding:{y:{field:u[0],type:"ordinal",axis:null,sort:"descending"},text:{field:u[0],type:"nominal"}}},{transform:[{filter:{field:u[2],valid:!0}}],title:u[2],mark:"bar",encoding:{y:{field:u[0],title:null,axis:null,sort:"descending"},x:{aggregate:"sum",field:u[2],title:null,axis:{format:"s"},scale:{domain:[0,Ua]}},color:{value:"#ca8861"}}}]},e.n=78;break;case 69:if("beeswarm"!==m){e.n=71;break}if(!(u.length<2)){e.n=70;break}return showError("Beeswarm chart requires at least 2 columns (Category, Value)"),e.a(2);case 70:Ia=g.map(function(e,t){return{group:e[u[0]],value:parseFloat(e[u[1]])||0,id:t,name:u.length>=3?e[u[2]]:"Item ".concat(t+1)}}),Ra=o(new Set(Ia.map(function(e){return e.group}))),Aa=Math.max(600,150*Ra.length),h={$schema:"https://vega.github.io/schema/vega/v5.json",description:"Beeswarm chart using force-directed layout from Excel selection",width:Aa,height:300,padding:{left:5,right:5,top:20,bottom:40},autosize:"none",background:"white",signals:[{name:"cx",update:"width / 2"},{name:"cy",update:"height / 2"},{name:"radius",value:6},{name:"collide",value:1},{name:"gravityX",value:.3},{name:"gravityY",value:.2},{name:"static",value:!0}],data:[{name:"people",values:Ia}],scales:[{name:"xscale",type:"band",domain:{data:"people",field:"group",sort:!0},range:"width"},{name:"color",type:"ordinal",domain:{data:"people",field:"group"},range:{scheme:"tableau10"}}],axes:[{orient:"bottom",scale:"xscale",labelAngle:-45,labelAlign:"right",labelBaseline:"middle",labelFont:"Segoe UI",labelFontSize:11,labelColor:"#605e5c",titleFont:"Segoe UI",titleFontSize:12,titleColor:"#323130",domain:!0,domainColor:"#8a8886",ticks:!0,tickColor:"#8a8886"}],marks:[{name:"nodes",type:"symbol",from:{data:"people"},encode:{enter:{fill:{scale:"color",field:"group"},xfocus:{scale:"xscale",field:"group",band:.5},yfocus:{signal:"cy"}},update:{size:{signal:"pow(2 * radius, 2)"},stroke:{value:"white"},strokeWidth:{value:1.5},zindex:{value:0},tooltip:{signal:"{'Name': datum.name, 'Group': datum.group, 'Value': datum.value}"}},hover:{stroke:{value:"#323130"},strokeWidth:{value:3},zindex:{value:1}}},transform:[{type:"force",iterations:300,static:{signal:"static"},forces:[{force:"collide",iterations:{signal:"collide"},radius:{signal:"radius + 1"}},{force:"x",x:"xfocus",strength:{signal:"gravityX"}},{force:"y",y:"yfocus",strength:{signal:"gravityY"}}]}]}],config:{view:{stroke:"transparent"},font:"Segoe UI"}},e.n=78;break;case 71:if("funnel"!==m){e.n=72;break}for(g.sort(function(e,t){return t[u[1]]-e[u[1]]}),Ma=g.reduce(function(e,t){return e+t[u[1]]},0),La=g.every(function(e){var t=e[u[1]];return t>=0&&t<=1||t>1&&t<=100&&Number.isInteger(t)}),qa=g.map(function(e){var t=e[u[1]],a=La?(t<=1?(100*t).toFixed(1):t.toFixed(1))+"%":t.toLocaleString();return d(d(d(d({},u[0],e[u[0]]),u[1],t),"percentage",(t/Ma*100).toFixed(1)+"%"),"label",a)}),Pa=g.length,Oa=[],Da=0;Da<Pa;Da++)Na=1-Da/(Pa-1)*.6,ja=Math.round(0+255*(1-Na)),Ta=Math.round(120+135*(1-Na)),Wa=Math.round(212+43*(1-Na)),Oa.push("rgb(".concat(ja,", ").concat(Ta,", ").concat(Wa,")"));h={$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Centered funnel chart",background:"white",width:400,height:250,config:{view:{stroke:"transparent"},font:"Segoe UI"},data:{values:qa},encoding:{y:{type:"nominal",field:u[0],sort:"-x",axis:{labelFontSize:11,labelColor:"#323130",title:null,labelPadding:5}}},layer:[{mark:{type:"bar",tooltip:!0,orient:"horizontal"},encoding:{x:{field:u[1],type:"quantitative",stack:"center",axis:null},color:{field:u[0],type:"nominal",legend:null,scale:{range:Oa}},tooltip:[{field:u[0],type:"nominal",title:"Stage"},{field:u[1],type:"quantitative",title:"Count",format:",.0f"},{field:"percentage",type:"nominal",title:"Percentage"}]}},{mark:{type:"text",align:"left",dx:5,fontSize:12,fontWeight:"nominal",color:"#FF6347"},encoding:{text:{field:"label",type:"nominal"},x:{field:u[1],type:"quantitative",stack:"center",aggregate:null},y:{field:u[0],type:"nominal"}}}]},e.n=78;break;case 72:if("fan"!==m){e.n=77;break}if(5===u.length||7===u.length){e.n=73;break}return console.warn("Fan chart requires exactly 5 or 7 columns of data."),e.a(2);case 73:Va=g.map(function(e){var t=d({},u[0],e[u[0]]);return t.actual=e[u[1]]?parseFloat(e[u[1]]):null,t.p50=e[u[2]]?parseFloat(e[u[2]]):null,t.p75_low=e[u[3]]?parseFloat(e[u[3]]):null,t.p75_high=e[u[4]]?parseFloat(e[u[4]]):null,7===u.length?(t.p95_low=e[u[5]]?parseFloat(e[u[5]]):null,t.p95_high=e[u[6]]?parseFloat(e[u[6]]):null):(t.p95_low=null,t.p95_high=null),t}),_a=null,$a=0;case 74:if(!($a<Va.length)){e.n=76;break}if(null==Va[$a].p75_low&&null==Va[$a].p95_low){e.n=75;break}return _a=Va[$a][u[0]],e.a(3,76);case 75:$a++,e.n=74;break;case 76:Ba=u[0].toLowerCase().includes("date")||u[0].toLowerCase().includes("time"),Ga={field:u[0],type:Ba?"temporal":"ordinal",title:u[0],sort:Va.map(function(e){return e[u[0]]}),axis:{labelAngle:Ba?-45:0,labelFontSize:11,titleFontSize:12,format:"d",values:Va.map(function(e){return e[u[0]]})}},Ya={title:"Value",labelFontSize:11,titleFontSize:12,grid:!0,gridColor:"#f3f2f1"},h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Fan chart with actual and forecast data",width:700,height:400,background:"white",data:{values:Va},encoding:{x:Ga},layer:[].concat(o(Va.some(function(e){return null!=e.p95_low})?[{transform:[{filter:"datum['".concat(u[0],"'] >= ").concat(_a)}],mark:{type:"area",opacity:.2,color:"steelblue"},encoding:{y:{field:"p95_high",type:"quantitative",axis:Ya},y2:{field:"p95_low",type:"quantitative"}}}]:[]),[{transform:[{filter:"datum['".concat(u[0],"'] >= ").concat(_a)}],mark:{type:"area",opacity:.35,color:"steelblue"},encoding:{y:{field:"p75_high",type:"quantitative",axis:Ya},y2:{field:"p75_low",type:"quantitative"}}},{transform:[{filter:"datum['".concat(u[0],"'] >= ").concat(_a)}],mark:{type:"line",color:"steelblue",strokeDash:[4,2],strokeWidth:2},encoding:{y:{field:"p50",type:"quantitative",axis:Ya}}},{transform:[{filter:_a?"datum['".concat(u[0],"'] <= ").concat(_a):"datum.p75_low == null"}],mark:{type:"line",color:"steelblue",strokeWidth:2},encoding:{y:{field:"actual",type:"quantitative",axis:Ya}}},{transform:[{filter:_a?"datum['".concat(u[0],"'] <= ").concat(_a):"datum.p75_low == null"}],mark:{type:"circle",color:"steelblue",size:50},encoding:{y:{field:"actual",type:"quantitative"},tooltip:[{field:u[0],title:u[0]},{field:"actual",title:"Actual Value",format:".1f"}]}}]),config:{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130"}}},e.n=78;break;case 77:"circlepacking"===m?(Ha=new Map,g.forEach(function(e,t){var a=e[u[0]]||"",n=e[u[1]]||"node_".concat(t),i=u.length>=3&&parseFloat(e[u[2]])||1;if(a&&!Ha.has(a)&&Ha.set(a,{id:a,parent:"",name:a,size:0}),Ha.has(n)){var o=Ha.get(n);o.parent=a,o.size=i}else Ha.set(n,{id:n,parent:a,name:n,size:i})}),Ka=Array.from(Ha.values()),Xa=new Set(Ka.map(function(e){return e.id})),Ka.forEach(function(e){e.parent&&!Xa.has(e.parent)&&(e.parent="")}),Za=Ka.length,Ja=Math.max(500,Math.min(700,20*Za+300)),h={$schema:"https://vega.github.io/schema/vega/v6.json",description:"Circle packing chart from Excel selection",width:Ja,height:Ja,padding:5,autosize:"none",background:"white",data:[{name:"tree",values:Ka,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"pack",field:"size",sort:{field:"value"},size:[{signal:"width"},{signal:"height"}]}]}],scales:[{name:"color",type:"ordinal",domain:{data:"tree",field:"depth"},range:{scheme:"category20"}}],marks:[{type:"symbol",from:{data:"tree"},encode:{enter:{shape:{value:"circle"},fill:{scale:"color",field:"depth"},tooltip:{signal:"datum.name + (datum.size ? ', ' + format(datum.size, ',.0f') : '')"}},update:{x:{field:"x"},y:{field:"y"},size:{signal:"4 * datum.r * datum.r"},stroke:{value:"white"},strokeWidth:{value:.5},opacity:{value:.8}},hover:{stroke:{value:"#0078d4"},strokeWidth:{value:2},opacity:{value:1}}}},{type:"text",from:{data:"tree"},encode:{enter:{align:{value:"center"},baseline:{value:"middle"},fill:{value:"#323130"},font:{value:"Segoe UI"},fontWeight:{value:"500"}},update:{x:{field:"x"},y:{field:"y"},text:{signal:"datum.r > 15 ? datum.name : ''"},fontSize:{signal:"datum.r > 30 ? 12 : datum.r > 20 ? 10 : 8"},opacity:{signal:"datum.r > 15 ? 1 : 0"}}}}]}):"heatmap_bar"===m?h=d({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Heatmap with bars from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:g},spacing:15,bounds:"flush",vconcat:[{height:60,mark:{type:"bar",stroke:null,cornerRadiusEnd:2,tooltip:!0,color:"lightgrey"},encoding:{x:{field:u[1],type:"ordinal",axis:null},y:{field:u[2],aggregate:"mean",type:"quantitative",axis:null}}},{spacing:15,bounds:"flush",hconcat:[{mark:{type:"rect",stroke:"white",tooltip:!0},encoding:{y:{field:u[0],type:"ordinal",title:u[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:u[1],type:"ordinal",title:u[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},color:{aggregate:"mean",field:u[2],type:"quantitative",title:u[2],scale:{scheme:"blues"},legend:{direction:"vertical",gradientLength:120}}}},{mark:{type:"bar",stroke:null,cornerRadiusEnd:2,tooltip:!0,color:"lightgrey"},width:60,encoding:{y:{field:u[0],type:"ordinal",axis:null},x:{field:u[2],type:"quantitative",aggregate:"mean",axis:null}}}]}]},"config",{autosize:{type:"fit",contains:"padding"},view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C"}}):"scatter_line"===m?h={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Scatter plot with regression line from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}},data:{values:g},layer:[{mark:{type:"point",size:100,tooltip:!0},encoding:{x:{field:u[0],type:"quantitative",scale:{zero:!1},axis:{title:u[0],labelFontSize:12,titleFontSize:14}},y:{field:u[1],type:"quantitative",scale:{zero:!1},axis:{title:u[1],labelFontSize:12,titleFontSize:14}}}},{mark:{type:"line",color:"firebrick",strokeWidth:2},transform:[{loess:u[1],on:u[0]}],encoding:{x:{field:u[0],type:"quantitative"},y:{field:u[1],type:"quantitative"}}}]}:"line_rectangle"===m&&(Qa=[],g.forEach(function(e){null!==e[u[1]]&&void 0!==e[u[1]]&&""!==e[u[1]]&&Qa.push(d(d({},u[0],e[u[0]]),"value",parseFloat(e[u[1]])||0))}),en=[],tn=null,an=null,g.forEach(function(e,t){var a=e[u[2]],n=e[u[0]];a&&""!==a?(tn!==a&&(null!==tn&&null!==an&&en.push({start:an,end:g[t-1][u[0]],event:tn}),tn=a,an=n),t===g.length-1&&en.push({start:an,end:n,event:tn})):null!==tn&&null!==an&&(en.push({start:an,end:g[t-1][u[0]],event:tn}),tn=null,an=null)}),h=d({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Line chart with highlighted rectangles",background:"white",config:{view:{stroke:"transparent"}},layer:[{mark:{type:"rect",opacity:.2},data:{values:en},encoding:{x:{field:"start",type:"ordinal"},x2:{field:"end",type:"ordinal"},color:{field:"event",type:"nominal",scale:{scheme:"pastel1"},legend:{title:u[2]||"Highlights",titleFontSize:12,labelFontSize:11}}}},{mark:{type:"line",point:!1,tooltip:!0,strokeWidth:2,color:"#323130"},data:{values:Qa},encoding:{x:{field:u[0],type:"ordinal",axis:{title:u[0],labelFontSize:12,titleFontSize:14,labelAngle:-45,labelAlign:"right"}},y:{field:"value",type:"quantitative",axis:{title:u[1],labelFontSize:12,titleFontSize:14}}}},{mark:{type:"point",filled:!0,size:60,color:"#323130"},data:{values:Qa},encoding:{x:{field:u[0],type:"ordinal",axis:{title:u[0],labelFontSize:12,titleFontSize:14,labelAngle:-45,labelAlign:"right"}},y:{field:"value",type:"quantitative"}}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}));case 78:return(nn=document.createElement("div")).style.display="none",document.body.appendChild(nn),e.n=79,vegaEmbed(nn,h,{actions:!1});case 79:return on=e.v,ln=on.view,e.n=80,ln.toImageURL("png");case 80:return rn=e.v,e.n=81,fetch(rn);case 81:return sn=e.v,e.n=82,sn.blob();case 82:cn=e.v,(dn=new FileReader).onloadend=p(t().m(function e(){var n,i;return t().w(function(e){for(;;)switch(e.n){case 0:return n=dn.result.split(",")[1],(i=l.shapes.addImage(n)).left=r.left,i.top=r.top,i.lockAspectRatio=!0,e.n=1,a.sync();case 1:return e.a(2)}},e)})),dn.readAsDataURL(cn),document.body.removeChild(nn);case 83:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}());case 1:e.n=3;break;case 2:e.p=2,a=e.v,console.error(a);case 3:return e.a(2)}},e,null,[[0,2]])})),g.apply(this,arguments)}Office.onReady(function(){document.getElementById("drawChart").onclick=f})}(),new URL(a(60947),a.b),new URL(a(39984),a.b),new URL(a(9031),a.b),new URL(a(97488),a.b),new URL(a(23841),a.b),new URL(a(94926),a.b),new URL(a(54920),a.b),new URL(a(89254),a.b),new URL(a(99856),a.b),new URL(a(28359),a.b),new URL(a(25316),a.b),new URL(a(14762),a.b),new URL(a(9334),a.b),new URL(a(40338),a.b),new URL(a(37514),a.b),new URL(a(75873),a.b),new URL(a(27286),a.b),new URL(a(60110),a.b),new URL(a(39438),a.b),new URL(a(31344),a.b),new URL(a(75493),a.b),new URL(a(39206),a.b),new URL(a(66619),a.b),new URL(a(97934),a.b),new URL(a(84693),a.b),new URL(a(14804),a.b),new URL(a(85982),a.b),new URL(a(58308),a.b),new URL(a(15042),a.b),new URL(a(30749),a.b),new URL(a(91567),a.b),new URL(a(63114),a.b),new URL(a(29234),a.b),new URL(a(78948),a.b),new URL(a(80932),a.b),new URL(a(88478),a.b),new URL(a(87666),a.b),new URL(a(24417),a.b),new URL(a(65313),a.b),new URL(a(63533),a.b),new URL(a(20895),a.b),new URL(a(86888),a.b),new URL(a(51406),a.b),new URL(a(77047),a.b),new URL(a(15535),a.b),new URL(a(55283),a.b),new URL(a(1309),a.b),new URL(a(98281),a.b),new URL(a(49664),a.b),new URL(a(49762),a.b),new URL(a(44867),a.b),new URL(a(397),a.b),new URL(a(69175),a.b),new URL(a(62790),a.b),new URL(a(69445),a.b),new URL(a(83834),a.b)}();
+!function(){"use strict";var e={397:function(e,t,a){e.exports=a.p+"assets/deviation.png"},1309:function(e,t,a){e.exports=a.p+"assets/violin.png"},9031:function(e,t,a){e.exports=a.p+"assets/bar.png"},9334:function(e,t,a){e.exports=a.p+"assets/contour.png"},14762:function(e,t,a){e.exports=a.p+"assets/map.png"},14804:function(e,t,a){e.exports=a.p+"assets/ring.png"},15042:function(e,t,a){e.exports=a.p+"assets/chord.png"},15535:function(e,t,a){e.exports=a.p+"assets/waffle.png"},20895:function(e,t,a){e.exports=a.p+"assets/mekko.png"},23841:function(e,t,a){e.exports=a.p+"assets/area.png"},24417:function(e,t,a){e.exports=a.p+"assets/horizon.png"},25316:function(e,t,a){e.exports=a.p+"assets/radar.png"},27286:function(e,t,a){e.exports=a.p+"assets/waterfall.png"},28359:function(e,t,a){e.exports=a.p+"assets/box.png"},29234:function(e,t,a){e.exports=a.p+"assets/strip.png"},30749:function(e,t,a){e.exports=a.p+"assets/circlepacking.png"},31344:function(e,t,a){e.exports=a.p+"assets/step.png"},37514:function(e,t,a){e.exports=a.p+"assets/funnel.png"},39206:function(e,t,a){e.exports=a.p+"assets/beeswarm.png"},39438:function(e,t,a){e.exports=a.p+"assets/sunburst.png"},39984:function(e,t,a){e.exports=a.p+"assets/column.png"},40338:function(e,t,a){e.exports=a.p+"assets/histogram.png"},44867:function(e,t,a){e.exports=a.p+"assets/ridgeline.png"},49664:function(e,t,a){e.exports=a.p+"assets/streamgraph.png"},49762:function(e,t,a){e.exports=a.p+"assets/ribbon.png"},51406:function(e,t,a){e.exports=a.p+"assets/bump.png"},54920:function(e,t,a){e.exports=a.p+"assets/bubble.png"},55283:function(e,t,a){e.exports=a.p+"assets/lollipop.png"},58308:function(e,t,a){e.exports=a.p+"assets/arc.png"},60110:function(e,t,a){e.exports=a.p+"assets/treemap.png"},62790:function(e,t,a){e.exports=a.p+"assets/heatmap_bar.png"},63114:function(e,t,a){e.exports=a.p+"assets/gantt.png"},63533:function(e,t,a){e.exports=a.p+"assets/slope.png"},65313:function(e,t,a){e.exports=a.p+"assets/dumbbell.png"},66619:function(e,t,a){e.exports=a.p+"assets/radial.png"},69175:function(e,t,a){e.exports=a.p+"assets/variance.png"},69445:function(e,t,a){e.exports=a.p+"assets/scatter_line.png"},75493:function(e,t,a){e.exports=a.p+"assets/butterfly.png"},75873:function(e,t,a){e.exports=a.p+"assets/candlestick.png"},77047:function(e,t,a){e.exports=a.p+"assets/fan.png"},78948:function(e,t,a){e.exports=a.p+"assets/density.png"},80932:function(e,t,a){e.exports=a.p+"assets/heatmap.png"},83834:function(e,t,a){e.exports=a.p+"assets/line_rectangle.png"},84693:function(e,t,a){e.exports=a.p+"assets/gauge.png"},85982:function(e,t,a){e.exports=a.p+"assets/tree.png"},86888:function(e,t,a){e.exports=a.p+"assets/marimekko.png"},87666:function(e,t,a){e.exports=a.p+"assets/bullet.png"},88478:function(e,t,a){e.exports=a.p+"assets/tablebubble.png"},89254:function(e,t,a){e.exports=a.p+"assets/pie.png"},91567:function(e,t,a){e.exports=a.p+"assets/wordcloud.png"},94926:function(e,t,a){e.exports=a.p+"assets/scatter.png"},97488:function(e,t,a){e.exports=a.p+"assets/line.png"},97934:function(e,t,a){e.exports=a.p+"assets/circularbar.png"},98281:function(e,t,a){e.exports=a.p+"assets/sankey.png"},99856:function(e,t,a){e.exports=a.p+"assets/donut.png"}},t={};function a(n){var r=t[n];if(void 0!==r)return r.exports;var o=t[n]={exports:{}};return e[n](o,o.exports,a),o.exports}a.m=e,a.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),a.o=function(e,t){return Object.prototype.hasOwnProperty.call(e,t)},function(){var e;a.g.importScripts&&(e=a.g.location+"");var t=a.g.document;if(!e&&t&&(t.currentScript&&"SCRIPT"===t.currentScript.tagName.toUpperCase()&&(e=t.currentScript.src),!e)){var n=t.getElementsByTagName("script");if(n.length)for(var r=n.length-1;r>-1&&(!e||!/^http(s?):/.test(e));)e=n[r--].src}if(!e)throw new Error("Automatic publicPath is not supported in this browser");e=e.replace(/^blob:/,"").replace(/#.*$/,"").replace(/\?.*$/,"").replace(/\/[^\/]+$/,"/"),a.p=e}(),a.b=document.baseURI||self.location.href,function(){function e(){var a,n,r="function"==typeof Symbol?Symbol:{},o=r.iterator||"@@iterator",i=r.toStringTag||"@@toStringTag";function l(e,r,o,i){var l=r&&r.prototype instanceof s?r:s,u=Object.create(l.prototype);return t(u,"_invoke",function(e,t,r){var o,i,l,s=0,u=r||[],d=!1,f={p:0,n:0,v:a,a:p,f:p.bind(a,4),d:function(e,t){return o=e,i=0,l=a,f.n=t,c}};function p(e,t){for(i=e,l=t,n=0;!d&&s&&!r&&n<u.length;n++){var r,o=u[n],p=f.p,m=o[2];e>3?(r=m===t)&&(l=o[(i=o[4])?5:(i=3,3)],o[4]=o[5]=a):o[0]<=p&&((r=e<2&&p<o[1])?(i=0,f.v=t,f.n=o[1]):p<m&&(r=e<3||o[0]>t||t>m)&&(o[4]=e,o[5]=t,f.n=m,i=0))}if(r||e>1)return c;throw d=!0,t}return function(r,u,m){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&p(u,m),i=u,l=m;(n=i<2?a:l)||!d;){o||(i?i<3?(i>1&&(f.n=-1),p(i,l)):f.n=l:f.v=l);try{if(s=2,o){if(i||(r="next"),n=o[r]){if(!(n=n.call(o,l)))throw TypeError("iterator result is not an object");if(!n.done)return n;l=n.value,i<2&&(i=0)}else 1===i&&(n=o.return)&&n.call(o),i<2&&(l=TypeError("The iterator does not provide a '"+r+"' method"),i=1);o=a}else if((n=(d=f.n<0)?l:e.call(t,f))!==c)break}catch(e){o=a,i=1,l=e}finally{s=1}}return{value:n,done:d}}}(e,o,i),!0),u}var c={};function s(){}function u(){}function d(){}n=Object.getPrototypeOf;var f=[][o]?n(n([][o]())):(t(n={},o,function(){return this}),n),p=d.prototype=s.prototype=Object.create(f);function m(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,d):(e.__proto__=d,t(e,i,"GeneratorFunction")),e.prototype=Object.create(p),e}return u.prototype=d,t(p,"constructor",d),t(d,"constructor",u),u.displayName="GeneratorFunction",t(d,i,"GeneratorFunction"),t(p),t(p,i,"Generator"),t(p,o,function(){return this}),t(p,"toString",function(){return"[object Generator]"}),(e=function(){return{w:l,m:m}})()}function t(e,a,n,r){var o=Object.defineProperty;try{o({},"",{})}catch(e){o=0}t=function(e,a,n,r){function i(a,n){t(e,a,function(e){return this._invoke(a,n,e)})}a?o?o(e,a,{value:n,enumerable:!r,configurable:!r,writable:!r}):e[a]=n:(i("next",0),i("throw",1),i("return",2))},t(e,a,n,r)}function a(e,t,a,n,r,o,i){try{var l=e[o](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,r)}function n(e){return function(){var t=this,n=arguments;return new Promise(function(r,o){var i=e.apply(t,n);function l(e){a(i,r,o,l,c,"next",e)}function c(e){a(i,r,o,l,c,"throw",e)}l(void 0)})}}var r=new Set(["#N/A","#DIV/0!","#VALUE!","#REF!","#NAME?","#NUM!","#NULL!","#SPILL!","#CALC!","#FIELD!","#BLOCKED!","#CONNECT!","#BUSY!","#UNKNOWN!","#GETTING_DATA"]),o=/date|time|day|week|month|quarter|period/i,i=/^(\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{2,4})$/,l={decimalSeparator:".",groupSeparator:","};function c(e){var t=e.decimalSeparator,a=e.groupSeparator;l={decimalSeparator:t||l.decimalSeparator,groupSeparator:a||l.groupSeparator}}function s(){return s=n(e().m(function t(){return e().w(function(t){for(;;)switch(t.n){case 0:if(Office.context.requirements.isSetSupported("ExcelApi","1.11")){t.n=1;break}return t.a(2);case 1:return t.n=2,Excel.run(function(){var t=n(e().m(function t(a){var n;return e().w(function(e){for(;;)switch(e.n){case 0:return(n=a.application.cultureInfo.numberFormat).load("numberDecimalSeparator, numberGroupSeparator"),e.n=1,a.sync();case 1:c({decimalSeparator:n.numberDecimalSeparator,groupSeparator:n.numberGroupSeparator});case 2:return e.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}());case 2:return t.a(2)}},t)})),s.apply(this,arguments)}function u(e){return"number"==typeof e?new Date(Math.round(86400*(e-25569)*1e3)):new Date(e)}function d(e){return e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}function f(e,t,a,n){var r=t.filter(function(e){return"blank"!==e.kind&&"error"!==e.kind});if(0===r.length)return"text";var i=r.filter(function(e){return"number"===e.kind});if(i.length===r.length){var l=!1;return n?l=i.every(function(e){return e.value>25569}):a&&(l=o.test(String(e))&&i.every(function(e){return e.value>=18264&&e.value<=73050})),l?"date":"number"}return!a&&i.length>r.length/2?"number":r.every(function(e){return"date"===e.kind})?"date":"text"}var p=["range"],m=["range"];function g(e,t){if(null==e)return{};var a,n,r=function(e,t){if(null==e)return{};var a={};for(var n in e)if({}.hasOwnProperty.call(e,n)){if(-1!==t.indexOf(n))continue;a[n]=e[n]}return a}(e,t);if(Object.getOwnPropertySymbols){var o=Object.getOwnPropertySymbols(e);for(n=0;n<o.length;n++)a=o[n],-1===t.indexOf(a)&&{}.propertyIsEnumerable.call(e,a)&&(r[a]=e[a])}return r}function h(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function y(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?h(Object(a),!0).forEach(function(t){v(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):h(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function v(e,t,a){return(t=function(e){var t=function(e){if("object"!=b(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=b(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==b(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function b(e){return b="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},b(e)}function x(e,t){var a=function(e){return null!==e&&"object"===b(e)&&!Array.isArray(e)},n=y({},e);return Object.keys(t).forEach(function(e){n[e]=a(n[e])&&a(t[e])?x(n[e],t[e]):t[e]}),n}function w(e,t){return e.encoding&&(e.encoding=JSON.parse(JSON.stringify(e.encoding)),function(e,t){var a=function(e,t,a){e&&(null!==e.axis?e.axis=y(y({},e.axis),{},v({},t,a)):"title"===t&&(e.title=a))};void 0!==t.xTitle&&a(e.x,"title",t.xTitle),void 0!==t.yTitle&&a(e.y,"title",t.yTitle),["color","fill","stroke"].forEach(function(a){var n=e[a];if(n&&n.field){if(t.colorScheme){var r=n.scale||{},o=(r.range,g(r,p));n.scale=y(y({},o),{},{scheme:t.colorScheme})}void 0!==t.legendTitle&&null!==n.legend&&(n.legend=y(y({},n.legend),{},{title:t.legendTitle}))}}),["x","y"].forEach(function(n){var r=e[n];r&&(t.sort&&function(e){return e&&("nominal"===e.type||"ordinal"===e.type)}(r)&&(r.sort="none"===t.sort?null:t.sort),t.format&&"quantitative"===r.type&&a(r,"format",t.format))})}(e.encoding,t)),["layer","hconcat","vconcat","concat"].forEach(function(a){Array.isArray(e[a])&&(e[a]=e[a].map(function(e){return w(y({},e),t)}))}),e.spec&&(e.spec=w(y({},e.spec),t)),e}function k(e,t){if(0===Object.keys(t).length)return e;var a=String(e.$schema||"").includes("vega-lite")?w(y({},e),t):function(e,t){var a=["linear","log","pow","sqrt","symlog","time","utc"],n={};return(e.scales||[]).forEach(function(e){n[e.name]=e.type||"linear"}),t.colorScheme&&e.scales&&(e.scales=e.scales.map(function(e){return void 0!==e.scheme||/colou?r|fill/i.test(e.name)||["category","ordinal","ramp","heatmap","diverging"].includes(e.range)?(e.range,y(y({},g(e,m)),{},{scheme:t.colorScheme})):e})),e.axes&&(e.axes=e.axes.map(function(e){var r=y({},e),o="bottom"===e.orient||"top"===e.orient;return o&&void 0!==t.xTitle&&(r.title=t.xTitle),o||void 0===t.yTitle||(r.title=t.yTitle),t.format&&a.includes(n[e.scale])&&(r.format=t.format),r})),e.legends&&void 0!==t.legendTitle&&(e.legends=e.legends.map(function(e){return y(y({},e),{},{title:t.legendTitle})})),e}(y({},e),t);return void 0!==t.title&&(a.title=a.title&&"object"===b(a.title)?y(y({},a.title),{},{text:t.title}):t.title),void 0!==t.width&&(a.width=t.width),void 0!==t.height&&(a.height=t.height),void 0!==t.background&&(a.background=t.background),t.spec&&(a=x(a,t.spec)),a}function S(e){return S="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},S(e)}function C(e){return function(e){if(Array.isArray(e))return z(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(e){if("string"==typeof e)return z(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?z(e,t):void 0}}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function z(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function E(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function O(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?E(Object(a),!0).forEach(function(t){F(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):E(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function F(e,t,a){return(t=function(e){var t=function(e){if("object"!=S(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=S(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==S(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function j(e,t){return"number"===t?"number"==typeof e?e:null:"date"===t?u(e).getTime():null}function I(e){return"number"===e.type||"date"===e.type}function P(e,t,a){return t.map(function(t,n){var r=a&&a[n];if(!r)return String(e[t]);var o=j(e[t],r.type);return null===o||isNaN(o)?"":r.span?Math.floor((o-r.min)/r.span*500):0}).join("\0")}function A(e,t,a){return a.map(function(a){if(!I(t[a]))return null;var n=e.map(function(e){return j(e[a],t[a].type)}).filter(function(e){return null!==e&&!isNaN(e)});if(0===n.length)return null;var r=n.reduce(function(e,t){return Math.min(e,t)}),o=n.reduce(function(e,t){return Math.max(e,t)});return{type:t[a].type,min:r,span:o-r}})}function U(e,t,a){var n=new Map;if(e.forEach(function(e,a){var r=P(e,t);n.has(r)||n.set(r,[]),n.get(r).push(a)}),n.size>a)return U(e,[],a);var r=a-n.size,o=e.length-n.size,i=new Array(e.length).fill(!1);return n.forEach(function(e){for(var t=1+Math.floor((e.length-1)*r/o),a=e.length/t,n=0;n<t;n++)i[e[Math.floor(n*a)]]=!0}),e.filter(function(e,t){return i[t]})}function T(e,t,a,n,r){var o=A(e,t,a),i=o.filter(Boolean).length,l=[];if(i>0){var c=new Set(e.map(function(e){return P(e,a.filter(function(e,t){return!o[t]}))})).size,s=Math.floor(Math.pow(r/c,1/i));l=o.map(function(e){return function(e,t){if(!e||0===e.span)return null;var a,n,r="date"===e.type?864e5:1,o=Math.max((a=e.span/r/t,n=Math.pow(10,Math.floor(Math.log10(a))),[1,2,5,10].find(function(e){return e*n>=a})*n),"date"===e.type?1:0)*r,i=Math.floor(e.min/o)*o,l=Math.max(0,-Math.floor(Math.log10(o)));return O(O({},e),{},{step:o,start:i,decimals:l})}(e,Math.max(1,Math.min(50,s)))})}var u=new Map;return e.forEach(function(e){var t=C(e);a.forEach(function(a,n){l[n]&&(t[a]=function(e,t){var a=j(e,t.type);if(null===a||isNaN(a))return e;var n=t.start+Math.floor((a-t.start)/t.step)*t.step;return"date"===t.type?new Date(n).toISOString().slice(0,t.step>=864e5?10:19):Number(n.toFixed(Math.min(t.decimals,20)))}(e[a],l[n]))});var r=P(t,a),o=u.get(r);o||(o={row:t,sum:0,count:0},u.set(r,o)),"number"==typeof e[n]&&(o.sum+=e[n],o.count++)}),C(u.values()).map(function(e){var t=e.row,a=e.sum,r=e.count;return t[n]=r>0?a/r:null,t})}function M(e,t,a,n){var r=void 0!==n?n:a&&a.maxPoints||5e3;if(!a||0===r||e.length<=r)return{rows:e,note:null};var o=a.columns.filter(function(e){return e<t.length}),i=e.length.toLocaleString();if("aggregate"===a.method){var l=T(e,t,o,a.value,r);return l.length===e.length?{rows:e,note:null}:{rows:l,note:"".concat(i," rows averaged into ").concat(l.length.toLocaleString()," cells")}}var c="thin"===a.method?function(e,t,a){var n=A(e,t,a),r=new Set;return e.filter(function(e){var t=P(e,a,n);return!r.has(t)&&(r.add(t),!0)})}(e,t,o):e,s=c.length<e.length?"overlapping points merged":null;return c.length>r&&(c=U(c,o.filter(function(e){return!I(t[e])}),r),s="sampled"),s?{rows:c,note:"Showing ".concat(c.length.toLocaleString()," of ").concat(i," rows (").concat(s,")")}:{rows:e,note:null}}function R(e,t){var a=e.title&&"object"===S(e.title)?e.title:{text:e.title||" "},n=O(O({},e),{},{title:O(O({},a),{},{subtitle:t,subtitleColor:"#605e5c",subtitleFontStyle:"italic"})});return!String(e.$schema||"").includes("vega-lite")&&"none"===e.autosize&&e.padding&&"object"===S(e.padding)&&(n.padding=O(O({},e.padding),{},{top:(e.padding.top||0)+20})),n}function L(e){return L="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},L(e)}function q(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var a=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=a){var n,r,o,i,l=[],c=!0,s=!1;try{if(o=(a=a.call(e)).next,0===t){if(Object(a)!==a)return;c=!1}else for(;!(c=(n=o.call(a)).done)&&(l.push(n.value),l.length!==t);c=!0);}catch(e){s=!0,r=e}finally{try{if(!c&&null!=a.return&&(i=a.return(),Object(i)!==i))return}finally{if(s)throw r}}return l}}(e,t)||W(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function N(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function D(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?N(Object(a),!0).forEach(function(t){G(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):N(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function V(e){return function(e){if(Array.isArray(e))return _(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||W(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function B(e,t){var a="undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(!a){if(Array.isArray(e)||(a=W(e))||t&&e&&"number"==typeof e.length){a&&(e=a);var n=0,r=function(){};return{s:r,n:function(){return n>=e.length?{done:!0}:{done:!1,value:e[n++]}},e:function(e){throw e},f:r}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var o,i=!0,l=!1;return{s:function(){a=a.call(e)},n:function(){var e=a.next();return i=e.done,e},e:function(e){l=!0,o=e},f:function(){try{i||null==a.return||a.return()}finally{if(l)throw o}}}}function W(e,t){if(e){if("string"==typeof e)return _(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?_(e,t):void 0}}function _(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function G(e,t,a){return(t=function(e){var t=function(e){if("object"!=L(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=L(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==L(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function $(e,t){return t.map(function(t){var a={};return e.forEach(function(e,n){a[e]=t[n]}),a})}var Y={line:{label:"Line",gaps:!0,mapping:["x","y"],build:function(e,t){var a=$(e,t),n=[],r=e.slice(1);return a.forEach(function(t){r.forEach(function(a){n.push(G(G(G({},e[0],t[e[0]]),"series",a),"value","number"==typeof t[a]?t[a]:null))})}),G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Multi-series line chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:n},mark:{type:"line",point:!1,tooltip:!0,strokeWidth:2},encoding:{x:{field:e[0],type:"ordinal",axis:{title:e[0],labelFontSize:12,titleFontSize:14,labelAngle:0}},y:{field:"value",type:"quantitative",axis:{title:"Value",labelFontSize:12,titleFontSize:14}},color:{field:"series",type:"nominal",scale:{scheme:"category10"},legend:{title:"Series",titleFontSize:12,labelFontSize:11}}}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"},point:{size:60,filled:!0}})}},step:{label:"Step",columns:{min:2,message:"Step chart requires at least 2 columns (Date, Price)"},mapping:["x","y"],build:function(e,t){var a=t.map(function(e,t){if(!e[0]||null==e[1]||""===e[1])return null;var a=u(e[0]),n=parseFloat(e[1]);return isNaN(a.getTime())||isNaN(n)?null:{date:a.toISOString(),price:n}}).filter(Boolean);if(0===a.length)throw new Error("No valid step chart data found");return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,description:"Step chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a},mark:{type:"line",interpolate:"step-after",strokeWidth:2},encoding:{x:{field:"date",type:"temporal",axis:{title:null,format:"%m/%d",labelAngle:-45,labelFontSize:11,labelColor:"#605e5c",font:"Segoe UI"}},y:{field:"price",type:"quantitative",scale:{zero:!1},axis:{title:null,labelFontSize:11,labelColor:"#605e5c",font:"Segoe UI",grid:!0,gridColor:"#f3f2f1"}},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"price",type:"quantitative",title:"Price",format:".2f"}]}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},fan:{label:"Fan",gaps:!0,build:function(e,t){if(5!==e.length&&7!==e.length)throw new Error("Fan chart requires exactly 5 or 7 columns.");var a=t.map(function(t){var a=G({},e[0],t[0]);return a.actual=null!=t[1]&&""!==t[1]?parseFloat(t[1]):null,a.p50=null!=t[2]&&""!==t[2]?parseFloat(t[2]):null,a.p75_low=null!=t[3]&&""!==t[3]?parseFloat(t[3]):null,a.p75_high=null!=t[4]&&""!==t[4]?parseFloat(t[4]):null,7===e.length?(a.p95_low=null!=t[5]&&""!==t[5]?parseFloat(t[5]):null,a.p95_high=null!=t[6]&&""!==t[6]?parseFloat(t[6]):null):(a.p95_low=null,a.p95_high=null),a}).filter(function(t){return null!==t[e[0]]&&void 0!==t[e[0]]});if(0===a.length)throw new Error("No valid data rows found.");a.sort(function(t,a){return t[e[0]]-a[e[0]]});var n,r=null,o=B(a);try{for(o.s();!(n=o.n()).done;){var i=n.value;if(null!==i.p75_low){r=i[e[0]];break}}}catch(e){o.e(e)}finally{o.f()}var l=e[0].toLowerCase().includes("date")||e[0].toLowerCase().includes("time"),c=a.map(function(t){return t[e[0]]}),s={title:"Value",labelFontSize:11,titleFontSize:12,grid:!0,gridColor:"#f3f2f1"},u={$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Fan chart with actual and forecast data",width:700,height:400,background:"white",data:{values:a},encoding:{x:{field:e[0],type:l?"temporal":"ordinal",title:e[0],sort:c,axis:{labelAngle:-45,labelFontSize:11,titleFontSize:12,values:c,format:"d"}}},layer:[].concat(V(a.some(function(e){return null!==e.p95_low})?[{transform:[{filter:"datum['".concat(e[0],"'] >= ").concat(r)}],mark:{type:"area",opacity:.2,color:"steelblue"},encoding:{y:{field:"p95_high",type:"quantitative",axis:s},y2:{field:"p95_low"}}}]:[]),[{transform:[{filter:"datum['".concat(e[0],"'] >= ").concat(r)}],mark:{type:"area",opacity:.35,color:"steelblue"},encoding:{y:{field:"p75_high",type:"quantitative",axis:s},y2:{field:"p75_low"}}},{transform:[{filter:"datum['".concat(e[0],"'] >= ").concat(r)}],mark:{type:"line",color:"steelblue",strokeDash:[4,2],strokeWidth:2},encoding:{y:{field:"p50",type:"quantitative"},tooltip:[{field:e[0],title:e[0]},{field:"p50",title:"Forecast",format:".1f"}]}},{transform:[{filter:"datum['".concat(e[0],"'] <= ").concat(r)}],mark:{type:"line",color:"steelblue",strokeWidth:2},encoding:{y:{field:"actual",type:"quantitative",axis:s}}},{transform:[{filter:"datum['".concat(e[0],"'] <= ").concat(r)}],mark:{type:"circle",color:"steelblue",size:50},encoding:{y:{field:"actual",type:"quantitative"},tooltip:[{field:e[0],title:e[0]},{field:"actual",title:"Actual",format:".1f"}]}}]),config:{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130"},view:{stroke:"transparent"}}};return u}},column:{label:"Column",gaps:!0,mapping:["x","y","color"],build:function(e,t){var a=$(e,t),n=e[0],r=e[1],o=e.length>=3?e[2]:null,i={};o&&a.forEach(function(e){var t=e[n],a=e[o];i[t]||(i[t]=new Set),i[t].add(a)});var l=o&&Object.values(i).some(function(e){return e.size>1}),c={};return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Column chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a.map(function(e){var t="".concat(e[n],"|").concat(o?e[o]:"none"),a=c[t]||0;return c[t]=a+1,D(D({},e),{},{shadeLevel:a})})},mark:{type:"bar",tooltip:!0},encoding:D(D({x:{field:n,type:"nominal",axis:{title:n,labelFontSize:12,titleFontSize:14}},y:{field:r,type:"quantitative",axis:{title:r,labelFontSize:12,titleFontSize:14},stack:"zero"}},l&&{xOffset:{field:o}}),o&&{color:{field:o,type:"nominal",legend:{title:o,titleFontSize:12,labelFontSize:11},scale:{scheme:"category10"}},fillOpacity:{field:"shadeLevel",type:"quantitative",scale:{domain:[0,3],range:[1,.5]}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},bar:{label:"Bar",gaps:!0,mapping:["y","x","color"],build:function(e,t){var a=$(e,t),n=e[0],r=e[1],o=e.length>=3?e[2]:null,i={};o&&a.forEach(function(e){var t=e[n],a=e[o];i[t]||(i[t]=new Set),i[t].add(a)});var l=o&&Object.values(i).some(function(e){return e.size>1}),c={};return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bar chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a.map(function(e){var t="".concat(e[n],"|").concat(o?e[o]:"none"),a=c[t]||0;return c[t]=a+1,D(D({},e),{},{shadeLevel:a})})},mark:{type:"bar",tooltip:!0},encoding:D(D({y:{field:n,type:"nominal",axis:{title:n,labelFontSize:12,titleFontSize:14}},x:{field:r,type:"quantitative",axis:{title:r,labelFontSize:12,titleFontSize:14},stack:"zero"}},l&&{yOffset:{field:o}}),o&&{color:{field:o,type:"nominal",legend:{title:o,titleFontSize:12,labelFontSize:11},scale:{scheme:"category10"}},fillOpacity:{field:"shadeLevel",type:"quantitative",scale:{domain:[0,3],range:[1,.5]}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},butterfly:{label:"Butterfly",columns:{min:3,message:"Butterfly chart requires 3 columns (Category, Left Values, Right Values)"},build:function(e,t){var a=$(e,t),n=Math.max.apply(Math,V(a.map(function(t){return Math.abs(t[e[1]]||0)}))),r=Math.max.apply(Math,V(a.map(function(t){return Math.abs(t[e[2]]||0)}))),o=Math.max(n,r);return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Butterfly chart from Excel selection",background:"white",config:{view:{stroke:null},axis:{grid:!1}},data:{values:a},spacing:0,hconcat:[{transform:[{filter:{field:e[1],valid:!0}}],title:e[1],mark:"bar",encoding:{y:{field:e[0],axis:null,sort:"descending"},x:{aggregate:"sum",field:e[1],title:null,axis:{format:"s"},scale:{domain:[0,o]},sort:"descending"},color:{value:"#675193"}}},{width:20,view:{stroke:null},mark:{type:"text",align:"center"},encoding:{y:{field:e[0],type:"ordinal",axis:null,sort:"descending"},text:{field:e[0],type:"nominal"}}},{transform:[{filter:{field:e[2],valid:!0}}],title:e[2],mark:"bar",encoding:{y:{field:e[0],title:null,axis:null,sort:"descending"},x:{aggregate:"sum",field:e[2],title:null,axis:{format:"s"},scale:{domain:[0,o]}},color:{value:"#ca8861"}}}]}}},beeswarm:{label:"Beeswarm",columns:{min:2,message:"Beeswarm chart requires at least 2 columns (Category, Value)"},optional:[2],reduce:{method:"sample",columns:[0],maxPoints:1e3},build:function(e,t){var a=t.map(function(t,a){return{group:t[0],value:t[1],id:a,name:e.length>=3&&t[2]?t[2]:"Item ".concat(a+1)}}),n=V(new Set(a.map(function(e){return e.group})));return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Beeswarm chart using force-directed layout from Excel selection",width:Math.max(600,150*n.length),height:300,padding:{left:5,right:5,top:20,bottom:40},autosize:"none",background:"white",signals:[{name:"cx",update:"width / 2"},{name:"cy",update:"height / 2"},{name:"radius",value:6},{name:"collide",value:1},{name:"gravityX",value:.3},{name:"gravityY",value:.2},{name:"static",value:!0}],data:[{name:"people",values:a}],scales:[{name:"xscale",type:"band",domain:{data:"people",field:"group",sort:!0},range:"width"},{name:"color",type:"ordinal",domain:{data:"people",field:"group"},range:{scheme:"tableau10"}}],axes:[{orient:"bottom",scale:"xscale",labelAngle:-45,labelAlign:"right",labelBaseline:"middle",labelFont:"Segoe UI",labelFontSize:11,labelColor:"#605e5c",titleFont:"Segoe UI",titleFontSize:12,titleColor:"#323130",domain:!0,domainColor:"#8a8886",ticks:!0,tickColor:"#8a8886"}],marks:[{name:"nodes",type:"symbol",from:{data:"people"},encode:{enter:{fill:{scale:"color",field:"group"},xfocus:{scale:"xscale",field:"group",band:.5},yfocus:{signal:"cy"}},update:{size:{signal:"pow(2 * radius, 2)"},stroke:{value:"white"},strokeWidth:{value:1.5},zindex:{value:0},tooltip:{signal:"{'Name': datum.name, 'Group': datum.group, 'Value': datum.value}"}},hover:{stroke:{value:"#323130"},strokeWidth:{value:3},zindex:{value:1}}},transform:[{type:"force",iterations:300,static:{signal:"static"},forces:[{force:"collide",iterations:{signal:"collide"},radius:{signal:"radius + 1"}},{force:"x",x:"xfocus",strength:{signal:"gravityX"}},{force:"y",y:"yfocus",strength:{signal:"gravityY"}}]}]}],config:{view:{stroke:"transparent"},font:"Segoe UI"}}}},funnel:{label:"Funnel",columns:{min:2,message:"Funnel chart requires 2 columns (Stage, Value)"},mapping:["y","x"],build:function(e,t){if(t.some(function(e){return isNaN(e[1])||e[1]<=0}))throw new Error("Funnel chart values must be positive numbers");var a=$(e,t);a.sort(function(t,a){return a[e[1]]-t[e[1]]});for(var n=a.reduce(function(t,a){return t+a[e[1]]},0),r=a.every(function(t){var a=t[e[1]];return a>=0&&a<=1||a>1&&a<=100&&Number.isInteger(a)}),o=a.map(function(t){var a=t[e[1]],o=r?(a<=1?(100*a).toFixed(1):a.toFixed(1))+"%":a.toLocaleString();return G(G(G(G({},e[0],t[e[0]]),e[1],a),"percentage",(a/n*100).toFixed(1)+"%"),"label",o)}),i=a.length,l=[],c=0;c<i;c++){var s=1-c/(i-1)*.6,u=Math.round(0+255*(1-s)),d=Math.round(120+135*(1-s)),f=Math.round(212+43*(1-s));l.push("rgb(".concat(u,", ").concat(d,", ").concat(f,")"))}return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Centered funnel chart showing conversion stages",background:"white",width:400,height:250,config:{view:{stroke:"transparent"},font:"Segoe UI"},data:{values:o},encoding:{y:{type:"nominal",field:e[0],sort:"-x",axis:{labelFontSize:11,labelColor:"#323130",title:null,labelPadding:5}}},layer:[{mark:{type:"bar",tooltip:!0,orient:"horizontal"},encoding:{color:{type:"nominal",field:e[0],legend:null,scale:{range:l}},x:{type:"quantitative",field:e[1],stack:"center",axis:null},tooltip:[{field:e[0],type:"nominal",title:"Stage"},{field:e[1],type:"quantitative",title:"Count",format:",.0f"},{field:"percentage",type:"nominal",title:"Percentage"}]}},{mark:{type:"text",align:"left",dx:5,fontSize:12,fontWeight:"nominal",color:"#FF6347"},encoding:{text:{field:"label",type:"nominal"},x:{type:"quantitative",field:e[1],stack:"center"},y:{field:e[0],type:"nominal"}}}]}}},gauge:{label:"Gauge",columns:{min:2,message:"Gauge chart requires 2 columns (Current Value, Max Value)"},build:function(e,t){var a=t[0];return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Gauge chart from Excel selection",width:400,height:220,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"centerX",update:"width / 2"},{name:"centerY",update:"height - 20"},{name:"outerRadius",update:"min(width / 2, height) - 20"},{name:"innerRadius",update:"outerRadius - outerRadius * 0.25"},{name:"mainValue",value:a[0]},{name:"minValue",value:0},{name:"maxValue",value:a[1]||100},{name:"usedValue",update:"min(max(minValue, mainValue), maxValue)"},{name:"fontFactor",update:"(min(width, height)/5)/25"},{name:"backgroundColor",value:"#e1e4e8"},{name:"fillColor",value:"#0078d4"},{name:"needleColor",value:"#323130"},{name:"needleSize",update:"innerRadius"}],scales:[{name:"gaugeScale",type:"linear",domain:[{signal:"minValue"},{signal:"maxValue"}],range:[{signal:"-PI/2"},{signal:"PI/2"}]},{name:"needleScale",type:"linear",domain:[{signal:"minValue"},{signal:"maxValue"}],range:[-90,90]}],marks:[{type:"arc",name:"gauge",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},startAngle:{signal:"-PI/2"},endAngle:{signal:"PI/2"},outerRadius:{signal:"outerRadius"},innerRadius:{signal:"innerRadius"},fill:{signal:"backgroundColor"}}}},{type:"arc",encode:{enter:{startAngle:{signal:"-PI/2"}},update:{x:{signal:"centerX"},y:{signal:"centerY"},innerRadius:{signal:"innerRadius"},outerRadius:{signal:"outerRadius"},endAngle:{scale:"gaugeScale",signal:"usedValue"},fill:{signal:"fillColor"}}}},{type:"text",description:"displayed main value at the center",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY + fontFactor * 15"},baseline:{value:"middle"},align:{value:"center"},fontSize:{signal:"fontFactor * 7"},font:{value:"Segoe UI"},fontWeight:{value:"bold"}},update:{text:{signal:"mainValue < 1 ? format(mainValue, '.0%') : format(mainValue, ',.0f')"},fill:{signal:"fillColor"}}}},{type:"symbol",name:"needle",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"}},update:{shape:{signal:"'M-2.5 -2.5 Q 0 0 2.5 -2.5 L 0 -' + toString(needleSize) + ' Z '"},angle:{signal:"usedValue",scale:"needleScale"},size:{signal:"4"},stroke:{signal:"needleColor"},fill:{signal:"needleColor"}}}},{type:"symbol",description:"center circle",encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},shape:{value:"circle"},size:{signal:"pow(fontFactor * 8, 2)"},fill:{signal:"needleColor"},stroke:{value:"white"},strokeWidth:{value:2}}}}]}}},pie:{label:"Pie",columns:{min:2,message:"Pie chart requires 2 columns (Category, Value)"},build:function(e,t){if(t.some(function(e){return isNaN(e[1])||e[1]<=0}))throw new Error("Pie chart values must be positive numbers");return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},description:"Pie chart from Excel selection",data:{values:$(e,t)},mark:{type:"arc",outerRadius:120},encoding:{theta:{field:e[1],type:"quantitative"},color:{field:e[0],type:"nominal"}}}}},donut:{label:"Donut",columns:{min:2,message:"Donut chart requires 2 columns (Category, Value)"},build:function(e,t){if(t.some(function(e){return isNaN(e[1])||e[1]<=0}))throw new Error("Donut chart values must be positive numbers");return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},description:"Donut chart from Excel selection",data:{values:$(e,t)},mark:{type:"arc",innerRadius:50,outerRadius:120,tooltip:!0,stroke:"white",strokeWidth:2},encoding:{theta:{field:e[1],type:"quantitative",scale:{type:"linear",range:[0,6.28]}},color:{field:e[0],type:"nominal",scale:{scheme:"category10"},legend:{title:e[0],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:e[0],type:"nominal",title:"Category"},{field:e[1],type:"quantitative",title:"Value",format:",.0f"}]}},"config",{font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},chord:{label:"Chord",columns:{min:3,max:3,message:"Chord chart requires exactly 3 columns: Source, Destination, Value"},build:function(e,t){var a=new Set;t.forEach(function(e){a.add(e[0]),a.add(e[1])});var n=Array.from(a),r=n.length,o={};n.forEach(function(e,t){o[e]=t});var i=Array(r).fill(0).map(function(){return Array(r).fill(0)});t.forEach(function(e){var t=e[0],a=e[1],n=e[2],r=o[t],l=o[a];void 0!==r&&void 0!==l&&(i[r][l]=n)});for(var l=new Array(r).fill(0),c=0;c<r;c++)for(var s=0;s<r;s++)l[c]+=i[c][s],l[c]+=i[s][c];var u=l.reduce(function(e,t){return e+t},0);if(0===u)throw new Error("All values are zero");for(var d=[],f=0,p=.02*r,m=2*Math.PI-p,g=0;g<r;g++){var h=l[g]/u*m;d.push({index:g,label:n[g],startAngle:f,endAngle:f+h,value:l[g]}),f+=h+.02}for(var y=d.map(function(e){return{start:e.startAngle,end:e.startAngle}}),v=[],b=270,x=0;x<r;x++)for(var w=0;w<r;w++){var k=i[x][w];if(k>0){var S=d[x],C=d[w],z=k/l[x]*(S.endAngle-S.startAngle),E=y[x].end,O=E+z;y[x].end=O;var F=k/l[w]*(C.endAngle-C.startAngle),j=y[w].end,I=j+F;y[w].end=I;var P=b*Math.cos(E-Math.PI/2),A=b*Math.sin(E-Math.PI/2),U=b*Math.cos(O-Math.PI/2),T=b*Math.sin(O-Math.PI/2),M=b*Math.cos(j-Math.PI/2),R=b*Math.sin(j-Math.PI/2),L=b*Math.cos(I-Math.PI/2),q=b*Math.sin(I-Math.PI/2),N=O-E>Math.PI?1:0,D=I-j>Math.PI?1:0,V="M".concat(P,",").concat(A,"A").concat(b,",").concat(b,",0,").concat(N,",1,").concat(U,",").concat(T,"Q0,0,").concat(M,",").concat(R,"A").concat(b,",").concat(b,",0,").concat(D,",1,").concat(L,",").concat(q,"Q0,0,").concat(P,",").concat(A,"Z");v.push({path:V,source:x,target:w,sourceLabel:n[x],targetLabel:n[w],value:k})}}return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Chord diagram from Excel data",width:700,height:700,padding:5,background:"white",signals:[{name:"originX",value:0},{name:"originY",value:0},{name:"inner_radius",value:270},{name:"outer_radius",value:290}],scales:[{name:"color",type:"ordinal",domain:{data:"chords",field:"index"},range:{scheme:"category10"}}],data:[{name:"chords",values:d,transform:[{type:"formula",expr:"(((datum.startAngle + datum.endAngle) / 2) * 180 / PI) - 90",as:"angle_degrees"},{type:"formula",expr:"PI * datum.angle_degrees / 180",as:"radians"},{type:"formula",expr:"inrange(datum.angle_degrees, [90, 270])",as:"leftside"},{type:"formula",expr:"originX + outer_radius * cos(datum.radians)",as:"x"},{type:"formula",expr:"originY + outer_radius * sin(datum.radians)",as:"y"}]},{name:"ribbonsPaths",values:v}],marks:[{type:"arc",from:{data:"chords"},encode:{enter:{fill:{scale:"color",field:"index"},x:{signal:"width / 2"},y:{signal:"height / 2"}},update:{startAngle:{field:"startAngle"},endAngle:{field:"endAngle"},padAngle:{value:0},innerRadius:{signal:"inner_radius"},outerRadius:{signal:"outer_radius"},opacity:{value:.9},tooltip:{signal:"{'Label': datum.label, 'Value': datum.value}"}},hover:{opacity:{value:1}}}},{type:"text",from:{data:"chords"},encode:{enter:{text:{field:"label"},fontSize:{value:11},font:{value:"Segoe UI"},fill:{value:"#323130"}},update:{x:{signal:"width / 2 + datum.x"},y:{signal:"width / 2 + datum.y"},dx:{signal:"(datum.leftside ? -1 : 1) * 6"},angle:{signal:"datum.leftside ? datum.angle_degrees - 180 : datum.angle_degrees"},align:{signal:"datum.leftside ? 'right' : 'left'"},baseline:{value:"middle"}}}},{type:"path",from:{data:"ribbonsPaths"},encode:{enter:{x:{signal:"width / 2"},y:{signal:"height / 2"}},update:{path:{field:"path"},fill:{scale:"color",field:"source"},opacity:{value:.6},stroke:{value:"white"},strokeWidth:{value:.5},tooltip:{signal:"{'From': datum.sourceLabel, 'To': datum.targetLabel, 'Value': format(datum.value, ',.0f')}"}},hover:{opacity:{value:.8}}}}]}}},circlepacking:{label:"Circle Packing",columns:{min:2,message:"Circlepacking requires at least 2 columns (Parent, Child, Size optional)"},optional:[0,2],build:function(e,t){var a=new Map;t.forEach(function(t,n){var r=t[0]||"",o=t[1]||"node_".concat(n),i=e.length>=3&&parseFloat(t[2])||1;if(r&&!a.has(r)&&a.set(r,{id:r,parent:"",name:r,size:0}),a.has(o)){var l=a.get(o);l.parent=r,l.size=i}else a.set(o,{id:o,parent:r,name:o,size:i})});var n=Array.from(a.values()),r=new Set(n.map(function(e){return e.id}));n.forEach(function(e){e.parent&&!r.has(e.parent)&&(e.parent="")});var o=n.length,i=Math.max(500,Math.min(700,20*o+300));return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Circle packing chart from Excel selection",width:i,height:i,padding:5,autosize:"none",background:"white",data:[{name:"tree",values:n,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"pack",field:"size",sort:{field:"value"},size:[{signal:"width"},{signal:"height"}]}]}],scales:[{name:"color",type:"ordinal",domain:{data:"tree",field:"depth"},range:{scheme:"category20"}}],marks:[{type:"symbol",from:{data:"tree"},encode:{enter:{shape:{value:"circle"},fill:{scale:"color",field:"depth"},tooltip:{signal:"datum.name + (datum.size ? ', ' + format(datum.size, ',.0f') : '')"}},update:{x:{field:"x"},y:{field:"y"},size:{signal:"4 * datum.r * datum.r"},stroke:{value:"white"},strokeWidth:{value:.5},opacity:{value:.8}},hover:{stroke:{value:"#0078d4"},strokeWidth:{value:2},opacity:{value:1}}}},{type:"text",from:{data:"tree"},encode:{enter:{align:{value:"center"},baseline:{value:"middle"},fill:{value:"#323130"},font:{value:"Segoe UI"},fontWeight:{value:"500"}},update:{x:{field:"x"},y:{field:"y"},text:{signal:"datum.r > 15 ? datum.name : ''"},fontSize:{signal:"datum.r > 30 ? 12 : datum.r > 20 ? 10 : 8"},opacity:{signal:"datum.r > 15 ? 1 : 0"}}}}]}}},circularbar:{label:"Circular Bar",columns:{min:2,message:"Polar bar chart requires 2 columns (Category, Value)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Circular bar chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI"},data:{values:t.map(function(a,n){var r={};e.forEach(function(e,t){r[e]=a[t]});var o=360/t.length,i=n*o,l=.7*o;return r.theta=i,r.thetaStart=i-l/2,r.thetaEnd=i+l/2,r})},layer:[{mark:{type:"arc",stroke:"#fff",strokeWidth:2,opacity:.7},encoding:{theta:{field:"thetaStart",type:"quantitative",scale:{domain:[0,360],type:"linear"},stack:null},theta2:{field:"thetaEnd",type:"quantitative"},radius:{field:e[1],type:"quantitative",scale:{type:"linear",zero:!0,rangeMin:20}},radius2:{value:20},color:{field:e[0],type:"nominal",scale:{scheme:"tableau20"},legend:{title:e[0],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:e[0],type:"nominal"},{field:e[1],type:"quantitative"}]}},{mark:{type:"text",radiusOffset:15,fontSize:10},encoding:{theta:{field:"theta",type:"quantitative",scale:{domain:[0,360],type:"linear"}},radius:{field:e[1],type:"quantitative",scale:{type:"linear",zero:!0,rangeMin:20}},text:{field:e[1],type:"quantitative"},color:{value:"#323130"}}}]}}},area:{label:"Area",gaps:!0,mapping:["x","y","color"],build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Area chart from Excel selection",background:"white",data:{values:$(e,t)},mark:{type:"area",interpolate:"monotone",tooltip:!0,line:{color:"#3A3D56"},color:{x1:1,y1:1,x2:1,y2:0,gradient:"linear",stops:[{offset:.1,color:"white"},{offset:1,color:"blue"}]}},encoding:D({x:{field:e[0],type:"ordinal",axis:{title:e[0],labelFontSize:12,titleFontSize:14}},y:{field:e[1],type:"quantitative",axis:{title:e[1],labelFontSize:12,titleFontSize:14}}},e.length>=3&&{color:{field:e[2],type:"nominal",legend:{title:e[2],titleFontSize:12,labelFontSize:11}}}),config:{view:{stroke:"transparent"},font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}}}}},streamgraph:{label:"Streamgraph",columns:{min:3,message:"Streamgraph requires 3 columns (Time/Date, Series/Category, Values)"},gaps:!0,dates:[0],mapping:["x","color","y"],build:function(e,t,a){var n="date"===a[0].type?"temporal":"ordinal",r=$(e,t);return"temporal"===n&&r.forEach(function(t){t[e[0]]=u(t[e[0]])}),G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,height:400,background:"white",config:{view:{stroke:"transparent"}},description:"Streamgraph from Excel selection",data:{values:r},mark:{type:"area",tooltip:!0,interpolate:"basis",opacity:.8},encoding:{x:"temporal"===n?{field:e[0],type:"temporal",axis:{domain:!1,format:"%Y-%m",tickSize:0,title:e[0],labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",labelAngle:-45}}:{field:e[0],type:"ordinal",axis:{domain:!1,tickSize:0,title:e[0],labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130"}},y:{aggregate:"sum",field:e[2],type:"quantitative",axis:null,stack:"center"},color:{field:e[1],type:"nominal",scale:{scheme:"category20b"},legend:{title:e[1],titleFontSize:12,labelFontSize:11,orient:"right"}},tooltip:[{field:e[0],type:"temporal"===n?"temporal":"ordinal",title:"Period",format:"temporal"===n?"%Y-%m-%d":void 0},{field:e[1],type:"nominal",title:"Series"},{field:e[2],type:"quantitative",title:"Value",format:",.0f"}]}},"config",{font:"Segoe UI",legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},scatter:{label:"Scatter",columns:{min:2,message:"Scatter plot requires at least 2 columns (X, Y values)"},gaps:!0,mapping:["x","y","color"],reduce:{method:"thin",columns:[0,1,2,3]},build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Scatter plot from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:$(e,t)},mark:{type:"point",size:100,tooltip:!0},encoding:D(D({x:{field:e[0],type:"quantitative",scale:{zero:!1},axis:{title:e[0],labelFontSize:12,titleFontSize:14}},y:{field:e[1],type:"quantitative",scale:{zero:!1},axis:{title:e[1],labelFontSize:12,titleFontSize:14}}},e.length>=3&&{color:{field:e[2],type:"nominal",legend:{title:e[2],titleFontSize:12,labelFontSize:11}}}),e.length>=4&&{shape:{field:e[3],type:"nominal",legend:{title:e[3],titleFontSize:12,labelFontSize:11}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},bubble:{label:"Bubble",columns:{min:3,message:"Bubble chart requires at least 3 columns (X values, Y values, Size values)"},mapping:["x","y","size","color"],reduce:{method:"sample",columns:[3]},build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bubble chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:$(e,t)},mark:{type:"circle",tooltip:!0,opacity:.7},encoding:D({x:{field:e[0],type:"quantitative",scale:{zero:!1},axis:{title:e[0],labelFontSize:12,titleFontSize:14}},y:{field:e[1],type:"quantitative",scale:{zero:!1},axis:{title:e[1],labelFontSize:12,titleFontSize:14}},size:{field:e[2],type:"quantitative",scale:{type:"linear",range:[100,1e3]},legend:{title:e[2],titleFontSize:12,labelFontSize:11}}},e.length>=4&&{color:{field:e[3],type:"nominal",legend:{title:e[3],titleFontSize:12,labelFontSize:11}}})},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},ring:{label:"Ring",columns:{min:2,message:"Ring chart requires 2 columns: Category, Value"},build:function(e,t){var a=$(e,t),n=a.length;if(0===n)throw new Error("Ring chart requires at least one data row");for(var r=Math.max(15,Math.min(25,120/n)),o=Math.max(3,Math.min(8,40/n)),i=150+5*n,l=function(e,t){var a=Math.max(50,80-5*e),n=Math.max(25,60-8*e);return"hsl(".concat(210,", ").concat(a,"%, ").concat(n,"%)")},c=a.map(function(t,a){return G(G(G(G({},"__".concat(a,"__"),t[e[0]]),"__".concat(a+100,"__"),t[e[1]]),"Ring".concat(a+1,"_Theta2"),2*Math.PI*t[e[1]]/100),"Ring".concat(a+1,"_Percent_Label"),t[e[1]]+"%")}),s=[Object.assign.apply(Object,[{}].concat(V(c)))],u=[],d=i,f=0;f<n;f++){var p=d,m=p-r,g=(p+m)/2;u.push({outer:p,inner:m,middle:g}),d=m-o}var h=i+50-25*n/2;return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",config:{autosize:{type:"pad",resize:!0},concat:{spacing:20}},description:"Dynamic ring chart with ".concat(n," concentric rings"),background:"white",data:{values:s},hconcat:[{description:"RINGS - Main Chart",width:2*(i+50),height:2*(i+50),view:{stroke:null},layer:[].concat(V(a.map(function(e,t){return{description:"RING ".concat(t+1," BACKGROUND"),mark:{type:"arc",radius:u[t].outer,radius2:u[t].inner,theta:0,theta2:6.283185307179586,opacity:.25,x:i+50,y:i+50},encoding:{color:{value:l(t)}}}})),V(a.map(function(t,a){return{description:"RING ".concat(a+1," PROGRESS"),mark:{type:"arc",radius:u[a].outer,radius2:u[a].inner,theta:0,theta2:{expr:"datum['Ring".concat(a+1,"_Theta2']")},cornerRadius:Math.min(8,r/2),tooltip:!0,x:i+50,y:i+50},encoding:{color:{value:l(a)},tooltip:[{value:t[e[0]],title:"Category"},{value:t[e[1]]+"%",title:"Progress"}]}}})),V(a.map(function(t,a){return{description:"RING ".concat(a+1," LABEL"),mark:{type:"text",align:"center",baseline:"middle",x:i+50+15,y:i+50-u[a].middle,fontSize:Math.max(10,Math.min(14,180/n)),font:"Segoe UI",fontWeight:"bold",color:"white"},encoding:{text:{value:t[e[1]]+"%"},opacity:{condition:{test:"datum['Ring".concat(a+1,"_Theta2'] > 0"),value:1},value:0}}}})))},{description:"LEGEND - Right Side",width:100,height:2*(i+50),view:{stroke:null},layer:a.map(function(t,a){return[{description:"LEGEND CIRCLE ".concat(a+1),mark:{type:"circle",size:150,x:15,y:h+25*a,color:l(a)}},{description:"LEGEND LABEL ".concat(a+1),mark:{type:"text",x:35,y:h+25*a,align:"left",baseline:"middle",fontSize:11,font:"Segoe UI"},encoding:{text:{value:t[e[0]]}}}]}).flat()}],view:{stroke:null}}}},radial:{label:"Radial",columns:{min:2,message:"Radial chart requires 2 columns (Category, Value)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Radial chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:$(e,t)},transform:[{window:[{op:"rank",as:"sortOrder"}],sort:[{field:e[1],order:"descending"}]}],layer:[{mark:{type:"arc",innerRadius:20,stroke:"#fff"}},{mark:{type:"text",radiusOffset:10},encoding:{text:{field:e[1],type:"quantitative"}}}],encoding:{theta:{field:e[1],type:"quantitative",stack:!0},radius:{field:e[1],scale:{type:"sqrt",zero:!0,rangeMin:20}},color:{field:e[0],type:"nominal",legend:{title:e[0],titleFontSize:12,labelFontSize:11,orient:"right"}},order:{field:"sortOrder",type:"quantitative"}}}}},box:{label:"Box",columns:{min:2,message:"Box plot requires 2 columns (Category, Values)"},mapping:["x","y"],build:function(e,t){var a=t.filter(function(e){return e[0]&&!isNaN(+e[1])}).map(function(e){return{category:e[0],value:+e[1]}});if(0===a.length)throw new Error("No valid numeric data found for box plot");return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Box plot from Excel selection",data:{values:a},mark:{type:"boxplot",extent:"min-max"},encoding:{x:{field:"category",type:"nominal"},y:{field:"value",type:"quantitative",scale:{zero:!1}},color:{field:"category",type:"nominal",legend:null}}}}},radar:{label:"Radar",columns:{min:3,message:"Radar chart requires at least 3 columns (Series, Dimension1, Dimension2, ...)"},build:function(e,t){var a=[],n=e.slice(1);t.forEach(function(t,r){var o=t[e[0]]||"Series ".concat(r+1);n.forEach(function(n){var i=t[e.indexOf(n)];a.push({series:o,dimension:n,value:i,category:r})})});var r=V(new Set(a.map(function(e){return e.dimension})));return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Radar chart from Excel selection",width:400,height:400,padding:60,autosize:{type:"none",contains:"padding"},background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"radius",update:"width / 2"}],data:[{name:"table",values:a},{name:"dimensions",values:r.map(function(e){return{dimension:e}})}],scales:[{name:"angular",type:"point",range:{signal:"[-PI, PI]"},padding:.5,domain:r},{name:"radial",type:"linear",range:{signal:"[0, radius]"},zero:!0,nice:!0,domain:{data:"table",field:"value"},domainMin:0},{name:"color",type:"ordinal",domain:{data:"table",field:"category"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"]}],encode:{enter:{x:{signal:"radius"},y:{signal:"radius"}}},marks:[{type:"group",name:"categories",zindex:1,from:{facet:{data:"table",name:"facet",groupby:["category","series"]}},marks:[{type:"line",name:"category-line",from:{data:"facet"},encode:{enter:{interpolate:{value:"linear-closed"},x:{signal:"scale('radial', datum.value) * cos(scale('angular', datum.dimension))"},y:{signal:"scale('radial', datum.value) * sin(scale('angular', datum.dimension))"},stroke:{scale:"color",field:"category"},strokeWidth:{value:2},fill:{scale:"color",field:"category"},fillOpacity:{value:.1},strokeOpacity:{value:.8}}}},{type:"symbol",name:"category-points",from:{data:"facet"},encode:{enter:{x:{signal:"scale('radial', datum.value) * cos(scale('angular', datum.dimension))"},y:{signal:"scale('radial', datum.value) * sin(scale('angular', datum.dimension))"},size:{value:50},fill:{scale:"color",field:"category"},stroke:{value:"white"},strokeWidth:{value:1}}}}]},{type:"rule",name:"radial-grid",from:{data:"dimensions"},zindex:0,encode:{enter:{x:{value:0},y:{value:0},x2:{signal:"radius * cos(scale('angular', datum.dimension))"},y2:{signal:"radius * sin(scale('angular', datum.dimension))"},stroke:{value:"#e1e4e8"},strokeWidth:{value:1}}}},{type:"text",name:"dimension-label",from:{data:"dimensions"},zindex:1,encode:{enter:{x:{signal:"(radius + 20) * cos(scale('angular', datum.dimension))"},y:{signal:"(radius + 20) * sin(scale('angular', datum.dimension))"},text:{field:"dimension"},align:[{test:"abs(scale('angular', datum.dimension)) > PI / 2",value:"right"},{value:"left"}],baseline:[{test:"scale('angular', datum.dimension) > 0",value:"top"},{test:"scale('angular', datum.dimension) == 0",value:"middle"},{value:"bottom"}],fill:{value:"#323130"},fontWeight:{value:"bold"},font:{value:"Segoe UI"},fontSize:{value:12}}}},{type:"line",name:"outer-line",from:{data:"radial-grid"},encode:{enter:{interpolate:{value:"linear-closed"},x:{field:"x2"},y:{field:"y2"},stroke:{value:"#8a8886"},strokeWidth:{value:2},strokeOpacity:{value:.6}}}}]}}},waterfall:{label:"Waterfall",columns:{min:3,message:"Waterfall chart requires 3 columns (Category, Amount, Type)"},build:function(e,t){var a=t.map(function(t){var a={};return e.forEach(function(e,n){a[e]=t[n]}),a}),n=V(a);n.length>0&&(n[n.length-1]=D(D({},n[n.length-1]),{},G({},e[1],0)));var r=a.length,o=Math.max(400,Math.min(1600,50*r)),i=Math.max.apply(Math,V(a.map(function(t){return Math.abs(t[e[1]])})));return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Waterfall chart with multiple subtotals",background:"white",data:{values:n},config:{view:{stroke:"transparent"}},width:o,height:Math.max(300,Math.min(600,i/100+200)),transform:[{window:[{op:"sum",field:e[1],as:"sum"}]},{window:[{op:"lead",field:e[0],as:"lead"}]},{calculate:"datum.lead === null ? datum.".concat(e[0]," : datum.lead"),as:"lead"},{calculate:"datum.".concat(e[2]," == 'total' ? 0 : datum.sum - datum.").concat(e[1]),as:"previous_sum"},{calculate:"datum.".concat(e[2]," == 'total' ? datum.sum : datum.").concat(e[1]),as:"amount"},{calculate:"datum.".concat(e[2]," == 'total' ? datum.").concat(e[1]," / 2 : (datum.sum + datum.previous_sum) / 2"),as:"center"},{calculate:"datum.".concat(e[2]," == 'total' ? datum.sum : (datum.").concat(e[1]," > 0 ? '+' : '') + datum.").concat(e[1]),as:"text_amount"},{calculate:"(datum.sum + datum.previous_sum) / 2",as:"center"},{window:[{op:"rank",as:"group_index"}],frame:[null,null],groupby:[e[0]]},{calculate:"\n            datum.".concat(e[2]," == 'total'\n                ? '#00B0F0'\n                : datum.amount >= 0\n                ? (datum.group_index == 1 ? '#70AD47'\n                    : (datum.group_index == 2 ? '#8BC97A'\n                    : (datum.group_index == 3 ? '#A7DA9D'\n                    : '#C3EBC0')))\n                : (datum.group_index == 1 ? '#E15759'\n                    : (datum.group_index == 2 ? '#EC7A7C'\n                    : (datum.group_index == 3 ? '#F29C9D'\n                    : '#F8BEBF')))\n            "),as:"bar_color"}],encoding:{x:{field:e[0],type:"ordinal",sort:null,axis:{labelAngle:-45,title:null},scale:{paddingInner:.05,paddingOuter:.025}}},layer:[{mark:{type:"bar",size:60},encoding:{y:{field:"previous_sum",type:"quantitative",title:null},y2:{field:"sum"},color:{field:"bar_color",type:"nominal",scale:null}}},{mark:{type:"text",fontWeight:"bold",baseline:"middle"},encoding:{y:{field:"center",type:"quantitative"},text:{field:"text_amount",type:"nominal"},color:{condition:[{test:"datum.".concat(e[2]," == 'total'"),value:"#725a30"}],value:"white"}}}]},"config",{text:{fontWeight:"bold",color:"#D9D9D9"}})}},sunburst:{label:"Sunburst",columns:{min:2,message:"Sunburst chart requires at least 2 columns (Parent, Child, optional Value)"},optional:[0,2],build:function(e,t){var a=new Map;t.forEach(function(t,n){var r=t[0]||"",o=t[1]||"node_".concat(n),i=e.length>=3&&parseFloat(t[2])||1;if(r&&!a.has(r)&&a.set(r,{id:r,parent:"",name:r,size:0}),a.has(o)){var l=a.get(o);l.parent=r,l.size=i}else a.set(o,{id:o,parent:r,name:o,size:i})});var n=Array.from(a.values()),r=new Set(n.map(function(e){return e.id}));n.forEach(function(e){e.parent&&!r.has(e.parent)&&(e.parent="")});var o=n.length,i=Math.max(400,Math.min(600,15*o+300));return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Sunburst chart from Excel selection",width:i,height:i,padding:10,autosize:"none",background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"centerX",update:"width / 2"},{name:"centerY",update:"height / 2"},{name:"outerRadius",update:"min(width, height) / 2 - 10"}],data:[{name:"tree",values:n,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"partition",field:"size",sort:{field:"size",order:"descending"},size:[{signal:"2 * PI"},{signal:"outerRadius"}],as:["a0","r0","a1","r1","depth","children"]}]}],scales:[{name:"color",type:"ordinal",domain:{data:"tree",field:"depth"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438","#8764b8","#e3008c","#00b7c3","#038387","#486991"]},{name:"opacity",type:"linear",domain:{data:"tree",field:"depth"},range:[.8,.4]}],marks:[{type:"arc",from:{data:"tree"},encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},stroke:{value:"white"},strokeWidth:{value:1}},update:{startAngle:{field:"a0"},endAngle:{field:"a1"},innerRadius:{field:"r0"},outerRadius:{field:"r1"},fill:{scale:"color",field:"depth"},fillOpacity:{scale:"opacity",field:"depth"}}}},{type:"text",from:{data:"tree"},encode:{enter:{x:{signal:"centerX"},y:{signal:"centerY"},radius:{signal:"(datum.r0 + datum.r1) / 2"},theta:{signal:"(datum.a0 + datum.a1) / 2"},fill:{value:"#323130"},font:{value:"Segoe UI"},fontSize:{value:10},fontWeight:{value:"bold"},align:{value:"center"},baseline:{value:"middle"}},update:{text:{signal:"(datum.r1 - datum.r0) > 20 && (datum.a1 - datum.a0) > 0.3 ? datum.name : ''"},opacity:{signal:"(datum.r1 - datum.r0) > 20 && (datum.a1 - datum.a0) > 0.3 ? 1 : 0"}}}}]}}},treemap:{label:"Treemap",columns:{min:3,message:"Treemap chart requires 3 columns (Parent, Category, Value)"},optional:[0],build:function(e,t){var a,n=$(e,t);return e.length>=3?(a=n.map(function(t,a){return{id:"".concat(t[e[1]],"_").concat(a),name:t[e[1]],parent:t[e[0]]||"root",size:t[e[2]]}}),V(new Set(a.map(function(e){return e.parent}))).forEach(function(e){"root"===e||a.find(function(t){return t.id===e})||a.push({id:e,name:e,parent:"root",size:0})}),a.push({id:"root",name:"Root",parent:"",size:0})):a=[{id:"root",name:"Root",parent:"",size:0}].concat(V(n.map(function(t,a){return{id:"item_".concat(a),name:t[e[1]],parent:"root",size:t[e[2]]}}))),{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Treemap visualization from Excel data",background:"white",width:600,height:400,padding:5,autosize:"fit",data:[{name:"tree",values:a,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"treemap",field:"size",sort:{field:"value"},round:!0,method:"squarify",ratio:1.6,size:[{signal:"width"},{signal:"height"}]}]},{name:"nodes",source:"tree",transform:[{type:"filter",expr:"datum.children"}]},{name:"leaves",source:"tree",transform:[{type:"filter",expr:"!datum.children"}]}],scales:[{name:"color",type:"ordinal",domain:{data:"nodes",field:"name"},range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"]},{name:"fontSize",type:"ordinal",domain:[0,1,2,3],range:[20,16,12,10]},{name:"opacity",type:"ordinal",domain:[0,1,2,3],range:[.3,.6,.8,1]}],marks:[{type:"rect",from:{data:"nodes"},interactive:!1,encode:{enter:{fill:{scale:"color",field:"name"},fillOpacity:{scale:"opacity",field:"depth"}},update:{x:{field:"x0"},y:{field:"y0"},x2:{field:"x1"},y2:{field:"y1"},stroke:{value:"#ffffff"},strokeWidth:{value:1}}}},{type:"rect",from:{data:"leaves"},encode:{enter:{stroke:{value:"#ffffff"},strokeWidth:{value:2}},update:{x:{field:"x0"},y:{field:"y0"},x2:{field:"x1"},y2:{field:"y1"},fill:{value:"transparent"},tooltip:{signal:"{'Category': datum.name, 'Value': datum.size, 'Parent': datum.parent}"}},hover:{fill:{value:"#323130"},fillOpacity:{value:.1}}}},{type:"text",from:{data:"leaves"},interactive:!1,encode:{enter:{font:{value:"Segoe UI, Arial, sans-serif"},align:{value:"center"},baseline:{value:"middle"},fill:{value:"#323130"},fontWeight:{value:"bold"},text:{field:"name"},fontSize:{scale:"fontSize",field:"depth"}},update:{x:{signal:"0.5 * (datum.x0 + datum.x1)"},y:{signal:"0.5 * (datum.y0 + datum.y1)"},opacity:{signal:"(datum.x1 - datum.x0) > 50 && (datum.y1 - datum.y0) > 20 ? 1 : 0"}}}}]}}},histogram:{label:"Histogram",mapping:["x"],build:function(e,t){var a=t.filter(function(e){return!isNaN(+e[0])}).map(function(e){return{value:+e[0]}});if(0===a.length)throw new Error("No valid numeric data found for histogram");var n=a.map(function(e){return e.value}),r=Math.min.apply(Math,V(n)),o=Math.max.apply(Math,V(n)),i=(o-r)/20,l=Math.floor(r/i)*i,c=Math.ceil(o/i)*i;return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Histogram from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a},mark:{type:"bar",tooltip:!0,stroke:"white",strokeWidth:1},encoding:{x:{field:"value",bin:{extent:[l,c],step:i,nice:!1},type:"quantitative",axis:{title:"Value",labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130"},scale:{domain:[l,c],range:"width",paddingInner:.05,paddingOuter:.02}},y:{aggregate:"count",type:"quantitative",axis:{title:"Count",labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},color:{value:"#0078d4"}}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},density:{label:"Density",columns:{min:1,message:"Density plot requires at least 1 column (Values)"},mapping:["x"],build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Density plot from Excel selection",background:"white",config:{view:{stroke:"transparent"}},width:400,height:100,data:{values:$(e,t)},transform:[{density:e[0],bandwidth:.3}],mark:"area",encoding:{x:{field:"value",title:e[0],type:"quantitative",axis:{labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},y:{field:"density",type:"quantitative",title:"Density",axis:{labelFontSize:12,titleFontSize:14,labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}},color:{value:"#0078d4"},tooltip:[{field:"value",type:"quantitative",title:e[0],format:".2f"},{field:"density",type:"quantitative",title:"Density",format:".4f"}]}},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},map:{label:"Map",columns:{min:2,message:"Map chart requires 2 columns (Country ISO3, Value)"},build:function(e,t){var a={AFG:4,AGO:24,ALB:8,AND:20,ARE:784,ARG:32,ARM:51,ATA:10,ATG:28,AUS:36,AUT:40,AZE:31,BDI:108,BEL:56,BEN:204,BFA:854,BGD:50,BGR:100,BHR:48,BHS:44,BIH:70,BLR:112,BLZ:84,BOL:68,BRA:76,BRB:52,BRN:96,BTN:64,BWA:72,CAF:140,CAN:124,CHE:756,CHL:152,CHN:156,CIV:384,CMR:120,COD:180,COG:178,COL:170,COM:174,CPV:132,CRI:188,CUB:192,CYP:196,CZE:203,DEU:276,DJI:262,DMA:212,DNK:208,DOM:214,DZA:12,ECU:218,EGY:818,ERI:232,ESH:732,ESP:724,EST:233,ETH:231,FIN:246,FJI:242,FRA:250,FSM:583,GAB:266,GBR:826,GEO:268,GHA:288,GIN:324,GMB:270,GNB:624,GNQ:226,GRC:300,GRD:308,GRL:304,GTM:320,GUY:328,HND:340,HRV:191,HTI:332,HUN:348,IDN:360,IND:356,IRL:372,IRN:364,IRQ:368,ISL:352,ISR:376,ITA:380,JAM:388,JOR:400,JPN:392,KAZ:398,KEN:404,KGZ:417,KHM:116,KIR:296,KNA:659,KOR:410,KWT:414,LAO:418,LBN:422,LBR:430,LBY:434,LCA:662,LIE:438,LKA:144,LSO:426,LTU:440,LUX:442,LVA:428,MAR:504,MCO:492,MDA:498,MDG:450,MDV:462,MEX:484,MHL:584,MKD:807,MLI:466,MLT:470,MMR:104,MNE:499,MNG:496,MOZ:508,MRT:478,MUS:480,MWI:454,MYS:458,NAM:516,NCL:540,NER:562,NGA:566,NIC:558,NLD:528,NOR:578,NPL:524,NRU:520,NZL:554,OMN:512,PAK:586,PAN:591,PER:604,PHL:608,PLW:585,PNG:598,POL:616,PRI:630,PRK:408,PRT:620,PRY:600,PSE:275,QAT:634,ROU:642,RUS:643,RWA:646,SAU:682,SDN:729,SEN:686,SGP:702,SLB:90,SLE:694,SLV:222,SMR:674,SOM:706,SRB:688,SSD:728,STP:678,SUR:740,SVK:703,SVN:705,SWE:752,SWZ:748,SYC:690,SYR:760,TCD:148,TGO:768,THA:764,TJK:762,TKM:795,TLS:626,TON:776,TTO:780,TUN:788,TUR:792,TUV:798,TWN:158,TZA:834,UGA:800,UKR:804,URY:858,USA:840,UZB:860,VAT:336,VCT:670,VEN:862,VNM:704,VUT:548,WSM:882,XKX:383,YEM:887,ZAF:710,ZMB:894,ZWE:716},n=t.filter(function(e){return e[0]&&!isNaN(+e[1])}).map(function(e){var t=(e[0]||"").toUpperCase().trim();return{id:a[t],iso:t,rate:+e[1]}}).filter(function(e){return e.id});if(0===n.length)throw new Error("No valid country data found. Please use ISO3 country codes (USA, GBR, DEU, etc.)");return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:800,height:450,data:{url:"vendor/countries-110m.json",format:{type:"topojson",feature:"countries"}},transform:[{lookup:"id",from:{data:{values:n},key:"id",fields:["rate","iso"]}}],projection:{type:"equalEarth"},mark:{type:"geoshape",stroke:"white",strokeWidth:.5},encoding:{color:{field:"rate",type:"quantitative",scale:{scheme:"blues"}},tooltip:[{field:"iso",type:"nominal",title:"Country (ISO3)"},{field:"rate",type:"quantitative",title:"Value"}]}}}},contour:{label:"Contour",columns:{min:2,message:"Contour plot requires at least 2 columns (X values, Y values, optional Categories)"},mapping:["x","y","color"],build:function(e,t){var a=$(e,t).filter(function(t){return null!==t[e[0]]&&void 0!==t[e[0]]&&""!==t[e[0]]&&null!==t[e[1]]&&void 0!==t[e[1]]&&""!==t[e[1]]});if(0===a.length)throw new Error("No valid data points for contour plot");var n=a.map(function(t){return parseFloat(t[e[0]])}),r=a.map(function(t){return parseFloat(t[e[1]])}),o=Math.max.apply(Math,V(n))-Math.min.apply(Math,V(n)),i=Math.max.apply(Math,V(r))-Math.min.apply(Math,V(r)),l=Math.max(500,Math.min(800,10*o)),c=Math.max(400,Math.min(600,10*i)),s=e.length>=3;return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Contour plot from Excel selection - density estimate overlay",width:l,height:c,padding:5,autosize:"pad",background:"white",signals:[{name:"bandwidth",value:-1,description:"Bandwidth for density estimation (-1 for auto)"},{name:"resolve",value:"shared",description:"Scale resolution for contours"},{name:"counts",value:!0,description:"Use counts vs density"}],data:[{name:"source",values:a,transform:[{type:"filter",expr:"datum['".concat(e[0],"'] != null && datum['").concat(e[1],"'] != null")}]},{name:"density",source:"source",transform:[D(D({type:"kde2d"},s&&{groupby:[e[2]]}),{},{size:[{signal:"width"},{signal:"height"}],x:{expr:"scale('x', datum['".concat(e[0],"'])")},y:{expr:"scale('y', datum['".concat(e[1],"'])")},bandwidth:{signal:"[bandwidth, bandwidth]"},counts:{signal:"counts"}})]},{name:"contours",source:"density",transform:[{type:"isocontour",field:"grid",resolve:{signal:"resolve"},levels:5}]}],scales:[{name:"x",type:"linear",round:!0,nice:!0,zero:!1,domain:{data:"source",field:e[0]},range:"width"},{name:"y",type:"linear",round:!0,nice:!0,zero:!1,domain:{data:"source",field:e[1]},range:"height"}].concat(V(s?[{name:"color",type:"ordinal",domain:{data:"source",field:e[2],sort:{order:"descending"}},range:"category"}]:[{name:"color",type:"ordinal",domain:["Data"],range:["#0078d4"]}])),axes:[{scale:"x",grid:!0,domain:!1,orient:"bottom",tickCount:5,title:e[0],labelFontSize:11,titleFontSize:13,labelFont:"Segoe UI",titleFont:"Segoe UI",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},{scale:"y",grid:!0,domain:!1,orient:"left",titlePadding:5,title:e[1],labelFontSize:11,titleFontSize:13,labelFont:"Segoe UI",titleFont:"Segoe UI",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}],legends:s?[{stroke:"color",symbolType:"stroke",title:e[2],titleFont:"Segoe UI",titleFontSize:12,titleColor:"#323130",labelFont:"Segoe UI",labelFontSize:11,labelColor:"#605e5c"}]:[],marks:[{name:"points",type:"symbol",from:{data:"source"},encode:{update:{x:{scale:"x",field:e[0]},y:{scale:"y",field:e[1]},size:{value:16},fill:{value:"#cccccc"},fillOpacity:{value:.4},stroke:{value:"#999999"},strokeWidth:{value:.5}}}},{type:"image",from:{data:"density"},encode:{update:{x:{value:0},y:{value:0},width:{signal:"width"},height:{signal:"height"},aspect:{value:!1}}},transform:[{type:"heatmap",field:"datum.grid",resolve:{signal:"resolve"},color:s?{expr:"scale('color', datum.datum['".concat(e[2],"'])")}:{expr:"scale('color', 'Data')"}}]},{type:"path",clip:!0,from:{data:"contours"},encode:{enter:{strokeWidth:{value:1.5},strokeOpacity:{value:.8},stroke:s?{scale:"color",field:e[2]}:{value:"#0078d4"},fill:{value:null}}},transform:[{type:"geopath",field:"datum.contour"}]}],config:{font:"Segoe UI",view:{stroke:"transparent"}}}}},candlestick:{label:"Candlestick",columns:{min:5,message:"Candlestick chart requires 5 columns (Date, Open, High, Low, Close)"},build:function(e,t){var a=$(e,t).map(function(t,a){var n=u(t[e[0]]),r=t[e[1]],o=t[e[2]],i=t[e[3]],l=t[e[4]];return isNaN(n.getTime())||isNaN(r)||isNaN(o)||isNaN(i)||isNaN(l)?null:{date:n.toISOString(),open:r,high:o,low:i,close:l}}).filter(Boolean);if(0===a.length)throw new Error("No valid candlestick data found");return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",width:600,description:"Candlestick chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a},encoding:{x:{field:"date",type:"temporal",title:"Date",axis:{format:"%m/%d",labelAngle:-45,labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI"}},y:{type:"quantitative",scale:{zero:!1},axis:{title:"Price",labelFontSize:11,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",grid:!0,gridColor:"#f3f2f1"}},color:{condition:{test:"datum.open < datum.close",value:"#06982d"},value:"#ae1325"}},layer:[{mark:{type:"rule",tooltip:!0},encoding:{y:{field:"low"},y2:{field:"high"},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"open",type:"quantitative",title:"Open",format:".2f"},{field:"high",type:"quantitative",title:"High",format:".2f"},{field:"low",type:"quantitative",title:"Low",format:".2f"},{field:"close",type:"quantitative",title:"Close",format:".2f"}]}},{mark:{type:"bar",tooltip:!0},encoding:{y:{field:"open"},y2:{field:"close"},tooltip:[{field:"date",type:"temporal",title:"Date",format:"%Y-%m-%d"},{field:"open",type:"quantitative",title:"Open",format:".2f"},{field:"high",type:"quantitative",title:"High",format:".2f"},{field:"low",type:"quantitative",title:"Low",format:".2f"},{field:"close",type:"quantitative",title:"Close",format:".2f"}]}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},arc:{label:"Arc",columns:{min:2,message:"Arc chart requires at least 2 columns (Source, Target, Weight optional)"},optional:[2,3],build:function(e,t){var a=$(e,t).map(function(t,a){return{source:t[e[0]],target:t[e[1]],value:e.length>=3&&t[e[2]]?t[e[2]]:1,group:e.length>=4&&t[e[3]]?t[e[3]]:"default"}}),n=new Map;a.forEach(function(e){n.has(e.source)||n.set(e.source,{name:e.source,group:e.group,index:n.size}),n.has(e.target)||n.set(e.target,{name:e.target,group:e.group,index:n.size})});var r=Array.from(n.values()),o=a.map(function(e){return{source:n.get(e.source).index,target:n.get(e.target).index,value:e.value}});return G({$schema:"https://vega.github.io/schema/vega/v5.json",description:"Arc diagram from Excel selection",width:Math.max(600,30*r.length),height:100,padding:{top:20,bottom:20,left:20,right:20},background:"white",config:{view:{stroke:"transparent"}},data:[{name:"edges",values:o},{name:"sourceDegree",source:"edges",transform:[{type:"aggregate",groupby:["source"],as:["count"]}]},{name:"targetDegree",source:"edges",transform:[{type:"aggregate",groupby:["target"],as:["count"]}]},{name:"nodes",values:r,transform:[{type:"window",ops:["rank"],as:["order"]},{type:"lookup",from:"sourceDegree",key:"source",fields:["index"],as:["sourceDegree"],default:{count:0}},{type:"lookup",from:"targetDegree",key:"target",fields:["index"],as:["targetDegree"],default:{count:0}},{type:"formula",as:"degree",expr:"(datum.sourceDegree.count || 0) + (datum.targetDegree.count || 0)"}]}],scales:[{name:"position",type:"band",domain:{data:"nodes",field:"order",sort:!0},range:"width"},{name:"color",type:"ordinal",range:{scheme:"category20"},domain:{data:"nodes",field:"group"}}],marks:[{type:"symbol",name:"layout",interactive:!1,from:{data:"nodes"},encode:{enter:{opacity:{value:0}},update:{x:{scale:"position",field:"order"},y:{value:0},size:{field:"degree",mult:8,offset:50},fill:{scale:"color",field:"group"}}}},{type:"path",from:{data:"edges"},encode:{update:{stroke:{value:"#0078d4"},strokeOpacity:{value:.4},strokeWidth:{field:"value",mult:2,offset:1}}},transform:[{type:"lookup",from:"layout",key:"datum.index",fields:["datum.source","datum.target"],as:["sourceNode","targetNode"]},{type:"linkpath",sourceX:{expr:"min(datum.sourceNode.x, datum.targetNode.x)"},targetX:{expr:"max(datum.sourceNode.x, datum.targetNode.x)"},sourceY:{expr:"0"},targetY:{expr:"0"},shape:"arc"}]},{type:"symbol",from:{data:"layout"},encode:{update:{x:{field:"x"},y:{field:"y"},fill:{field:"fill"},size:{field:"size"},stroke:{value:"white"},strokeWidth:{value:1},tooltip:{signal:"{'Node': datum.datum.name, 'Group': datum.datum.group, 'Connections': datum.datum.degree}"}}}},{type:"text",from:{data:"nodes"},encode:{update:{x:{scale:"position",field:"order"},y:{value:25},fontSize:{value:10},align:{value:"center"},baseline:{value:"top"},angle:{value:-45},text:{field:"name"},fill:{value:"#323130"},font:{value:"Segoe UI"}}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:10,fill:"#605e5c"}})}},tree:{label:"Tree",columns:{min:2,message:"Tree chart requires at least 2 columns (Parent, Child, Value optional)"},optional:[0,2],build:function(e,t){var a=new Map;t.forEach(function(t,n){var r=t[0]||"",o=t[1]||"node_".concat(n),i=e.length>=3&&parseFloat(t[2])||1;if(r&&!a.has(r)&&a.set(r,{id:r,parent:"",name:r,value:1}),a.has(o)){var l=a.get(o);l.parent=r,l.value=i}else a.set(o,{id:o,parent:r,name:o,value:i})});var n=Array.from(a.values()),r=new Set(n.map(function(e){return e.id}));n.forEach(function(e){e.parent&&!r.has(e.parent)&&(e.parent="")});var o=n.length;return{$schema:"https://vega.github.io/schema/vega/v6.json",description:"Tree diagram from Excel selection",width:Math.max(600,Math.min(1200,40*o)),height:Math.max(400,Math.min(1600,30*o)),padding:20,background:"white",config:{view:{stroke:"transparent"}},signals:[{name:"layout",value:"tidy"},{name:"links",value:"diagonal"}],data:[{name:"tree",values:n,transform:[{type:"stratify",key:"id",parentKey:"parent"},{type:"tree",method:{signal:"layout"},size:[{signal:"height - 40"},{signal:"width - 100"}],as:["y","x","depth","children"]}]},{name:"links",source:"tree",transform:[{type:"treelinks"},{type:"linkpath",orient:"horizontal",shape:{signal:"links"}}]}],scales:[{name:"color",type:"ordinal",range:["#0078d4","#00bcf2","#40e0d0","#00cc6a","#10893e","#107c10","#bad80a","#ffb900","#ff8c00","#d13438"],domain:{data:"tree",field:"depth"}},{name:"size",type:"linear",range:[100,400],domain:{data:"tree",field:"value"}}],marks:[{type:"path",from:{data:"links"},encode:{update:{path:{field:"path"},stroke:{value:"#8a8886"},strokeWidth:{value:2},strokeOpacity:{value:.6}}}},{type:"symbol",from:{data:"tree"},encode:{enter:{stroke:{value:"#ffffff"},strokeWidth:{value:2}},update:{x:{field:"x"},y:{field:"y"},size:{scale:"size",field:"value"},fill:{scale:"color",field:"depth"},fillOpacity:{value:.8},tooltip:{signal:"{'Name': datum.name, 'ID': datum.id, 'Parent': datum.parent, 'Depth': datum.depth, 'Value': datum.value}"}},hover:{fillOpacity:{value:1},strokeWidth:{value:3}}}},{type:"text",from:{data:"tree"},encode:{enter:{fontSize:{value:11},baseline:{value:"middle"},font:{value:"Segoe UI"},fontWeight:{value:"bold"}},update:{x:{field:"x"},y:{field:"y"},text:{field:"name"},dx:{signal:"datum.children ? -12 : 12"},align:{signal:"datum.children ? 'right' : 'left'"},fill:{value:"#323130"}}}}]}}},wordcloud:{label:"Word Cloud",columns:{min:1,message:"Wordcloud requires at least 1 column (Text data)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Word cloud from Excel selection",width:800,height:400,padding:0,background:"white",config:{view:{stroke:"transparent"}},data:[{name:"table",values:$(e,t),transform:[{type:"countpattern",field:e[0],case:"upper",pattern:"[\\w']{3,}",stopwords:"(i|me|my|myself|we|us|our|ours|ourselves|you|your|yours|yourself|yourselves|he|him|his|himself|she|her|hers|herself|it|its|itself|they|them|their|theirs|themselves|what|which|who|whom|whose|this|that|these|those|am|is|are|was|were|be|been|being|have|has|had|having|do|does|did|doing|will|would|should|can|could|ought|i'm|you're|he's|she's|it's|we're|they're|i've|you've|we've|they've|i'd|you'd|he'd|she'd|we'd|they'd|i'll|you'll|he'll|she'll|we'll|they'll|isn't|aren't|wasn't|weren't|hasn't|haven't|hadn't|doesn't|don't|didn't|won't|wouldn't|shan't|shouldn't|can't|cannot|couldn't|mustn't|let's|that's|who's|what's|here's|there's|when's|where's|why's|how's|a|an|the|and|but|if|or|because|as|until|while|of|at|by|for|with|about|against|between|into|through|during|before|after|above|below|to|from|up|upon|down|in|out|on|off|over|under|again|further|then|once|here|there|when|where|why|how|all|any|both|each|few|more|most|other|some|such|no|nor|not|only|own|same|so|than|too|very|say|says|said|shall)"},{type:"formula",as:"angle",expr:"[-45, 0, 45][~~(random() * 3)]"},{type:"formula",as:"weight",expr:"if(datum.count > 10, 600, 300)"}]}],scales:[{name:"color",type:"ordinal",domain:{data:"table",field:"text"},range:["#d5a928","#652c90","#939597","#2563eb","#dc2626","#059669"]}],marks:[{type:"text",from:{data:"table"},encode:{enter:{text:{field:"text"},align:{value:"center"},baseline:{value:"alphabetic"},fill:{scale:"color",field:"text"}},update:{fillOpacity:{value:1}},hover:{fillOpacity:{value:.5}}},transform:[{type:"wordcloud",size:[800,400],text:{field:"text"},rotate:{field:"datum.angle"},font:"Helvetica Neue, Arial",fontSize:{field:"datum.count"},fontWeight:{field:"datum.weight"},fontSizeRange:[12,56],padding:2}]}]}}},strip:{label:"Strip",columns:{min:2,message:"Strip plot requires at least 2 columns (Categories, Values)"},mapping:["y","x","color"],reduce:{method:"thin",columns:[0,1,2]},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Strip plot showing distribution using tick marks",background:"white",config:{view:{stroke:"transparent"},axis:{labelFontSize:11,titleFontSize:12,labelColor:"#605E5C",titleColor:"#323130"}},data:{values:$(e,t)},mark:{type:"tick",thickness:2,size:15,color:"#0078d4",opacity:.8,tooltip:!0},encoding:D(D({y:{field:e[0],type:"ordinal",axis:{title:e[0],labelAngle:0}},x:{field:e[1],type:"quantitative",axis:{title:e[1],grid:!0,gridColor:"#f3f2f1",gridOpacity:.5}}},e.length>2&&{color:{field:e[2],type:"nominal",scale:{scheme:"category10"},legend:{title:e[2],orient:"right",titleFontSize:11,labelFontSize:10}}}),{},{tooltip:e.map(function(e){return{field:e,type:"nominal"}})})}}},heatmap:{label:"Heatmap",columns:{min:3,message:"Heatmap requires 3 columns (Y-categories, X-categories, Values)"},gaps:!0,mapping:["y","x","color"],reduce:{method:"aggregate",columns:[0,1],value:2},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Heatmap from Excel selection",background:"white",data:{values:$(e,t)},mark:{type:"rect",stroke:"white",tooltip:!0},encoding:{y:{field:e[0],type:"ordinal",title:e[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:e[1],type:"ordinal",title:e[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},color:{aggregate:"mean",field:e[2],type:"quantitative",legend:{title:null,direction:"vertical",orient:"right",titleAlign:"center",labelAlign:"center"}}},config:{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C",titleAlign:"center",labelAlign:"center"}}}}},tablebubble:{label:"Table Bubble",columns:{min:3,message:"Table bubble chart requires 3 columns (Y-categories, X-categories, Values)"},mapping:["y","x","size"],build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Table Bubble Chart from Excel selection",background:"white",data:{values:$(e,t)},mark:{type:"circle",opacity:.9,stroke:"transparent",tooltip:!0},encoding:{y:{field:e[0],type:"ordinal",sort:"descending",title:e[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:e[1],type:"ordinal",title:e[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},size:{aggregate:"sum",field:e[2],type:"quantitative",legend:{title:e[2],direction:"vertical",orient:"right",titleAlign:"center",labelAlign:"center"}},color:{aggregate:"sum",field:e[2],type:"quantitative",scale:{range:["#2999AA","orange"]},legend:null}},config:{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C",titleAlign:"center",labelAlign:"center"}}}}},bullet:{label:"Bullet",columns:{min:7,message:"Bullet chart requires 7 columns (Title, Poor max, Satisfactory max, Good max, Actual, Forecast, Target)"},build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",background:"white",config:{view:{stroke:"transparent"}},data:{values:t.map(function(e){return{title:e[0],ranges:[+e[1],+e[2],+e[3]],measures:[+e[4],+e[5]],markers:[+e[6]]}})},facet:{row:{field:"title",type:"ordinal",header:{labelAngle:0,title:"",labelAlign:"left"}}},spacing:10,spec:{encoding:{x:{type:"quantitative",scale:{nice:!1},title:null}},layer:[{mark:{type:"bar",color:"#eee"},encoding:{x:{field:"ranges[2]"}}},{mark:{type:"bar",color:"#ddd"},encoding:{x:{field:"ranges[1]"}}},{mark:{type:"bar",color:"#ccc"},encoding:{x:{field:"ranges[0]"}}},{mark:{type:"bar",color:"lightsteelblue",size:10},encoding:{x:{field:"measures[1]"}}},{mark:{type:"bar",color:"steelblue",size:10},encoding:{x:{field:"measures[0]"}}},{mark:{type:"tick",color:"black"},encoding:{x:{field:"markers[0]"}}}]},resolve:{scale:{x:"independent"}}},"config",{tick:{thickness:2},scale:{barBandPaddingInner:0}})}},horizon:{label:"Horizon",columns:{min:2,message:"Horizon chart requires 2 columns (X values, Y values)"},build:function(e,t){var a=t.map(function(e,t){return{x:e[0]||t+1,y:e[1]}}),n=a.map(function(e){return e.y}),r=Math.max.apply(Math,V(n)),o=Math.min.apply(Math,V(n)),i=r-o,l=i/6,c=o+i/2,s=a.length;return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Horizon Graph from Excel selection (IDL methodology)",width:Math.max(300,Math.min(800,15*s)),height:60,background:"white",config:{view:{stroke:"transparent"},area:{interpolate:"monotone"}},data:{values:a},encoding:{x:{field:"x",type:e[0].toLowerCase().includes("date")?"temporal":"quantitative",scale:{zero:!1,nice:!1},axis:{title:e[0],labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI"}},y:{type:"quantitative",scale:{domain:[0,l]},axis:{title:e[1],orient:"left",labelFontSize:10,titleFontSize:12,labelColor:"#605e5c",titleColor:"#323130",font:"Segoe UI",tickCount:3}}},layer:[{transform:[{calculate:"max(0, min(datum.y - ".concat(c,", ").concat(l,"))"),as:"band1"}],mark:{type:"area",clip:!0,opacity:.3,color:"#4a90e2",interpolate:"monotone"},encoding:{y:{field:"band1"}}},{transform:[{calculate:"max(0, min(datum.y - ".concat(c," - ").concat(l,", ").concat(l,"))"),as:"band2"}],mark:{type:"area",clip:!0,opacity:.6,color:"#2e7bd6",interpolate:"monotone"},encoding:{y:{field:"band2"}}},{transform:[{calculate:"max(0, datum.y - ".concat(c," - ").concat(2*l,")"),as:"band3"}],mark:{type:"area",clip:!0,opacity:.9,color:"#1a5bb8",interpolate:"monotone"},encoding:{y:{field:"band3"}}},{transform:[{calculate:"max(0, min(".concat(c," - datum.y, ").concat(l,"))"),as:"nband1"}],mark:{type:"area",clip:!0,opacity:.3,color:"#e74c3c",interpolate:"monotone"},encoding:{y:{field:"nband1"}}},{transform:[{calculate:"max(0, min(".concat(c," - datum.y - ").concat(l,", ").concat(l,"))"),as:"nband2"}],mark:{type:"area",clip:!0,opacity:.6,color:"#c0392b",interpolate:"monotone"},encoding:{y:{field:"nband2"}}},{transform:[{calculate:"max(0, ".concat(c," - datum.y - ").concat(2*l,")"),as:"nband3"}],mark:{type:"area",clip:!0,opacity:.9,color:"#a93226",interpolate:"monotone"},encoding:{y:{field:"nband3"}}}]}}},dumbbell:{label:"Dumbbell",columns:{min:3,message:"Dumbbell chart requires 3 columns: Category, Value 1, Value 2"},build:function(e,t){var a=$(e,t),n=[];a.forEach(function(t){var a=t[e[0]],r=t[e[1]],o=t[e[2]];n.push({category:a,period:e[1],value:r}),n.push({category:a,period:e[2],value:o})});var r,o,i,l=V(new Set(a.map(function(t){return t[e[0]]}))).length;return l<=3?(r=Math.max(200,80*l),o=.3,i=.2):l<=6?(r=Math.max(300,60*l),o=.2,i=.1):(r=Math.max(400,Math.min(600,50*l)),o=.1,i=.05),G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Dumbbell chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},width:500,height:r,data:{values:n},encoding:{x:{field:"value",type:"quantitative",title:null,scale:{zero:!1},axis:{labelFontSize:12,labelColor:"#605e5c",grid:!0,gridColor:"#f3f2f1",labelAlign:"center"}},y:{field:"category",type:"nominal",title:null,scale:{paddingInner:o,paddingOuter:i},axis:{offset:5,ticks:!1,minExtent:70,domain:!1,labelFontSize:12,labelColor:"#605e5c"}}},layer:[{mark:"line",encoding:{detail:{field:"category",type:"nominal"},color:{value:"#d1d5db"}}},{mark:{type:"point",filled:!0,tooltip:!0},encoding:{color:{field:"period",type:"ordinal",scale:{domain:[e[1],e[2]],range:["#87ceeb","#1e3a8a"]},title:"Measure",legend:{titleFontSize:12,labelFontSize:11,titleColor:"#323130",labelColor:"#605e5c"}},size:{value:100},opacity:{value:1},tooltip:[{field:"category",type:"nominal",title:"Category"},{field:"period",type:"nominal",title:"Measure"},{field:"value",type:"quantitative",title:"Value",format:",.1f"}]}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}},slope:{label:"Slope",columns:{min:3,message:"Slope chart requires 3 columns (Time Period, Category, Value)"},mapping:["x","color","y"],build:function(e,t){var a=$(e,t),n=V(new Set(a.map(function(t){return t[e[0]]}))),r=V(new Set(a.map(function(t){return t[e[1]]}))),o=n[0],i=n[n.length-1],l=a.filter(function(t){return t[e[0]]===o||t[e[0]]===i}),c=l.map(function(t){return t[e[2]]}).every(function(e){return e>=-1&&e<=1})?".1%":",.0f";return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Slope chart from Excel selection",background:"white",config:{view:{stroke:"transparent"},autosize:{type:"fit",contains:"padding"}},width:500,height:Math.max(300,Math.min(600,40*r.length)),data:{values:l},encoding:{x:{field:e[0],type:"ordinal",axis:{title:null,labelFontSize:14,labelFontWeight:"bold",labelPadding:10,domain:!1,ticks:!1,labelColor:"#323130"},scale:{padding:.1}},y:{field:e[2],type:"quantitative",axis:null,scale:{zero:!1}},color:{field:e[1],type:"nominal",legend:null,scale:{scheme:"category10"}}},layer:[{mark:{type:"rule",strokeDash:[2,2],opacity:.3},data:{values:[{}]},encoding:{x:{datum:o},x2:{datum:i},y:{value:0},color:{value:"#e0e0e0"}}},{mark:{type:"line",strokeWidth:2,opacity:.7,tooltip:!0},encoding:{detail:{field:e[1],type:"nominal"},tooltip:[{field:e[1],type:"nominal",title:"Category"},{field:e[0],type:"nominal",title:"Period"},{field:e[2],type:"quantitative",title:"Value",format:c}]}},{mark:{type:"circle",size:100,opacity:1,tooltip:!0}},{transform:[{filter:"datum['".concat(e[0],"'] == '").concat(o,"'")}],mark:{type:"text",align:"right",baseline:"middle",dx:-8,fontSize:11,fontWeight:"normal"},encoding:{text:{field:e[2],type:"quantitative",format:c}}},{transform:[{filter:"datum['".concat(e[0],"'] == '").concat(o,"'")},{window:[{op:"rank",as:"rank"}],sort:[{field:e[2],order:"descending"}]},{filter:"datum.rank <= 3"}],mark:{type:"text",align:"right",baseline:"bottom",dx:-8,dy:-12,fontSize:10,fontWeight:"bold",fontStyle:"italic"},encoding:{text:{field:e[1],type:"nominal"}}},{transform:[{filter:"datum['".concat(e[0],"'] == '").concat(i,"'")}],mark:{type:"text",align:"left",baseline:"middle",dx:8,fontSize:11,fontWeight:"normal"},encoding:{text:{field:e[2],type:"quantitative",format:c}}},{transform:[{filter:"datum['".concat(e[0],"'] == '").concat(i,"'")}],mark:{type:"text",align:"left",baseline:"middle",dx:35,fontSize:10,fontWeight:"bold"},encoding:{text:{field:e[1],type:"nominal"}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:11,fill:"#605E5C"},axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"}})}},mekko:{label:"Mekko",columns:{min:3,message:"Mekko chart requires 3 columns (Category, Subcategory, Value)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Mekko chart from Excel selection",width:800,height:500,background:"white",config:{view:{stroke:"transparent"}},view:{stroke:null},padding:{top:60,bottom:80,left:60,right:60},data:[{name:"table",values:$(e,t)},{name:"categories",source:"table",transform:[{type:"aggregate",fields:[e[2]],ops:["sum"],as:["categoryTotal"],groupby:[e[0]]},{type:"stack",offset:"normalize",sort:{field:"categoryTotal",order:"descending"},field:"categoryTotal",as:["x0","x1"]},{type:"formula",as:"Percent",expr:"datum.x1-datum.x0"},{type:"formula",as:"Label",expr:"datum.".concat(e[0]," + ' (' + format(datum.Percent,'.1%') + ')'")}]},{name:"finalTable",source:"table",transform:[{type:"stack",offset:"normalize",groupby:[e[0]],sort:{field:e[2],order:"descending"},field:e[2],as:["y0","y1"]},{type:"stack",groupby:[e[0]],sort:{field:e[2],order:"descending"},field:e[2],as:["z0","z1"]},{type:"lookup",from:"categories",key:e[0],values:["x0","x1"],fields:[e[0]]},{type:"formula",as:"Percent",expr:"datum.y1-datum.y0"},{type:"formula",as:"Label",expr:"[datum.".concat(e[1],", format(datum.").concat(e[2],", '.0f') + ' (' + format(datum.Percent, '.1%') + ')']")},{type:"window",sort:{field:"y0",order:"ascending"},ops:["row_number"],fields:[null],as:["rank"],groupby:[e[0]]}]}],scales:[{name:"x",type:"linear",range:"width",domain:{data:"finalTable",field:"x1"}},{name:"y",type:"linear",range:"height",nice:!1,zero:!0,domain:{data:"finalTable",field:"z1"}},{name:"opacity",type:"linear",range:[1,.6],domain:{data:"finalTable",field:"rank"}},{name:"color",type:"ordinal",range:{scheme:"category20"},domain:{data:"categories",field:e[0],sort:{field:"x0",order:"ascending",op:"sum"}}}],axes:[{orient:"left",scale:"y",zindex:1,format:"",tickCount:5,tickSize:15,labelColor:{value:"#333740"},labelFontWeight:{value:"normal"},labelFontSize:{value:12},labelFont:{value:"Segoe UI"},offset:5,domain:!1,encode:{labels:{update:{text:{signal:"format(datum.value, '.0f')"}}}}}],marks:[{type:"rect",name:"bars",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"x0"},x2:{scale:"x",field:"x1"},y:{scale:"y",field:"z0"},y2:{scale:"y",field:"z1"},fill:{scale:"color",field:e[0]},stroke:{value:"white"},strokeWidth:{value:1},fillOpacity:{scale:"opacity",field:"rank"},tooltip:{signal:"datum"}}}},{type:"text",name:"labels",interactive:!1,from:{data:"bars"},encode:{update:{x:{signal:"(datum.x2 - datum.x)*0.5 + datum.x"},align:{value:"center"},text:{field:"datum.Label"},y:{signal:"(datum.y2 - datum.y)*0.5 + datum.y"},fill:{value:"white"},font:{value:"Segoe UI"},lineHeight:{value:12},fontSize:{value:10},opacity:{signal:"(datum.x2 - datum.x) > 0.05 && (datum.y2 - datum.y) > 20 ? 1 : 0"}}}},{type:"text",name:"categoryLabels",from:{data:"categories"},encode:{update:{x:{scale:"x",signal:"(datum.x1-datum.x0)/2 + datum.x0"},y:{signal:"-15"},text:{field:e[0]},align:{value:"center"},baseline:{value:"bottom"},fill:{value:"#333740"},fontWeight:{value:"bold"},fontSize:{value:12},font:{value:"Segoe UI"}}}},{type:"text",name:"categoryPercentages",from:{data:"categories"},encode:{update:{x:{scale:"x",signal:"(datum.x1-datum.x0)/2 + datum.x0"},y:{signal:"height + 30"},text:{field:"Label"},align:{value:"center"},baseline:{value:"top"},fill:{value:"#666666"},fontWeight:{value:"normal"},fontSize:{value:10},font:{value:"Segoe UI"}}}}]}}},marimekko:{label:"Marimekko",columns:{min:3,message:"Marimekko chart requires at least 3 columns: Category, Subcategory, Value"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Marimekko Chart from Excel selection",width:600,height:400,background:"white",config:{view:{stroke:"transparent"}},padding:{top:30,bottom:60,left:60,right:60},data:[{name:"table",values:$(e,t),transform:[{type:"formula",as:"Category",expr:"datum['".concat(e[0],"']")},{type:"formula",as:"Subcategory",expr:"datum['".concat(e[1],"']")},{type:"formula",as:"Value",expr:"datum['".concat(e[2],"']")}]},{name:"categories",source:"table",transform:[{type:"aggregate",fields:["Value"],ops:["sum"],as:["categoryTotal"],groupby:["Category"]},{type:"stack",offset:"normalize",sort:{field:"categoryTotal",order:"descending"},field:"categoryTotal",as:["x0","x1"]},{type:"formula",as:"Percent",expr:"datum.x1 - datum.x0"}]},{name:"finalTable",source:"table",transform:[{type:"stack",offset:"normalize",groupby:["Category"],sort:{field:"Value",order:"descending"},field:"Value",as:["y0","y1"]},{type:"lookup",from:"categories",key:"Category",values:["x0","x1"],fields:["Category"]},{type:"formula",as:"Percent",expr:"datum.y1 - datum.y0"}]}],scales:[{name:"x",type:"linear",range:"width",domain:{data:"finalTable",field:"x1"}},{name:"y",type:"linear",range:"height",nice:!1,zero:!0,domain:{data:"finalTable",field:"y1"}},{name:"color",type:"ordinal",range:{scheme:"category10"},domain:{data:"categories",field:"Category",sort:{field:"x0",order:"ascending",op:"sum"}}}],axes:[{orient:"left",scale:"y",format:"%",tickCount:5,labelColor:"#333333",labelFontSize:11,domain:!1},{orient:"bottom",scale:"x",format:"%",tickCount:5,labelColor:"#333333",labelFontSize:11,domain:!1}],marks:[{type:"rect",name:"bars",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"x0"},x2:{scale:"x",field:"x1"},y:{scale:"y",field:"y0"},y2:{scale:"y",field:"y1"},fill:{scale:"color",field:"Category"},stroke:{value:"white"},strokeWidth:{value:1},opacity:{value:.8},tooltip:{signal:"{'Category': datum.Category, 'Subcategory': datum.Subcategory, 'Value': datum.Value, 'Percentage': format(datum.Percent, '.1%')}"}},hover:{opacity:{value:1}}}},{type:"text",name:"valueLabels",from:{data:"finalTable"},encode:{update:{x:{scale:"x",signal:"(datum.x1 - datum.x0)/2 + datum.x0"},y:{scale:"y",signal:"(datum.y1 - datum.y0)/2 + datum.y0"},text:{signal:"datum.Percent > 0.027 ? [datum.Subcategory, format(datum.Value, ',.0f') + ' (' + format(datum.Percent, '.0%') + ')'] : []"},align:{value:"center"},baseline:{value:"middle"},fill:{value:"white"},fontSize:{value:10},fontWeight:{value:"normal"},font:{value:"Segoe UI"},lineHeight:{value:12},opacity:{signal:"datum.Percent > 0.027 ? 1 : 0"}}}}]}}},bump:{label:"Bump",columns:{min:3,message:"Bump chart requires 3 columns: Time periods, Categories, Rank values"},mapping:["x","color","y"],build:function(e,t){var a=$(e,t),n=V(new Set(a.map(function(t){return t[e[0]]})));return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Bump chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:a},width:Math.max(400,80*n.length),height:200,autosize:{type:"fit",contains:"padding"},padding:{left:10,right:10,top:5,bottom:5},encoding:{x:{field:e[0],type:"nominal",axis:{title:""},scale:{type:"point",padding:.2}},y:{field:e[2],type:"ordinal",axis:!1}},layer:[{mark:{type:"line",interpolate:"monotone"},encoding:{color:{field:e[1],type:"nominal",legend:!1}}},{mark:{type:"circle",size:400,tooltip:!0},encoding:{color:{field:e[1],type:"nominal",legend:!1}}},{mark:{type:"text",color:"white"},encoding:{text:{field:e[2]}}},{transform:[{window:[{op:"rank",as:"rank"}],sort:[{field:e[0],order:"descending"}]},{filter:"datum.rank === 1"}],mark:{type:"text",align:"left",baseline:"middle",dx:15,fontWeight:"bold",fontSize:12},encoding:{text:{field:e[1],type:"nominal"},color:{field:e[1],type:"nominal",legend:!1}}},{transform:[{window:[{op:"rank",as:"rank"}],sort:[{field:e[0],order:"ascending"}]},{filter:"datum.rank === 1"}],mark:{type:"text",align:"right",baseline:"middle",dx:-15,fontWeight:"bold",fontSize:12},encoding:{text:{field:e[1],type:"nominal"},color:{field:e[1],type:"nominal",legend:!1}}}]},"config",{view:{stroke:"transparent"},line:{strokeWidth:3,strokeCap:"round",strokeJoin:"round"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#666666",labelFontSize:12}})}},waffle:{label:"Waffle",columns:{min:2,message:"Waffle chart requires 2 columns: Category names, Values"},build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Waffle chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:$(e,t)},transform:[{joinaggregate:[{op:"sum",field:e[1],as:"TotalValue"}]},{calculate:"round(datum.".concat(e[1],"/datum.TotalValue * 100)"),as:"PercentOfTotal"},{aggregate:[{op:"min",field:"PercentOfTotal",as:"Percent"}],groupby:[e[0]]},{calculate:"sequence(1,101)",as:"Sequence"},{flatten:["Sequence"]},{calculate:"if(datum.Sequence <= datum.Percent, datum.".concat(e[0],",'_blank')"),as:"Plot"},{calculate:"ceil (datum.Sequence / 10)",as:"row"},{calculate:"datum.Sequence - datum.row * 10",as:"col"}],facet:{column:{field:e[0],header:{labelOrient:"bottom"}}},spec:{layer:[{mark:{type:"circle",filled:!0,tooltip:!0,stroke:"#9e9b9b",strokeWidth:.7},encoding:{x:{field:"col",type:"ordinal",axis:null},y:{field:"row",type:"ordinal",axis:null,sort:"-y"},color:{condition:{test:"datum.Plot == '_blank'",value:"#e6e3e3"},scale:{scheme:"set1"},field:"Plot",type:"nominal",legend:null},size:{value:241},tooltip:[{field:e[0],type:"nominal"}]}},{mark:{type:"text",fontSize:30,fontWeight:"bold"},encoding:{y:{value:30},text:{condition:{test:"datum.Sequence == 1",value:{expr:"datum.Percent + '%'"}}},color:{scale:{scheme:"set1"},field:"Plot"}}}]}},"config",{view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12},header:{titleFont:"Segoe UI",titleFontSize:16,titleColor:"#757575",labelFont:"Segoe UI",labelFontSize:13,labelColor:"#605E5C"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:13,labelColor:"#605E5C",symbolType:"circle",symbolSize:75}})}},lollipop:{label:"Lollipop",columns:{min:2,message:"Lollipop chart requires 2 columns: Category names, Values"},mapping:["y","x"],build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Lollipop chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:$(e,t)},encoding:{y:{field:e[0],type:"nominal",sort:"-x",axis:{domain:!1,title:null,ticks:!1,labelFont:"Segoe UI",labelFontSize:14,labelPadding:10,labelColor:"#605e5c"}},x:{field:e[1],type:"quantitative",axis:{domain:!1,ticks:!1,grid:!0,gridColor:"#e0e0e0",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605e5c",title:e[1],titleFont:"Segoe UI",titleFontSize:14,titleColor:"#323130"}},color:{value:"#0078d4"}},layer:[{mark:{type:"rule",tooltip:!0,strokeWidth:3,opacity:.7}},{mark:{type:"circle",tooltip:!0,size:300,opacity:.9},encoding:{size:{field:e[1],type:"quantitative",scale:{range:[200,800]},legend:null}}}]},"config",{autosize:{type:"fit",contains:"padding"},view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"}})}},violin:{label:"Violin",columns:{min:2,message:"Violin chart requires 2 columns: Categories/Groups, Continuous values"},mapping:["color","y"],build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v5.20.1.json",description:"Violin chart from Excel selection",background:"white",config:{view:{continuousWidth:300,continuousHeight:300,stroke:null},facet:{spacing:0}},data:{values:$(e,t)},mark:{type:"area",orient:"horizontal"},encoding:{color:{field:e[0],type:"nominal"},column:{field:e[0],header:{labelOrient:"bottom",labelPadding:0,titleOrient:"bottom"},type:"nominal"},x:{axis:{grid:!1,labels:!1,ticks:!0,values:[0]},field:"density",impute:null,stack:"center",title:null,type:"quantitative"},y:{field:e[1],type:"quantitative"}},transform:[{density:e[1],groupby:[e[0]],as:[e[1],"density"]}],width:100}}},gantt:{label:"Gantt",columns:{min:6,message:"Gantt chart requires 6 columns (Parent ID, Task ID, Task Name, Start Date, End Date, Progress)"},optional:[0,2,5,6],dates:[3,4],build:function(e,t){var a=t.map(function(e){var t=e[0]||null,a=e[1],n=e[2]||"Task ".concat(a);if(!a)return null;var r=u(e[3]),o=u(e[4]);if(!(r instanceof Date)||isNaN(r)||!(o instanceof Date)||isNaN(o))return null;var i=0;return e[5]&&(i="string"==typeof e[5]&&e[5].includes("%")?parseFloat(e[5])/100:e[5]>1?e[5]/100:e[5]),{id:a,parentId:t,name:n,startDate:r,endDate:o,progress:i,dependencies:e[6]?String(e[6]).split(",").map(function(e){return e.trim()}):[]}}).filter(Boolean);a.forEach(function(e){var t=e.endDate-e.startDate;e.progressEnd=new Date(e.startDate.getTime()+t*e.progress)});var n=new Map;a.forEach(function(e){n.has(e.parentId)||n.set(e.parentId,[]),n.get(e.parentId).push(e)});var r,o=B(n.entries());try{for(o.s();!(r=o.n()).done;){var i=q(r.value,2);i[0],i[1].sort(function(e,t){return e.startDate-t.startDate})}}catch(e){o.e(e)}finally{o.f()}var l=function e(){var t,a=arguments.length>0&&void 0!==arguments[0]?arguments[0]:null,r=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,o=[],i=B(n.get(a)||[]);try{for(i.s();!(t=i.n()).done;){var l=t.value;l.level=r,o.push(l),o.push.apply(o,V(e(l.id,r+1)))}}catch(e){i.e(e)}finally{i.f()}return o}(null);return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Gantt Chart from Excel Data",width:800,height:Math.max(300,30*l.length),data:{values:l},layer:[{mark:{type:"bar",opacity:.3,height:20},encoding:{y:{field:"name",type:"nominal",axis:{title:null,labelFontSize:11},sort:null},x:{field:"startDate",type:"temporal",axis:{title:"Timeline",format:"%b %d",labelAngle:-45}},x2:{field:"endDate",type:"temporal"},color:{field:"level",type:"ordinal",scale:{scheme:"category10"},legend:{title:"Level"}},tooltip:[{field:"name",type:"nominal",title:"Task"},{field:"startDate",type:"temporal",title:"Start",format:"%Y-%m-%d"},{field:"endDate",type:"temporal",title:"End",format:"%Y-%m-%d"},{field:"progress",type:"quantitative",title:"Progress",format:".0%"}]}},{mark:{type:"bar",opacity:.8,height:20},encoding:{y:{field:"name",type:"nominal",sort:null},x:{field:"startDate",type:"temporal"},x2:{field:"progressEnd",type:"temporal"},color:{field:"level",type:"ordinal",scale:{scheme:"category10"}}}},{mark:{type:"text",align:"left",baseline:"middle",dx:5,fontSize:10},encoding:{y:{field:"name",type:"nominal",sort:null},x:{field:"endDate",type:"temporal"},text:{field:"progress",type:"quantitative",format:".0%"},color:{value:"#666"}}},{mark:{type:"rule",strokeDash:[4,4],opacity:.5},data:{values:[{date:(new Date).toISOString()}]},encoding:{x:{field:"date",type:"temporal"},color:{value:"red"},size:{value:1}}}],config:{view:{stroke:null},axis:{grid:!0,gridColor:"#f0f0f0"}}}}},sankey:{label:"Sankey",columns:{min:3,message:"Sankey chart requires 3 columns (Source, Target, Value)"},build:function(e,t){var a=t.filter(function(e){return e[0]&&e[1]&&!isNaN(+e[2])}).map(function(e){return{source:String(e[0]).trim(),destination:String(e[1]).trim(),value:+e[2]}});if(0===a.length)throw new Error("No valid data found for Sankey chart");var n=function(e){var t=new Map,a=new Map,n=new Map,r=new Set;e.forEach(function(e){r.add(e.source),r.add(e.destination),n.has(e.source)||n.set(e.source,[]),n.get(e.source).push(e.destination),a.set(e.destination,(a.get(e.destination)||0)+1)});var o=[];if(r.forEach(function(e){a.has(e)&&0!==a.get(e)||(o.push(e),t.set(e,0))}),0===o.length&&r.size>0){var i=Array.from(r)[0];o.push(i),t.set(i,0)}for(var l=new Set,c=function(){var e=o.shift();if(l.has(e))return 1;l.add(e);var a=t.get(e)||0;(n.get(e)||[]).forEach(function(e){var n=a+1,r=t.get(e);(void 0===r||n>r)&&t.set(e,n),l.has(e)||o.push(e)})};o.length>0;)c();return r.forEach(function(e){t.has(e)||t.set(e,0)}),t}(a),r=new Set;a.forEach(function(e){r.add(e.source),r.add(e.destination)});var o=[],i=new Map,l=new Map;return r.forEach(function(e){var t=n.get(e);l.has(t)||l.set(t,[]),l.get(t).push(e)}),Array.from(l.keys()).sort(function(e,t){return e-t}).forEach(function(e,t){var a=l.get(e);a.sort(),a.forEach(function(e,a){var n=t+1;i.set(e,n),o.push({category:e,stack:n,sort:a+1,labels:0===t?"left":null})})}),{$schema:"https://vega.github.io/schema/vega/v5.json",description:"Sankey diagram",width:800,height:600,padding:{bottom:20,left:80,right:80,top:40},background:"white",signals:[{name:"standardGap",value:14,description:"Gap as a percentage of full domain"},{name:"base",value:"center",description:"How to stack (center or zero)"}],data:[{name:"input",values:[].concat(o,V(a))},{name:"stacks",source:"input",transform:[{type:"filter",expr:"datum.source != null"},{type:"formula",as:"end",expr:"['source','destination']"},{type:"formula",as:"name",expr:"[datum.source, datum.destination]"},{type:"project",fields:["end","name","value"]},{type:"flatten",fields:["end","name"]},{type:"lookup",from:"input",key:"category",values:["stack","sort","gap","labels"],fields:["name"],as:["stack","sort","gap","labels"]},{type:"aggregate",fields:["value","stack","sort","gap","labels"],groupby:["end","name"],ops:["sum","max","max","max","max"],as:["value","stack","sort","gap","labels"]},{type:"aggregate",fields:["value","stack","sort","gap","labels"],groupby:["name"],ops:["max","max","max","max","max"],as:["value","stack","sort","gap","labels"]},{type:"formula",as:"gap",expr:"datum.gap ? datum.gap : 0"}]},{name:"maxValue",source:["stacks"],transform:[{type:"aggregate",fields:["value"],groupby:["stack"],ops:["sum"],as:["value"]},{type:"aggregate",fields:["value"],ops:["max"],as:["value"]}]},{name:"plottedStacks",source:["stacks"],transform:[{type:"formula",as:"spacer",expr:"(data('maxValue')[0].value/100)*(standardGap+datum.gap)"},{type:"formula",as:"type",expr:"['data','spacer']"},{type:"formula",as:"spacedValue",expr:"[datum.value, datum.spacer]"},{type:"flatten",fields:["type","spacedValue"]},{type:"stack",groupby:["stack"],sort:{field:"sort",order:"descending"},field:"spacedValue",offset:{signal:"base"}},{type:"formula",expr:"((datum.value)/2)+datum.y0",as:"yc"}]},{name:"finalTable",source:["plottedStacks"],transform:[{type:"filter",expr:"datum.type == 'data'"}]},{name:"linkTable",source:["input"],transform:[{type:"filter",expr:"datum.source != null"},{type:"lookup",from:"finalTable",key:"name",values:["y0","y1","stack","sort"],fields:["source"],as:["sourceStacky0","sourceStacky1","sourceStack","sourceSort"]},{type:"lookup",from:"finalTable",key:"name",values:["y0","y1","stack","sort"],fields:["destination"],as:["destinationStacky0","destinationStacky1","destinationStack","destinationSort"]},{type:"stack",groupby:["source"],sort:{field:"destinationSort",order:"descending"},field:"value",offset:"zero",as:["syi0","syi1"]},{type:"formula",expr:"datum.syi0+datum.sourceStacky0",as:"sy0"},{type:"formula",expr:"datum.sy0+datum.value",as:"sy1"},{type:"stack",groupby:["destination"],sort:{field:"sourceSort",order:"descending"},field:"value",offset:"zero",as:["dyi0","dyi1"]},{type:"formula",expr:"datum.dyi0+datum.destinationStacky0",as:"dy0"},{type:"formula",expr:"datum.dy0+datum.value",as:"dy1"},{type:"formula",expr:"((datum.value)/2)+datum.sy0",as:"syc"},{type:"formula",expr:"((datum.value)/2)+datum.dy0",as:"dyc"},{type:"linkpath",orient:"horizontal",shape:"diagonal",sourceY:{expr:"scale('y', datum.syc)"},sourceX:{expr:"scale('x', toNumber(datum.sourceStack)) + bandwidth('x')"},targetY:{expr:"scale('y', datum.dyc)"},targetX:{expr:"scale('x', datum.destinationStack)"}},{type:"formula",expr:"range('y')[0]-scale('y', datum.value)",as:"strokeWidth"}]}],scales:[{name:"x",type:"band",range:"width",domain:{data:"finalTable",field:"stack"},paddingInner:.88},{name:"y",type:"linear",range:"height",domain:{data:"finalTable",field:"y1"},reverse:!1},{name:"color",type:"ordinal",range:["#1f77b4","#ff7f0e","#2ca02c","#d62728","#9467bd","#8c564b","#e377c2","#7f7f7f","#bcbd22","#17becf","#aec7e8","#ffbb78","#98df8a","#ff9896","#c5b0d5","#c49c94","#f7b6d2","#c7c7c7","#dbdb8d","#9edae5"],domain:{data:"stacks",field:"name"}}],marks:[{type:"rect",from:{data:"finalTable"},encode:{update:{x:{scale:"x",field:"stack"},width:{scale:"x",band:1},y:{scale:"y",field:"y0"},y2:{scale:"y",field:"y1"},fill:{scale:"color",field:"name"},fillOpacity:{value:.75},strokeWidth:{value:0},stroke:{scale:"color",field:"name"}},hover:{tooltip:{signal:"{'Name': datum.name, 'Value': format(datum.value, ',.2f')}"},fillOpacity:{value:1}}}},{type:"path",name:"links",from:{data:"linkTable"},clip:!0,encode:{update:{strokeWidth:{field:"strokeWidth"},path:{field:"path"},strokeOpacity:{signal:"0.3"},stroke:{field:"destination",scale:"color"}},hover:{strokeOpacity:{value:.8},tooltip:{signal:"{'Source': datum.source, 'Destination': datum.destination, 'Value': format(datum.value, ',.2f')}"}}}},{type:"group",name:"labelText",zindex:1,from:{facet:{data:"finalTable",name:"labelFacet",groupby:["name","stack","yc","value","labels"]}},clip:!1,encode:{update:{x:{signal:"datum.labels=='left' ? scale('x', datum.stack)-8 : scale('x', datum.stack) + bandwidth('x') + 8"},yc:{scale:"y",signal:"datum.yc"},width:{signal:"0"},height:{signal:"0"}}},marks:[{type:"text",name:"heading",from:{data:"labelFacet"},encode:{update:{x:{value:0},y:{value:-2},text:{field:"name"},align:{signal:"datum.labels=='left' ? 'right' : 'left'"},fontWeight:{value:"bold"},fontSize:{value:11}}}},{type:"text",name:"amount",from:{data:"labelFacet"},encode:{update:{x:{value:0},y:{value:12},text:{signal:"format(datum.value, ',.0f')"},align:{signal:"datum.labels=='left' ? 'right' : 'left'"},fontSize:{value:10}}}}]},{type:"rect",from:{data:"labelText"},encode:{update:{x:{field:"bounds.x1",offset:-2},x2:{field:"bounds.x2",offset:2},y:{field:"bounds.y1",offset:-2},y2:{field:"bounds.y2",offset:2},fill:{value:"white"},opacity:{value:.8},cornerRadius:{value:4}}}}],config:{view:{stroke:"transparent"},text:{fontSize:11,fill:"#333333"}}}}},ridgeline:{label:"Ridgeline",columns:{min:3,message:"Ridgeline chart requires 3 columns (Time/X-axis, Categories, Values)"},build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Ridgeline (Joyplot) chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:$(e,t)},mark:{type:"area",fillOpacity:.7,strokeOpacity:1,strokeWidth:1,interpolate:"monotone"},width:400,height:20,encoding:{x:{field:e[0],type:"ordinal",title:e[0]},y:{aggregate:"sum",field:e[2],type:"quantitative",scale:{range:[20,-40]},axis:{title:null,values:[0],domain:!1,labels:!1,ticks:!1}},row:{field:e[1],type:"nominal",title:e[1],header:{title:null,labelAngle:0,labelOrient:"left",labelAlign:"left",labelPadding:0},sort:{field:e[0],op:"max",order:"ascending"}},fill:{field:e[1],type:"nominal",legend:null,scale:{scheme:"plasma"}}},resolve:{scale:{y:"independent"}}},"config",{view:{stroke:"transparent"},facet:{spacing:20},header:{labelFontSize:12,labelFontWeight:500,labelAngle:0,labelAnchor:"end",labelOrient:"top",labelPadding:-19},axis:{domain:!1,grid:!1,ticks:!1,tickCount:5,labelFontSize:12,titleFontSize:12,titleFontWeight:400,titleColor:"#605E5C"}})}},variance:{label:"Variance",columns:{min:3,message:"Variance chart requires 3 columns (Business Unit, First Metric, Second Metric)"},build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v5.json",data:{values:$(e,t)},transform:[{aggregate:[{op:"sum",field:e[1],as:e[1]},{op:"sum",field:e[2],as:e[2]}],groupby:[e[0]]},{calculate:"datum['".concat(e[1],"'] - datum['").concat(e[2],"']"),as:"Variance Absolute"},{calculate:"datum['".concat(e[2],"'] === 0 ? 0 : datum['").concat(e[1],"']/datum['").concat(e[2],"']-1"),as:"Variance Percent"}],hconcat:[{width:350,height:{step:50},view:{stroke:"transparent"},encoding:{color:{type:"nominal",scale:{domain:[e[1],e[2]],range:["#404040","silver"]},legend:{title:null,orient:"top"}},y:{field:e[0],type:"nominal",sort:null,axis:{domain:!1,offset:0,ticks:!1,title:"",labelPadding:35}},x:{type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:12,height:{band:.5}},encoding:{x:{field:e[2]},color:{datum:e[2]}}},{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:0,height:{band:.5}},encoding:{x:{field:e[1]},color:{datum:e[1]}}},{mark:{type:"text",align:{expr:"datum['".concat(e[1],"'] < 0 ? 'right' : 'left'")},dx:{expr:"datum['".concat(e[1],"'] < 0 ? -5 : 5")},color:"black",fontSize:11},encoding:{x:{field:e[1],type:"quantitative"},text:{field:e[1],type:"quantitative",format:","}}}]},{width:150,height:{step:50},view:{stroke:"transparent"},encoding:{y:{field:e[0],type:"nominal",sort:null,axis:null},x:{field:"Variance Absolute",type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridWidth:1,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"bar",tooltip:!0,cornerRadius:3,yOffset:0,height:{band:.5}},encoding:{fill:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"text",align:{expr:"datum['Variance Absolute'] < 0 ? 'right' : 'left'"},dx:{expr:"datum['Variance Absolute'] < 0 ? -5 : 5"}},encoding:{text:{field:"Variance Absolute",type:"quantitative",format:"+,"}}}]},{width:150,height:{step:50},view:{stroke:"transparent"},transform:[{calculate:"datum['".concat(e[2],"'] === 0 ? 'n/m' : format(datum['Variance Percent'], '+.1%')"),as:"PercentDisplay"}],encoding:{y:{field:e[0],type:"nominal",sort:null,axis:null},x:{field:"Variance Percent",type:"quantitative",axis:{domain:!1,labels:!1,title:null,ticks:!1,grid:!0,gridColor:{condition:{test:"datum.value === 0",value:"#605E5C"},value:"transparent"}}}},layer:[{mark:{type:"rule",tooltip:!0},encoding:{strokeWidth:{value:2},stroke:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"circle",tooltip:!0},encoding:{size:{value:100},color:{condition:{test:"datum['Variance Absolute'] < 0",value:"#b92929"},value:"#329351"}}},{mark:{type:"text",align:{expr:"datum['Variance Absolute'] < 0 ? 'right' : 'left'"},dx:{expr:"datum['Variance Absolute'] < 0 ? -10 : 10"}},encoding:{text:{field:"PercentDisplay",type:"nominal"}}}]}],config:{view:{stroke:"transparent"},padding:{left:5,top:20,right:5,bottom:5},font:"Segoe UI",axis:{labelFontSize:12,labelPadding:10,offset:5,labelFont:"Segoe UI",labelColor:"#252423"},text:{fontSize:12,font:"Segoe UI",color:"#605E5C"},concat:{spacing:50},legend:{labelFontSize:12,labelFont:"Segoe UI",labelColor:"#605E5C"}}}}},deviation:{label:"Deviation",columns:{min:3,message:"Deviation chart requires 3 columns (Date/Period, Actual Values, Target/Baseline Values)"},build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Deviation chart from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:$(e,t)},layer:[{mark:{type:"line",tooltip:!0,color:"grey"},encoding:{x:{field:e[0],type:"ordinal"},y:{field:e[1],type:"quantitative"}}},{mark:{type:"circle",size:80,color:"grey",tooltip:!0},encoding:{x:{field:e[0],type:"ordinal"},y:{field:e[1],type:"quantitative"}}},{mark:{type:"rule",strokeWidth:2,tooltip:!0},encoding:{x:{field:e[0],type:"ordinal"},y:{field:e[1],type:"quantitative"},y2:{field:e[2]},color:{condition:{test:'datum["'.concat(e[1],'"] < datum["').concat(e[2],'"]'),value:"red"},value:"green"}}},{mark:{type:"circle",size:60,tooltip:!0},encoding:{x:{field:e[0],type:"ordinal"},y:{field:e[2],type:"quantitative"},color:{condition:{test:'datum["'.concat(e[1],'"] < datum["').concat(e[2],'"]'),value:"red"},value:"green"}}}],encoding:{x:{field:e[0],type:"ordinal",axis:{title:null,labelAngle:0}},y:{type:"quantitative",axis:{title:""}}}},"config",{view:{stroke:"transparent"},line:{strokeWidth:3,strokeCap:"round",strokeJoin:"round"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12}})}},ribbon:{label:"Ribbon",columns:{min:3,message:"Ribbon chart requires 3 columns (Time periods, Categories, Values)"},mapping:["x","color","y"],build:function(e,t){var a=$(e,t),n=V(new Set(a.map(function(t){return t[e[0]]})));return G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Ribbon chart from Excel selection",background:"white",width:Math.max(600,100*n.length),height:400,config:{view:{stroke:"transparent"}},data:{values:a},layer:[{mark:{type:"area",interpolate:"monotone",tooltip:!0,opacity:.8},encoding:{x:{field:e[0],type:"ordinal",scale:{type:"point",padding:.3},axis:{title:e[0],labelAngle:-45,labelFontSize:12,titleFontSize:14,labelPadding:10,titlePadding:20}},y:{aggregate:"sum",field:e[2],type:"quantitative",axis:{title:e[2],labelFontSize:12,titleFontSize:14,grid:!0,gridOpacity:.3},stack:"center"},color:{field:e[1],type:"nominal",legend:{title:e[1],titleFontSize:12,labelFontSize:11,orient:"right"}},order:{aggregate:"sum",field:e[2],type:"quantitative"}}}]},"config",{view:{stroke:"transparent"},font:"Segoe UI",axis:{ticks:!1,grid:!0,gridColor:"#f0f0f0",gridOpacity:.5,gridWidth:1,domain:!1,labelColor:"#605e5c",titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#323130",labelFont:"Segoe UI",labelColor:"#605e5c",symbolType:"circle",symbolSize:75}})}},heatmap_bar:{label:"Heatmap with Bars",columns:{min:3,message:"Heatmap requires 3 columns (Y-categories, X-categories, Values)"},mapping:["y","x","color"],build:function(e,t){return G({$schema:"https://vega.github.io/schema/vega-lite/v5.json",description:"Heatmap with marginal bars from Excel selection",background:"white",config:{view:{stroke:"transparent"}},data:{values:$(e,t)},spacing:15,bounds:"flush",vconcat:[{height:60,mark:{type:"bar",stroke:null,cornerRadiusEnd:2,tooltip:!0,color:"lightgrey"},encoding:{x:{field:e[1],type:"ordinal",axis:null},y:{field:e[2],aggregate:"mean",type:"quantitative",axis:null}}},{spacing:15,bounds:"flush",hconcat:[{mark:{type:"rect",stroke:"white",tooltip:!0},encoding:{y:{field:e[0],type:"ordinal",title:e[0],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0,labelPadding:5}},x:{field:e[1],type:"ordinal",title:e[1],axis:{domain:!1,ticks:!1,labels:!0,labelAngle:0}},color:{aggregate:"mean",field:e[2],type:"quantitative",title:e[2],scale:{scheme:"blues"},legend:{direction:"vertical",gradientLength:120}}}},{mark:{type:"bar",stroke:null,cornerRadiusEnd:2,tooltip:!0,color:"lightgrey"},width:60,encoding:{y:{field:e[0],type:"ordinal",axis:null},x:{field:e[2],type:"quantitative",aggregate:"mean",axis:null}}}]}]},"config",{autosize:{type:"fit",contains:"padding"},view:{stroke:"transparent"},font:"Segoe UI",text:{font:"Segoe UI",fontSize:12,fill:"#605E5C"},axis:{ticks:!1,grid:!1,domain:!1,labelColor:"#605E5C",labelFontSize:12,titleFontSize:14,titleColor:"#323130"},legend:{titleFont:"Segoe UI",titleFontWeight:"bold",titleColor:"#605E5C",labelFont:"Segoe UI",labelFontSize:12,labelColor:"#605E5C"}})}},scatter_line:{label:"Scatter with Line",columns:{min:2,message:"Scatter plot requires at least 2 columns (X, Y values)"},mapping:["x","y"],build:function(e,t){return{$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Colored scatter plot with Loess regression from Excel selection",background:"white",config:{view:{stroke:"transparent"},font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}},data:{values:$(e,t)},layer:[{mark:{type:"point",size:100,tooltip:!0},encoding:{x:{field:e[0],type:"quantitative",scale:{zero:!1},axis:{title:e[0],labelFontSize:12,titleFontSize:14}},y:{field:e[1],type:"quantitative",scale:{zero:!1},axis:{title:e[1],labelFontSize:12,titleFontSize:14}}}},{mark:{type:"line",color:"firebrick",strokeWidth:2},transform:[{loess:e[1],on:e[0]}],encoding:{x:{field:e[0],type:"quantitative"},y:{field:e[1],type:"quantitative"}}}]}}},line_rectangle:{label:"Line with Rectangles",build:function(e,t){var a=$(e,t),n=[];a.forEach(function(t){null!==t[e[1]]&&void 0!==t[e[1]]&&""!==t[e[1]]&&n.push(G(G({},e[0],t[e[0]]),"value",t[e[1]]))});var r=[],o=null,i=null;return a.forEach(function(t,n){var l=t[e[2]],c=t[e[0]];l&&""!==l?(o!==l&&(null!==o&&null!==i&&r.push({start:i,end:a[n-1][e[0]],event:o}),o=l,i=c),n===a.length-1&&r.push({start:i,end:c,event:o})):null!==o&&null!==i&&(r.push({start:i,end:a[n-1][e[0]],event:o}),o=null,i=null)}),G({$schema:"https://vega.github.io/schema/vega-lite/v6.json",description:"Line chart with highlighted rectangles",background:"white",config:{view:{stroke:"transparent"}},layer:[{mark:{type:"rect",opacity:.2},data:{values:r},encoding:{x:{field:"start",type:"ordinal"},x2:{field:"end",type:"ordinal"},color:{field:"event",type:"nominal",scale:{scheme:"pastel1"},legend:{title:e[2]||"Highlights",titleFontSize:12,labelFontSize:11}}}},{mark:{type:"line",point:!1,tooltip:!0,strokeWidth:2,color:"#323130"},data:{values:n},encoding:{x:{field:e[0],type:"ordinal",axis:{title:e[0],labelFontSize:12,titleFontSize:14,labelAngle:-45,labelAlign:"right"}},y:{field:"value",type:"quantitative",axis:{title:e[1],labelFontSize:12,titleFontSize:14}}}},{mark:{type:"point",filled:!0,size:60,color:"#323130"},data:{values:n},encoding:{x:{field:e[0],type:"ordinal",axis:{title:e[0],labelFontSize:12,titleFontSize:14,labelAngle:-45,labelAlign:"right"}},y:{field:"value",type:"quantitative"}}}]},"config",{font:"Segoe UI",axis:{labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1"},legend:{titleColor:"#323130",labelColor:"#605e5c"}})}}};function H(e,t){var a=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{},n=a.missing,o=void 0===n?"gap":n,c=a.maxPoints,s=Y[e];if(!s)throw new Error('Unknown chart type "'.concat(e,'"'));if(!t||t.length<2)throw new Error("Need at least header row + one data row");var u=t[0],p=t.slice(1);if(s.columns){var m=s.columns,g=m.min,h=m.max,y=m.message;if(u.length<g||void 0!==h&&u.length>h)throw new Error(y)}var v=function(e,t){var a=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{},n=a.missing,o=void 0===n?"gap":n,c=a.gaps,s=void 0!==c&&c,u=a.optional,p=void 0===u?[]:u,m=a.dates,g=void 0===m?[]:m,h=t.map(function(t){return{row:t,cells:e.map(function(e,a){return function(e,t){if(null==e)return{kind:"blank"};if("number"==typeof e)return{kind:"number",value:e};if("boolean"==typeof e)return{kind:"text",value:e};var a=String(e);if(""===a.trim())return{kind:"blank"};if(function(e){return"string"==typeof e&&r.has(e.trim().toUpperCase())}(a))return{kind:"error"};var n=t?null:function(e){var t=l,a=t.decimalSeparator,n=t.groupSeparator,r=e.trim().replace(/(\d)\s+(?=\d{3}(\D|$))/g,"$1"),o=r.endsWith("%");o&&(r=r.slice(0,-1));var i=d(a),c=d(n),s=new RegExp("^[-+]?(\\d{1,3}(".concat(c,"\\d{3})+|\\d+)?(").concat(i,"\\d+)?([eE][-+]?\\d+)?$"));if(!/\d/.test(r)||!s.test(r))return null;var u=Number(r.split(n).join("").replace(a,"."));return Number.isFinite(u)?o?u/100:u:null}(a);return null!==n?{kind:"number",value:n}:i.test(a.trim())&&!isNaN(new Date(a.trim()).getTime())?{kind:"date",value:a.trim()}:{kind:"text",value:e}}(t[a],0===a)})}}).filter(function(e){return e.cells.some(function(e){return"blank"!==e.kind})}),y=e.map(function(e,t){return{name:e,type:f(e,h.map(function(e){return e.cells[t]}),0===t,g.includes(t))}}),v="gap"!==o||s?o:"drop",b=0,x=[];return h.forEach(function(e){var t=e.row,a=e.cells,n=!0,r=a.map(function(e,a){var r=y[a].type;return"blank"===e.kind&&p.includes(a)?null:"number"===r?"number"===e.kind?e.value:"zero"===v?0:("drop"===v&&(n=!1),null):"error"===e.kind||"date"===r&&"blank"===e.kind?(n=!1,null):"blank"===e.kind?"":"text"===r?t[a]:e.value});n?x.push(r):b++}),{rows:x,columns:y,skipped:b}}(u,p,{missing:o,gaps:s.gaps,optional:s.optional,dates:s.dates});if(0===v.rows.length)throw new Error(v.skipped>0?"No valid data rows (".concat(v.skipped," skipped)"):"Need at least header row + one data row");var b=M(v.rows,v.columns,s.reduce,c),x=b.rows,w=b.note,k=s.build(u,x,v.columns);return{spec:w?R(k,w):k,skipped:v.skipped,note:w}}function X(e){return X="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},X(e)}function K(){var e,t,a="function"==typeof Symbol?Symbol:{},n=a.iterator||"@@iterator",r=a.toStringTag||"@@toStringTag";function o(a,n,r,o){var c=n&&n.prototype instanceof l?n:l,s=Object.create(c.prototype);return Z(s,"_invoke",function(a,n,r){var o,l,c,s=0,u=r||[],d=!1,f={p:0,n:0,v:e,a:p,f:p.bind(e,4),d:function(t,a){return o=t,l=0,c=e,f.n=a,i}};function p(a,n){for(l=a,c=n,t=0;!d&&s&&!r&&t<u.length;t++){var r,o=u[t],p=f.p,m=o[2];a>3?(r=m===n)&&(c=o[(l=o[4])?5:(l=3,3)],o[4]=o[5]=e):o[0]<=p&&((r=a<2&&p<o[1])?(l=0,f.v=n,f.n=o[1]):p<m&&(r=a<3||o[0]>n||n>m)&&(o[4]=a,o[5]=n,f.n=m,l=0))}if(r||a>1)return i;throw d=!0,n}return function(r,u,m){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&p(u,m),l=u,c=m;(t=l<2?e:c)||!d;){o||(l?l<3?(l>1&&(f.n=-1),p(l,c)):f.n=c:f.v=c);try{if(s=2,o){if(l||(r="next"),t=o[r]){if(!(t=t.call(o,c)))throw TypeError("iterator result is not an object");if(!t.done)return t;c=t.value,l<2&&(l=0)}else 1===l&&(t=o.return)&&t.call(o),l<2&&(c=TypeError("The iterator does not provide a '"+r+"' method"),l=1);o=e}else if((t=(d=f.n<0)?c:a.call(n,f))!==i)break}catch(t){o=e,l=1,c=t}finally{s=1}}return{value:t,done:d}}}(a,r,o),!0),s}var i={};function l(){}function c(){}function s(){}t=Object.getPrototypeOf;var u=[][n]?t(t([][n]())):(Z(t={},n,function(){return this}),t),d=s.prototype=l.prototype=Object.create(u);function f(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,s):(e.__proto__=s,Z(e,r,"GeneratorFunction")),e.prototype=Object.create(d),e}return c.prototype=s,Z(d,"constructor",s),Z(s,"constructor",c),c.displayName="GeneratorFunction",Z(s,r,"GeneratorFunction"),Z(d),Z(d,r,"Generator"),Z(d,n,function(){return this}),Z(d,"toString",function(){return"[object Generator]"}),(K=function(){return{w:o,m:f}})()}function Z(e,t,a,n){var r=Object.defineProperty;try{r({},"",{})}catch(e){r=0}Z=function(e,t,a,n){function o(t,a){Z(e,t,function(e){return this._invoke(t,a,e)})}t?r?r(e,t,{value:a,enumerable:!n,configurable:!n,writable:!n}):e[t]=a:(o("next",0),o("throw",1),o("return",2))},Z(e,t,a,n)}function J(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function Q(e,t,a){return(t=function(e){var t=function(e){if("object"!=X(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=X(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==X(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}function ee(e,t,a,n,r,o,i){try{var l=e[o](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,r)}function te(e){return function(){var t=this,a=arguments;return new Promise(function(n,r){var o=e.apply(t,a);function i(e){ee(o,n,r,i,l,"next",e)}function l(e){ee(o,n,r,i,l,"throw",e)}i(void 0)})}}var ae=[].concat(["vendor/vega.min.js","vendor/vega-lite.min.js"],["vendor/vega-embed.min.js"]),ne="__vegaRuntimePromise",re="__vegaRenderWorker";function oe(){return void 0!==window.vegaEmbed?Promise.resolve():(window[ne]||(window[ne]=ae.reduce(function(e,t){return e.then(function(){return function(e){return new Promise(function(t,a){var n=document.createElement("script");n.src=e,n.onload=function(){return t()},n.onerror=function(){return a(new Error("Failed to load ".concat(e)))},document.head.appendChild(n)})}(t)})},Promise.resolve()).catch(function(e){throw window[ne]=null,new Error("Vega runtime could not be loaded (".concat(e.message,")"))})),window[ne])}function ie(e){var t=new Error(e);return t.workerUnavailable=!0,t}function le(){if(void 0!==window[re])return window[re];if(window[re]=null,"undefined"==typeof Worker||"undefined"==typeof OffscreenCanvas)return null;try{var e={worker:new Worker("renderWorker.js"),pending:new Map,nextId:0};e.worker.onmessage=function(t){var a=t.data,n=e.pending.get(a.id);n&&(e.pending.delete(a.id),a.error?n.reject(a.workerUnavailable?ie(a.error):new Error(a.error)):n.resolve(a.image))},e.worker.onerror=function(t){t.preventDefault(),e.worker.terminate(),window[re]=null;var a=ie(t.message||"Render worker failed");e.pending.forEach(function(e){return e.reject(a)}),e.pending.clear()},window[re]=e}catch(e){}return window[re]}function ce(e,t,a){return new Promise(function(n,r){var o=++e.nextId;e.pending.set(o,{resolve:n,reject:r});try{e.worker.postMessage(function(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?J(Object(a),!0).forEach(function(t){Q(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):J(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}({id:o,spec:t},a))}catch(t){e.pending.delete(o),r(ie(t.message))}})}function se(e){return ue.apply(this,arguments)}function ue(){return ue=te(K().m(function e(t){var a,n,r,o,i,l,c,s=arguments;return K().w(function(e){for(;;)switch(e.p=e.n){case 0:if(n=(a=s.length>1&&void 0!==s[1]?s[1]:{}).format,r=void 0===n?"png":n,o=a.scale,i=void 0===o?2:o,!(l=le())){e.n=4;break}return e.p=1,e.n=2,ce(l,t,{format:r,scale:i});case 2:return e.a(2,e.v);case 3:if(e.p=3,(c=e.v).workerUnavailable){e.n=4;break}throw c;case 4:return e.a(2,de(t,{format:r,scale:i}))}},e,null,[[1,3]])})),ue.apply(this,arguments)}function de(e,t){return fe.apply(this,arguments)}function fe(){return(fe=te(K().m(function e(t,a){var n,r,o,i,l,c,s;return K().w(function(e){for(;;)switch(e.p=e.n){case 0:return n=a.format,r=a.scale,e.n=1,oe();case 1:return(o=document.createElement("div")).style.display="none",document.body.appendChild(o),e.p=2,e.n=3,window.vegaEmbed(o,t,{actions:!1});case 3:if(i=e.v,e.p=4,"svg"!==n){e.n=6;break}return c=n,e.n=5,i.view.toSVG();case 5:return s=e.v,e.a(2,{format:c,scale:1,data:s});case 6:return e.n=7,i.view.toImageURL("png",r);case 7:return l=e.v,e.a(2,{format:"png",scale:r,data:l.split(",")[1]});case 8:return e.p=8,i.view.finalize(),e.f(8);case 9:return e.p=9,document.body.removeChild(o),e.f(9);case 10:return e.a(2)}},e,null,[[4,,8,9],[2,,9,10]])}))).apply(this,arguments)}function pe(e,t,a){return me.apply(this,arguments)}function me(){return(me=te(K().m(function e(t,a,n){var r;return K().w(function(e){for(;;)switch(e.n){case 0:if("svg"!==n.format){e.n=1;break}return e.a(2,a.shapes.addSvg(n.data));case 1:if(r=a.shapes.addImage(n.data),1===n.scale){e.n=3;break}return r.load("width, height"),e.n=2,t.sync();case 2:r.lockAspectRatio=!0,r.width=r.width/n.scale;case 3:return e.a(2,r)}},e)}))).apply(this,arguments)}var ge=["scheme"];function he(e){return he="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},he(e)}function ye(e){return function(e){if(Array.isArray(e))return ve(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(e){if("string"==typeof e)return ve(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?ve(e,t):void 0}}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function ve(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}function be(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function xe(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?be(Object(a),!0).forEach(function(t){we(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):be(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function we(e,t,a){return(t=function(e){var t=function(e){if("object"!=he(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=he(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==he(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}var ke="default",Se={default:{font:"Segoe UI",background:"white",labelColor:"#605e5c",titleColor:"#323130",gridColor:"#f3f2f1",colors:null},dark:{font:"Segoe UI",background:"#201f1e",labelColor:"#c8c6c4",titleColor:"#f3f2f1",gridColor:"#3b3a39",colors:["#4fc3f7","#ffb74d","#81c784","#e57373","#ba68c8","#fff176","#4db6ac","#f06292"]},"high-contrast":{font:"Segoe UI",background:"white",labelColor:"#000000",titleColor:"#000000",gridColor:"#767676",colors:["#0072b2","#e69f00","#009e73","#cc79a7","#56b4e9","#d55e00","#f0e442","#000000"]}},Ce={name:"name",font:"font",background:"background",labelcolor:"labelColor",titlecolor:"titleColor",gridcolor:"gridColor",colors:"colors"},ze=/^(#[0-9a-f]{3}|#[0-9a-f]{6}|#[0-9a-f]{8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i,Ee=["values","datasets"];function Oe(e){var t=(e||[]).filter(function(e){return e.some(function(e){return null!==e&&""!==e})});if(0===t.length)throw new Error("Theme range is empty");var a=xe(xe({},Se[ke]),{},{name:"corporate"});if(t.forEach(function(e){var t=String(e[0]).trim(),n=Ce[t.toLowerCase()];if(!n)throw new Error('Unknown theme key "'.concat(t,'"'));var r=e.slice(1).filter(function(e){return null!==e&&""!==e}).map(function(e){return String(e).trim()});if(0===r.length)throw new Error('Theme key "'.concat(t,'" has no value'));"colors"===n?(a.colors=r.join(",").split(",").map(function(e){return e.trim()}).filter(Boolean),a.colors.forEach(function(e){return Fe(t,e)})):((n.endsWith("Color")||"background"===n)&&Fe(t,r[0]),a[n]=r[0])}),a.name=a.name.toLowerCase(),Se[a.name])throw new Error('"'.concat(a.name,'" is a built-in theme, choose another name'));return a}function Fe(e,t){if(!ze.test(t))throw new Error('Theme key "'.concat(e,'" has an invalid color "').concat(t,'"'))}function je(){var e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};return[].concat(ye(Object.keys(Se)),ye(Object.keys(e)))}function Ie(e,t,a){if(Array.isArray(e))return e.map(function(e){return Ie(e,t,a)});if(e&&"object"===he(e)){var n={};return Object.keys(e).forEach(function(t){n[t]=Ee.includes(t)?e[t]:Ie(e[t],t,a)}),n}if("string"==typeof e){var r=e.toLowerCase();if("background"===t&&["white","#fff","#ffffff"].includes(r))return a.background;if(Object.prototype.hasOwnProperty.call(a.tokens,r))return a.tokens[r]}return e}function Pe(e,t){var a=function(e){return null!==e&&"object"===he(e)&&!Array.isArray(e)},n=xe({},e);return Object.keys(t||{}).forEach(function(e){n[e]=a(n[e])&&a(t[e])?Pe(n[e],t[e]):t[e]}),n}function Ae(e,t){return e.encoding&&["color","fill","stroke"].forEach(function(a){var n=e.encoding[a];if(n&&n.field&&("nominal"===n.type||"ordinal"===n.type)&&(!n.scale||!n.scale.range)){var r=n.scale||{},o=(r.scheme,function(e,t){if(null==e)return{};var a,n,r=function(e,t){if(null==e)return{};var a={};for(var n in e)if({}.hasOwnProperty.call(e,n)){if(-1!==t.indexOf(n))continue;a[n]=e[n]}return a}(e,t);if(Object.getOwnPropertySymbols){var o=Object.getOwnPropertySymbols(e);for(n=0;n<o.length;n++)a=o[n],-1===t.indexOf(a)&&{}.propertyIsEnumerable.call(e,a)&&(r[a]=e[a])}return r}(r,ge));e.encoding=xe(xe({},e.encoding),{},we({},a,xe(xe({},n),{},{scale:xe(xe({},o),{},{range:t})})))}}),["layer","hconcat","vconcat","concat"].forEach(function(a){Array.isArray(e[a])&&(e[a]=e[a].map(function(e){return Ae(xe({},e),t)}))}),e.spec&&(e.spec=Ae(xe({},e.spec),t)),e}function Ue(e,t){if(!t||t.name===ke)return e;var a=Se[ke],n=Ie(e,null,{background:t.background,tokens:we(we(we(we({},a.font.toLowerCase(),t.font),a.labelColor,t.labelColor),a.titleColor,t.titleColor),a.gridColor,t.gridColor)}),r=String(n.$schema||"").includes("vega-lite"),o={labelColor:t.labelColor,titleColor:t.titleColor,gridColor:t.gridColor,domainColor:t.labelColor,tickColor:t.labelColor,labelFont:t.font,titleFont:t.font},i={labelColor:t.labelColor,titleColor:t.titleColor,labelFont:t.font,titleFont:t.font},l=xe(xe({background:t.background,axis:o,legend:i,title:{color:t.titleColor,font:t.font}},t.colors&&{range:{category:t.colors}}),r?{font:t.font,header:{labelColor:t.labelColor,titleColor:t.titleColor}}:{text:{fill:t.labelColor,font:t.font}});return n.config=Pe(l,n.config),n.background||(n.background=t.background),t.colors&&(n=r?Ae(n,t.colors):function(e,t){if(!e.scales)return e;var a=["category","category10","category20","tableau10","tableau20","set1","set2","set3","dark2","paired","pastel1","pastel2","accent"];return e.scales=e.scales.map(function(e){if("ordinal"!==e.type)return e;var n=e.range&&(e.range.scheme||e.range);return!e.range||"string"==typeof n&&a.includes(n)?xe(xe({},e),{},{range:t}):e}),e}(n,t.colors)),n}function Te(e){return Te="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Te(e)}function Me(){var e,t,a="function"==typeof Symbol?Symbol:{},n=a.iterator||"@@iterator",r=a.toStringTag||"@@toStringTag";function o(a,n,r,o){var c=n&&n.prototype instanceof l?n:l,s=Object.create(c.prototype);return Re(s,"_invoke",function(a,n,r){var o,l,c,s=0,u=r||[],d=!1,f={p:0,n:0,v:e,a:p,f:p.bind(e,4),d:function(t,a){return o=t,l=0,c=e,f.n=a,i}};function p(a,n){for(l=a,c=n,t=0;!d&&s&&!r&&t<u.length;t++){var r,o=u[t],p=f.p,m=o[2];a>3?(r=m===n)&&(c=o[(l=o[4])?5:(l=3,3)],o[4]=o[5]=e):o[0]<=p&&((r=a<2&&p<o[1])?(l=0,f.v=n,f.n=o[1]):p<m&&(r=a<3||o[0]>n||n>m)&&(o[4]=a,o[5]=n,f.n=m,l=0))}if(r||a>1)return i;throw d=!0,n}return function(r,u,m){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&p(u,m),l=u,c=m;(t=l<2?e:c)||!d;){o||(l?l<3?(l>1&&(f.n=-1),p(l,c)):f.n=c:f.v=c);try{if(s=2,o){if(l||(r="next"),t=o[r]){if(!(t=t.call(o,c)))throw TypeError("iterator result is not an object");if(!t.done)return t;c=t.value,l<2&&(l=0)}else 1===l&&(t=o.return)&&t.call(o),l<2&&(c=TypeError("The iterator does not provide a '"+r+"' method"),l=1);o=e}else if((t=(d=f.n<0)?c:a.call(n,f))!==i)break}catch(t){o=e,l=1,c=t}finally{s=1}}return{value:t,done:d}}}(a,r,o),!0),s}var i={};function l(){}function c(){}function s(){}t=Object.getPrototypeOf;var u=[][n]?t(t([][n]())):(Re(t={},n,function(){return this}),t),d=s.prototype=l.prototype=Object.create(u);function f(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,s):(e.__proto__=s,Re(e,r,"GeneratorFunction")),e.prototype=Object.create(d),e}return c.prototype=s,Re(d,"constructor",s),Re(s,"constructor",c),c.displayName="GeneratorFunction",Re(s,r,"GeneratorFunction"),Re(d),Re(d,r,"Generator"),Re(d,n,function(){return this}),Re(d,"toString",function(){return"[object Generator]"}),(Me=function(){return{w:o,m:f}})()}function Re(e,t,a,n){var r=Object.defineProperty;try{r({},"",{})}catch(e){r=0}Re=function(e,t,a,n){function o(t,a){Re(e,t,function(e){return this._invoke(t,a,e)})}t?r?r(e,t,{value:a,enumerable:!n,configurable:!n,writable:!n}):e[t]=a:(o("next",0),o("throw",1),o("return",2))},Re(e,t,a,n)}function Le(e,t,a,n,r,o,i){try{var l=e[o](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,r)}function qe(e){return function(){var t=this,a=arguments;return new Promise(function(n,r){var o=e.apply(t,a);function i(e){Le(o,n,r,i,l,"next",e)}function l(e){Le(o,n,r,i,l,"throw",e)}i(void 0)})}}function Ne(e,t){var a=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),a.push.apply(a,n)}return a}function De(e){for(var t=1;t<arguments.length;t++){var a=null!=arguments[t]?arguments[t]:{};t%2?Ne(Object(a),!0).forEach(function(t){Ve(e,t,a[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(a)):Ne(Object(a)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(a,t))})}return e}function Ve(e,t,a){return(t=function(e){var t=function(e){if("object"!=Te(e)||!e)return e;var t=e[Symbol.toPrimitive];if(void 0!==t){var a=t.call(e,"string");if("object"!=Te(a))return a;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==Te(t)?t:t+""}(t))in e?Object.defineProperty(e,t,{value:a,enumerable:!0,configurable:!0,writable:!0}):e[t]=a,e}var Be="vegaThemes",We={};function _e(){return"undefined"!=typeof Office&&Office.context&&Office.context.document&&Office.context.document.settings||null}function Ge(e){var t=_e();return(t?t.get(e):We[e])||{}}function $e(e,t,a){var n=_e();return n?(n.set(e,t),new Promise(function(e,t){n.saveAsync(function(n){n.status===Office.AsyncResultStatus.Failed?t(new Error("Could not save ".concat(a," (").concat(n.error.message,")"))):e()})})):(We[e]=t,Promise.resolve())}function Ye(){return De({},Ge("vegaCharts"))}function He(){var e=Ge(Be);return{default:e.default||null,custom:De({},e.custom)}}function Xe(e){var t=He();return $e(Be,De(De({},t),{},{default:e}),"workbook theme")}function Ke(e){var t=He(),a=De(De({},t.custom),{},Ve({},e.name,e));return $e(Be,De(De({},t),{},{custom:a}),"workbook theme")}function Ze(e){var t=e.lastIndexOf("!");return{sheetName:e.slice(0,t).replace(/^'(.*)'$/,"$1").replace(/''/g,"'"),cellAddress:e.slice(t+1)}}function Je(){return Qe.apply(this,arguments)}function Qe(){return Qe=qe(Me().m(function e(){var t,a;return Me().w(function(e){for(;;)switch(e.n){case 0:if(t=Ye(),0!==(a=Object.keys(t)).length){e.n=1;break}return e.a(2);case 1:return e.n=2,Excel.run(function(){var e=qe(Me().m(function e(n){var r,o;return Me().w(function(e){for(;;)switch(e.n){case 0:return r=a.map(function(e){return n.workbook.names.getItemOrNullObject(t[e].name)}),e.n=1,n.sync();case 1:return o=r.filter(function(e){return!e.isNullObject}).map(function(e){return e.getRangeOrNullObject()}),e.n=2,n.sync();case 2:return o.forEach(function(e){e.isNullObject||e.calculate()}),e.n=3,n.sync();case 3:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}());case 2:return e.a(2)}},e)})),Qe.apply(this,arguments)}function et(){var e,t,a="function"==typeof Symbol?Symbol:{},n=a.iterator||"@@iterator",r=a.toStringTag||"@@toStringTag";function o(a,n,r,o){var c=n&&n.prototype instanceof l?n:l,s=Object.create(c.prototype);return tt(s,"_invoke",function(a,n,r){var o,l,c,s=0,u=r||[],d=!1,f={p:0,n:0,v:e,a:p,f:p.bind(e,4),d:function(t,a){return o=t,l=0,c=e,f.n=a,i}};function p(a,n){for(l=a,c=n,t=0;!d&&s&&!r&&t<u.length;t++){var r,o=u[t],p=f.p,m=o[2];a>3?(r=m===n)&&(c=o[(l=o[4])?5:(l=3,3)],o[4]=o[5]=e):o[0]<=p&&((r=a<2&&p<o[1])?(l=0,f.v=n,f.n=o[1]):p<m&&(r=a<3||o[0]>n||n>m)&&(o[4]=a,o[5]=n,f.n=m,l=0))}if(r||a>1)return i;throw d=!0,n}return function(r,u,m){if(s>1)throw TypeError("Generator is already running");for(d&&1===u&&p(u,m),l=u,c=m;(t=l<2?e:c)||!d;){o||(l?l<3?(l>1&&(f.n=-1),p(l,c)):f.n=c:f.v=c);try{if(s=2,o){if(l||(r="next"),t=o[r]){if(!(t=t.call(o,c)))throw TypeError("iterator result is not an object");if(!t.done)return t;c=t.value,l<2&&(l=0)}else 1===l&&(t=o.return)&&t.call(o),l<2&&(c=TypeError("The iterator does not provide a '"+r+"' method"),l=1);o=e}else if((t=(d=f.n<0)?c:a.call(n,f))!==i)break}catch(t){o=e,l=1,c=t}finally{s=1}}return{value:t,done:d}}}(a,r,o),!0),s}var i={};function l(){}function c(){}function s(){}t=Object.getPrototypeOf;var u=[][n]?t(t([][n]())):(tt(t={},n,function(){return this}),t),d=s.prototype=l.prototype=Object.create(u);function f(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,s):(e.__proto__=s,tt(e,r,"GeneratorFunction")),e.prototype=Object.create(d),e}return c.prototype=s,tt(d,"constructor",s),tt(s,"constructor",c),c.displayName="GeneratorFunction",tt(s,r,"GeneratorFunction"),tt(d),tt(d,r,"Generator"),tt(d,n,function(){return this}),tt(d,"toString",function(){return"[object Generator]"}),(et=function(){return{w:o,m:f}})()}function tt(e,t,a,n){var r=Object.defineProperty;try{r({},"",{})}catch(e){r=0}tt=function(e,t,a,n){function o(t,a){tt(e,t,function(e){return this._invoke(t,a,e)})}t?r?r(e,t,{value:a,enumerable:!n,configurable:!n,writable:!n}):e[t]=a:(o("next",0),o("throw",1),o("return",2))},tt(e,t,a,n)}function at(e,t,a,n,r,o,i){try{var l=e[o](i),c=l.value}catch(e){return void a(e)}l.done?t(c):Promise.resolve(c).then(n,r)}function nt(e){return function(){var t=this,a=arguments;return new Promise(function(n,r){var o=e.apply(t,a);function i(e){at(o,n,r,i,l,"next",e)}function l(e){at(o,n,r,i,l,"throw",e)}i(void 0)})}}function rt(e,t){if(e){if("string"==typeof e)return ot(e,t);var a={}.toString.call(e).slice(8,-1);return"Object"===a&&e.constructor&&(a=e.constructor.name),"Map"===a||"Set"===a?Array.from(e):"Arguments"===a||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(a)?ot(e,t):void 0}}function ot(e,t){(null==t||t>e.length)&&(t=e.length);for(var a=0,n=Array(t);a<t;a++)n[a]=e[a];return n}var it={x:"mapX",y:"mapY",color:"mapColor",size:"mapSize"},lt=null,ct=null,st=null,ut=0;function dt(e){var t=document.getElementById("errorMessage");t.textContent=e instanceof Error?e.message:String(e),t.classList.remove("hidden")}function ft(){document.getElementById("errorMessage").classList.add("hidden")}function pt(e){var t=document.getElementById("previewStatus");t.textContent=e,t.classList.toggle("hidden",!e)}function mt(){return{format:document.getElementById("renderFormat").value,scale:Number(document.getElementById("renderScale").value)}}function gt(){return ht.apply(this,arguments)}function ht(){return ht=nt(et().m(function e(){return et().w(function(e){for(;;)switch(e.n){case 0:return e.n=1,Excel.run(function(){var e=nt(et().m(function e(t){var a;return et().w(function(e){for(;;)switch(e.n){case 0:return(a=t.workbook.getSelectedRange()).load("address, values, left, top"),a.worksheet.load("id"),e.n=1,t.sync();case 1:lt={address:a.address,sheetId:a.worksheet.id,left:a.left,top:a.top,headers:a.values[0].map(String),values:a.values};case 2:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}());case 1:return e.a(2)}},e)})),ht.apply(this,arguments)}function yt(){var e=Y[document.getElementById("chartType").value],t=e&&e.mapping;if(document.getElementById("columnMapping").classList.toggle("hidden",!t||!lt),document.getElementById("mappingUnavailable").classList.toggle("hidden",Boolean(t)||!e||!lt),t&&lt){var a=e.columns&&e.columns.min||2;Object.keys(it).forEach(function(e){var n=document.getElementById(it[e]),r=t.indexOf(e);n.parentElement.classList.toggle("hidden",-1===r),-1!==r&&(n.innerHTML="",r>=a&&n.add(new window.Option("(none)","")),lt.headers.forEach(function(e,t){n.add(new window.Option(e||"Column ".concat(t+1),String(t)))}),n.value=r<lt.headers.length?String(r):"")})}}function vt(){var e=document.getElementById("chartType").value;if(!e)throw new Error("Choose a chart type first");if(!lt)throw new Error("Select the data range (including headers) and click Preview selection");var t,a=function(){var e=Y[document.getElementById("chartType").value];if(!e||!e.mapping||!lt)return null;var t,a=[],n=function(e){var t="undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(!t){if(Array.isArray(e)||(t=rt(e))){t&&(e=t);var a=0,n=function(){};return{s:n,n:function(){return a>=e.length?{done:!0}:{done:!1,value:e[a++]}},e:function(e){throw e},f:n}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var r,o=!0,i=!1;return{s:function(){t=t.call(e)},n:function(){var e=t.next();return o=e.done,e},e:function(e){i=!0,r=e},f:function(){try{o||null==t.return||t.return()}finally{if(i)throw r}}}}(e.mapping);try{for(n.s();!(t=n.n()).done;){var r=t.value,o=document.getElementById(it[r]).value;if(""===o)break;a.push(Number(o))}}catch(e){n.e(e)}finally{n.f()}return a.every(function(e,t){return e===t})&&a.length===Math.min(e.mapping.length,lt.headers.length)?null:a}(),n=a?lt.values.map(function(e){return a.map(function(t){return e[t]})}):lt.values,r=(t={},[["chartTitle","title"],["xTitle","xTitle"],["yTitle","yTitle"],["colorScheme","colorScheme"],["chartTheme","theme"]].forEach(function(e){var a,n,r=(n=2,function(e){if(Array.isArray(e))return e}(a=e)||function(e,t){var a=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=a){var n,r,o,i,l=[],c=!0,s=!1;try{if(o=(a=a.call(e)).next,0===t){if(Object(a)!==a)return;c=!1}else for(;!(c=(n=o.call(a)).done)&&(l.push(n.value),l.length!==t);c=!0);}catch(e){s=!0,r=e}finally{try{if(!c&&null!=a.return&&(i=a.return(),Object(i)!==i))return}finally{if(s)throw r}}return l}}(a,n)||rt(a,n)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()),o=r[0],i=r[1],l=document.getElementById(o).value.trim();l&&(t[i]=l)}),t),o=H(e,n),i=o.spec,l=o.skipped,c=o.note,s=He(),u=function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},a=String(e||ke).trim().toLowerCase(),n=Se[a]||t[a];if(!n)throw new Error('Unknown theme "'.concat(e,'" (available: ').concat(je(t).join(", "),")"));return xe(xe({},n),{},{name:a})}(r.theme||s.default,s.custom);return{chartType:e,columns:a,options:r,skipped:l,note:c,spec:k(Ue(i,u),r)}}function bt(){return xt.apply(this,arguments)}function xt(){return(xt=nt(et().m(function e(){return et().w(function(e){for(;;)switch(e.p=e.n){case 0:return e.p=0,e.n=1,gt();case 1:return yt(),e.n=2,kt();case 2:e.n=4;break;case 3:e.p=3,dt(e.v);case 4:return e.a(2)}},e,null,[[0,3]])}))).apply(this,arguments)}function wt(){st&&clearTimeout(st),st=setTimeout(function(){st=null,kt()},400)}function kt(){return St.apply(this,arguments)}function St(){return(St=nt(et().m(function e(){var t,a,n,r,o,i,l,c,s;return et().w(function(e){for(;;)switch(e.p=e.n){case 0:if(t=++ut,a=document.getElementById("chart"),ft(),lt&&document.getElementById("chartType").value){e.n=1;break}return e.a(2);case 1:return e.p=1,n=vt(),r=n.spec,o=n.skipped,i=n.note,e.n=2,oe();case 2:if(t===ut){e.n=3;break}return e.a(2);case 3:return ct&&(ct.finalize(),ct=null),a.classList.remove("hidden"),e.n=4,window.vegaEmbed(a,r,{actions:!1});case 4:if(l=e.v,t===ut){e.n=5;break}return l.view.finalize(),e.a(2);case 5:ct=l.view,c=[],o&&c.push("".concat(o," ").concat(1===o?"row":"rows"," skipped (missing or invalid values)")),i&&c.push(i),pt(c.join(". ")),e.n=8;break;case 6:if(e.p=6,s=e.v,t===ut){e.n=7;break}return e.a(2);case 7:ct&&(ct.finalize(),ct=null),a.classList.add("hidden"),pt(""),dt(s);case 8:return e.a(2)}},e,null,[[1,6]])}))).apply(this,arguments)}function Ct(){var e=He(),t=document.getElementById("chartTheme"),a=t.value;t.innerHTML="",t.add(new window.Option("Workbook default (".concat(e.default||ke,")"),"")),je(e.custom).forEach(function(e){return t.add(new window.Option(e,e))}),t.value=je(e.custom).includes(a)?a:""}function zt(){return Et.apply(this,arguments)}function Et(){return(Et=nt(et().m(function e(){var t;return et().w(function(e){for(;;)switch(e.p=e.n){case 0:if(ft(),e.p=1,t=document.getElementById("chartTheme").value){e.n=2;break}throw new Error("Choose a theme first");case 2:return e.n=3,Xe(t);case 3:return Ct(),document.getElementById("chartTheme").value="",e.n=4,Je();case 4:return e.n=5,kt();case 5:pt("Workbook theme set to ".concat(t)),e.n=7;break;case 6:e.p=6,dt(e.v);case 7:return e.a(2)}},e,null,[[1,6]])}))).apply(this,arguments)}function Ot(){return Ft.apply(this,arguments)}function Ft(){return Ft=nt(et().m(function e(){var t,a;return et().w(function(e){for(;;)switch(e.p=e.n){case 0:return ft(),e.p=1,e.n=2,Excel.run(function(){var e=nt(et().m(function e(a){var n;return et().w(function(e){for(;;)switch(e.n){case 0:return(n=a.workbook.getSelectedRange()).load("values"),e.n=1,a.sync();case 1:t=n.values;case 2:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}());case 2:return a=Oe(t),e.n=3,Ke(a);case 3:return Ct(),document.getElementById("chartTheme").value=a.name,e.n=4,kt();case 4:pt('Theme "'.concat(a.name,'" saved to the workbook')),e.n=6;break;case 5:e.p=5,dt(e.v);case 6:return e.a(2)}},e,null,[[1,5]])})),Ft.apply(this,arguments)}function jt(){return It.apply(this,arguments)}function It(){return It=nt(et().m(function e(){var t,a,n;return et().w(function(e){for(;;)switch(e.p=e.n){case 0:if(ft(),e.p=1,lt){e.n=2;break}return e.n=2,gt();case 2:return t=vt(),a=t.spec,e.n=3,se(a,mt());case 3:return n=e.v,e.n=4,Excel.run(function(){var e=nt(et().m(function e(t){var a,r;return et().w(function(e){for(;;)switch(e.n){case 0:return a=t.workbook.worksheets.getItem(lt.sheetId),e.n=1,pe(t,a,n);case 1:return(r=e.v).left=lt.left,r.top=lt.top,e.n=2,t.sync();case 2:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}());case 4:e.n=6;break;case 5:e.p=5,dt(e.v);case 6:return e.a(2)}},e,null,[[1,5]])})),It.apply(this,arguments)}function Pt(){var e=new URLSearchParams(window.location.search).get("namespace");return(e&&e.trim()?e.trim():"VEGA").toUpperCase()}function At(e){return e.every(function(t,a){return t===e[0]+a})}function Ut(e,t,a,n){var r=a;Object.keys(n).length>0&&(r+=",".concat(function(e){for(var t=[],a=0;a<e.length;a+=255)t.push('"'.concat(e.slice(a,a+255).replace(/"/g,'""'),'"'));return t.join("&")}(JSON.stringify(n))));var o="=".concat(e,".").concat(t.toUpperCase(),"(").concat(r,")");if(o.length>8192)throw new Error("The formula would be too long for Excel; shorten the titles or put the options in a key/value range");return o}function Tt(){return Mt.apply(this,arguments)}function Mt(){return Mt=nt(et().m(function e(){var t,a,n,r,o,i,l;return et().w(function(e){for(;;)switch(e.p=e.n){case 0:if(ft(),e.p=1,lt){e.n=2;break}return e.n=2,gt();case 2:return t=vt(),a=t.chartType,n=t.columns,r=t.options,o=Pt(),i=Ze(lt.address),l=i.cellAddress,e.n=3,Excel.run(function(){var e=nt(et().m(function e(t){var i,c,s,u,d;return et().w(function(e){for(;;)switch(e.n){case 0:return i=t.workbook.worksheets.getItem(lt.sheetId),c=i.getRange(l),(s=c.getLastColumn().getCell(0,0).getOffsetRange(0,1)).load("address, formulas"),(u=n&&At(n)?c.getColumn(n[0]).getResizedRange(0,n.length-1):null)&&u.load("address"),e.n=1,t.sync();case 1:if(""===s.formulas[0][0]){e.n=2;break}throw new Error("".concat(Ze(s.address).cellAddress," is not empty, so the formula was not written"));case 2:return d=l,u?d=Ze(u.address).cellAddress:n&&(d="CHOOSECOLS(".concat(l,",").concat(n.map(function(e){return e+1}).join(","),")")),s.formulas=[[Ut(o,a,d,r)]],s.load("values"),e.n=3,t.sync();case 3:if(!n||u||"#NAME?"!==s.values[0][0]){e.n=5;break}return s.clear(Excel.ClearApplyTo.contents),e.n=4,t.sync();case 4:throw new Error("This version of Excel has no CHOOSECOLS: place the mapped columns next to each other in chart order, or reset the column mapping");case 5:pt("Formula written to ".concat(Ze(s.address).cellAddress));case 6:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}());case 3:e.n=5;break;case 4:e.p=4,dt(e.v);case 5:return e.a(2)}},e,null,[[1,4]])})),Mt.apply(this,arguments)}function Rt(){return Lt.apply(this,arguments)}function Lt(){return(Lt=nt(et().m(function e(){var t,a;return et().w(function(e){for(;;)switch(e.n){case 0:if(lt){e.n=1;break}return e.n=1,gt();case 1:return t=JSON.stringify(vt().spec,null,2),(a=document.getElementById("specOutput")).value=t,a.classList.remove("hidden"),e.a(2,t)}},e)}))).apply(this,arguments)}function qt(){return Nt.apply(this,arguments)}function Nt(){return(Nt=nt(et().m(function e(){var t;return et().w(function(e){for(;;)switch(e.p=e.n){case 0:return ft(),e.p=1,e.n=2,Rt();case 2:return t=e.v,e.p=3,e.n=4,navigator.clipboard.writeText(t);case 4:e.n=6;break;case 5:e.p=5,e.v,document.getElementById("specOutput").select(),document.execCommand("copy");case 6:e.n=8;break;case 7:e.p=7,dt(e.v);case 8:return e.a(2)}},e,null,[[3,5],[1,7]])}))).apply(this,arguments)}function Dt(){return Vt.apply(this,arguments)}function Vt(){return(Vt=nt(et().m(function e(){var t,a,n,r,o;return et().w(function(e){for(;;)switch(e.p=e.n){case 0:return ft(),e.p=1,e.n=2,Rt();case 2:t=e.v,a=document.getElementById("chartType").value,n=JSON.parse(t).$schema.includes("vega-lite"),r=URL.createObjectURL(new Blob([t],{type:"application/json"})),(o=document.createElement("a")).href=r,o.download="".concat(a,".").concat(n?"vl":"vg",".json"),document.body.appendChild(o),o.click(),document.body.removeChild(o),URL.revokeObjectURL(r),e.n=4;break;case 3:e.p=3,dt(e.v);case 4:return e.a(2)}},e,null,[[1,3]])}))).apply(this,arguments)}Office.onReady(function(){document.getElementById("drawChart").onclick=jt,document.getElementById("writeFormula").onclick=Tt,document.getElementById("copySpec").onclick=qt,document.getElementById("saveSpec").onclick=Dt,document.getElementById("refreshPreview").onclick=bt,document.getElementById("chartType").onchange=function(){lt?(yt(),kt()):bt()},Object.values(it).forEach(function(e){document.getElementById(e).onchange=kt}),["chartTitle","xTitle","yTitle"].forEach(function(e){document.getElementById(e).oninput=wt}),document.getElementById("colorScheme").onchange=kt,document.getElementById("chartTheme").onchange=kt,document.getElementById("setWorkbookTheme").onclick=zt,document.getElementById("loadTheme").onclick=Ot,Ct(),function(){return s.apply(this,arguments)}().catch(dt)})}(),new URL(a(39984),a.b),new URL(a(9031),a.b),new URL(a(97488),a.b),new URL(a(23841),a.b),new URL(a(94926),a.b),new URL(a(54920),a.b),new URL(a(89254),a.b),new URL(a(99856),a.b),new URL(a(28359),a.b),new URL(a(25316),a.b),new URL(a(14762),a.b),new URL(a(9334),a.b),new URL(a(40338),a.b),new URL(a(37514),a.b),new URL(a(75873),a.b),new URL(a(27286),a.b),new URL(a(60110),a.b),new URL(a(39438),a.b),new URL(a(31344),a.b),new URL(a(75493),a.b),new URL(a(39206),a.b),new URL(a(66619),a.b),new URL(a(97934),a.b),new URL(a(84693),a.b),new URL(a(14804),a.b),new URL(a(85982),a.b),new URL(a(58308),a.b),new URL(a(15042),a.b),new URL(a(30749),a.b),new URL(a(91567),a.b),new URL(a(63114),a.b),new URL(a(29234),a.b),new URL(a(78948),a.b),new URL(a(80932),a.b),new URL(a(88478),a.b),new URL(a(87666),a.b),new URL(a(24417),a.b),new URL(a(65313),a.b),new URL(a(63533),a.b),new URL(a(20895),a.b),new URL(a(86888),a.b),new URL(a(51406),a.b),new URL(a(77047),a.b),new URL(a(15535),a.b),new URL(a(55283),a.b),new URL(a(1309),a.b),new URL(a(98281),a.b),new URL(a(49664),a.b),new URL(a(49762),a.b),new URL(a(44867),a.b),new URL(a(397),a.b),new URL(a(69175),a.b),new URL(a(62790),a.b),new URL(a(69445),a.b),new URL(a(83834),a.b)}();
 //# sourceMappingURL=taskpane.js.map
\ No newline at end of file
@@ -0,0 +1,350 @@
+/**
+ * Spec snapshot tests for the chart custom functions.
+ *
+ * functions.js is loaded as Excel loads it, every chart function is called with
+ * its sample table (samples.js), and the spec handed to the renderer is compared
+ * with test/__snapshots__/<FUNCTION>.json. The behavior tests after them call
+ * the same bundle (and taskpane.js, for themes saved from the taskpane).
+ *
+ *   node --test test/charts.test.js                     run the tests
+ *   UPDATE_SNAPSHOTS=1 node --test test/charts.test.js  rewrite the snapshots
+ */
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+const SAMPLES = require("./samples");
+
+const BUNDLE = path.join(__dirname, "..", "functions.js");
+const SNAPSHOT_DIR = path.join(__dirname, "__snapshots__");
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+// The renderer stops here, so nothing is drawn or inserted into a workbook
+const RENDER_STOP = "render skipped in tests";
+
+// GANTT marks today; a fixed clock keeps its snapshot stable
+const NOW = Date.UTC(2024, 0, 15);
+class FixedDate extends Date {
+  constructor(...args) {
+    super(...(args.length > 0 ? args : [NOW]));
+  }
+
+  static now() {
+    return NOW;
+  }
+}
+
+/**
+ * Office stub whose document settings live in the given map, so bundles loaded
+ * side by side share them like they share a workbook
+ */
+function officeStub(settings, onReady = () => {}) {
+  return {
+    onReady,
+    AsyncResultStatus: { Failed: "failed" },
+    context: {
+      requirements: { isSetSupported: () => false },
+      document: {
+        settings: {
+          get: (key) => settings.get(key),
+          set: (key, value) => settings.set(key, JSON.parse(JSON.stringify(value))),
+          saveAsync: (callback) => callback({ status: "succeeded" })
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Load the custom functions bundle with browser and Office stubs
+ */
+function loadFunctions(globals = {}) {
+  const functions = {};
+  const rendered = {};
+  // Renders are told apart by the chart function whose element they draw into
+  let current = null;
+
+  const window = {
+    vegaEmbed: (container, spec) => {
+      rendered[container.chartName] = spec;
+      return Promise.reject(new Error(RENDER_STOP));
+    },
+    // VEGA checks custom specs with the Vega compilers before rendering them
+    vega: { parse() {} },
+    vegaLite: { compile: (spec) => ({ spec }) }
+  };
+  const document = {
+    body: { appendChild() {}, removeChild() {} },
+    head: { appendChild() {} },
+    createElement: () => ({ style: {}, chartName: current })
+  };
+  const context = {
+    console,
+    setTimeout,
+    clearTimeout,
+    Date: FixedDate,
+    window,
+    document,
+    CustomFunctions: { associate: (name, fn) => { functions[name] = fn; } },
+    ...globals
+  };
+  context.self = context;
+  vm.runInNewContext(fs.readFileSync(BUNDLE, "utf8"), context, { filename: BUNDLE });
+
+  return {
+    functions,
+    async render(name, data, options = null) {
+      current = name;
+      delete rendered[name];
+      const status = await functions[name](data, options, { address: `Sheet1!${name}1` });
+      return { status, spec: rendered[name] };
+    },
+    async renderCustom(spec, ranges) {
+      current = "VEGA";
+      delete rendered.VEGA;
+      const status = await functions.VEGA([[JSON.stringify(spec)]], ranges, { address: "Sheet1!VEGA1" });
+      return { status, spec: rendered.VEGA };
+    }
+  };
+}
+
+/**
+ * Load the taskpane bundle with a stub DOM, the given workbook settings and a
+ * selected range (selectRange) that Excel.run reads
+ */
+function loadTaskpane(settings) {
+  const elements = {};
+  const element = () => ({
+    value: "",
+    textContent: "",
+    options: [],
+    classList: { add() {}, remove() {}, toggle() {} },
+    parentElement: { classList: { toggle() {} } },
+    add(option) {
+      this.options.push(option);
+    }
+  });
+  let selected = [];
+
+  const context = {
+    setTimeout,
+    clearTimeout,
+    URL,
+    URLSearchParams,
+    window: {
+      location: { search: "" },
+      Option: class {
+        constructor(text, value) {
+          this.text = text;
+          this.value = value;
+        }
+      }
+    },
+    document: {
+      // webpack finds the bundle's URL through the running script
+      currentScript: { tagName: "SCRIPT", src: "https://localhost/taskpane.js" },
+      baseURI: "https://localhost/taskpane.html",
+      getElementById: (id) => elements[id] || (elements[id] = element())
+    },
+    Office: officeStub(settings, (callback) => callback()),
+    Excel: {
+      run: (batch) => batch({
+        workbook: { getSelectedRange: () => ({ load() {}, values: selected }) },
+        sync: async () => {}
+      })
+    }
+  };
+  context.self = context;
+  const bundle = path.join(__dirname, "..", "taskpane.js");
+  vm.runInNewContext(fs.readFileSync(bundle, "utf8"), context, { filename: bundle });
+
+  return {
+    element: (id) => context.document.getElementById(id),
+    selectRange(values) {
+      selected = values;
+    },
+    click: (id) => context.document.getElementById(id).onclick()
+  };
+}
+
+const runtime = loadFunctions();
+
+test("every chart function has a sample table", () => {
+  const charts = Object.keys(runtime.functions).filter(name => name !== "VEGA").sort();
+  assert.deepEqual(Object.keys(SAMPLES).sort(), charts);
+});
+
+for (const [name, data] of Object.entries(SAMPLES)) {
+  test(`${name} spec matches the snapshot`, async () => {
+    const { status, spec } = await runtime.render(name, data);
+    assert.equal(status, `Error: ${RENDER_STOP}`, `${name} did not build a spec`);
+
+    const file = path.join(SNAPSHOT_DIR, `${name}.json`);
+    const actual = `${JSON.stringify(spec, null, 2)}\n`;
+    if (UPDATE || !fs.existsSync(file)) {
+      fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+      fs.writeFileSync(file, actual);
+      return;
+    }
+    assert.equal(actual, fs.readFileSync(file, "utf8"));
+  });
+}
+
+test("STREAMGRAPH reads serial numbers as dates whatever the header", async () => {
+  const { spec } = await runtime.render("STREAMGRAPH", [["Start", "A", "B"], [45000, "x", 2], [45001, "x", 3]]);
+  assert.equal(spec.encoding.x.type, "temporal");
+  assert.equal(spec.data.values[0].Start.toISOString(), "2023-03-15T00:00:00.000Z");
+});
+
+test("HEATMAP bins numeric axes of large ranges", async () => {
+  const data = [["X", "Y", "Value"]];
+  for (let i = 0; i < 50000; i++) data.push([(i * 7919) % 1000, (i * 104729) % 997, i % 10]);
+  const { spec } = await runtime.render("HEATMAP", data);
+  assert.ok(spec.data.values.length <= 5000);
+  assert.match(spec.title.subtitle, /^50,000 rows averaged into [\d,]+ cells$/);
+});
+
+test("SCATTER caps large ranges with a unique label column", async () => {
+  const data = [["X", "Y", "Group", "Id"]];
+  for (let i = 0; i < 20000; i++) data.push([(i * 7919) % 10007, (i * 104729) % 9973, `g${i % 3}`, `id${i}`]);
+  const { spec } = await runtime.render("SCATTER", data);
+  assert.equal(spec.data.values.length, 5000);
+  assert.equal(spec.title.subtitle, "Showing 5,000 of 20,000 rows (sampled)");
+});
+
+test("charts with nothing to reduce get no note", async () => {
+  const data = [["Row", "Column", "Value"]];
+  for (let i = 0; i < 6000; i++) data.push([`r${Math.floor(i / 100)}`, `c${i % 100}`, i]);
+  const { spec } = await runtime.render("HEATMAP", data);
+  assert.equal(spec.data.values.length, 6000);
+  assert.equal(spec.title, undefined);
+});
+
+const CUSTOM_DATA = [["A", "B", "C"], ["x", "s1", 1], ["y", "s2", 2]];
+
+test("VEGA gives layered Vega-Lite specs the first range as data", async () => {
+  const spec = {
+    $schema: "https://vega.github.io/schema/vega-lite/v6.json",
+    layer: [
+      { mark: "bar", encoding: { x: { field: "A" }, y: { field: "C", type: "quantitative" } } },
+      { mark: "text", encoding: { x: { field: "A" }, text: { field: "C" } } }
+    ]
+  };
+  const { status, spec: rendered } = await runtime.renderCustom(spec, [CUSTOM_DATA]);
+  assert.equal(status, `Error: ${RENDER_STOP}`);
+  assert.equal(rendered.data.name, "data1");
+  assert.equal(rendered.datasets.data1.map(row => row.C).join(), "1,2");
+});
+
+test("VEGA accepts Vega signals that listen to window events", async () => {
+  const spec = {
+    $schema: "https://vega.github.io/schema/vega/v6.json",
+    signals: [{ name: "pointer", value: 0, on: [{ events: { source: "window", type: "mousemove" }, update: "x()" }] }],
+    data: [{ name: "data1" }],
+    marks: [{ type: "rect", from: { data: "data1" } }]
+  };
+  const { status } = await runtime.renderCustom(spec, [CUSTOM_DATA]);
+  assert.equal(status, `Error: ${RENDER_STOP}`);
+});
+
+test("VEGA accepts marks drawn from a facet of the data", async () => {
+  const spec = {
+    $schema: "https://vega.github.io/schema/vega/v6.json",
+    scales: [{ name: "x", type: "band", domain: { data: "data1", field: "A" } }],
+    marks: [{
+      type: "group",
+      from: { facet: { data: "data1", name: "series", groupby: "B" } },
+      marks: [{ type: "line", from: { data: "series" } }]
+    }]
+  };
+  const { status, spec: rendered } = await runtime.renderCustom(spec, [CUSTOM_DATA]);
+  assert.equal(status, `Error: ${RENDER_STOP}`);
+  assert.equal(rendered.data.map(entry => entry.name).join(), "data1");
+});
+
+test("VEGA reports datasets the spec refers to but does not have", async () => {
+  const spec = {
+    $schema: "https://vega.github.io/schema/vega/v6.json",
+    data: [{ name: "totals", source: "sales" }],
+    marks: [{ type: "rect", from: { data: "totals" } }]
+  };
+  const { status } = await runtime.renderCustom(spec, [CUSTOM_DATA]);
+  assert.equal(status, 'Spec error: Unknown dataset "sales" (available: totals, data1)');
+});
+
+test("VEGA reports specs that are not JSON", async () => {
+  const status = await runtime.functions.VEGA([["{\"mark\": "]], [CUSTOM_DATA], { address: "Sheet1!VEGA1" });
+  assert.match(status, /^Spec error: Spec is not valid JSON/);
+});
+
+test("value columns with date-like headers keep numbers and gaps", async () => {
+  const { spec } = await runtime.render("LINE", [["Month", "Runtime"], ["Jan", 20000], ["Feb", ""], ["Mar", 21000]]);
+  const values = spec.data.values.map(row => `${row.Month}=${row.value}`);
+  assert.equal(values.join(), "Jan=20000,Feb=null,Mar=21000");
+});
+
+test("label columns keep text that looks like numbers", async () => {
+  const { spec } = await runtime.render("COLUMN", [["Code", "Sales"], ["00123", 5], ["00456", "1,200"]]);
+  assert.equal(spec.data.values.map(row => `${row.Code}=${row.Sales}`).join(), "00123=5,00456=1200");
+});
+
+test("missing values follow the missing-value policy", async () => {
+  const data = [["Team", "2023", "2024"], ["North", 5, 7], ["South", "", 4]];
+  const dropped = await runtime.render("DUMBBELL", data);
+  assert.equal(dropped.spec.data.values.map(row => `${row.category}=${row.value}`).join(), "North=5,North=7");
+
+  const zero = await runtime.render("DUMBBELL", data, [["missing", "zero"]]);
+  assert.equal(zero.spec.data.values.map(row => `${row.category}=${row.value}`).join(), "North=5,North=7,South=0,South=4");
+});
+
+test("themes replace the default palette and keep the chart's own config", async () => {
+  const { spec } = await runtime.render("LINE", SAMPLES.LINE, [["theme", "dark"]]);
+  assert.equal(spec.background, "#201f1e");
+  assert.equal(spec.config.axis.labelColor, "#c8c6c4");
+  assert.equal(spec.config.axis.domainColor, "#c8c6c4");
+  assert.equal(spec.config.point.size, 60);
+  assert.equal(spec.encoding.color.scale.scheme, undefined);
+  assert.equal(spec.encoding.color.scale.range.join(), spec.config.range.category.join());
+});
+
+test("theme colors keep explicit color ranges", async () => {
+  const { spec } = await runtime.render("DUMBBELL", SAMPLES.DUMBBELL, [["theme", "high-contrast"]]);
+  const color = spec.layer.map(layer => layer.encoding.color).find(channel => channel.field === "period");
+  assert.equal(color.scale.range.join(), "#87ceeb,#1e3a8a");
+});
+
+test("unknown themes are reported", async () => {
+  const { status } = await runtime.render("LINE", SAMPLES.LINE, [["theme", "neon"]]);
+  assert.equal(status, 'Error: Unknown theme "neon" (available: default, dark, high-contrast)');
+});
+
+test("custom themes saved in the taskpane are used by chart functions", async () => {
+  const settings = new Map();
+  const taskpane = loadTaskpane(settings);
+  taskpane.selectRange([["Name", "Acme"], ["Colors", "#112233, #445566"], ["", ""], ["Font", "Georgia"]]);
+  await taskpane.click("loadTheme");
+  assert.equal(taskpane.element("previewStatus").textContent, 'Theme "acme" saved to the workbook');
+
+  const charts = loadFunctions({ Office: officeStub(settings) });
+  const { spec } = await charts.render("SCATTER", SAMPLES.SCATTER, [["theme", "ACME"]]);
+  assert.equal(spec.encoding.color.scale.range.join(), "#112233,#445566");
+  assert.equal(spec.config.font, "Georgia");
+  assert.equal(spec.config.axis.labelColor, "#605e5c");
+});
+
+test("theme ranges with mistakes are reported in the taskpane", async () => {
+  const taskpane = loadTaskpane(new Map());
+  const mistakes = [
+    [[["Colour", "red"]], 'Unknown theme key "Colour"'],
+    [[["Name", "Dark"]], '"dark" is a built-in theme, choose another name'],
+    [[["LabelColor", "not a color"]], 'Theme key "LabelColor" has an invalid color "not a color"'],
+    [[["Font", ""]], 'Theme key "Font" has no value']
+  ];
+  for (const [values, message] of mistakes) {
+    taskpane.selectRange(values);
+    await taskpane.click("loadTheme");
+    assert.equal(taskpane.element("errorMessage").textContent, message);
+  }
+});
@@ -0,0 +1,87 @@
+/**
+ * Sample tables (header row first, as Excel passes a range) for the chart
+ * snapshot tests: one per chart custom function.
+ */
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun"];
+
+module.exports = {
+  LINE: [["Month", "North", "South"], ...MONTHS.map((m, i) => [m, 10 + i * 3, 14 - i])],
+  STEP: [["Date", "Price"], [45292, 101.5], [45293, 102], [45294, 99.75], [45295, 104.25]],
+  FAN: [
+    ["Year", "Actual", "P50", "P75 Low", "P75 High"],
+    [2021, 1.2, null, null, null],
+    [2022, 1.5, 1.5, 1.5, 1.5],
+    [2023, null, 1.8, 1.6, 2.0],
+    [2024, null, 2.1, 1.7, 2.5]
+  ],
+  COLUMN: [["Region", "2023", "2024"], ["North", 120, 135], ["South", 98, 110], ["East", 143, 150]],
+  BAR: [["Product", "Sales"], ["Alpha", 42], ["Beta", 37], ["Gamma", 55]],
+  BUTTERFLY: [["Age", "Male", "Female"], ["0-19", 120, 115], ["20-39", 160, 158], ["40-59", 140, 145], ["60+", 90, 110]],
+  BEESWARM: [["Team", "Score", "Name"], ["Red", 12, "Ann"], ["Red", 15, "Bob"], ["Blue", 9, "Cy"], ["Blue", 14, "Di"], ["Green", 11, "Ed"]],
+  FUNNEL: [["Stage", "Users"], ["Visit", 1000], ["Sign up", 420], ["Trial", 180], ["Paid", 65]],
+  GAUGE: [["Current", "Max"], [72, 100]],
+  PIE: [["Fruit", "Count"], ["Apple", 30], ["Banana", 22], ["Cherry", 12]],
+  DONUT: [["Channel", "Share"], ["Web", 0.55], ["Store", 0.3], ["Phone", 0.15]],
+  CHORD: [["From", "To", "Flow"], ["A", "B", 5], ["B", "C", 3], ["C", "A", 4], ["A", "C", 2]],
+  CIRCLEPACKING: [["Parent", "Child", "Size"], ["", "World", null], ["World", "Europe", 40], ["World", "Asia", 60], ["Europe", "France", 15]],
+  CIRCULARBAR: [["Month", "Rain"], ...MONTHS.map((m, i) => [m, 40 + i * 7])],
+  AREA: [["Month", "Desktop", "Mobile"], ...MONTHS.map((m, i) => [m, 200 - i * 10, 80 + i * 25])],
+  STREAMGRAPH: [
+    ["Date", "Genre", "Plays"],
+    [45292, "Rock", 10], [45292, "Pop", 14],
+    [45323, "Rock", 12], [45323, "Pop", 11],
+    [45352, "Rock", 9], [45352, "Pop", 16]
+  ],
+  SCATTER: [["Height", "Weight", "Group"], [160, 55, "A"], [172, 70, "B"], [181, 82, "B"], [155, 50, "A"]],
+  BUBBLE: [["GDP", "Life", "Population", "Continent"], [1.2, 71, 30, "Asia"], [4.5, 80, 8, "Europe"], [0.8, 62, 50, "Africa"]],
+  RING: [["Segment", "Value"], ["Core", 60], ["Growth", 25], ["New", 15]],
+  RADIAL: [["Category", "Value"], ["A", 12], ["B", 25], ["C", 18], ["D", 30]],
+  BOX: [["Group", "Value"], ["A", 1], ["A", 3], ["A", 4], ["A", 8], ["B", 2], ["B", 5], ["B", 6], ["B", 9]],
+  RADAR: [["Player", "Speed", "Power", "Skill"], ["Ann", 8, 6, 9], ["Bob", 6, 9, 5]],
+  WATERFALL: [["Step", "Amount", "Type"], ["Start", 100, "total"], ["Sales", 40, "change"], ["Costs", -25, "change"], ["End", 115, "total"]],
+  SUNBURST: [["Parent", "Child", "Value"], ["", "Root", null], ["Root", "A", 10], ["Root", "B", 6], ["A", "A1", 4]],
+  TREEMAP: [["Parent", "Category", "Value"], ["Fruit", "Apple", 30], ["Fruit", "Pear", 12], ["Veg", "Kale", 8], ["Veg", "Leek", 5]],
+  HISTOGRAM: [["Value"], [1.5], [2.1], [2.4], [3.8], [4.2], [4.9], [6.3], [7.7]],
+  DENSITY: [["Value"], [1.5], [2.1], [2.4], [3.8], [4.2], [4.9], [6.3], [7.7]],
+  MAP: [["Country", "Value"], ["FRA", 67], ["DEU", 83], ["USA", 331], ["BRA", 213]],
+  CONTOUR: [["X", "Y"], [1, 2], [2, 3], [2, 2.5], [3, 4], [4, 3.5], [5, 6]],
+  CANDLESTICK: [
+    ["Date", "Open", "High", "Low", "Close"],
+    [45292, 100, 105, 98, 104], [45293, 104, 108, 101, 102], [45294, 102, 103, 95, 97]
+  ],
+  ARC: [["Source", "Target", "Weight"], ["Ann", "Bob", 3], ["Bob", "Cy", 1], ["Cy", "Ann", 2]],
+  TREE: [["Parent", "Child", "Value"], ["", "CEO", null], ["CEO", "CTO", 1], ["CEO", "CFO", 1], ["CTO", "Dev", 1]],
+  WORDCLOUD: [["Text"], ["Charts make spreadsheets easier to read"], ["Readable charts make better decisions"]],
+  STRIP: [["Category", "Value", "Batch"], ["A", 1.2, "x"], ["A", 2.3, "y"], ["B", 3.1, "x"], ["B", 0.7, "y"]],
+  HEATMAP: [["Day", "Hour", "Visits"], ["Mon", "9", 12], ["Mon", "10", 18], ["Tue", "9", 7], ["Tue", "10", 22]],
+  TABLEBUBBLE: [["Day", "Hour", "Visits"], ["Mon", "9", 12], ["Mon", "10", 18], ["Tue", "9", 7], ["Tue", "10", 22]],
+  BULLET: [
+    ["Title", "Poor", "Satisfactory", "Good", "Actual", "Forecast", "Target"],
+    ["Revenue", 150, 225, 300, 270, 290, 250],
+    ["Profit", 20, 25, 30, 23, 26, 28]
+  ],
+  HORIZON: [["X", "Y"], [1, 28], [2, 55], [3, 43], [4, 91], [5, 81], [6, 53]],
+  DUMBBELL: [["Country", "2000", "2020"], ["France", 79, 82], ["Japan", 81, 85], ["Chile", 76, 80]],
+  SLOPE: [["Year", "Party", "Share"], ["2019", "Red", 40], ["2019", "Blue", 35], ["2023", "Red", 33], ["2023", "Blue", 44]],
+  MEKKO: [["Market", "Brand", "Sales"], ["US", "A", 50], ["US", "B", 30], ["EU", "A", 20], ["EU", "B", 40]],
+  MARIMEKKO: [["Market", "Brand", "Sales"], ["US", "A", 50], ["US", "B", 30], ["EU", "A", 20], ["EU", "B", 40]],
+  BUMP: [["Week", "Team", "Rank"], ["W1", "Red", 1], ["W1", "Blue", 2], ["W2", "Red", 2], ["W2", "Blue", 1]],
+  WAFFLE: [["Answer", "Votes"], ["Yes", 62], ["No", 28], ["Unsure", 10]],
+  LOLLIPOP: [["City", "Population"], ["Oslo", 0.7], ["Bergen", 0.29], ["Tromsø", 0.08]],
+  VIOLIN: [["Group", "Value"], ["A", 1], ["A", 3], ["A", 4], ["A", 8], ["B", 2], ["B", 5], ["B", 6], ["B", 9]],
+  GANTT: [
+    ["Parent ID", "Task ID", "Task Name", "Start Date", "End Date", "Progress"],
+    ["", "P1", "Project", 45292, 45322, 0.5],
+    ["P1", "T1", "Design", 45292, 45302, 1],
+    ["P1", "T2", "Build", 45303, 45322, 0.2]
+  ],
+  SANKEY: [["Source", "Target", "Value"], ["Coal", "Power", 30], ["Gas", "Power", 20], ["Power", "Homes", 35], ["Power", "Industry", 15]],
+  RIDGELINE: [["Hour", "Day", "Load"], [1, "Mon", 3], [2, "Mon", 5], [3, "Mon", 4], [1, "Tue", 2], [2, "Tue", 6], [3, "Tue", 3]],
+  VARIANCE: [["Unit", "Budget", "Actual"], ["Sales", 100, 112], ["Ops", 80, 74], ["R&D", 60, 65]],
+  DEVIATION: [["Period", "Actual", "Target"], ["Q1", 98, 100], ["Q2", 106, 100], ["Q3", 95, 100]],
+  RIBBON: [["Quarter", "Brand", "Share"], ["Q1", "A", 40], ["Q1", "B", 60], ["Q2", "A", 55], ["Q2", "B", 45]],
+  HEATMAP_BAR: [["Day", "Hour", "Visits"], ["Mon", "9", 12], ["Mon", "10", 18], ["Tue", "9", 7], ["Tue", "10", 22]],
+  SCATTER_LINE: [["X", "Y"], [1, 2.1], [2, 3.9], [3, 6.2], [4, 7.8]],
+  LINE_RECTANGLE: [["Month", "Value", "Highlight"], ["Jan", 10, ""], ["Feb", 12, "Promo"], ["Mar", 15, "Promo"], ["Apr", 11, ""]]
+};